@@ -13,6 +13,7 @@ public struct TouchFinger
     public Vector2 Position;
     public Vector2 StartPosition;
     public Vector2 Delta;
+    public Vector2 Radius;      // Contact ellipse half-extents, zero when the platform doesn't report it
     public float Pressure;
     public float DownTime;
     public bool Active;
@@ -147,13 +148,15 @@ public static class Touch
             case PlatformEventType.TouchMove:   HandleTouchMove(evt);   break;
             case PlatformEventType.TouchCancel: HandleTouchCancel(evt); break;
 
-            // SDL3 native pinch (trackpad). When fingers are on screen we drive
-            // zoom from our own two-finger tracking instead, so ignore these.
+            // SDL3 native pinch (trackpad) or the web gesture recognizer. Updates
+            // are relative, so several in one frame multiply. When fingers are on
+            // screen we drive zoom from our own two-finger tracking instead, so
+            // ignore these.
             case PlatformEventType.PinchBegin:
                 if (_fingerCount < 2) { _pinchActive = true; _pinchScale = 1f; }
                 break;
             case PlatformEventType.PinchUpdate:
-                if (_fingerCount < 2) _pinchScale = evt.PinchScale;
+                if (_fingerCount < 2) _pinchScale *= evt.PinchScale;
                 break;
             case PlatformEventType.PinchEnd:
                 if (_fingerCount < 2) { _pinchActive = false; _pinchScale = 1f; }
@@ -192,6 +195,7 @@ public static class Touch
         f.Position = evt.TouchPosition;
         f.StartPosition = evt.TouchPosition;
         f.Delta = Vector2.Zero;
+        f.Radius = evt.TouchRadius;
         f.Pressure = evt.Pressure;
         f.DownTime = Time.TotalTime;
         f.Active = true;
@@ -307,6 +311,7 @@ public static class Touch
         ref var f = ref _fingers[slot];
         f.Delta = evt.TouchDelta;
         f.Position = evt.TouchPosition;
+        f.Radius = evt.TouchRadius;
         f.Pressure = evt.Pressure;
 
         if (!_tapSessionInvalid &&
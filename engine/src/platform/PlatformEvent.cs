@@ -32,6 +32,7 @@ public struct PlatformEvent
     public long FingerId;
     public Vector2 TouchPosition;
     public Vector2 TouchDelta;
+    public Vector2 TouchRadius;
     public float Pressure;
 
     // Pinch
@@ -62,9 +63,9 @@ public struct PlatformEvent
     public static PlatformEvent PinchUpdateEvent(float scale) => new() { Type = PlatformEventType.PinchUpdate, PinchScale = scale };
     public static PlatformEvent PinchEndEvent() => new() { Type = PlatformEventType.PinchEnd };
 
-    public static PlatformEvent TouchDown(long fingerId, Vector2 position, float pressure) => new() { Type = PlatformEventType.TouchDown, FingerId = fingerId, TouchPosition = position, Pressure = pressure };
+    public static PlatformEvent TouchDown(long fingerId, Vector2 position, float pressure, Vector2 radius = default) => new() { Type = PlatformEventType.TouchDown, FingerId = fingerId, TouchPosition = position, Pressure = pressure, TouchRadius = radius };
     public static PlatformEvent TouchUp(long fingerId, Vector2 position) => new() { Type = PlatformEventType.TouchUp, FingerId = fingerId, TouchPosition = position };
-    public static PlatformEvent TouchMoveEvent(long fingerId, Vector2 position, Vector2 delta, float pressure) => new() { Type = PlatformEventType.TouchMove, FingerId = fingerId, TouchPosition = position, TouchDelta = delta, Pressure = pressure };
+    public static PlatformEvent TouchMoveEvent(long fingerId, Vector2 position, Vector2 delta, float pressure, Vector2 radius = default) => new() { Type = PlatformEventType.TouchMove, FingerId = fingerId, TouchPosition = position, TouchDelta = delta, Pressure = pressure, TouchRadius = radius };
     public static PlatformEvent TouchCancelEvent(long fingerId) => new() { Type = PlatformEventType.TouchCancel, FingerId = fingerId };
 
     public static PlatformEvent PenDownEvent(Vector2 position, float pressure, bool eraser) => new() { Type = PlatformEventType.PenDown, PenPosition = position, Pressure = pressure, PenEraser = eraser };
@@ -49,6 +49,31 @@ internal static class JSObjectHelper
         return WebGPUInterop.CreateSamplerBindGroupEntry((int)binding, useLinear);
     }
 
+    public static JSObject CreateSamplerIdBindGroupEntry(uint binding, int samplerId)
+    {
+        return WebGPUInterop.CreateSamplerIdBindGroupEntry((int)binding, samplerId);
+    }
+
+    // ============================================================================
+    // Sampler Descriptor
+    // ============================================================================
+
+    public static JSObject CreateSamplerDescriptor(in WebGPUSamplerDescriptor descriptor, string? label)
+    {
+        return WebGPUInterop.CreateSamplerDescriptor(
+            descriptor.AddressModeU,
+            descriptor.AddressModeV,
+            descriptor.AddressModeW,
+            descriptor.MagFilter,
+            descriptor.MinFilter,
+            descriptor.MipmapFilter,
+            descriptor.LodMinClamp,
+            descriptor.LodMaxClamp,
+            descriptor.MaxAnisotropy,
+            descriptor.Compare,
+            label);
+    }
+
     // ============================================================================
     // Render Pipeline Descriptor
     // ============================================================================
@@ -61,12 +86,15 @@ internal static class JSObjectHelper
         BlendMode blendMode,
         int sampleCount,
         string targetFormat,
-        string label)
+        string label,
+        string? depthFormat = null,
+        in WebGPUDepthStencilState depthStencil = default,
+        string? targetsJson = null)
     {
         var vertexBuffersJson = CreateVertexBufferLayoutJson(vertexDescriptor);
         var blendModeStr = GetBlendModeString(blendMode);
 
-        return WebGPUInterop.CreateRenderPipelineDescriptor(
+        var descriptor = WebGPUInterop.CreateRenderPipelineDescriptor(
             vertexModuleId,
             fragmentModuleId,
             pipelineLayoutId,
@@ -80,6 +108,38 @@ internal static class JSObjectHelper
             sampleCount,
             targetFormat,
             label);
+
+        if (!string.IsNullOrEmpty(depthFormat))
+        {
+            WebGPUInterop.SetRenderPipelineDepthStencil(
+                descriptor,
+                depthFormat,
+                depthStencil.DepthCompare ?? WebGPUCompareFunction.Always,
+                depthStencil.DepthWrite,
+                depthStencil.StencilCompare ?? WebGPUCompareFunction.Always,
+                depthStencil.StencilFailOp ?? WebGPUStencilOperation.Keep,
+                depthStencil.StencilDepthFailOp ?? WebGPUStencilOperation.Keep,
+                depthStencil.StencilPassOp ?? WebGPUStencilOperation.Keep,
+                depthStencil.StencilReadMask,
+                depthStencil.StencilWriteMask);
+        }
+
+        if (targetsJson != null)
+            WebGPUInterop.SetRenderPipelineTargets(descriptor, targetsJson);
+
+        return descriptor;
+    }
+
+    /// <summary>
+    /// Per-target format, blend mode and write mask for a pipeline with multiple render targets.
+    /// </summary>
+    public static string CreateColorTargetsJson(ReadOnlySpan<string> formats, ReadOnlySpan<BlendMode> blendModes, ReadOnlySpan<WebGPUColorWrite> writeMasks)
+    {
+        var targets = new List<string>(formats.Length);
+        for (int i = 0; i < formats.Length; i++)
+            targets.Add($"{{\"format\":\"{formats[i]}\",\"blendMode\":\"{GetBlendModeString(blendModes[i])}\",\"writeMask\":{(int)writeMasks[i]}}}");
+
+        return $"[{string.Join(",", targets)}]";
     }
 
     private static string CreateVertexBufferLayoutJson(VertexFormatDescriptor descriptor)
@@ -126,6 +186,23 @@ internal static class JSObjectHelper
         };
     }
 
+    // ============================================================================
+    // Depth Attachment
+    // ============================================================================
+
+    public static JSObject CreateDepthAttachment(int textureId, string depthLoadOp, string depthStoreOp, string stencilLoadOp, string stencilStoreOp, float clearDepth = 1f, int clearStencil = 0)
+    {
+        return WebGPUInterop.CreateDepthAttachment(
+            textureId,
+            depthLoadOp,
+            depthStoreOp,
+            clearDepth,
+            stencilLoadOp,
+            stencilStoreOp,
+            clearStencil,
+            false);
+    }
+
     // ============================================================================
     // Color Attachment
     // ============================================================================
@@ -0,0 +1,33 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Load/store behavior of one render texture color attachment. Null ops default to clear
+/// and store, except that the multisampled contents of an MSAA render texture are
+/// discarded after a clear (the resolved texture always keeps the result). Ask for
+/// WebGPUStoreOp.Store when such a pass will be loaded again.
+/// </summary>
+public struct WebGPUColorAttachmentOps
+{
+    public string? LoadOp;      // WebGPULoadOp
+    public string? StoreOp;     // WebGPUStoreOp
+    public Color ClearColor;    // LoadOp clear only
+
+    /// <summary>Clear, and store even MSAA contents so the pass can be resumed.</summary>
+    public static WebGPUColorAttachmentOps Clear(Color color) => new()
+    {
+        LoadOp = WebGPULoadOp.Clear,
+        StoreOp = WebGPUStoreOp.Store,
+        ClearColor = color
+    };
+
+    /// <summary>Keep the previous contents and store the result, e.g. for a paint canvas.</summary>
+    public static readonly WebGPUColorAttachmentOps Load = new()
+    {
+        LoadOp = WebGPULoadOp.Load,
+        StoreOp = WebGPUStoreOp.Store
+    };
+}
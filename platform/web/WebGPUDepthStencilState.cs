@@ -0,0 +1,69 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Depth and stencil pipeline state. Only applied when the current pass has a depth
+/// attachment; the same stencil ops are used for front and back faces.
+/// </summary>
+public struct WebGPUDepthStencilState : IEquatable<WebGPUDepthStencilState>
+{
+    public string DepthCompare;
+    public bool DepthWrite;
+    public string StencilCompare;
+    public string StencilFailOp;
+    public string StencilDepthFailOp;
+    public string StencilPassOp;
+    public byte StencilReadMask;
+    public byte StencilWriteMask;
+
+    /// <summary>Depth and stencil tests always pass and nothing is written.</summary>
+    public static readonly WebGPUDepthStencilState Disabled = new()
+    {
+        DepthCompare = WebGPUCompareFunction.Always,
+        DepthWrite = false,
+        StencilCompare = WebGPUCompareFunction.Always,
+        StencilFailOp = WebGPUStencilOperation.Keep,
+        StencilDepthFailOp = WebGPUStencilOperation.Keep,
+        StencilPassOp = WebGPUStencilOperation.Keep,
+        StencilReadMask = 0xFF,
+        StencilWriteMask = 0xFF
+    };
+
+    /// <summary>Classic depth-sorted drawing: nearer fragments win and write depth.</summary>
+    public static readonly WebGPUDepthStencilState DepthTest = Disabled with
+    {
+        DepthCompare = WebGPUCompareFunction.LessEqual,
+        DepthWrite = true
+    };
+
+    /// <summary>Write the stencil reference wherever fragments are drawn (mask shape pass).</summary>
+    public static readonly WebGPUDepthStencilState StencilWrite = Disabled with
+    {
+        StencilPassOp = WebGPUStencilOperation.Replace
+    };
+
+    /// <summary>Only draw where the stencil buffer equals the stencil reference (masked content pass).</summary>
+    public static readonly WebGPUDepthStencilState StencilTest = Disabled with
+    {
+        StencilCompare = WebGPUCompareFunction.Equal,
+        StencilWriteMask = 0
+    };
+
+    public bool Equals(WebGPUDepthStencilState other) =>
+        DepthCompare == other.DepthCompare &&
+        DepthWrite == other.DepthWrite &&
+        StencilCompare == other.StencilCompare &&
+        StencilFailOp == other.StencilFailOp &&
+        StencilDepthFailOp == other.StencilDepthFailOp &&
+        StencilPassOp == other.StencilPassOp &&
+        StencilReadMask == other.StencilReadMask &&
+        StencilWriteMask == other.StencilWriteMask;
+
+    public override bool Equals(object? obj) => obj is WebGPUDepthStencilState other && Equals(other);
+
+    public override int GetHashCode() => HashCode.Combine(
+        DepthCompare, DepthWrite, StencilCompare, StencilFailOp, StencilDepthFailOp, StencilPassOp, StencilReadMask, StencilWriteMask);
+}
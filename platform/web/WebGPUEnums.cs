@@ -35,6 +35,20 @@ public enum WebGPUTextureUsage
     RenderAttachment = 0x10
 }
 
+/// <summary>
+/// WebGPU color write mask (matches GPUColorWrite in JavaScript)
+/// </summary>
+[Flags]
+public enum WebGPUColorWrite
+{
+    None = 0x0,
+    Red = 0x1,
+    Green = 0x2,
+    Blue = 0x4,
+    Alpha = 0x8,
+    All = 0xF
+}
+
 /// <summary>
 /// WebGPU shader stages
 /// </summary>
@@ -57,6 +71,159 @@ public static class WebGPUTextureFormat
     public const string RGBA32F = "rgba32f";
     public const string BGRA8 = "bgra8";
     public const string RGBA16F = "rgba16float";
+    public const string Depth16 = "depth16";
+    public const string Depth24 = "depth24";
+    public const string Depth24Stencil8 = "depth24s8";
+    public const string Depth32F = "depth32f";
+    public const string Stencil8 = "stencil8";
+
+    // Block-compressed (need the matching WebGPUTextureCompression support, sizes must be
+    // whole blocks). Any other WebGPU compressed format name is accepted as-is.
+    public const string BC1 = "bc1";
+    public const string BC3 = "bc3";
+    public const string BC4 = "bc4";
+    public const string BC5 = "bc5";
+    public const string BC7 = "bc7";
+    public const string ETC2RGB8 = "etc2-rgb8";
+    public const string ETC2RGBA8 = "etc2-rgba8";
+    public const string EACR11 = "eac-r11";
+    public const string EACRG11 = "eac-rg11";
+    public const string ASTC4x4 = "astc-4x4";
+    public const string ASTC6x6 = "astc-6x6";
+    public const string ASTC8x8 = "astc-8x8";
+
+    public static bool IsCompressed(string format) =>
+        format.StartsWith("bc", StringComparison.Ordinal) ||
+        format.StartsWith("etc2", StringComparison.Ordinal) ||
+        format.StartsWith("eac", StringComparison.Ordinal) ||
+        format.StartsWith("astc", StringComparison.Ordinal);
+}
+
+/// <summary>
+/// Block-compressed texture families enabled on the WebGPU device
+/// </summary>
+[Flags]
+public enum WebGPUTextureCompression
+{
+    None = 0,
+    BC = 1,
+    ETC2 = 2,
+    ASTC = 4
+}
+
+/// <summary>
+/// WebGPU index formats (as strings for JS interop)
+/// </summary>
+public static class WebGPUIndexFormat
+{
+    public const string Uint16 = "uint16";
+    public const string Uint32 = "uint32";
+}
+
+/// <summary>
+/// WebGPU compare functions for depth and stencil tests (as strings for JS interop)
+/// </summary>
+public static class WebGPUCompareFunction
+{
+    public const string Never = "never";
+    public const string Less = "less";
+    public const string Equal = "equal";
+    public const string LessEqual = "less-equal";
+    public const string Greater = "greater";
+    public const string NotEqual = "not-equal";
+    public const string GreaterEqual = "greater-equal";
+    public const string Always = "always";
+}
+
+/// <summary>
+/// WebGPU stencil operations (as strings for JS interop)
+/// </summary>
+public static class WebGPUStencilOperation
+{
+    public const string Keep = "keep";
+    public const string Zero = "zero";
+    public const string Replace = "replace";
+    public const string Invert = "invert";
+    public const string IncrementClamp = "increment-clamp";
+    public const string DecrementClamp = "decrement-clamp";
+    public const string IncrementWrap = "increment-wrap";
+    public const string DecrementWrap = "decrement-wrap";
+}
+
+/// <summary>
+/// WebGPU render pass load operations (as strings for JS interop)
+/// </summary>
+public static class WebGPULoadOp
+{
+    public const string Clear = "clear";
+    public const string Load = "load";
+}
+
+/// <summary>
+/// WebGPU render pass store operations (as strings for JS interop)
+/// </summary>
+public static class WebGPUStoreOp
+{
+    public const string Store = "store";
+    public const string Discard = "discard";
+}
+
+/// <summary>
+/// Canvas alpha modes (as strings for JS interop). Premultiplied lets the page show
+/// through wherever the frame is cleared or drawn with alpha below 1.
+/// </summary>
+public static class WebGPUAlphaMode
+{
+    public const string Opaque = "opaque";
+    public const string Premultiplied = "premultiplied";
+}
+
+/// <summary>
+/// Canvas color spaces (as strings for JS interop)
+/// </summary>
+public static class WebGPUColorSpace
+{
+    public const string SRGB = "srgb";
+    public const string DisplayP3 = "display-p3";
+}
+
+/// <summary>
+/// Canvas tone mapping modes (as strings for JS interop). Extended presents values above
+/// 1.0 on HDR displays and switches the surface format to rgba16float.
+/// </summary>
+public static class WebGPUToneMapping
+{
+    public const string Standard = "standard";
+    public const string Extended = "extended";
+}
+
+/// <summary>
+/// WebGPU sampler address modes (as strings for JS interop)
+/// </summary>
+public static class WebGPUAddressMode
+{
+    public const string ClampToEdge = "clamp-to-edge";
+    public const string Repeat = "repeat";
+    public const string MirrorRepeat = "mirror-repeat";
+}
+
+/// <summary>
+/// WebGPU sampler filter modes (as strings for JS interop)
+/// </summary>
+public static class WebGPUFilterMode
+{
+    public const string Nearest = "nearest";
+    public const string Linear = "linear";
+}
+
+/// <summary>
+/// WebGPU sampler binding types for bind group layout entries (as strings for JS interop)
+/// </summary>
+public static class WebGPUSamplerBindingType
+{
+    public const string Filtering = "filtering";
+    public const string NonFiltering = "non-filtering";
+    public const string Comparison = "comparison";
 }
 
 /// <summary>
@@ -80,5 +247,18 @@ public enum WebGPUBindingType
     Texture2D,
     Texture2DArray,
     Texture2DUnfilterable,
-    Sampler
+    Sampler,
+    StorageBuffer,
+    ReadOnlyStorageBuffer,
+    StorageTexture
+}
+
+/// <summary>
+/// WebGPU storage texture access modes (as strings for JS interop)
+/// </summary>
+public static class WebGPUStorageTextureAccess
+{
+    public const string WriteOnly = "write-only";
+    public const string ReadOnly = "read-only";
+    public const string ReadWrite = "read-write";
 }
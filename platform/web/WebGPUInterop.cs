@@ -7,19 +7,37 @@ using System.Runtime.InteropServices.JavaScript;
 namespace NoZ.Platform.Web;
 
 /// <summary>
-/// JSImport declarations for the browser WebGPU bridge (noz-webgpu.js)
+/// JSImport declarations for the browser graphics bridge: noz-webgpu.js, or noz-webgl2.js
+/// which exports the same API and is imported under the same module name
 /// </summary>
 public static partial class WebGPUInterop
 {
-    // Module name must match the name passed to JSHost.ImportAsync() in WebGraphicsDriver
+    // Module names must match the names passed to JSHost.ImportAsync() in WebGraphicsDriver
     private const string ModuleName = "noz-webgpu";
+    internal const string BackendModuleName = "noz-graphics";
+
+    // ============================================================================
+    // Backend Selection (noz-graphics.js, imported before the bridge)
+    // ============================================================================
+
+    [JSImport("isWebGPUAvailable", BackendModuleName)]
+    internal static partial Task<bool> IsWebGPUAvailable();
+
+    [JSImport("isWebGL2Available", BackendModuleName)]
+    internal static partial bool IsWebGL2Available();
 
     // ============================================================================
     // Initialization
     // ============================================================================
 
     [JSImport("init", ModuleName)]
-    internal static partial Task<JSObject> InitAsync(string canvasSelector);
+    internal static partial Task<JSObject> InitAsync(string canvasSelector, string? alphaMode, string? colorSpace, string? toneMapping);
+
+    [JSImport("configureSurface", ModuleName)]
+    internal static partial JSObject ConfigureSurface(string? alphaMode, string? colorSpace, string? toneMapping);
+
+    [JSImport("getSurfaceConfiguration", ModuleName)]
+    internal static partial JSObject? GetSurfaceConfiguration();
 
     [JSImport("shutdown", ModuleName)]
     internal static partial void Shutdown();
@@ -30,6 +48,36 @@ public static partial class WebGPUInterop
     [JSImport("checkResize", ModuleName)]
     internal static partial bool CheckResize();
 
+    // ============================================================================
+    // Device Loss Recovery
+    // ============================================================================
+
+    [JSImport("setDeviceRestoredCallback", ModuleName)]
+    internal static partial void SetDeviceRestoredCallback([JSMarshalAs<JSType.Function>] Action callback);
+
+    [JSImport("isDeviceLost", ModuleName)]
+    internal static partial bool IsDeviceLost();
+
+    // ============================================================================
+    // WASM Heap Access (zero-copy uploads) — *Heap functions return false when the
+    // heap view is unavailable and the copying version must be used instead
+    // ============================================================================
+
+    [JSImport("isHeapAccessSupported", ModuleName)]
+    internal static partial bool IsHeapAccessSupported();
+
+    [JSImport("writeBufferHeap", ModuleName)]
+    internal static partial bool WriteBufferHeap(int bufferId, int offset, nint ptr, int length);
+
+    [JSImport("updateMeshHeap", ModuleName)]
+    internal static partial bool UpdateMeshHeap(int meshId, nint vertexPtr, int vertexLength, nint indexPtr, int indexLength);
+
+    [JSImport("updateMeshHeap", ModuleName)]
+    internal static partial bool UpdateMeshHeap(int meshId, nint vertexPtr, int vertexLength, nint indexPtr, int indexLength, int vertexOffset, int indexOffset);
+
+    [JSImport("writeTextureHeap", ModuleName)]
+    internal static partial bool WriteTextureHeap(int textureId, nint ptr, int length, int x, int y, int width, int height, int bytesPerRow, int layer, int mipLevel);
+
     // ============================================================================
     // Buffer Management
     // ============================================================================
@@ -50,9 +98,18 @@ public static partial class WebGPUInterop
     [JSImport("createMesh", ModuleName)]
     internal static partial int CreateMesh(int maxVertices, int maxIndices, int vertexStride, string? label);
 
+    [JSImport("createMesh", ModuleName)]
+    internal static partial int CreateMesh(int maxVertices, int maxIndices, int vertexStride, string? label, string indexFormat);
+
     [JSImport("updateMesh", ModuleName)]
     internal static partial void UpdateMesh(int meshId, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> vertexData, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> indexData);
 
+    [JSImport("updateMesh", ModuleName)]
+    internal static partial void UpdateMesh(int meshId, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> vertexData, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> indexData, int vertexOffset, int indexOffset);
+
+    [JSImport("getMeshCapacity", ModuleName)]
+    internal static partial JSObject? GetMeshCapacity(int meshId);
+
     [JSImport("destroyMesh", ModuleName)]
     internal static partial void DestroyMesh(int meshId);
 
@@ -66,15 +123,46 @@ public static partial class WebGPUInterop
     [JSImport("createTextureArray", ModuleName)]
     internal static partial int CreateTextureArray(int width, int height, int layers, string format, string? label);
 
+    [JSImport("createTexture", ModuleName)]
+    internal static partial int CreateTexture(int width, int height, string format, int usage, string? label, int mipLevelCount);
+
+    [JSImport("createTextureArray", ModuleName)]
+    internal static partial int CreateTextureArray(int width, int height, int layers, string format, string? label, int mipLevelCount);
+
+    [JSImport("createTextureArray", ModuleName)]
+    internal static partial int CreateTextureArray(int width, int height, int layers, string format, string? label, int mipLevelCount, bool storage);
+
     [JSImport("writeTexture", ModuleName)]
     internal static partial void WriteTexture(int textureId, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> data, int width, int height, int bytesPerRow, int layer);
 
     [JSImport("writeTextureRegion", ModuleName)]
     internal static partial void WriteTextureRegion(int textureId, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> data, int x, int y, int width, int height, int bytesPerRow);
 
+    [JSImport("writeTextureRegion", ModuleName)]
+    internal static partial void WriteTextureRegion(int textureId, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> data, int x, int y, int width, int height, int bytesPerRow, int layer, int mipLevel);
+
+    [JSImport("generateMipmaps", ModuleName)]
+    internal static partial bool GenerateMipmaps(int textureId, bool premultipliedAlpha, int layer);
+
     [JSImport("destroyTexture", ModuleName)]
     internal static partial void DestroyTexture(int textureId);
 
+    [JSImport("getTextureCompressionSupport", ModuleName)]
+    internal static partial JSObject GetTextureCompressionSupport();
+
+    [JSImport("createDepthTexture", ModuleName)]
+    internal static partial int CreateDepthTexture(int width, int height, string format, int sampleCount, string? label);
+
+    // ============================================================================
+    // Sampler Management
+    // ============================================================================
+
+    [JSImport("createSampler", ModuleName)]
+    internal static partial int CreateSampler(JSObject descriptor);
+
+    [JSImport("destroySampler", ModuleName)]
+    internal static partial void DestroySampler(int samplerId);
+
     // ============================================================================
     // Shader Management
     // ============================================================================
@@ -85,6 +173,17 @@ public static partial class WebGPUInterop
     [JSImport("destroyShaderModule", ModuleName)]
     internal static partial void DestroyShaderModule(int shaderId);
 
+    // ============================================================================
+    // Diagnostics
+    // ============================================================================
+
+    [JSImport("getDiagnosticCount", ModuleName)]
+    internal static partial int GetDiagnosticCount();
+
+    [JSImport("takeDiagnostics", ModuleName)]
+    [return: JSMarshalAs<JSType.Array<JSType.Object>>]
+    internal static partial JSObject[] TakeDiagnostics();
+
     // ============================================================================
     // Pipeline Management
     // ============================================================================
@@ -95,12 +194,52 @@ public static partial class WebGPUInterop
     [JSImport("createPipelineLayout", ModuleName)]
     internal static partial int CreatePipelineLayout([JSMarshalAs<JSType.Array<JSType.Number>>] int[] bindGroupLayoutIds, string? label);
 
+    [JSImport("destroyBindGroupLayout", ModuleName)]
+    internal static partial void DestroyBindGroupLayout(int layoutId);
+
+    [JSImport("destroyPipelineLayout", ModuleName)]
+    internal static partial void DestroyPipelineLayout(int layoutId);
+
     [JSImport("createRenderPipeline", ModuleName)]
     internal static partial int CreateRenderPipeline(JSObject descriptor);
 
+    [JSImport("createRenderPipelineAsync", ModuleName)]
+    internal static partial int CreateRenderPipelineAsync(JSObject descriptor);
+
+    [JSImport("getRenderPipelineStatus", ModuleName)]
+    internal static partial int GetRenderPipelineStatus(int pipelineId);
+
     [JSImport("destroyRenderPipeline", ModuleName)]
     internal static partial void DestroyRenderPipeline(int pipelineId);
 
+    // ============================================================================
+    // Compute
+    // ============================================================================
+
+    [JSImport("createComputePipeline", ModuleName)]
+    internal static partial int CreateComputePipeline(int moduleId, int pipelineLayoutId, string entryPoint, string? label);
+
+    [JSImport("destroyComputePipeline", ModuleName)]
+    internal static partial void DestroyComputePipeline(int pipelineId);
+
+    [JSImport("beginComputePass", ModuleName)]
+    internal static partial bool BeginComputePass(string? label);
+
+    [JSImport("endComputePass", ModuleName)]
+    internal static partial void EndComputePass();
+
+    [JSImport("setComputePipeline", ModuleName)]
+    internal static partial void SetComputePipeline(int pipelineId);
+
+    [JSImport("setComputeBindGroup", ModuleName)]
+    internal static partial void SetComputeBindGroup(int index, int bindGroupId);
+
+    [JSImport("dispatchWorkgroups", ModuleName)]
+    internal static partial void DispatchWorkgroups(int x, int y, int z);
+
+    [JSImport("dispatchWorkgroupsIndirect", ModuleName)]
+    internal static partial void DispatchWorkgroupsIndirect(int bufferId, int offset);
+
     // ============================================================================
     // Bind Group Management
     // ============================================================================
@@ -119,9 +258,34 @@ public static partial class WebGPUInterop
     // Command Buffer
     // ============================================================================
 
+    [JSImport("getCommandProtocolVersion", ModuleName)]
+    internal static partial int GetCommandProtocolVersion();
+
+    [JSImport("executeCommandBufferHeap", ModuleName)]
+    internal static partial bool ExecuteCommandBufferHeap(nint ptr, int count);
+
     [JSImport("executeCommandBuffer", ModuleName)]
     internal static partial void ExecuteCommandBuffer([JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> buffer, int count);
 
+    // ============================================================================
+    // Render Bundles
+    // ============================================================================
+
+    [JSImport("createRenderBundle", ModuleName)]
+    internal static partial int CreateRenderBundle(
+        [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> commands,
+        int count,
+        [JSMarshalAs<JSType.Array<JSType.String>>] string[] colorFormats,
+        string? depthFormat,
+        int sampleCount,
+        string? label);
+
+    [JSImport("isRenderBundleValid", ModuleName)]
+    internal static partial bool IsRenderBundleValid(int bundleId);
+
+    [JSImport("destroyRenderBundle", ModuleName)]
+    internal static partial void DestroyRenderBundle(int bundleId);
+
     // ============================================================================
     // Frame Management
     // ============================================================================
@@ -132,6 +296,39 @@ public static partial class WebGPUInterop
     [JSImport("endFrame", ModuleName)]
     internal static partial void EndFrame();
 
+    // ============================================================================
+    // Frame Profiler
+    // ============================================================================
+
+    [JSImport("getFrameStats", ModuleName)]
+    internal static partial JSObject GetFrameStats();
+
+    [JSImport("isTimestampQuerySupported", ModuleName)]
+    internal static partial bool IsTimestampQuerySupported();
+
+    [JSImport("setProfilerEnabled", ModuleName)]
+    internal static partial bool SetProfilerEnabled(bool enabled);
+
+    [JSImport("getPassTimingLabels", ModuleName)]
+    [return: JSMarshalAs<JSType.Array<JSType.String>>]
+    internal static partial string[] GetPassTimingLabels();
+
+    [JSImport("getPassTime", ModuleName)]
+    internal static partial double GetPassTime(string label);
+
+    [JSImport("getPassTimeFrame", ModuleName)]
+    internal static partial int GetPassTimeFrame(string label);
+
+    // ============================================================================
+    // Resource Tracker
+    // ============================================================================
+
+    [JSImport("setResourceTrackingEnabled", ModuleName)]
+    internal static partial void SetResourceTrackingEnabled(bool enabled);
+
+    [JSImport("getResourceReport", ModuleName)]
+    internal static partial string GetResourceReport(int unusedFrames);
+
     // ============================================================================
     // Render Pass Management
     // ============================================================================
@@ -158,18 +355,33 @@ public static partial class WebGPUInterop
     [JSImport("setBindGroup", ModuleName)]
     internal static partial void SetBindGroup(int index, int bindGroupId);
 
+    [JSImport("setBindGroup", ModuleName)]
+    internal static partial void SetBindGroup(int index, int bindGroupId, [JSMarshalAs<JSType.Array<JSType.Number>>] int[] dynamicOffsets);
+
     [JSImport("setVertexBuffer", ModuleName)]
     internal static partial void SetVertexBuffer(int slot, int meshId);
 
     [JSImport("setIndexBuffer", ModuleName)]
     internal static partial void SetIndexBuffer(int meshId);
 
+    [JSImport("setStencilReference", ModuleName)]
+    internal static partial void SetStencilReference(int reference);
+
     [JSImport("drawIndexed", ModuleName)]
     internal static partial void DrawIndexed(int indexCount, int instanceCount, int firstIndex, int baseVertex, int firstInstance);
 
     [JSImport("draw", ModuleName)]
     internal static partial void Draw(int vertexCount, int instanceCount, int firstVertex, int firstInstance);
 
+    [JSImport("drawIndirect", ModuleName)]
+    internal static partial void DrawIndirect(int bufferId, int offset);
+
+    [JSImport("drawIndexedIndirect", ModuleName)]
+    internal static partial void DrawIndexedIndirect(int bufferId, int offset);
+
+    [JSImport("setBlendConstant", ModuleName)]
+    internal static partial void SetBlendConstant(float r, float g, float b, float a);
+
     // ============================================================================
     // Render Texture (for capturing to image)
     // ============================================================================
@@ -177,20 +389,82 @@ public static partial class WebGPUInterop
     [JSImport("createRenderTexture", ModuleName)]
     internal static partial int CreateRenderTexture(int width, int height, string format, int sampleCount, string? label);
 
+    [JSImport("createRenderTexture", ModuleName)]
+    internal static partial int CreateRenderTexture(int width, int height, string format, int sampleCount, string? label, string? depthFormat);
+
+    [JSImport("createRenderTexture", ModuleName)]
+    internal static partial int CreateRenderTexture(int width, int height, string format, int sampleCount, string? label, string? depthFormat, bool storage);
+
     [JSImport("destroyRenderTexture", ModuleName)]
     internal static partial void DestroyRenderTexture(int textureId);
 
     [JSImport("beginRenderTexturePass", ModuleName)]
     internal static partial void BeginRenderTexturePass(int textureId, float clearR, float clearG, float clearB, float clearA);
 
+    [JSImport("beginRenderTexturePass", ModuleName)]
+    internal static partial void BeginRenderTexturePass(int textureId, float clearR, float clearG, float clearB, float clearA, string? loadOp, string? storeOp, string? depthLoadOp, string? depthStoreOp);
+
+    [JSImport("beginRenderTexturePass", ModuleName)]
+    internal static partial void BeginRenderTexturePass(
+        int textureId,
+        float clearR, float clearG, float clearB, float clearA,
+        string? loadOp,
+        string? storeOp,
+        string? depthLoadOp,
+        string? depthStoreOp,
+        float depthClearValue,
+        string? stencilLoadOp,
+        string? stencilStoreOp,
+        int stencilClearValue);
+
     [JSImport("endRenderTexturePass", ModuleName)]
     internal static partial void EndRenderTexturePass();
 
-    [JSImport("readRenderTexturePixels", ModuleName)]
-    internal static partial Task<int> ReadRenderTexturePixelsAsync(int textureId);
+    // ============================================================================
+    // Render Target Groups (multiple render targets)
+    // ============================================================================
+
+    [JSImport("createRenderTargetGroup", ModuleName)]
+    internal static partial int CreateRenderTargetGroup([JSMarshalAs<JSType.Array<JSType.Number>>] int[] textureIds, string? label);
+
+    [JSImport("destroyRenderTargetGroup", ModuleName)]
+    internal static partial void DestroyRenderTargetGroup(int groupId);
+
+    // Empty strings in loadOps/storeOps fall back to the defaults
+    [JSImport("beginRenderTargetGroupPass", ModuleName)]
+    internal static partial bool BeginRenderTargetGroupPass(
+        int groupId,
+        [JSMarshalAs<JSType.Array<JSType.Number>>] double[]? clearColors,
+        [JSMarshalAs<JSType.Array<JSType.String>>] string[]? loadOps,
+        [JSMarshalAs<JSType.Array<JSType.String>>] string[]? storeOps,
+        string? depthLoadOp,
+        string? depthStoreOp,
+        float depthClearValue,
+        string? stencilLoadOp,
+        string? stencilStoreOp,
+        int stencilClearValue);
+
+    // ============================================================================
+    // Readback
+    // ============================================================================
+
+    [JSImport("requestReadback", ModuleName)]
+    internal static partial int RequestReadback(int textureId, int x, int y, int width, int height, int mipLevel, int layer);
+
+    [JSImport("getReadbackStatus", ModuleName)]
+    internal static partial int GetReadbackStatus(int ticket);
+
+    [JSImport("getReadbackSize", ModuleName)]
+    internal static partial int GetReadbackSize(int ticket);
 
-    [JSImport("copyReadbackResult", ModuleName)]
-    internal static partial void CopyReadbackResult(int textureId, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> dest);
+    [JSImport("copyReadback", ModuleName)]
+    internal static partial bool CopyReadback(int ticket, [JSMarshalAs<JSType.MemoryView>] ArraySegment<byte> dest);
+
+    [JSImport("releaseReadback", ModuleName)]
+    internal static partial void ReleaseReadback(int ticket);
+
+    [JSImport("requestFrameCapture", ModuleName)]
+    internal static partial int RequestFrameCapture();
 
     // ============================================================================
     // Utility Functions
@@ -222,6 +496,35 @@ public static partial class WebGPUInterop
     [JSImport("createSamplerLayoutEntry", ModuleName)]
     internal static partial JSObject CreateSamplerLayoutEntry(int binding);
 
+    // Same creators with explicit shader stage visibility (e.g. for compute shaders)
+    [JSImport("createUniformBufferLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateUniformBufferLayoutEntry(int binding, int visibility);
+
+    [JSImport("createTexture2DLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateTexture2DLayoutEntry(int binding, int visibility);
+
+    [JSImport("createTexture2DArrayLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateTexture2DArrayLayoutEntry(int binding, int visibility);
+
+    [JSImport("createSamplerLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateSamplerLayoutEntry(int binding, int visibility);
+
+    [JSImport("createStorageBufferLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateStorageBufferLayoutEntry(int binding, bool readOnly, int visibility);
+
+    // Buffer entries whose offset is supplied per setBindGroup (CMD_SET_BIND_GROUP_DYNAMIC)
+    [JSImport("createUniformBufferLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateUniformBufferLayoutEntry(int binding, int visibility, bool hasDynamicOffset);
+
+    [JSImport("createStorageBufferLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateStorageBufferLayoutEntry(int binding, bool readOnly, int visibility, bool hasDynamicOffset);
+
+    [JSImport("createStorageTextureLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateStorageTextureLayoutEntry(int binding, string format, string access, bool isArray, int visibility);
+
+    [JSImport("createSamplerLayoutEntry", ModuleName)]
+    internal static partial JSObject CreateSamplerLayoutEntry(int binding, int visibility, string type);
+
     // Bind Group Entry Creators
     [JSImport("createBufferBindGroupEntry", ModuleName)]
     internal static partial JSObject CreateBufferBindGroupEntry(int binding, int bufferId, int offset, int size);
@@ -232,6 +535,24 @@ public static partial class WebGPUInterop
     [JSImport("createSamplerBindGroupEntry", ModuleName)]
     internal static partial JSObject CreateSamplerBindGroupEntry(int binding, bool useLinearSampler);
 
+    [JSImport("createSamplerIdBindGroupEntry", ModuleName)]
+    internal static partial JSObject CreateSamplerIdBindGroupEntry(int binding, int samplerId);
+
+    // Sampler Descriptor Creator
+    [JSImport("createSamplerDescriptor", ModuleName)]
+    internal static partial JSObject CreateSamplerDescriptor(
+        string? addressModeU,
+        string? addressModeV,
+        string? addressModeW,
+        string? magFilter,
+        string? minFilter,
+        string? mipmapFilter,
+        float lodMinClamp,
+        float lodMaxClamp,
+        int maxAnisotropy,
+        string? compare,
+        string? label);
+
     // Render Pipeline Descriptor Creator
     [JSImport("createRenderPipelineDescriptor", ModuleName)]
     internal static partial JSObject CreateRenderPipelineDescriptor(
@@ -249,6 +570,34 @@ public static partial class WebGPUInterop
         string targetFormat,
         string label);
 
+    [JSImport("setRenderPipelineDepthStencil", ModuleName)]
+    internal static partial void SetRenderPipelineDepthStencil(
+        JSObject descriptor,
+        string depthFormat,
+        string depthCompare,
+        bool depthWriteEnabled,
+        string stencilCompare,
+        string stencilFailOp,
+        string stencilDepthFailOp,
+        string stencilPassOp,
+        int stencilReadMask,
+        int stencilWriteMask);
+
+    [JSImport("setRenderPipelineTargets", ModuleName)]
+    internal static partial void SetRenderPipelineTargets(JSObject descriptor, string targetsJson);
+
+    // Depth Attachment Creator
+    [JSImport("createDepthAttachment", ModuleName)]
+    internal static partial JSObject CreateDepthAttachment(
+        int textureId,
+        string depthLoadOp,
+        string depthStoreOp,
+        float depthClearValue,
+        string stencilLoadOp,
+        string stencilStoreOp,
+        int stencilClearValue,
+        bool depthReadOnly);
+
     // Color Attachment Creator
     [JSImport("createColorAttachment", ModuleName)]
     internal static partial JSObject CreateColorAttachment(
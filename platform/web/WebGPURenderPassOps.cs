@@ -0,0 +1,25 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Pass-wide options of a render texture pass. Depth and stencil load ops default to the
+/// first color attachment's load op, their store ops to store, and they clear to 1 and 0.
+/// </summary>
+public struct WebGPURenderPassOps
+{
+    public string? DepthLoadOp;     // WebGPULoadOp
+    public string? DepthStoreOp;    // WebGPUStoreOp
+    public float? DepthClearValue;
+    public string? StencilLoadOp;   // WebGPULoadOp
+    public string? StencilStoreOp;  // WebGPUStoreOp
+    public int StencilClearValue;
+
+    /// <summary>
+    /// Clip every draw of the pass to this rectangle (texture pixels, top-left origin). The
+    /// viewport keeps covering the whole texture, and a clear still clears all of it.
+    /// </summary>
+    public RectInt? ClipRect;
+}
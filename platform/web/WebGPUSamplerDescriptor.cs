@@ -0,0 +1,49 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Sampler settings for WebGraphicsDriver.CreateSampler. Null strings and a zero
+/// LodMaxClamp/MaxAnisotropy fall back to WebGPU defaults (clamp-to-edge, nearest).
+/// </summary>
+public struct WebGPUSamplerDescriptor
+{
+    public string? AddressModeU;
+    public string? AddressModeV;
+    public string? AddressModeW;
+    public string? MagFilter;
+    public string? MinFilter;
+    public string? MipmapFilter;
+    public float LodMinClamp;
+    public float LodMaxClamp;
+    public int MaxAnisotropy;
+    public string? Compare;   // WebGPUCompareFunction, makes this a comparison sampler
+
+    /// <summary>Bilinear filtering with repeat addressing (scrolling backgrounds, tiled fills).</summary>
+    public static readonly WebGPUSamplerDescriptor LinearRepeat = new()
+    {
+        AddressModeU = WebGPUAddressMode.Repeat,
+        AddressModeV = WebGPUAddressMode.Repeat,
+        MagFilter = WebGPUFilterMode.Linear,
+        MinFilter = WebGPUFilterMode.Linear
+    };
+
+    /// <summary>Trilinear filtering with 16x anisotropy.</summary>
+    public static readonly WebGPUSamplerDescriptor Anisotropic = new()
+    {
+        MagFilter = WebGPUFilterMode.Linear,
+        MinFilter = WebGPUFilterMode.Linear,
+        MipmapFilter = WebGPUFilterMode.Linear,
+        MaxAnisotropy = 16
+    };
+
+    /// <summary>Depth comparison sampler for shadow map lookups.</summary>
+    public static readonly WebGPUSamplerDescriptor ShadowCompare = new()
+    {
+        MagFilter = WebGPUFilterMode.Linear,
+        MinFilter = WebGPUFilterMode.Linear,
+        Compare = WebGPUCompareFunction.LessEqual
+    };
+}
@@ -0,0 +1,29 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Canvas presentation settings for WebGraphicsDriver.SurfaceOptions. Null strings fall
+/// back to opaque, srgb and standard tone mapping.
+/// </summary>
+public struct WebGPUSurfaceOptions
+{
+    public string? AlphaMode;     // WebGPUAlphaMode
+    public string? ColorSpace;    // WebGPUColorSpace
+    public string? ToneMapping;   // WebGPUToneMapping
+
+    /// <summary>Premultiplied alpha, for games embedded over a page background.</summary>
+    public static readonly WebGPUSurfaceOptions Transparent = new()
+    {
+        AlphaMode = WebGPUAlphaMode.Premultiplied
+    };
+
+    /// <summary>Wide gamut with extended range output on HDR displays.</summary>
+    public static readonly WebGPUSurfaceOptions Hdr = new()
+    {
+        ColorSpace = WebGPUColorSpace.DisplayP3,
+        ToneMapping = WebGPUToneMapping.Extended
+    };
+}
@@ -0,0 +1,53 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Runtime.InteropServices.JavaScript;
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Browser graphics API the driver runs on
+/// </summary>
+public enum WebGraphicsBackend
+{
+    WebGPU,
+    WebGL2      // Fallback: no compute, storage buffers or timestamp queries
+}
+
+public partial class WebGraphicsDriver
+{
+    /// <summary>
+    /// Use the WebGL2 fallback even when WebGPU is available. Set before InitAsync.
+    /// </summary>
+    public bool ForceWebGL2 { get; set; }
+
+    /// <summary>
+    /// Backend chosen by InitAsync: WebGPU when the browser has it and returns an adapter,
+    /// WebGL2 otherwise
+    /// </summary>
+    public WebGraphicsBackend Backend { get; private set; }
+
+    // Both bridges are imported as "noz-webgpu", so WebGPUInterop binds to whichever is chosen
+    private async Task ImportBackendAsync()
+    {
+        // JSHost.ImportAsync resolves relative to _framework/, so go up one level
+        await JSHost.ImportAsync(WebGPUInterop.BackendModuleName, "../js/noz/noz-graphics.js");
+
+        Backend = !ForceWebGL2 && await WebGPUInterop.IsWebGPUAvailable()
+            ? WebGraphicsBackend.WebGPU
+            : WebGraphicsBackend.WebGL2;
+
+        if (Backend == WebGraphicsBackend.WebGL2)
+        {
+            if (!WebGPUInterop.IsWebGL2Available())
+                throw new InvalidOperationException("Neither WebGPU nor WebGL2 is available in this browser");
+
+            if (!ForceWebGL2)
+                Log.Info("WebGPU unavailable, using the WebGL2 fallback");
+        }
+
+        var path = Backend == WebGraphicsBackend.WebGPU ? "../js/noz/noz-webgpu.js" : "../js/noz/noz-webgl2.js";
+        await JSHost.ImportAsync("noz-webgpu", path);
+    }
+}
@@ -0,0 +1,345 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Runtime.InteropServices.JavaScript;
+using System.Text;
+
+namespace NoZ.Platform.Web;
+
+public enum ComputeBindingType
+{
+    UniformBuffer,
+    StorageBuffer,
+    ReadOnlyStorageBuffer,
+    Texture2D,
+    Texture2DArray,
+    StorageTexture,
+    Sampler,
+    ComparisonSampler
+}
+
+public struct ComputeBinding
+{
+    public uint Binding;
+    public ComputeBindingType Type;
+    public TextureFormat Format;      // StorageTexture only; the texture must be created with storage
+    public string? Access;            // StorageTexture only (WebGPUStorageTextureAccess), defaults to write-only
+    public bool IsArray;              // StorageTexture only
+    public TextureFilter Filter;      // Sampler only
+    public nuint Sampler;             // Sampler/ComparisonSampler, from CreateSampler (overrides Filter)
+}
+
+public partial class WebGraphicsDriver
+{
+    private int _nextComputeShaderId = 1;
+    private readonly Dictionary<nuint, ComputeShaderInfo> _computeShaders = new();
+    private readonly List<string> _releasedComputeBindGroups = new();
+    private readonly StringBuilder _computeJsonBuilder = new(256);
+
+    private struct ComputeShaderInfo
+    {
+        public string Name;
+        public int ModuleId;
+        public int BindGroupLayoutId;
+        public int PipelineLayoutId;
+        public int PipelineId;
+        public ComputeBinding[] Bindings;
+        public Dictionary<string, ComputeBindGroup> BindGroups;  // keyed by the bind group JSON
+    }
+
+    private struct ComputeBindGroup
+    {
+        public int BindGroupId;
+        public nuint[] Resources;
+    }
+
+    /// <summary>
+    /// Create a buffer usable as a storage binding, a vertex buffer and (optionally) an
+    /// indirect dispatch argument buffer. Contents are written with UpdateUniformBuffer.
+    /// </summary>
+    public nuint CreateStorageBuffer(int sizeInBytes, bool indirect = false, string name = "")
+    {
+        var usage = WebGPUBufferUsage.Storage | WebGPUBufferUsage.Vertex | WebGPUBufferUsage.CopyDst | WebGPUBufferUsage.CopySrc;
+        if (indirect)
+            usage |= WebGPUBufferUsage.Indirect;
+
+        var jsBufferId = WebGPUInterop.CreateBuffer(sizeInBytes, (int)usage, name);
+
+        var handle = (nuint)_nextBufferId++;
+        _buffers[handle] = new BufferInfo
+        {
+            JsBufferId = jsBufferId,
+            SizeInBytes = sizeInBytes,
+            Usage = BufferUsage.Dynamic
+        };
+
+        return handle;
+    }
+
+    public nuint CreateComputeShader(string name, string source, ComputeBinding[] bindings, string entryPoint = "cs_main")
+    {
+        var moduleId = WebGPUInterop.CreateShaderModule(source, $"{name}_compute");
+
+        var layoutEntries = new JSObject[bindings.Length];
+        for (int i = 0; i < bindings.Length; i++)
+            layoutEntries[i] = CreateComputeLayoutEntry(bindings[i]);
+
+        var bindGroupLayoutId = WebGPUInterop.CreateBindGroupLayout(layoutEntries, $"{name}_layout");
+        var pipelineLayoutId = WebGPUInterop.CreatePipelineLayout(new[] { bindGroupLayoutId }, $"{name}_pipeline_layout");
+        var pipelineId = WebGPUInterop.CreateComputePipeline(moduleId, pipelineLayoutId, entryPoint, name);
+
+        var handle = (nuint)_nextComputeShaderId++;
+        _computeShaders[handle] = new ComputeShaderInfo
+        {
+            Name = name,
+            ModuleId = moduleId,
+            BindGroupLayoutId = bindGroupLayoutId,
+            PipelineLayoutId = pipelineLayoutId,
+            PipelineId = pipelineId,
+            Bindings = bindings,
+            BindGroups = new Dictionary<string, ComputeBindGroup>()
+        };
+
+        return handle;
+    }
+
+    private static JSObject CreateComputeLayoutEntry(in ComputeBinding binding)
+    {
+        const int visibility = (int)WebGPUShaderStage.Compute;
+        var index = (int)binding.Binding;
+
+        return binding.Type switch
+        {
+            ComputeBindingType.UniformBuffer => WebGPUInterop.CreateUniformBufferLayoutEntry(index, visibility),
+            ComputeBindingType.StorageBuffer => WebGPUInterop.CreateStorageBufferLayoutEntry(index, false, visibility),
+            ComputeBindingType.ReadOnlyStorageBuffer => WebGPUInterop.CreateStorageBufferLayoutEntry(index, true, visibility),
+            ComputeBindingType.Texture2D => WebGPUInterop.CreateTexture2DLayoutEntry(index, visibility),
+            ComputeBindingType.Texture2DArray => WebGPUInterop.CreateTexture2DArrayLayoutEntry(index, visibility),
+            ComputeBindingType.StorageTexture => WebGPUInterop.CreateStorageTextureLayoutEntry(
+                index,
+                MapTextureFormat(binding.Format),
+                binding.Access ?? WebGPUStorageTextureAccess.WriteOnly,
+                binding.IsArray,
+                visibility),
+            ComputeBindingType.Sampler => WebGPUInterop.CreateSamplerLayoutEntry(index, visibility),
+            ComputeBindingType.ComparisonSampler => WebGPUInterop.CreateSamplerLayoutEntry(index, visibility, WebGPUSamplerBindingType.Comparison),
+            _ => throw new NotSupportedException($"Compute binding type {binding.Type} not supported")
+        };
+    }
+
+    public void DestroyComputeShader(nuint handle)
+    {
+        if (!_computeShaders.TryGetValue(handle, out var shader))
+            return;
+
+        foreach (var bindGroup in shader.BindGroups.Values)
+            WebGPUInterop.DestroyBindGroup(bindGroup.BindGroupId);
+
+        WebGPUInterop.DestroyComputePipeline(shader.PipelineId);
+        WebGPUInterop.DestroyPipelineLayout(shader.PipelineLayoutId);
+        WebGPUInterop.DestroyBindGroupLayout(shader.BindGroupLayoutId);
+        WebGPUInterop.DestroyShaderModule(shader.ModuleId);
+        _computeShaders.Remove(handle);
+    }
+
+    // Drop the cached bind groups that reference a buffer or texture being destroyed
+    private void ReleaseComputeBindGroups(nuint resource, bool texture)
+    {
+        foreach (var shader in _computeShaders.Values)
+        {
+            foreach (var (key, bindGroup) in shader.BindGroups)
+            {
+                for (int i = 0; i < shader.Bindings.Length; i++)
+                {
+                    if (bindGroup.Resources[i] == resource && IsTextureBinding(shader.Bindings[i].Type) == texture && !IsSamplerBinding(shader.Bindings[i].Type))
+                    {
+                        _releasedComputeBindGroups.Add(key);
+                        break;
+                    }
+                }
+            }
+
+            foreach (var key in _releasedComputeBindGroups)
+            {
+                WebGPUInterop.DestroyBindGroup(shader.BindGroups[key].BindGroupId);
+                shader.BindGroups.Remove(key);
+            }
+            _releasedComputeBindGroups.Clear();
+        }
+    }
+
+    private static bool IsTextureBinding(ComputeBindingType type) =>
+        type is ComputeBindingType.Texture2D or ComputeBindingType.Texture2DArray or ComputeBindingType.StorageTexture;
+
+    private static bool IsSamplerBinding(ComputeBindingType type) =>
+        type is ComputeBindingType.Sampler or ComputeBindingType.ComparisonSampler;
+
+    /// <summary>
+    /// Begin a compute pass. Inside a frame the pass is ordered with the frame's render
+    /// passes; it must not be called while a scene or render texture pass is open.
+    /// </summary>
+    public bool BeginComputePass(string? label = null)
+    {
+        // Inline buffer writes recorded since the last pass come first
+        FlushCommandBuffer();
+        _passOpen = WebGPUInterop.BeginComputePass(label);
+        return _passOpen;
+    }
+
+    public void EndComputePass()
+    {
+        _passOpen = false;
+        WebGPUInterop.EndComputePass();
+    }
+
+    /// <summary>
+    /// Dispatch a compute shader. resources[i] is the buffer or texture handle bound to
+    /// the shader's bindings[i] (ignored for samplers, which use ComputeBinding.Sampler).
+    /// The bind group for each distinct set of resources is created once and reused until
+    /// the shader or one of the resources is destroyed.
+    /// </summary>
+    public void Dispatch(nuint shader, ReadOnlySpan<nuint> resources, int x, int y = 1, int z = 1)
+    {
+        if (!BindComputeShader(shader, resources))
+            return;
+
+        WebGPUInterop.DispatchWorkgroups(x, y, z);
+    }
+
+    /// <summary>
+    /// Dispatch a compute shader with workgroup counts (three uint32) read from a
+    /// storage buffer created with indirect usage.
+    /// </summary>
+    public void DispatchIndirect(nuint shader, ReadOnlySpan<nuint> resources, nuint indirectBuffer, int offset = 0)
+    {
+        if (!_buffers.TryGetValue(indirectBuffer, out var args))
+        {
+            Log.Error($"Indirect buffer {indirectBuffer} not found");
+            return;
+        }
+
+        if (!BindComputeShader(shader, resources))
+            return;
+
+        WebGPUInterop.DispatchWorkgroupsIndirect(args.JsBufferId, offset);
+    }
+
+    private bool BindComputeShader(nuint handle, ReadOnlySpan<nuint> resources)
+    {
+        if (!_computeShaders.TryGetValue(handle, out var shader))
+        {
+            Log.Error($"Compute shader {handle} not found");
+            return false;
+        }
+
+        if (resources.Length < shader.Bindings.Length)
+        {
+            Log.Error($"Compute shader '{shader.Name}' expects {shader.Bindings.Length} resources, got {resources.Length}");
+            return false;
+        }
+
+        _computeJsonBuilder.Clear();
+        _computeJsonBuilder.Append('[');
+
+        for (int i = 0; i < shader.Bindings.Length; i++)
+        {
+            ref readonly var binding = ref shader.Bindings[i];
+
+            if (i > 0) _computeJsonBuilder.Append(',');
+
+            switch (binding.Type)
+            {
+                case ComputeBindingType.UniformBuffer:
+                case ComputeBindingType.StorageBuffer:
+                case ComputeBindingType.ReadOnlyStorageBuffer:
+                {
+                    if (!_buffers.TryGetValue(resources[i], out var buffer))
+                    {
+                        Log.Error($"Compute shader '{shader.Name}': buffer {resources[i]} (binding {binding.Binding}) not found");
+                        return false;
+                    }
+
+                    _computeJsonBuilder.Append(binding.Type == ComputeBindingType.UniformBuffer
+                        ? "{\"type\":\"buffer\",\"binding\":"
+                        : "{\"type\":\"storageBuffer\",\"binding\":");
+                    _computeJsonBuilder.Append(binding.Binding);
+                    _computeJsonBuilder.Append(",\"bufferId\":");
+                    _computeJsonBuilder.Append(buffer.JsBufferId);
+                    _computeJsonBuilder.Append(",\"size\":");
+                    _computeJsonBuilder.Append(buffer.SizeInBytes);
+                    _computeJsonBuilder.Append('}');
+                    break;
+                }
+
+                case ComputeBindingType.Texture2D:
+                case ComputeBindingType.Texture2DArray:
+                case ComputeBindingType.StorageTexture:
+                {
+                    if (!_textures.TryGetValue(resources[i], out var tex))
+                    {
+                        Log.Error($"Compute shader '{shader.Name}': texture {resources[i]} (binding {binding.Binding}) not found");
+                        return false;
+                    }
+
+                    var isArray = binding.Type == ComputeBindingType.Texture2DArray ||
+                                  (binding.Type == ComputeBindingType.StorageTexture && binding.IsArray);
+                    _computeJsonBuilder.Append(binding.Type == ComputeBindingType.StorageTexture
+                        ? "{\"type\":\"storageTexture\",\"binding\":"
+                        : "{\"type\":\"texture\",\"binding\":");
+                    _computeJsonBuilder.Append(binding.Binding);
+                    _computeJsonBuilder.Append(",\"textureId\":");
+                    _computeJsonBuilder.Append(tex.JsTextureId);
+                    _computeJsonBuilder.Append(",\"isArray\":");
+                    _computeJsonBuilder.Append(isArray ? "true" : "false");
+                    _computeJsonBuilder.Append('}');
+                    break;
+                }
+
+                case ComputeBindingType.Sampler:
+                case ComputeBindingType.ComparisonSampler:
+                    if (binding.Type == ComputeBindingType.ComparisonSampler && binding.Sampler == 0)
+                    {
+                        Log.Error($"Compute shader '{shader.Name}': comparison sampler (binding {binding.Binding}) needs a sampler from CreateSampler");
+                        return false;
+                    }
+
+                    _computeJsonBuilder.Append("{\"type\":\"sampler\",\"binding\":");
+                    _computeJsonBuilder.Append(binding.Binding);
+                    if (binding.Sampler != 0)
+                    {
+                        _computeJsonBuilder.Append(",\"samplerId\":");
+                        _computeJsonBuilder.Append(binding.Sampler);
+                    }
+                    else
+                    {
+                        _computeJsonBuilder.Append(",\"useLinear\":");
+                        _computeJsonBuilder.Append(binding.Filter == TextureFilter.Linear ? "true" : "false");
+                    }
+                    _computeJsonBuilder.Append('}');
+                    break;
+            }
+        }
+
+        _computeJsonBuilder.Append(']');
+
+        var json = _computeJsonBuilder.ToString();
+        if (!shader.BindGroups.TryGetValue(json, out var bindGroup))
+        {
+            var bindGroupId = WebGPUInterop.CreateBindGroupFromJson(shader.BindGroupLayoutId, json, $"{shader.Name}_bind_group");
+            if (bindGroupId <= 0)
+                return false;
+
+            bindGroup = new ComputeBindGroup
+            {
+                BindGroupId = bindGroupId,
+                Resources = resources[..shader.Bindings.Length].ToArray()
+            };
+            shader.BindGroups[json] = bindGroup;
+        }
+
+        WebGPUInterop.SetComputePipeline(shader.PipelineId);
+        WebGPUInterop.SetComputeBindGroup(0, bindGroup.BindGroupId);
+        return true;
+    }
+}
@@ -0,0 +1,103 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+public enum WebGPUDiagnosticSource
+{
+    ShaderModule,
+    RenderPipeline,
+    ComputePipeline,
+    BindGroup,
+    RenderBundle,
+    Resource        // Use of a destroyed resource, see ResourceTrackingEnabled
+}
+
+public enum WebGPUDiagnosticSeverity
+{
+    Error,
+    Warning,
+    Info
+}
+
+/// <summary>
+/// A WGSL compile message or a validation error from creating a pipeline or bind group
+/// </summary>
+public struct WebGPUDiagnostic
+{
+    public WebGPUDiagnosticSource Source;
+    public WebGPUDiagnosticSeverity Severity;
+    public string Label;   // Object label, e.g. "{shader}_fragment" or "{shader}_{blend}_{stride}b_{msaa}x"
+    public int Line;       // 1-based, 0 when the message has no source location
+    public int Column;     // 1-based, 0 when the message has no source location
+    public string Message;
+
+    public override string ToString() => Line > 0
+        ? $"{Label}:{Line}:{Column}: {Message}"
+        : $"{Label}: {Message}";
+}
+
+public partial class WebGraphicsDriver
+{
+    /// <summary>
+    /// Raised from BeginFrame for every shader compile message and pipeline or bind group
+    /// validation error since the last frame. Messages are also written to the log.
+    /// Pipelines that fail to build draw in magenta.
+    /// </summary>
+    public event Action<WebGPUDiagnostic>? Diagnostic;
+
+    private void PollDiagnostics()
+    {
+        if (WebGPUInterop.GetDiagnosticCount() == 0)
+            return;
+
+        foreach (var entry in WebGPUInterop.TakeDiagnostics())
+        {
+            using (entry)
+            {
+                var diagnostic = new WebGPUDiagnostic
+                {
+                    Source = ParseDiagnosticSource(entry.GetPropertyAsString("source")),
+                    Severity = ParseDiagnosticSeverity(entry.GetPropertyAsString("severity")),
+                    Label = entry.GetPropertyAsString("label") ?? "",
+                    Line = entry.GetPropertyAsInt32("line"),
+                    Column = entry.GetPropertyAsInt32("column"),
+                    Message = entry.GetPropertyAsString("message") ?? ""
+                };
+
+                switch (diagnostic.Severity)
+                {
+                    case WebGPUDiagnosticSeverity.Error:
+                        Log.Error(diagnostic.ToString());
+                        break;
+                    case WebGPUDiagnosticSeverity.Warning:
+                        Log.Warning(diagnostic.ToString());
+                        break;
+                    default:
+                        Log.Info(diagnostic.ToString());
+                        break;
+                }
+
+                Diagnostic?.Invoke(diagnostic);
+            }
+        }
+    }
+
+    private static WebGPUDiagnosticSource ParseDiagnosticSource(string? source) => source switch
+    {
+        "renderPipeline" => WebGPUDiagnosticSource.RenderPipeline,
+        "computePipeline" => WebGPUDiagnosticSource.ComputePipeline,
+        "bindGroup" => WebGPUDiagnosticSource.BindGroup,
+        "renderBundle" => WebGPUDiagnosticSource.RenderBundle,
+        "resource" => WebGPUDiagnosticSource.Resource,
+        _ => WebGPUDiagnosticSource.ShaderModule
+    };
+
+    private static WebGPUDiagnosticSeverity ParseDiagnosticSeverity(string? severity) => severity switch
+    {
+        "warning" => WebGPUDiagnosticSeverity.Warning,
+        "info" => WebGPUDiagnosticSeverity.Info,
+        _ => WebGPUDiagnosticSeverity.Error
+    };
+}
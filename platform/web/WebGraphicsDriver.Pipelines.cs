@@ -0,0 +1,102 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Runtime.InteropServices.JavaScript;
+
+namespace NoZ.Platform.Web;
+
+public partial class WebGraphicsDriver
+{
+    // Must match PIPELINE_* in noz-webgpu.js
+    private const int PipelinePending = 0;
+    private const int PipelineReady = 1;
+
+    private readonly HashSet<int> _pendingPipelines = new();
+    private readonly List<int> _settledPipelines = new();
+
+    // JS pipeline ID -> CreateRenderPipeline calls not yet released. Deduplicated pipelines
+    // are shared between shaders, so only the last release may stop tracking one.
+    private readonly Dictionary<int, int> _pipelineRefCounts = new();
+
+    /// <summary>
+    /// Compile new render pipelines in the background instead of stalling the frame that
+    /// first needs them. Draws that use a pipeline still compiling are skipped until it is
+    /// ready, so a new effect may pop in a few frames late.
+    /// </summary>
+    public bool AsyncPipelineCompilation { get; set; }
+
+    /// <summary>
+    /// Number of render pipelines still compiling
+    /// </summary>
+    public int PendingPipelineCount => _pendingPipelines.Count;
+
+    /// <summary>
+    /// True when none of the shader's pipelines created so far are still compiling
+    /// </summary>
+    public bool IsShaderReady(nuint shader)
+    {
+        if (!_shaders.TryGetValue(shader, out var info))
+            return false;
+
+        foreach (var pipelineId in info.PsoCache.Values)
+            if (_pendingPipelines.Contains(pipelineId))
+                return false;
+
+        return true;
+    }
+
+    // Identical descriptors return the same pipeline ID from JS, already compiled or not.
+    // Render bundles record pipelines as they are, so recording always compiles in place.
+    private int CreateRenderPipeline(JSObject descriptor)
+    {
+        var pipelineId = AsyncPipelineCompilation && !_recordingRenderBundle
+            ? WebGPUInterop.CreateRenderPipelineAsync(descriptor)
+            : WebGPUInterop.CreateRenderPipeline(descriptor);
+
+        if (WebGPUInterop.GetRenderPipelineStatus(pipelineId) == PipelinePending)
+            _pendingPipelines.Add(pipelineId);
+
+        _pipelineRefCounts[pipelineId] = _pipelineRefCounts.GetValueOrDefault(pipelineId) + 1;
+        return pipelineId;
+    }
+
+    // Balances one CreateRenderPipeline; JS keeps the pipeline until its last user releases it
+    private void ReleaseRenderPipeline(int pipelineId)
+    {
+        WebGPUInterop.DestroyRenderPipeline(pipelineId);
+
+        if (!_pipelineRefCounts.TryGetValue(pipelineId, out var count))
+            return;
+
+        if (count > 1)
+        {
+            _pipelineRefCounts[pipelineId] = count - 1;
+            return;
+        }
+
+        _pipelineRefCounts.Remove(pipelineId);
+        _pendingPipelines.Remove(pipelineId);
+    }
+
+    private void PollPipelines()
+    {
+        if (_pendingPipelines.Count == 0)
+            return;
+
+        foreach (var pipelineId in _pendingPipelines)
+        {
+            var status = WebGPUInterop.GetRenderPipelineStatus(pipelineId);
+            if (status == PipelinePending)
+                continue;
+
+            // Failed pipelines draw with the magenta error pipeline, the cause arrives as a
+            // Diagnostic
+            _settledPipelines.Add(pipelineId);
+        }
+
+        foreach (var pipelineId in _settledPipelines)
+            _pendingPipelines.Remove(pipelineId);
+        _settledPipelines.Clear();
+    }
+}
@@ -0,0 +1,86 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// GPU work submitted by the web driver during one frame
+/// </summary>
+public struct WebGPUFrameStats
+{
+    public int Frame;
+    public int DrawCalls;
+    public int PipelineSwitches;
+    public int BindGroupSwitches;
+    public long BytesUploaded;
+}
+
+public partial class WebGraphicsDriver
+{
+    private static readonly ProfilerCounter s_counterDrawCalls = new("WebGPU.DrawCalls");
+    private static readonly ProfilerCounter s_counterPipelineSwitches = new("WebGPU.PipelineSwitches");
+    private static readonly ProfilerCounter s_counterBindGroupSwitches = new("WebGPU.BindGroupSwitches");
+    private static readonly ProfilerCounter s_counterBytesUploaded = new("WebGPU.BytesUploaded");
+
+    private bool _gpuProfilerEnabled;
+
+    /// <summary>
+    /// Record GPU timestamps around every render pass (needs the timestamp-query feature,
+    /// see GpuPassTimingsSupported). Timings resolve asynchronously a few frames late.
+    /// </summary>
+    public bool GpuProfilerEnabled
+    {
+        get => _gpuProfilerEnabled;
+        set
+        {
+            _gpuProfilerEnabled = value;
+            if (!WebGPUInterop.SetProfilerEnabled(value) && value)
+                Log.Warning("GPU pass timings unavailable: the device has no timestamp-query support");
+        }
+    }
+
+    public bool GpuPassTimingsSupported => WebGPUInterop.IsTimestampQuerySupported();
+
+    /// <summary>
+    /// Counters of the last completed frame
+    /// </summary>
+    public WebGPUFrameStats GetFrameStats()
+    {
+        using var stats = WebGPUInterop.GetFrameStats();
+        return new WebGPUFrameStats
+        {
+            Frame = stats.GetPropertyAsInt32("frame"),
+            DrawCalls = stats.GetPropertyAsInt32("draws"),
+            PipelineSwitches = stats.GetPropertyAsInt32("pipelineSwitches"),
+            BindGroupSwitches = stats.GetPropertyAsInt32("bindGroupSwitches"),
+            BytesUploaded = (long)stats.GetPropertyAsDouble("bytesUploaded")
+        };
+    }
+
+    /// <summary>
+    /// Labels of all render passes with a resolved GPU timing. Passes are labelled by
+    /// BeginRenderPass ("ScenePass", ...) or by the render texture's name.
+    /// </summary>
+    public string[] GetGpuPassLabels() => WebGPUInterop.GetPassTimingLabels();
+
+    /// <summary>
+    /// GPU time in milliseconds of the pass with the given label (summed when a frame runs
+    /// it more than once), or -1 if it hasn't been timed.
+    /// </summary>
+    public double GetGpuPassTime(string label) => WebGPUInterop.GetPassTime(label);
+
+    /// <summary>
+    /// Frame (as in WebGPUFrameStats.Frame) the timing returned by GetGpuPassTime was measured in, or -1.
+    /// </summary>
+    public int GetGpuPassTimeFrame(string label) => WebGPUInterop.GetPassTimeFrame(label);
+
+    private void PublishFrameStats()
+    {
+        var stats = GetFrameStats();
+        s_counterDrawCalls.Value = stats.DrawCalls;
+        s_counterPipelineSwitches.Value = stats.PipelineSwitches;
+        s_counterBindGroupSwitches.Value = stats.BindGroupSwitches;
+        s_counterBytesUploaded.Value = stats.BytesUploaded;
+    }
+}
@@ -0,0 +1,88 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+public partial class WebGraphicsDriver
+{
+    // Must match READBACK_* in noz-webgpu.js
+    private const int ReadbackPending = 0;
+    private const int ReadbackReady = 1;
+
+    private readonly Dictionary<int, TaskCompletionSource<byte[]>> _pendingReadbacks = new();
+    private readonly List<int> _completedReadbacks = new();
+
+    /// <summary>
+    /// Read a region of a texture or render texture without stalling the frame. The copy
+    /// is submitted with the current frame and the task completes in a later BeginFrame
+    /// with tightly packed rows in the texture's own format (e.g. 16 bytes per pixel for
+    /// rgba32f). region is in texture pixels with a top-left origin; null reads the whole
+    /// mip. Textures need CopySrc usage (render textures always have it). Completes with
+    /// an empty array on failure.
+    /// </summary>
+    public Task<byte[]> ReadTexturePixelsAsync(nuint texture, RectInt? region = null, int mipLevel = 0, int layer = 0)
+    {
+        if (!_textures.TryGetValue(texture, out var info))
+        {
+            Log.Error($"Texture {texture} not found");
+            return Task.FromResult(Array.Empty<byte>());
+        }
+
+        var rect = region ?? default;
+        var ticket = WebGPUInterop.RequestReadback(info.JsTextureId, rect.X, rect.Y, rect.Width, rect.Height, mipLevel, layer);
+        if (ticket <= 0)
+            return Task.FromResult(Array.Empty<byte>());
+
+        var completion = new TaskCompletionSource<byte[]>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _pendingReadbacks[ticket] = completion;
+        return completion.Task;
+    }
+
+    /// <summary>
+    /// Capture the next presented frame at full canvas resolution (native device pixel
+    /// ratio) as PNG file bytes. Completes with an empty array on failure.
+    /// </summary>
+    public Task<byte[]> CaptureFrameAsync()
+    {
+        var ticket = WebGPUInterop.RequestFrameCapture();
+        if (ticket <= 0)
+            return Task.FromResult(Array.Empty<byte>());
+
+        var completion = new TaskCompletionSource<byte[]>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _pendingReadbacks[ticket] = completion;
+        return completion.Task;
+    }
+
+    private void PollReadbacks()
+    {
+        if (_pendingReadbacks.Count == 0)
+            return;
+
+        foreach (var (ticket, completion) in _pendingReadbacks)
+        {
+            var status = WebGPUInterop.GetReadbackStatus(ticket);
+            if (status == ReadbackPending)
+                continue;
+
+            _completedReadbacks.Add(ticket);
+
+            if (status != ReadbackReady)
+            {
+                Log.Error($"Texture readback {ticket} failed");
+                WebGPUInterop.ReleaseReadback(ticket);
+                completion.SetResult(Array.Empty<byte>());
+                continue;
+            }
+
+            // Copy directly from JS into managed buffer via MemoryView (no string encoding)
+            var result = new byte[WebGPUInterop.GetReadbackSize(ticket)];
+            WebGPUInterop.CopyReadback(ticket, new ArraySegment<byte>(result));
+            completion.SetResult(result);
+        }
+
+        foreach (var ticket in _completedReadbacks)
+            _pendingReadbacks.Remove(ticket);
+        _completedReadbacks.Clear();
+    }
+}
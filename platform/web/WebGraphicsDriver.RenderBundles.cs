@@ -0,0 +1,244 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Buffers;
+using System.Runtime.InteropServices;
+
+namespace NoZ.Platform.Web;
+
+public partial class WebGraphicsDriver
+{
+    private nuint _nextRenderBundleId = 1;
+    private readonly Dictionary<nuint, RenderBundleInfo> _renderBundles = new();
+
+    // Recording goes to _cmdBuffer, which is flushed to the pass when recording starts
+    private bool _recordingRenderBundle;
+    private bool _renderBundleIncomplete;
+    private readonly Dictionary<int, int> _renderBundleBindGroups = new(); // Bind group cache key -> JS bind group ID
+    private int _renderBundleGlobalsBuffer; // Created by the first globals binding recorded
+
+    private struct RenderBundleInfo
+    {
+        public int JsBundleId;
+        public string[] ColorFormats;
+        public string DepthFormat;
+        public int SampleCount;
+        public int[] BindGroups;   // Created while recording, destroyed with the bundle
+        public int GlobalsBufferId; // Refreshed from the bound globals on execute, 0 if unused
+    }
+
+    /// <summary>
+    /// Record the draws that follow into a render bundle instead of the current pass.
+    /// Shader, mesh, texture, uniform and bind group changes and draws are recorded;
+    /// viewport, stencil reference, blend constant and inline buffer writes belong to the
+    /// pass and are rejected. Uniform buffers are read when the bundle executes, and every
+    /// draw uses the globals bound at ExecuteRenderBundle rather than those bound while recording.
+    /// Must be called inside a pass with the same targets as the passes that execute it.
+    /// </summary>
+    public bool BeginRenderBundle()
+    {
+        if (_recordingRenderBundle)
+        {
+            Log.Error("Already recording a render bundle");
+            return false;
+        }
+
+        if (_state.CurrentPassFormat.Length == 0)
+        {
+            Log.Error("BeginRenderBundle must be called inside a render pass");
+            return false;
+        }
+
+        FlushCommandBuffer();
+        _recordingRenderBundle = true;
+        _renderBundleIncomplete = false;
+        ResetBoundDrawState();
+        return true;
+    }
+
+    /// <summary>
+    /// Finish recording and return the bundle, or 0 if it could not be created. Recording
+    /// fails when a draw was skipped because its pipeline was still compiling, see
+    /// IsShaderReady.
+    /// </summary>
+    public nuint EndRenderBundle(string? name = null)
+    {
+        if (!_recordingRenderBundle)
+        {
+            Log.Error("EndRenderBundle called without BeginRenderBundle");
+            return 0;
+        }
+
+        if (_renderBundleIncomplete)
+        {
+            Log.Error($"Render bundle '{name}' skipped draws whose pipeline was still compiling");
+            CancelRenderBundle();
+            return 0;
+        }
+
+        var colorFormats = GetCurrentPassColorFormats();
+        var byteSpan = MemoryMarshal.AsBytes(_cmdBuffer.AsSpan(0, _cmdPos));
+        var segment = ArrayPool<byte>.Shared.RentAndCopy(byteSpan, out var rented);
+        int jsBundleId;
+        try
+        {
+            jsBundleId = WebGPUInterop.CreateRenderBundle(
+                segment,
+                _cmdPos,
+                colorFormats,
+                _state.CurrentPassDepthFormat.Length > 0 ? _state.CurrentPassDepthFormat : null,
+                _state.CurrentPassSampleCount,
+                name);
+        }
+        finally
+        {
+            if (rented.Length > 0) ArrayPool<byte>.Shared.Return(rented);
+        }
+
+        if (jsBundleId <= 0)
+        {
+            CancelRenderBundle();
+            return 0;
+        }
+
+        var handle = _nextRenderBundleId++;
+        _renderBundles[handle] = new RenderBundleInfo
+        {
+            JsBundleId = jsBundleId,
+            ColorFormats = colorFormats,
+            DepthFormat = _state.CurrentPassDepthFormat,
+            SampleCount = _state.CurrentPassSampleCount,
+            BindGroups = _renderBundleBindGroups.Values.ToArray(),
+            GlobalsBufferId = _renderBundleGlobalsBuffer
+        };
+
+        _renderBundleBindGroups.Clear();
+        _renderBundleGlobalsBuffer = 0;
+        _recordingRenderBundle = false;
+        _cmdPos = 0;
+        ResetBoundDrawState();
+
+        return handle;
+    }
+
+    /// <summary>
+    /// Draw a recorded bundle in the current pass with the pass's viewport and scissor and
+    /// the bound globals. The bundle's globals copy is written through the queue, so running
+    /// one bundle twice in a pass with different globals draws both with the second.
+    /// The shader, mesh and bind groups are rebound by the next draw.
+    /// </summary>
+    public void ExecuteRenderBundle(nuint handle)
+    {
+        if (RejectInRenderBundle("ExecuteRenderBundle"))
+            return;
+
+        if (!_renderBundles.TryGetValue(handle, out var bundle))
+        {
+            Log.Error($"Render bundle {handle} not found");
+            return;
+        }
+
+        if (!MatchesCurrentPass(bundle))
+        {
+            Log.Error($"Render bundle {handle} was recorded for {string.Join('+', bundle.ColorFormats)} {bundle.DepthFormat} {bundle.SampleCount}x targets, not this pass");
+            return;
+        }
+
+        if (bundle.GlobalsBufferId != 0)
+        {
+            if (_currentGlobalsIndex < 0 || _currentGlobalsIndex >= _globalsBufferCount)
+            {
+                Log.Error($"Render bundle {handle} draws with globals, call BindGlobals before executing it");
+                return;
+            }
+
+            WebGPUInterop.WriteBuffer(bundle.GlobalsBufferId, 0, new ArraySegment<byte>(_globalsData[_currentGlobalsIndex]));
+        }
+
+        EmitCmd(CMD_EXECUTE_BUNDLE, bundle.JsBundleId);
+        ResetBoundDrawState();
+    }
+
+    /// <summary>
+    /// False once a pipeline, mesh, buffer, bind group, texture or sampler the bundle uses
+    /// was destroyed. Executing an invalid bundle draws nothing; destroy and record it again.
+    /// </summary>
+    public bool IsRenderBundleValid(nuint handle) =>
+        _renderBundles.TryGetValue(handle, out var bundle) && WebGPUInterop.IsRenderBundleValid(bundle.JsBundleId);
+
+    public void DestroyRenderBundle(nuint handle)
+    {
+        if (!_renderBundles.Remove(handle, out var bundle))
+            return;
+
+        WebGPUInterop.DestroyRenderBundle(bundle.JsBundleId);
+        foreach (var bindGroupId in bundle.BindGroups)
+            WebGPUInterop.DestroyBindGroup(bindGroupId);
+        if (bundle.GlobalsBufferId != 0)
+            WebGPUInterop.DestroyBuffer(bundle.GlobalsBufferId);
+    }
+
+    private void CancelRenderBundle()
+    {
+        foreach (var bindGroupId in _renderBundleBindGroups.Values)
+            WebGPUInterop.DestroyBindGroup(bindGroupId);
+        _renderBundleBindGroups.Clear();
+
+        if (_renderBundleGlobalsBuffer != 0)
+        {
+            WebGPUInterop.DestroyBuffer(_renderBundleGlobalsBuffer);
+            _renderBundleGlobalsBuffer = 0;
+        }
+
+        _recordingRenderBundle = false;
+        _cmdPos = 0;
+        ResetBoundDrawState();
+    }
+
+    private int GetRenderBundleGlobalsBuffer()
+    {
+        if (_renderBundleGlobalsBuffer == 0)
+            _renderBundleGlobalsBuffer = WebGPUInterop.CreateBuffer(GlobalsBufferSize, (int)(WebGPUBufferUsage.Uniform | WebGPUBufferUsage.CopyDst), "render_bundle_globals");
+        return _renderBundleGlobalsBuffer;
+    }
+
+    private bool RejectInRenderBundle(string call)
+    {
+        if (!_recordingRenderBundle)
+            return false;
+
+        Log.Error($"{call} can't be recorded into a render bundle");
+        return true;
+    }
+
+    // Bundles start with nothing bound and executing one unbinds the pass's pipeline, bind
+    // groups and buffers, so the next draw must bind everything again
+    private void ResetBoundDrawState()
+    {
+        _state.PipelineDirty = true;
+        _state.BindGroupDirty = true;
+        _state.CurrentPipelineId = 0;
+        _state.CurrentBindGroupId = 0;
+        _state.LastBoundJsMeshId = 0;
+    }
+
+    private string[] GetCurrentPassColorFormats()
+    {
+        if (_state.CurrentPassTargetGroup != 0 && _renderTargetGroups.TryGetValue(_state.CurrentPassTargetGroup, out var group))
+            return group.Formats;
+
+        return new[] { _state.CurrentPassFormat };
+    }
+
+    private bool MatchesCurrentPass(in RenderBundleInfo bundle)
+    {
+        if (bundle.SampleCount != _state.CurrentPassSampleCount || bundle.DepthFormat != _state.CurrentPassDepthFormat)
+            return false;
+
+        if (_state.CurrentPassTargetGroup != 0 && _renderTargetGroups.TryGetValue(_state.CurrentPassTargetGroup, out var group))
+            return bundle.ColorFormats.AsSpan().SequenceEqual(group.Formats);
+
+        return bundle.ColorFormats.Length == 1 && bundle.ColorFormats[0] == _state.CurrentPassFormat;
+    }
+}
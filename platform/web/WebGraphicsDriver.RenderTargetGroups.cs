@@ -0,0 +1,194 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// One color attachment of a render target group. The index in the group is the fragment
+/// shader output location it receives.
+/// </summary>
+public struct RenderTargetAttachment
+{
+    public nuint RenderTexture;
+    public BlendMode? BlendMode;          // null follows the current blend mode
+    public WebGPUColorWrite? WriteMask;   // null writes all channels
+}
+
+public partial class WebGraphicsDriver
+{
+    private const int MaxColorAttachments = 8;
+
+    private nuint _nextRenderTargetGroupId = 1;
+    private readonly Dictionary<nuint, RenderTargetGroupInfo> _renderTargetGroups = new();
+
+    private struct RenderTargetGroupInfo
+    {
+        public int JsGroupId;
+        public RenderTargetAttachment[] Attachments;
+        public string[] Formats;
+        public int Width;
+        public int Height;
+        public int SampleCount;
+        public string DepthFormat;
+    }
+
+    /// <summary>
+    /// Group render textures of the same size and sample count into one multi-attachment
+    /// target, so a single pass writes e.g. color, normals and emissive. The pass uses the
+    /// first render texture's depth attachment, if it has one.
+    /// </summary>
+    public nuint CreateRenderTargetGroup(ReadOnlySpan<RenderTargetAttachment> attachments, string? name = null)
+    {
+        if (attachments.Length == 0 || attachments.Length > MaxColorAttachments)
+        {
+            Log.Error($"Render target group '{name}' needs 1-{MaxColorAttachments} attachments, got {attachments.Length}");
+            return 0;
+        }
+
+        var jsTextureIds = new int[attachments.Length];
+        var formats = new string[attachments.Length];
+        RenderTextureInfo first = default;
+        for (int i = 0; i < attachments.Length; i++)
+        {
+            if (!_renderTextures.TryGetValue(attachments[i].RenderTexture, out var rt))
+            {
+                Log.Error($"Render target group '{name}': render texture {attachments[i].RenderTexture} not found");
+                return 0;
+            }
+
+            if (i == 0)
+                first = rt;
+            else if (rt.Width != first.Width || rt.Height != first.Height || rt.SampleCount != first.SampleCount)
+            {
+                Log.Error($"Render target group '{name}': attachment {i} is {rt.Width}x{rt.Height} ({rt.SampleCount}x), expected {first.Width}x{first.Height} ({first.SampleCount}x)");
+                return 0;
+            }
+
+            jsTextureIds[i] = rt.JsTextureId;
+            formats[i] = rt.Format;
+        }
+
+        var jsGroupId = WebGPUInterop.CreateRenderTargetGroup(jsTextureIds, name);
+        if (jsGroupId <= 0)
+            return 0;
+
+        var handle = _nextRenderTargetGroupId++;
+        _renderTargetGroups[handle] = new RenderTargetGroupInfo
+        {
+            JsGroupId = jsGroupId,
+            Attachments = attachments.ToArray(),
+            Formats = formats,
+            Width = first.Width,
+            Height = first.Height,
+            SampleCount = first.SampleCount,
+            DepthFormat = first.DepthFormat
+        };
+
+        return handle;
+    }
+
+    /// <summary>
+    /// Destroy the group only; its render textures stay alive.
+    /// </summary>
+    public void DestroyRenderTargetGroup(nuint handle)
+    {
+        if (!_renderTargetGroups.Remove(handle, out var group))
+            return;
+
+        WebGPUInterop.DestroyRenderTargetGroup(group.JsGroupId);
+    }
+
+    /// <summary>
+    /// Begin a pass rendering into every attachment of the group. clearColors[i] clears
+    /// attachment i; attachments past the end of clearColors keep their contents.
+    /// End it with EndRenderTexturePass.
+    /// </summary>
+    public void BeginRenderTargetGroupPass(nuint handle, ReadOnlySpan<Color> clearColors)
+    {
+        var colors = new WebGPUColorAttachmentOps[Math.Min(clearColors.Length, MaxColorAttachments)];
+        for (int i = 0; i < colors.Length; i++)
+            colors[i] = WebGPUColorAttachmentOps.Clear(clearColors[i]);
+
+        BeginRenderTargetGroupPass(handle, colors);
+    }
+
+    /// <summary>
+    /// Continue rendering into the group, keeping the contents of every attachment.
+    /// </summary>
+    public void ResumeRenderTargetGroupPass(nuint handle) =>
+        BeginRenderTargetGroupPass(handle, ReadOnlySpan<WebGPUColorAttachmentOps>.Empty);
+
+    /// <summary>
+    /// Begin a group pass with load/store ops per attachment (colors[i] for attachment i).
+    /// Attachments past the end of colors load and store.
+    /// </summary>
+    public void BeginRenderTargetGroupPass(nuint handle, ReadOnlySpan<WebGPUColorAttachmentOps> colors, in WebGPURenderPassOps pass = default)
+    {
+        if (!_renderTargetGroups.TryGetValue(handle, out var group))
+        {
+            Log.Error($"Render target group {handle} not found");
+            return;
+        }
+
+        var count = group.Attachments.Length;
+        var clearColors = new double[count * 4];
+        var loadOps = new string[count];
+        var storeOps = new string[count];
+        for (int i = 0; i < count; i++)
+        {
+            var ops = i < colors.Length ? colors[i] : WebGPUColorAttachmentOps.Load;
+            clearColors[i * 4] = ops.ClearColor.R;
+            clearColors[i * 4 + 1] = ops.ClearColor.G;
+            clearColors[i * 4 + 2] = ops.ClearColor.B;
+            clearColors[i * 4 + 3] = ops.ClearColor.A;
+            loadOps[i] = ops.LoadOp ?? WebGPULoadOp.Clear;
+            storeOps[i] = ops.StoreOp ?? "";
+        }
+
+        FlushCommandBuffer();
+        if (!WebGPUInterop.BeginRenderTargetGroupPass(group.JsGroupId, clearColors, loadOps, storeOps,
+                pass.DepthLoadOp, pass.DepthStoreOp, pass.DepthClearValue ?? 1f,
+                pass.StencilLoadOp, pass.StencilStoreOp, pass.StencilClearValue))
+        {
+            Log.Error($"Failed to begin render target group pass {handle}");
+            return;
+        }
+        _passOpen = true;
+
+        // Scissor and viewport sizes come from the first attachment
+        _activeRenderTexture = group.Attachments[0].RenderTexture;
+
+        // Reset all cached state — new render pass encoder needs everything rebound
+        _state.Reset();
+        _state.CurrentPassSampleCount = group.SampleCount;
+        _state.CurrentPassFormat = group.Formats[0];
+        _state.CurrentPassDepthFormat = group.DepthFormat;
+        _state.CurrentPassTargetGroup = handle;
+        _state.PassClipRect = pass.ClipRect ?? default;
+        _currentGlobalsIndex = -1;
+
+        var scissor = _state.PassClipRect.Width > 0
+            ? ClipToPassRect(new RectInt(0, 0, group.Width, group.Height), _state.PassClipRect)
+            : new RectInt(0, 0, group.Width, group.Height);
+        WebGPUInterop.SetViewport(0, 0, group.Width, group.Height, 0, 1);
+        WebGPUInterop.SetScissorRect(scissor.X, scissor.Y, scissor.Width, scissor.Height);
+    }
+
+    private string? CreateTargetGroupTargetsJson(nuint handle, BlendMode blendMode)
+    {
+        if (!_renderTargetGroups.TryGetValue(handle, out var group))
+            return null;
+
+        var count = group.Attachments.Length;
+        Span<BlendMode> blendModes = stackalloc BlendMode[count];
+        Span<WebGPUColorWrite> writeMasks = stackalloc WebGPUColorWrite[count];
+        for (int i = 0; i < count; i++)
+        {
+            blendModes[i] = group.Attachments[i].BlendMode ?? blendMode;
+            writeMasks[i] = group.Attachments[i].WriteMask ?? WebGPUColorWrite.All;
+        }
+
+        return JSObjectHelper.CreateColorTargetsJson(group.Formats, blendModes, writeMasks);
+    }
+}
@@ -0,0 +1,110 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Text.Json;
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// A live GPU resource in a WebGPUResourceReport
+/// </summary>
+public struct WebGPUResourceInfo
+{
+    public string Type;        // buffer, mesh, texture, array, renderTexture, depth, sampler, shaderModule, ...
+    public int Id;             // JS resource ID
+    public string Label;
+    public long Bytes;         // Estimated GPU memory, 0 for objects other than buffers and textures
+    public int CreatedFrame;
+    public int LastUsedFrame;  // Only advances while resource tracking is enabled
+    public bool Unused;        // Not used for the report's unusedFrames frames
+}
+
+public struct WebGPUResourceTypeSummary
+{
+    public string Type;
+    public int Count;
+    public long Bytes;
+}
+
+/// <summary>
+/// Snapshot of every GPU resource the web driver holds
+/// </summary>
+public struct WebGPUResourceReport
+{
+    public int Frame;
+    public bool Tracking;
+    public long TotalBytes;
+    public WebGPUResourceTypeSummary[] Types;
+    public WebGPUResourceInfo[] Resources;
+}
+
+public partial class WebGraphicsDriver
+{
+    private bool _resourceTrackingEnabled;
+
+    /// <summary>
+    /// Debug tracking of resource use. While enabled, uses stamp each resource's
+    /// LastUsedFrame (so reports can flag unused ones) and references to destroyed
+    /// resources are raised as Resource diagnostics. Costs a walk of every command buffer.
+    /// </summary>
+    public bool ResourceTrackingEnabled
+    {
+        get => _resourceTrackingEnabled;
+        set
+        {
+            _resourceTrackingEnabled = value;
+            WebGPUInterop.SetResourceTrackingEnabled(value);
+        }
+    }
+
+    /// <summary>
+    /// Counts, estimated bytes, labels and creation frames of all live GPU resources.
+    /// Resources not used for unusedFrames frames are flagged Unused when resource
+    /// tracking is enabled.
+    /// </summary>
+    public WebGPUResourceReport GetResourceReport(int unusedFrames = 300)
+    {
+        using var json = JsonDocument.Parse(WebGPUInterop.GetResourceReport(unusedFrames));
+        var root = json.RootElement;
+
+        var types = root.GetProperty("types");
+        var typeSummaries = new WebGPUResourceTypeSummary[types.GetArrayLength()];
+        var index = 0;
+        foreach (var type in types.EnumerateArray())
+        {
+            typeSummaries[index++] = new WebGPUResourceTypeSummary
+            {
+                Type = type.GetProperty("type").GetString() ?? "",
+                Count = type.GetProperty("count").GetInt32(),
+                Bytes = type.GetProperty("bytes").GetInt64()
+            };
+        }
+
+        var resources = root.GetProperty("resources");
+        var resourceInfos = new WebGPUResourceInfo[resources.GetArrayLength()];
+        index = 0;
+        foreach (var resource in resources.EnumerateArray())
+        {
+            resourceInfos[index++] = new WebGPUResourceInfo
+            {
+                Type = resource.GetProperty("type").GetString() ?? "",
+                Id = resource.GetProperty("id").GetInt32(),
+                Label = resource.GetProperty("label").GetString() ?? "",
+                Bytes = resource.GetProperty("bytes").GetInt64(),
+                CreatedFrame = resource.GetProperty("createdFrame").GetInt32(),
+                LastUsedFrame = resource.GetProperty("lastUsedFrame").GetInt32(),
+                Unused = resource.GetProperty("unused").GetBoolean()
+            };
+        }
+
+        return new WebGPUResourceReport
+        {
+            Frame = root.GetProperty("frame").GetInt32(),
+            Tracking = root.GetProperty("tracking").GetBoolean(),
+            TotalBytes = root.GetProperty("totalBytes").GetInt64(),
+            Types = typeSummaries,
+            Resources = resourceInfos
+        };
+    }
+}
@@ -0,0 +1,82 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Runtime.InteropServices.JavaScript;
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// Canvas presentation settings the browser actually applied
+/// </summary>
+public struct WebGPUSurfaceConfiguration
+{
+    public string Format;        // e.g. bgra8unorm, or rgba16float with extended tone mapping
+    public string AlphaMode;
+    public string ColorSpace;
+    public string ToneMapping;
+    public bool HdrDisplay;      // The page is shown on a display with high dynamic range
+}
+
+public partial class WebGraphicsDriver
+{
+    private WebGPUSurfaceOptions _surfaceOptions;
+    private bool _surfaceOptionsDirty;
+
+    /// <summary>
+    /// Alpha mode, color space and tone mapping of the canvas. Set before InitAsync to
+    /// configure at startup; later changes are applied at the next BeginFrame. The result
+    /// is in SurfaceConfiguration.
+    /// </summary>
+    public WebGPUSurfaceOptions SurfaceOptions
+    {
+        get => _surfaceOptions;
+        set
+        {
+            _surfaceOptions = value;
+            _surfaceOptionsDirty = true;
+        }
+    }
+
+    public WebGPUSurfaceConfiguration SurfaceConfiguration { get; private set; }
+
+    /// <summary>
+    /// Raised when SurfaceConfiguration changes after initialization
+    /// </summary>
+    public event Action<WebGPUSurfaceConfiguration>? SurfaceConfigurationChanged;
+
+    private void ApplySurfaceOptions()
+    {
+        _surfaceOptionsDirty = false;
+
+        using var configuration = WebGPUInterop.ConfigureSurface(
+            _surfaceOptions.AlphaMode,
+            _surfaceOptions.ColorSpace,
+            _surfaceOptions.ToneMapping);
+
+        SetSurfaceConfiguration(configuration);
+        SurfaceConfigurationChanged?.Invoke(SurfaceConfiguration);
+    }
+
+    // Reads the init result or a getSurfaceConfiguration/configureSurface object. Scene
+    // pipelines are keyed on the surface format, so a format switch builds new ones.
+    private void SetSurfaceConfiguration(JSObject configuration)
+    {
+        var applied = new WebGPUSurfaceConfiguration
+        {
+            Format = configuration.GetPropertyAsString("format") ?? "bgra8unorm",
+            AlphaMode = configuration.GetPropertyAsString("alphaMode") ?? WebGPUAlphaMode.Opaque,
+            ColorSpace = configuration.GetPropertyAsString("colorSpace") ?? WebGPUColorSpace.SRGB,
+            ToneMapping = configuration.GetPropertyAsString("toneMapping") ?? WebGPUToneMapping.Standard,
+            HdrDisplay = configuration.GetPropertyAsBoolean("hdrDisplay")
+        };
+
+        if (_surfaceOptions.ColorSpace != null && _surfaceOptions.ColorSpace != applied.ColorSpace)
+            Log.Warning($"Canvas color space {_surfaceOptions.ColorSpace} not supported, using {applied.ColorSpace}");
+        if (_surfaceOptions.ToneMapping != null && _surfaceOptions.ToneMapping != applied.ToneMapping)
+            Log.Warning($"Canvas tone mapping {_surfaceOptions.ToneMapping} not supported, using {applied.ToneMapping}");
+
+        SurfaceConfiguration = applied;
+        _surfaceFormat = applied.Format;
+    }
+}
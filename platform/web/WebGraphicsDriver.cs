@@ -32,7 +32,7 @@ internal static class ArrayPoolExtensions
 /// IGraphicsDriver implementation for browser WebGPU using JSImport interop
 /// </summary>
 [SupportedOSPlatform("browser")]
-public class WebGraphicsDriver : IGraphicsDriver
+public partial class WebGraphicsDriver : IGraphicsDriver
 {
     private GraphicsDriverConfig _config = null!;
     private int _surfaceWidth;
@@ -50,6 +50,9 @@ public class WebGraphicsDriver : IGraphicsDriver
     private readonly Dictionary<nuint, TextureInfo> _textures = new();
     private readonly Dictionary<nuint, ShaderInfo> _shaders = new();
 
+    // Comparison samplers by handle with their CreateSampler count; render layouts only take filtering samplers
+    private readonly Dictionary<nuint, int> _comparisonSamplers = new();
+
     // Cached state
     private CachedState _state;
 
@@ -62,25 +65,67 @@ public class WebGraphicsDriver : IGraphicsDriver
     private readonly int[] _globalsBuffers = new int[MaxGlobalsBuffers];
     private int _globalsBufferCount;
     private int _currentGlobalsIndex = -1;
+    private readonly byte[][] _globalsData = new byte[MaxGlobalsBuffers][]; // Last SetGlobals per index, for render bundles
 
     // Pre-allocated buffers to reduce per-frame allocations
-    private readonly byte[] _globalsWriteBuffer = new byte[GlobalsBufferSize];
     private readonly StringBuilder _jsonBuilder = new(512);
     private readonly JSObject[] _singleColorAttachment = new JSObject[1]; // Reusable array for render pass
 
     // Command buffer — batch render pass encoder commands into a single interop call
-    private const int CMD_SET_PIPELINE = 1;    // +1 arg: pipelineId
-    private const int CMD_SET_BIND_GROUP = 2;  // +2 args: slot, bindGroupId
-    private const int CMD_SET_VERTEX_BUF = 3;  // +2 args: slot, meshId
-    private const int CMD_SET_INDEX_BUF = 4;   // +1 arg: meshId
-    private const int CMD_SET_SCISSOR = 5;     // +4 args: x, y, w, h
-    private const int CMD_DRAW_INDEXED = 6;    // +5 args: indexCount, instanceCount, firstIndex, baseVertex, firstInstance
-    private const int CMD_SET_VIEWPORT = 7;    // +4 args: x, y, w, h
+    // Must match COMMAND_PROTOCOL_VERSION in noz-webgpu.js — checked in InitAsync
+    private const int CommandProtocolVersion = 3;
+    private const int CMD_SET_PIPELINE = 1;             // +1 arg: pipelineId
+    private const int CMD_SET_BIND_GROUP = 2;           // +2 args: slot, bindGroupId
+    private const int CMD_SET_VERTEX_BUF = 3;           // +2 args: slot, meshId
+    private const int CMD_SET_INDEX_BUF = 4;            // +1 arg: meshId
+    private const int CMD_SET_SCISSOR = 5;              // +4 args: x, y, w, h
+    private const int CMD_DRAW_INDEXED = 6;             // +5 args: indexCount, instanceCount, firstIndex, baseVertex, firstInstance
+    private const int CMD_SET_VIEWPORT = 7;             // +4 args: x, y, w, h
+    private const int CMD_SET_STENCIL_REF = 8;          // +1 arg: reference
+    private const int CMD_DRAW = 9;                     // +4 args: vertexCount, instanceCount, firstVertex, firstInstance
+    private const int CMD_DRAW_INDIRECT = 10;           // +2 args: bufferId, byteOffset
+    private const int CMD_DRAW_INDEXED_INDIRECT = 11;   // +2 args: bufferId, byteOffset
+    private const int CMD_SET_BLEND_CONSTANT = 12;      // +4 args: r, g, b, a (float bits)
+    private const int CMD_SET_BIND_GROUP_DYNAMIC = 13;  // +3+n args: slot, bindGroupId, n, offsets[n]
+    private const int CMD_WRITE_BUFFER = 14;            // +3+n args: bufferId, byteOffset, byteLength, data[n = ceil(byteLength / 4)]
+    private const int CMD_EXECUTE_BUNDLE = 15;          // +1 arg: bundleId
     private int[] _cmdBuffer = new int[8192];
     private int _cmdPos;
 
+    // Set between Begin*Pass and End*Pass (compute passes included); outside a pass the
+    // command buffer only collects inline buffer writes, flushed when the next pass begins
+    private bool _passOpen;
+
+    // Zero-copy mode: JS reads commands and upload data in place from the WASM heap
+    private bool _heapAccessSupported;
+    private bool _zeroCopyUploads;
+    private bool _heapAccessFailureLogged;
+
+    // Depth/stencil — persists across passes, only applied to passes with a depth attachment
+    private WebGPUDepthStencilState _depthStencil = WebGPUDepthStencilState.Disabled;
+    private string _surfaceDepthFormat = "";
+    private int _surfaceDepthTextureId;
+    private int _surfaceDepthWidth;
+    private int _surfaceDepthHeight;
+
     public string ShaderExtension => "";
 
+    /// <summary>
+    /// Raised after the browser lost the GPU device and every resource was recreated
+    /// on a new one under the same IDs. The driver keeps a CPU copy of everything uploaded
+    /// to buffers, meshes and textures (and replays generated mips), so those come back
+    /// intact; only content the GPU produced itself, such as render textures and compute
+    /// output, is cleared and must be regenerated by the listener.
+    /// </summary>
+    public event Action? DeviceRestored;
+
+    public bool IsDeviceLost => WebGPUInterop.IsDeviceLost();
+
+    /// <summary>
+    /// Compressed texture families the device supports, for picking which encoded asset variant to load.
+    /// </summary>
+    public WebGPUTextureCompression SupportedTextureCompression { get; private set; }
+
     private struct CachedState
     {
         public nuint BoundShader;
@@ -89,6 +134,7 @@ public class WebGraphicsDriver : IGraphicsDriver
         public nuint BoundMesh;
         public nuint[] BoundTextures;
         public TextureFilter[] TextureFilters;
+        public nuint[] BoundSamplers;
         public bool PipelineDirty;
         public bool BindGroupDirty;
         public RectInt Viewport;
@@ -96,6 +142,9 @@ public class WebGraphicsDriver : IGraphicsDriver
         public RectInt Scissor;
         public int CurrentPassSampleCount;
         public string CurrentPassFormat;
+        public string CurrentPassDepthFormat;
+        public nuint CurrentPassTargetGroup;
+        public RectInt PassClipRect; // Width 0 = no clip
         public int CurrentPipelineId;
         public int CurrentBindGroupId;
         public int LastBoundJsMeshId;
@@ -110,6 +159,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             BoundMesh = 0;
             Array.Clear(BoundTextures);
             Array.Clear(TextureFilters);
+            Array.Clear(BoundSamplers);
             PipelineDirty = true;
             BindGroupDirty = true;
             Viewport = default;
@@ -117,6 +167,9 @@ public class WebGraphicsDriver : IGraphicsDriver
             Scissor = default;
             CurrentPassSampleCount = 0;
             CurrentPassFormat = "";
+            CurrentPassDepthFormat = "";
+            CurrentPassTargetGroup = 0;
+            PassClipRect = default;
             CurrentPipelineId = 0;
             CurrentBindGroupId = 0;
             LastBoundJsMeshId = 0;
@@ -130,6 +183,7 @@ public class WebGraphicsDriver : IGraphicsDriver
         public int Stride;
         public int MaxVertices;
         public int MaxIndices;
+        public string IndexFormat;
         public VertexFormatDescriptor Descriptor;
     }
 
@@ -146,6 +200,7 @@ public class WebGraphicsDriver : IGraphicsDriver
         public int Width;
         public int Height;
         public int Layers;
+        public int MipLevels;
         public string Format;
         public bool IsArray;
     }
@@ -179,17 +234,23 @@ public class WebGraphicsDriver : IGraphicsDriver
         public int VertexStride;
         public int MsaaSamples;
         public string ColorFormat;
+        public string DepthFormat;
+        public WebGPUDepthStencilState DepthStencil;
+        public nuint TargetGroup;
 
         public bool Equals(PsoKey other) =>
             ShaderHandle == other.ShaderHandle &&
             BlendMode == other.BlendMode &&
             VertexStride == other.VertexStride &&
             MsaaSamples == other.MsaaSamples &&
-            ColorFormat == other.ColorFormat;
+            ColorFormat == other.ColorFormat &&
+            DepthFormat == other.DepthFormat &&
+            DepthStencil.Equals(other.DepthStencil) &&
+            TargetGroup == other.TargetGroup;
 
         public override bool Equals(object? obj) => obj is PsoKey other && Equals(other);
 
-        public override int GetHashCode() => HashCode.Combine(ShaderHandle, BlendMode, VertexStride, MsaaSamples, ColorFormat);
+        public override int GetHashCode() => HashCode.Combine(ShaderHandle, BlendMode, VertexStride, MsaaSamples, ColorFormat, DepthFormat, DepthStencil, TargetGroup);
     }
 
     public void Init(GraphicsDriverConfig config)
@@ -204,34 +265,117 @@ public class WebGraphicsDriver : IGraphicsDriver
     public async Task InitAsync()
     {
         // Import the JS module first before calling any JSImport functions
-        // JSHost.ImportAsync resolves relative to _framework/, so go up one level
-        await JSHost.ImportAsync("noz-webgpu", "../js/noz/noz-webgpu.js");
+        await ImportBackendAsync();
 
-        var result = await WebGPUInterop.InitAsync("#canvas");
+        var protocolVersion = WebGPUInterop.GetCommandProtocolVersion();
+        if (protocolVersion != CommandProtocolVersion)
+            throw new InvalidOperationException($"noz-webgpu.js command protocol v{protocolVersion} does not match driver v{CommandProtocolVersion}");
+
+        var result = await WebGPUInterop.InitAsync("#canvas", _surfaceOptions.AlphaMode, _surfaceOptions.ColorSpace, _surfaceOptions.ToneMapping);
 
         if (result == null)
-            throw new InvalidOperationException("WebGPU initialization failed");
+            throw new InvalidOperationException($"{Backend} initialization failed");
 
         _surfaceWidth = result.GetPropertyAsInt32("width");
         _surfaceHeight = result.GetPropertyAsInt32("height");
-        _surfaceFormat = result.GetPropertyAsString("format") ?? "bgra8unorm";
+        SetSurfaceConfiguration(result);
+        _surfaceOptionsDirty = false;
+        SupportedTextureCompression = ReadTextureCompression(result.GetPropertyAsBoolean("compressionBC"), result.GetPropertyAsBoolean("compressionETC2"), result.GetPropertyAsBoolean("compressionASTC"));
 
         _state = new CachedState
         {
             BoundTextures = new nuint[8],
-            TextureFilters = new TextureFilter[8]
+            TextureFilters = new TextureFilter[8],
+            BoundSamplers = new nuint[8]
         };
 
+        WebGPUInterop.SetDeviceRestoredCallback(OnDeviceRestored);
+
+        _heapAccessSupported = WebGPUInterop.IsHeapAccessSupported();
+        _zeroCopyUploads = _heapAccessSupported;
+        if (!_heapAccessSupported)
+            Log.Info("WASM heap view unavailable, WebGPU uploads will be copied");
+    }
+
+    /// <summary>
+    /// Read command buffers and buffer/mesh/texture uploads straight from the WASM heap
+    /// instead of copying them into JS arrays. Enabled by default when the runtime exposes
+    /// its heap. A call whose heap read fails is copied instead; later calls still try the heap.
+    /// </summary>
+    public bool ZeroCopyUploads
+    {
+        get => _zeroCopyUploads;
+        set => _zeroCopyUploads = value && _heapAccessSupported;
+    }
+
+    // The failing call falls back to its copying path; heap reads stay enabled for the next one
+    private void OnHeapAccessFailed()
+    {
+        if (_heapAccessFailureLogged)
+            return;
+
+        _heapAccessFailureLogged = true;
+        Log.Warning("WASM heap access failed, copying that WebGPU upload instead");
+    }
+
+    private static WebGPUTextureCompression ReadTextureCompression(bool bc, bool etc2, bool astc)
+    {
+        var compression = WebGPUTextureCompression.None;
+        if (bc) compression |= WebGPUTextureCompression.BC;
+        if (etc2) compression |= WebGPUTextureCompression.ETC2;
+        if (astc) compression |= WebGPUTextureCompression.ASTC;
+        return compression;
+    }
+
+    private void OnDeviceRestored()
+    {
+        Log.Info($"{Backend} device restored");
+
+        // The restored device may come from a different adapter
+        using (var compression = WebGPUInterop.GetTextureCompressionSupport())
+        {
+            SupportedTextureCompression = ReadTextureCompression(
+                compression.GetPropertyAsBoolean("bc"),
+                compression.GetPropertyAsBoolean("etc2"),
+                compression.GetPropertyAsBoolean("astc"));
+        }
+
+        using (var surface = WebGPUInterop.GetSurfaceConfiguration())
+        {
+            if (surface != null)
+                SetSurfaceConfiguration(surface);
+        }
+
+        // Anything recorded against the lost device is meaningless now
+        _cmdPos = 0;
+        _passOpen = false;
+        _activeRenderTexture = 0;
+        _currentGlobalsIndex = -1;
+        _state.Reset();
+        if (_recordingRenderBundle)
+            CancelRenderBundle();
+
+        DeviceRestored?.Invoke();
     }
 
     public void Shutdown()
     {
         WebGPUInterop.Shutdown();
 
+        _surfaceDepthTextureId = 0;
+
         _meshes.Clear();
         _buffers.Clear();
         _textures.Clear();
         _shaders.Clear();
+        _comparisonSamplers.Clear();
+        _computeShaders.Clear();
+        _pendingPipelines.Clear();
+        _pipelineRefCounts.Clear();
+        _renderBundles.Clear();
+        _recordingRenderBundle = false;
+        _renderBundleBindGroups.Clear();
+        _renderBundleGlobalsBuffer = 0;
     }
 
     // ============================================================================
@@ -240,9 +384,20 @@ public class WebGraphicsDriver : IGraphicsDriver
 
     public bool BeginFrame()
     {
+        // Reconfiguring invalidates the surface texture, so only between frames
+        if (_surfaceOptionsDirty)
+            ApplySurfaceOptions();
+
         if (!WebGPUInterop.BeginFrame())
             return false;
 
+        if (Profiler.Enabled)
+            PublishFrameStats();
+
+        PollReadbacks();
+        PollPipelines();
+        PollDiagnostics();
+
         // Check for resize
         var windowSize = _config.Platform.WindowSize;
         var newWidth = (int)windowSize.X;
@@ -260,6 +415,9 @@ public class WebGraphicsDriver : IGraphicsDriver
 
     public void EndFrame()
     {
+        // Inline buffer writes recorded after the last pass
+        FlushCommandBuffer();
+
         // Clear bind group cache and release all cached bind groups
         foreach (var bgId in _bindGroupCache.Values)
             WebGPUInterop.DestroyBindGroup(bgId);
@@ -301,6 +459,9 @@ public class WebGraphicsDriver : IGraphicsDriver
         if (_state.Viewport == clampedViewport)
             return;
 
+        if (RejectInRenderBundle("SetViewport"))
+            return;
+
         _state.Viewport = clampedViewport;
         EmitCmd(CMD_SET_VIEWPORT, clampedViewport.X, clampedViewport.Y, clampedViewport.Width, clampedViewport.Height);
     }
@@ -343,11 +504,18 @@ public class WebGraphicsDriver : IGraphicsDriver
     // Mesh Management
     // ============================================================================
 
-    public nuint CreateMesh<T>(int maxVertices, int maxIndices, BufferUsage usage, string name = "") where T : IVertex
+    public nuint CreateMesh<T>(int maxVertices, int maxIndices, BufferUsage usage, string name = "") where T : IVertex =>
+        CreateMesh<T>(maxVertices, maxIndices, usage, WebGPUIndexFormat.Uint16, name);
+
+    /// <summary>
+    /// Create a mesh with 16 or 32 bit indices (WebGPUIndexFormat). Meshes grow when an update
+    /// exceeds maxVertices/maxIndices, so these are initial capacities.
+    /// </summary>
+    public nuint CreateMesh<T>(int maxVertices, int maxIndices, BufferUsage usage, string indexFormat, string name = "") where T : IVertex
     {
         var descriptor = T.GetFormatDescriptor();
 
-        var jsMeshId = WebGPUInterop.CreateMesh(maxVertices, maxIndices, descriptor.Stride, name);
+        var jsMeshId = WebGPUInterop.CreateMesh(maxVertices, maxIndices, descriptor.Stride, name, indexFormat);
 
         var handle = (nuint)_nextMeshId++;
         _meshes[handle] = new MeshInfo
@@ -356,6 +524,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             Stride = descriptor.Stride,
             MaxVertices = maxVertices,
             MaxIndices = maxIndices,
+            IndexFormat = indexFormat,
             Descriptor = descriptor
         };
 
@@ -380,7 +549,17 @@ public class WebGraphicsDriver : IGraphicsDriver
         _state.PipelineDirty = true;
     }
 
-    public void UpdateMesh(nuint handle, ReadOnlySpan<byte> vertexData, ReadOnlySpan<ushort> indexData)
+    public void UpdateMesh(nuint handle, ReadOnlySpan<byte> vertexData, ReadOnlySpan<ushort> indexData) =>
+        UpdateMeshRange(handle, 0, vertexData, 0, indexData);
+
+    public void UpdateMesh(nuint handle, ReadOnlySpan<byte> vertexData, ReadOnlySpan<uint> indexData) =>
+        UpdateMeshRange(handle, 0, vertexData, 0, indexData);
+
+    /// <summary>
+    /// Write vertices starting at firstVertex and indices starting at firstIndex, leaving the
+    /// rest of the mesh untouched. Either span may be empty.
+    /// </summary>
+    public void UpdateMeshRange(nuint handle, int firstVertex, ReadOnlySpan<byte> vertexData, int firstIndex, ReadOnlySpan<ushort> indexData)
     {
         if (!_meshes.TryGetValue(handle, out var mesh))
         {
@@ -388,18 +567,81 @@ public class WebGraphicsDriver : IGraphicsDriver
             return;
         }
 
-        // Use ArrayPool to reduce allocations for frequent mesh updates
-        var vertexSegment = ArrayPool<byte>.Shared.RentAndCopy(vertexData, out var rentedVertex);
-        var indexSegment = ArrayPool<byte>.Shared.RentAndCopy(MemoryMarshal.AsBytes(indexData), out var rentedIndex);
+        if (mesh.IndexFormat != WebGPUIndexFormat.Uint16 && indexData.Length > 0)
+        {
+            Log.Error($"Mesh {handle} uses {mesh.IndexFormat} indices, got uint16");
+            return;
+        }
 
-        try
+        UploadMesh(handle, ref mesh, firstVertex * mesh.Stride, vertexData, firstIndex * sizeof(ushort), MemoryMarshal.AsBytes(indexData));
+    }
+
+    public void UpdateMeshRange(nuint handle, int firstVertex, ReadOnlySpan<byte> vertexData, int firstIndex, ReadOnlySpan<uint> indexData)
+    {
+        if (!_meshes.TryGetValue(handle, out var mesh))
         {
-            WebGPUInterop.UpdateMesh(mesh.JsMeshId, vertexSegment, indexSegment);
+            Log.Error($"Mesh {handle} not found");
+            return;
         }
-        finally
+
+        if (mesh.IndexFormat != WebGPUIndexFormat.Uint32 && indexData.Length > 0)
+        {
+            Log.Error($"Mesh {handle} uses {mesh.IndexFormat} indices, got uint32");
+            return;
+        }
+
+        UploadMesh(handle, ref mesh, firstVertex * mesh.Stride, vertexData, firstIndex * sizeof(uint), MemoryMarshal.AsBytes(indexData));
+    }
+
+    private unsafe void UploadMesh(nuint handle, ref MeshInfo mesh, int vertexOffset, ReadOnlySpan<byte> vertexData, int indexOffset, ReadOnlySpan<byte> indexData)
+    {
+        // WebGPU queue writes need 4 byte aligned offsets
+        if ((vertexOffset & 3) != 0 || (indexOffset & 3) != 0)
+        {
+            Log.Error($"Mesh {handle} update offsets must be 4 byte aligned (vertex {vertexOffset}, index {indexOffset})");
+            return;
+        }
+
+        var uploaded = false;
+        if (_zeroCopyUploads)
+        {
+            fixed (byte* vertexPtr = vertexData)
+            fixed (byte* indexPtr = indexData)
+                uploaded = WebGPUInterop.UpdateMeshHeap(mesh.JsMeshId, (nint)vertexPtr, vertexData.Length, (nint)indexPtr, indexData.Length, vertexOffset, indexOffset);
+
+            if (!uploaded)
+                OnHeapAccessFailed();
+        }
+
+        if (!uploaded)
+        {
+            // Use ArrayPool to reduce allocations for frequent mesh updates
+            var vertexSegment = ArrayPool<byte>.Shared.RentAndCopy(vertexData, out var rentedVertex);
+            var indexSegment = ArrayPool<byte>.Shared.RentAndCopy(indexData, out var rentedIndex);
+
+            try
+            {
+                WebGPUInterop.UpdateMesh(mesh.JsMeshId, vertexSegment, indexSegment, vertexOffset, indexOffset);
+            }
+            finally
+            {
+                if (rentedVertex.Length > 0) ArrayPool<byte>.Shared.Return(rentedVertex);
+                if (rentedIndex.Length > 0) ArrayPool<byte>.Shared.Return(rentedIndex);
+            }
+        }
+
+        // JS reallocated the mesh, pick up its new capacity
+        var indexSize = mesh.IndexFormat == WebGPUIndexFormat.Uint32 ? sizeof(uint) : sizeof(ushort);
+        if (vertexOffset + vertexData.Length > mesh.MaxVertices * mesh.Stride ||
+            indexOffset + indexData.Length > mesh.MaxIndices * indexSize)
         {
-            if (rentedVertex.Length > 0) ArrayPool<byte>.Shared.Return(rentedVertex);
-            if (rentedIndex.Length > 0) ArrayPool<byte>.Shared.Return(rentedIndex);
+            var capacity = WebGPUInterop.GetMeshCapacity(mesh.JsMeshId);
+            if (capacity != null)
+            {
+                mesh.MaxVertices = capacity.GetPropertyAsInt32("maxVertices");
+                mesh.MaxIndices = capacity.GetPropertyAsInt32("maxIndices");
+                _meshes[handle] = mesh;
+            }
         }
     }
 
@@ -426,12 +668,13 @@ public class WebGraphicsDriver : IGraphicsDriver
     {
         if (_buffers.TryGetValue(handle, out var buffer))
         {
+            ReleaseComputeBindGroups(handle, texture: false);
             WebGPUInterop.DestroyBuffer(buffer.JsBufferId);
             _buffers.Remove(handle);
         }
     }
 
-    public void UpdateUniformBuffer(nuint buffer, int offsetBytes, ReadOnlySpan<byte> data)
+    public unsafe void UpdateUniformBuffer(nuint buffer, int offsetBytes, ReadOnlySpan<byte> data)
     {
         if (!_buffers.TryGetValue(buffer, out var bufferInfo))
         {
@@ -439,6 +682,16 @@ public class WebGraphicsDriver : IGraphicsDriver
             return;
         }
 
+        if (_zeroCopyUploads)
+        {
+            fixed (byte* ptr = data)
+            {
+                if (WebGPUInterop.WriteBufferHeap(bufferInfo.JsBufferId, offsetBytes, (nint)ptr, data.Length))
+                    return;
+            }
+            OnHeapAccessFailed();
+        }
+
         var segment = ArrayPool<byte>.Shared.RentAndCopy(data, out var rented);
         try
         {
@@ -489,17 +742,56 @@ public class WebGraphicsDriver : IGraphicsDriver
         };
     }
 
-    public nuint CreateTexture(int width, int height, ReadOnlySpan<byte> data, TextureFormat format = TextureFormat.RGBA8, TextureFilter filter = TextureFilter.Linear, string? name = null)
+    private static int GetBytesPerPixel(string gpuFormat)
+    {
+        return gpuFormat switch
+        {
+            WebGPUTextureFormat.R8 => 1,
+            WebGPUTextureFormat.RG8 => 2,
+            WebGPUTextureFormat.RGBA16F => 8,
+            WebGPUTextureFormat.RGBA32F => 16,
+            _ => 4
+        };
+    }
+
+    /// <summary>
+    /// Number of mip levels in a full chain down to 1x1.
+    /// </summary>
+    public static int GetMipLevelCount(int width, int height) =>
+        BitOperations.Log2((uint)Math.Max(1, Math.Max(width, height))) + 1;
+
+    public nuint CreateTexture(int width, int height, ReadOnlySpan<byte> data, TextureFormat format = TextureFormat.RGBA8, TextureFilter filter = TextureFilter.Linear, string? name = null) =>
+        CreateTexture(width, height, data, format, filter, 1, name);
+
+    /// <summary>
+    /// Create a texture with mipLevels mips (0 = full chain). When data is given the remaining
+    /// mips are generated from it on the GPU (straight alpha). storage lets compute shaders
+    /// write it through a ComputeBindingType.StorageTexture binding; returns 0 when the
+    /// format can't be a storage texture.
+    /// </summary>
+    public nuint CreateTexture(int width, int height, ReadOnlySpan<byte> data, TextureFormat format, TextureFilter filter, int mipLevels, string? name = null, bool storage = false)
     {
         var gpuFormat = MapTextureFormat(format);
-        var usage = (int)(WebGPUTextureUsage.TextureBinding | WebGPUTextureUsage.CopyDst);
+        var usage = WebGPUTextureUsage.TextureBinding | WebGPUTextureUsage.CopyDst;
+        if (storage)
+            usage |= WebGPUTextureUsage.StorageBinding;
+        var maxMipLevels = GetMipLevelCount(width, height);
+        mipLevels = mipLevels <= 0 ? maxMipLevels : Math.Min(mipLevels, maxMipLevels);
 
-        var jsTextureId = WebGPUInterop.CreateTexture(width, height, gpuFormat, usage, name);
+        var jsTextureId = WebGPUInterop.CreateTexture(width, height, gpuFormat, (int)usage, name, mipLevels);
+        if (jsTextureId <= 0)
+        {
+            Log.Error($"Failed to create {gpuFormat} texture '{name}' ({width}x{height})");
+            return 0;
+        }
 
         if (data.Length > 0)
         {
             var bytesPerPixel = GetBytesPerPixel(format);
             WebGPUInterop.WriteTexture(jsTextureId, new ArraySegment<byte>(data.ToArray()), width, height, width * bytesPerPixel, 0);
+
+            if (mipLevels > 1)
+                WebGPUInterop.GenerateMipmaps(jsTextureId, false, -1);
         }
 
         var handle = (nuint)_nextTextureId++;
@@ -509,6 +801,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             Width = width,
             Height = height,
             Layers = 1,
+            MipLevels = mipLevels,
             Format = gpuFormat,
             IsArray = false
         };
@@ -516,7 +809,106 @@ public class WebGraphicsDriver : IGraphicsDriver
         return handle;
     }
 
-    public void UpdateTexture(nuint handle, in Vector2Int size, ReadOnlySpan<byte> data)
+    /// <summary>
+    /// Create an empty block-compressed texture (or texture array when layers > 1) in a
+    /// WebGPUTextureFormat compressed format. Fill each mip with UpdateTextureMip; returns 0
+    /// when the device lacks the format or the size isn't a whole number of blocks.
+    /// </summary>
+    public nuint CreateCompressedTexture(int width, int height, string format, int mipLevels = 1, int layers = 1, string? name = null)
+    {
+        var maxMipLevels = GetMipLevelCount(width, height);
+        mipLevels = mipLevels <= 0 ? maxMipLevels : Math.Min(mipLevels, maxMipLevels);
+
+        var jsTextureId = layers > 1
+            ? WebGPUInterop.CreateTextureArray(width, height, layers, format, name, mipLevels)
+            : WebGPUInterop.CreateTexture(width, height, format, (int)(WebGPUTextureUsage.TextureBinding | WebGPUTextureUsage.CopyDst), name, mipLevels);
+
+        if (jsTextureId <= 0)
+        {
+            Log.Error($"Failed to create {format} texture '{name}' ({width}x{height})");
+            return 0;
+        }
+
+        var handle = (nuint)_nextTextureId++;
+        _textures[handle] = new TextureInfo
+        {
+            JsTextureId = jsTextureId,
+            Width = width,
+            Height = height,
+            Layers = layers,
+            MipLevels = mipLevels,
+            Format = format,
+            IsArray = layers > 1
+        };
+
+        return handle;
+    }
+
+    /// <summary>
+    /// Upload one mip level of one layer. data must cover the whole mip (width >> mipLevel by height >> mipLevel).
+    /// The other mips are left as they are, unlike UpdateTexture.
+    /// </summary>
+    public void UpdateTextureMip(nuint handle, int mipLevel, int layer, ReadOnlySpan<byte> data)
+    {
+        if (!_textures.TryGetValue(handle, out var textureInfo))
+        {
+            Log.Error($"Texture {handle} not found");
+            return;
+        }
+
+        if (mipLevel < 0 || mipLevel >= textureInfo.MipLevels || layer < 0 || layer >= textureInfo.Layers)
+        {
+            Log.Error($"Texture {handle}: mip {mipLevel} / layer {layer} out of range ({textureInfo.MipLevels} mips, {textureInfo.Layers} layers)");
+            return;
+        }
+
+        var width = Math.Max(1, textureInfo.Width >> mipLevel);
+        var height = Math.Max(1, textureInfo.Height >> mipLevel);
+
+        // Compressed rows are derived from the block size on the JS side
+        var bytesPerRow = WebGPUTextureFormat.IsCompressed(textureInfo.Format) ? 0 : width * GetBytesPerPixel(textureInfo.Format);
+
+        var segment = ArrayPool<byte>.Shared.RentAndCopy(data, out var rented);
+        try
+        {
+            WebGPUInterop.WriteTextureRegion(textureInfo.JsTextureId, segment, 0, 0, width, height, bytesPerRow, layer, mipLevel);
+        }
+        finally
+        {
+            if (rented.Length > 0) ArrayPool<byte>.Shared.Return(rented);
+        }
+    }
+
+    /// <summary>
+    /// Regenerate mips 1..n from mip 0 on the GPU, for one layer or all layers (layer = -1).
+    /// Set premultipliedAlpha when the texture already stores premultiplied color; straight
+    /// alpha textures are premultiplied while filtering so transparent texels don't darken edges.
+    /// </summary>
+    public void GenerateMipmaps(nuint handle, bool premultipliedAlpha = false, int layer = -1)
+    {
+        if (!_textures.TryGetValue(handle, out var textureInfo))
+        {
+            Log.Error($"Texture {handle} not found");
+            return;
+        }
+
+        if (textureInfo.MipLevels < 2)
+            return;
+
+        if (WebGPUTextureFormat.IsCompressed(textureInfo.Format))
+        {
+            Log.Error($"Texture {handle}: mipmaps can't be generated for {textureInfo.Format}, upload them with UpdateTextureMip");
+            return;
+        }
+
+        WebGPUInterop.GenerateMipmaps(textureInfo.JsTextureId, premultipliedAlpha, layer);
+    }
+
+    /// <summary>
+    /// Replace mip 0. On a mipped texture the rest of the chain is regenerated from it like at
+    /// creation (straight alpha); call GenerateMipmaps afterwards for premultiplied content.
+    /// </summary>
+    public unsafe void UpdateTexture(nuint handle, in Vector2Int size, ReadOnlySpan<byte> data)
     {
         if (!_textures.TryGetValue(handle, out var textureInfo))
         {
@@ -532,18 +924,36 @@ public class WebGraphicsDriver : IGraphicsDriver
             _ => 4
         };
 
-        var segment = ArrayPool<byte>.Shared.RentAndCopy(data, out var rented);
-        try
+        var uploaded = false;
+        if (_zeroCopyUploads)
         {
-            WebGPUInterop.WriteTexture(textureInfo.JsTextureId, segment, size.X, size.Y, size.X * bytesPerPixel, 0);
+            fixed (byte* ptr = data)
+                uploaded = WebGPUInterop.WriteTextureHeap(textureInfo.JsTextureId, (nint)ptr, data.Length, 0, 0, size.X, size.Y, size.X * bytesPerPixel, 0, 0);
+
+            if (!uploaded)
+                OnHeapAccessFailed();
         }
-        finally
+
+        if (!uploaded)
         {
-            if (rented.Length > 0) ArrayPool<byte>.Shared.Return(rented);
+            var segment = ArrayPool<byte>.Shared.RentAndCopy(data, out var rented);
+            try
+            {
+                WebGPUInterop.WriteTexture(textureInfo.JsTextureId, segment, size.X, size.Y, size.X * bytesPerPixel, 0);
+            }
+            finally
+            {
+                if (rented.Length > 0) ArrayPool<byte>.Shared.Return(rented);
+            }
         }
+
+        RegenerateMipmaps(textureInfo);
     }
 
-    public void UpdateTextureRegion(nuint handle, in RectInt region, ReadOnlySpan<byte> data, int srcWidth = -1)
+    /// <summary>
+    /// Replace a region of mip 0, regenerating the rest of the chain like UpdateTexture.
+    /// </summary>
+    public unsafe void UpdateTextureRegion(nuint handle, in RectInt region, ReadOnlySpan<byte> data, int srcWidth = -1)
     {
         if (!_textures.TryGetValue(handle, out var textureInfo))
         {
@@ -560,21 +970,45 @@ public class WebGraphicsDriver : IGraphicsDriver
         };
 
         var rowWidth = srcWidth < 0 ? region.Width : srcWidth;
-        var segment = ArrayPool<byte>.Shared.RentAndCopy(data, out var rented);
-        try
+
+        var uploaded = false;
+        if (_zeroCopyUploads)
         {
-            WebGPUInterop.WriteTextureRegion(textureInfo.JsTextureId, segment, region.X, region.Y, region.Width, region.Height, rowWidth * bytesPerPixel);
+            fixed (byte* ptr = data)
+                uploaded = WebGPUInterop.WriteTextureHeap(textureInfo.JsTextureId, (nint)ptr, data.Length, region.X, region.Y, region.Width, region.Height, rowWidth * bytesPerPixel, 0, 0);
+
+            if (!uploaded)
+                OnHeapAccessFailed();
         }
-        finally
+
+        if (!uploaded)
         {
-            if (rented.Length > 0) ArrayPool<byte>.Shared.Return(rented);
+            var segment = ArrayPool<byte>.Shared.RentAndCopy(data, out var rented);
+            try
+            {
+                WebGPUInterop.WriteTextureRegion(textureInfo.JsTextureId, segment, region.X, region.Y, region.Width, region.Height, rowWidth * bytesPerPixel);
+            }
+            finally
+            {
+                if (rented.Length > 0) ArrayPool<byte>.Shared.Return(rented);
+            }
         }
+
+        RegenerateMipmaps(textureInfo);
+    }
+
+    // Keep mips 1..n in step with a mip 0 write; compressed chains are uploaded per mip instead
+    private static void RegenerateMipmaps(in TextureInfo textureInfo)
+    {
+        if (textureInfo.MipLevels > 1 && !WebGPUTextureFormat.IsCompressed(textureInfo.Format))
+            WebGPUInterop.GenerateMipmaps(textureInfo.JsTextureId, false, -1);
     }
 
     public void DestroyTexture(nuint handle)
     {
         if (_textures.TryGetValue(handle, out var texture))
         {
+            ReleaseComputeBindGroups(handle, texture: true);
             WebGPUInterop.DestroyTexture(texture.JsTextureId);
             _textures.Remove(handle);
         }
@@ -596,6 +1030,70 @@ public class WebGraphicsDriver : IGraphicsDriver
         _state.BindGroupDirty = true;
     }
 
+    // ============================================================================
+    // Sampler Management
+    // ============================================================================
+
+    /// <summary>
+    /// Create a sampler. Identical descriptors share one sampler on the JS side, so every
+    /// CreateSampler must be matched by a DestroySampler.
+    /// </summary>
+    public nuint CreateSampler(in WebGPUSamplerDescriptor descriptor, string? name = null)
+    {
+        var handle = (nuint)WebGPUInterop.CreateSampler(JSObjectHelper.CreateSamplerDescriptor(descriptor, name));
+        if (descriptor.Compare != null)
+            _comparisonSamplers[handle] = _comparisonSamplers.GetValueOrDefault(handle) + 1;
+        return handle;
+    }
+
+    public void DestroySampler(nuint handle)
+    {
+        if (handle == 0)
+            return;
+
+        WebGPUInterop.DestroySampler((int)handle);
+
+        if (_comparisonSamplers.TryGetValue(handle, out var count))
+        {
+            if (count > 1)
+                _comparisonSamplers[handle] = count - 1;
+            else
+                _comparisonSamplers.Remove(handle);
+        }
+
+        for (int i = 0; i < _state.BoundSamplers.Length; i++)
+        {
+            if (_state.BoundSamplers[i] == handle)
+                _state.BoundSamplers[i] = 0;
+        }
+    }
+
+    /// <summary>
+    /// Sample the texture in the given slot with a sampler from CreateSampler instead of the
+    /// filter passed to BindTexture. Pass 0 to go back to the filter. Shader layouts declare
+    /// filtering samplers, so comparison samplers are rejected here; bind those to compute shaders.
+    /// </summary>
+    public void BindSampler(nuint sampler, int slot)
+    {
+        if (slot < 0 || slot >= 8)
+        {
+            Log.Error($"Sampler slot {slot} out of range (0-7)!");
+            return;
+        }
+
+        if (_comparisonSamplers.ContainsKey(sampler))
+        {
+            Log.Error($"Sampler {sampler} is a comparison sampler, shaders only take filtering samplers (slot {slot})");
+            return;
+        }
+
+        if (_state.BoundSamplers[slot] == sampler)
+            return;
+
+        _state.BoundSamplers[slot] = sampler;
+        _state.BindGroupDirty = true;
+    }
+
     // ============================================================================
     // Texture Array Management
     // ============================================================================
@@ -611,6 +1109,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             Width = width,
             Height = height,
             Layers = layers,
+            MipLevels = 1,
             Format = WebGPUTextureFormat.RGBA8,
             IsArray = true
         };
@@ -618,12 +1117,26 @@ public class WebGraphicsDriver : IGraphicsDriver
         return handle;
     }
 
-    public nuint CreateTextureArray(int width, int height, byte[][] layerData, TextureFormat format, TextureFilter filter, string? name = null)
+    public nuint CreateTextureArray(int width, int height, byte[][] layerData, TextureFormat format, TextureFilter filter, string? name = null) =>
+        CreateTextureArray(width, height, layerData, format, filter, 1, name);
+
+    /// <summary>
+    /// Create a texture array with mipLevels mips per layer (0 = full chain), generated from layerData.
+    /// storage makes it writable from compute shaders, as for CreateTexture.
+    /// </summary>
+    public nuint CreateTextureArray(int width, int height, byte[][] layerData, TextureFormat format, TextureFilter filter, int mipLevels, string? name = null, bool storage = false)
     {
         var gpuFormat = MapTextureFormat(format);
         var layers = layerData.Length;
+        var maxMipLevels = GetMipLevelCount(width, height);
+        mipLevels = mipLevels <= 0 ? maxMipLevels : Math.Min(mipLevels, maxMipLevels);
 
-        var jsTextureId = WebGPUInterop.CreateTextureArray(width, height, layers, gpuFormat, name);
+        var jsTextureId = WebGPUInterop.CreateTextureArray(width, height, layers, gpuFormat, name, mipLevels, storage);
+        if (jsTextureId <= 0)
+        {
+            Log.Error($"Failed to create {gpuFormat} texture array '{name}' ({width}x{height}x{layers})");
+            return 0;
+        }
 
         var bytesPerPixel = GetBytesPerPixel(format);
         for (int i = 0; i < layers; i++)
@@ -631,6 +1144,9 @@ public class WebGraphicsDriver : IGraphicsDriver
             WebGPUInterop.WriteTexture(jsTextureId, new ArraySegment<byte>(layerData[i]), width, height, width * bytesPerPixel, i);
         }
 
+        if (mipLevels > 1)
+            WebGPUInterop.GenerateMipmaps(jsTextureId, false, -1);
+
         var handle = (nuint)_nextTextureId++;
         _textures[handle] = new TextureInfo
         {
@@ -638,6 +1154,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             Width = width,
             Height = height,
             Layers = layers,
+            MipLevels = mipLevels,
             Format = gpuFormat,
             IsArray = true
         };
@@ -748,11 +1265,9 @@ public class WebGraphicsDriver : IGraphicsDriver
     {
         if (_shaders.TryGetValue(handle, out var shader))
         {
-            // Destroy cached pipelines
+            // Release cached pipelines (other shaders may share them)
             foreach (var pipelineId in shader.PsoCache.Values)
-            {
-                WebGPUInterop.DestroyRenderPipeline(pipelineId);
-            }
+                ReleaseRenderPipeline(pipelineId);
 
             // Destroy per-shader uniform buffers
             foreach (var bufferId in shader.UniformBuffers.Values)
@@ -799,6 +1314,26 @@ public class WebGraphicsDriver : IGraphicsDriver
         _state.BindGroupDirty = true;
     }
 
+    /// <summary>
+    /// Depth/stencil state for subsequent draws. Ignored by passes without a depth attachment.
+    /// </summary>
+    public void SetDepthStencilState(in WebGPUDepthStencilState state)
+    {
+        if (_depthStencil.Equals(state))
+            return;
+
+        _depthStencil = state;
+        _state.PipelineDirty = true;
+    }
+
+    public void SetStencilReference(int reference)
+    {
+        if (RejectInRenderBundle("SetStencilReference"))
+            return;
+
+        EmitCmd(CMD_SET_STENCIL_REF, reference);
+    }
+
     public void SetUniform(string name, ReadOnlySpan<byte> data)
     {
         if (!_uniformData.TryGetValue(name, out var existing) || existing.Length != data.Length)
@@ -818,18 +1353,29 @@ public class WebGraphicsDriver : IGraphicsDriver
         {
             var bufferId = WebGPUInterop.CreateBuffer(GlobalsBufferSize, (int)(WebGPUBufferUsage.Uniform | WebGPUBufferUsage.CopyDst), $"globals_{_globalsBufferCount}");
             _globalsBuffers[_globalsBufferCount] = bufferId;
+            _globalsData[_globalsBufferCount] = new byte[GlobalsBufferSize];
             _globalsBufferCount++;
         }
     }
 
-    public void SetGlobals(int index, ReadOnlySpan<byte> data)
+    public unsafe void SetGlobals(int index, ReadOnlySpan<byte> data)
     {
         if (index < 0 || index >= _globalsBufferCount)
             return;
 
-        // Copy to pre-allocated buffer to avoid allocation
-        data.CopyTo(_globalsWriteBuffer);
-        WebGPUInterop.WriteBuffer(_globalsBuffers[index], 0, new ArraySegment<byte>(_globalsWriteBuffer, 0, data.Length));
+        data.CopyTo(_globalsData[index]);
+
+        if (_zeroCopyUploads)
+        {
+            fixed (byte* ptr = data)
+            {
+                if (WebGPUInterop.WriteBufferHeap(_globalsBuffers[index], 0, (nint)ptr, data.Length))
+                    return;
+            }
+            OnHeapAccessFailed();
+        }
+
+        WebGPUInterop.WriteBuffer(_globalsBuffers[index], 0, new ArraySegment<byte>(_globalsData[index], 0, data.Length));
     }
 
     public void BindGlobals(int index)
@@ -846,11 +1392,155 @@ public class WebGraphicsDriver : IGraphicsDriver
     // ============================================================================
 
     public void DrawElements(int firstIndex, int indexCount, int baseVertex = 0)
+    {
+        if (!ApplyDrawState())
+            return;
+
+        EmitCmd(CMD_DRAW_INDEXED, indexCount, 1, firstIndex, baseVertex, 0);
+    }
+
+    public void DrawElementsInstanced(int firstIndex, int indexCount, int instanceCount, int baseVertex = 0, int firstInstance = 0)
+    {
+        if (!ApplyDrawState())
+            return;
+
+        EmitCmd(CMD_DRAW_INDEXED, indexCount, instanceCount, firstIndex, baseVertex, firstInstance);
+    }
+
+    /// <summary>
+    /// Non-indexed draw from the bound mesh's vertex buffer.
+    /// </summary>
+    public void DrawArrays(int firstVertex, int vertexCount, int instanceCount = 1, int firstInstance = 0)
+    {
+        if (!ApplyDrawState())
+            return;
+
+        EmitCmd(CMD_DRAW, vertexCount, instanceCount, firstVertex, firstInstance);
+    }
+
+    /// <summary>
+    /// Draw with arguments (vertexCount, instanceCount, firstVertex, firstInstance) read from
+    /// a storage buffer created with indirect usage.
+    /// </summary>
+    public void DrawArraysIndirect(nuint argsBuffer, int offset = 0)
+    {
+        if (!_buffers.TryGetValue(argsBuffer, out var args))
+        {
+            Log.Error($"Indirect buffer {argsBuffer} not found");
+            return;
+        }
+
+        if (!ApplyDrawState())
+            return;
+
+        EmitCmd(CMD_DRAW_INDIRECT, args.JsBufferId, offset);
+    }
+
+    /// <summary>
+    /// Indexed draw with arguments (indexCount, instanceCount, firstIndex, baseVertex, firstInstance)
+    /// read from a storage buffer created with indirect usage.
+    /// </summary>
+    public void DrawElementsIndirect(nuint argsBuffer, int offset = 0)
+    {
+        if (!_buffers.TryGetValue(argsBuffer, out var args))
+        {
+            Log.Error($"Indirect buffer {argsBuffer} not found");
+            return;
+        }
+
+        if (!ApplyDrawState())
+            return;
+
+        EmitCmd(CMD_DRAW_INDEXED_INDIRECT, args.JsBufferId, offset);
+    }
+
+    /// <summary>
+    /// Constant color used by pipelines whose blend factors reference it.
+    /// </summary>
+    public void SetBlendConstant(Color color)
+    {
+        if (RejectInRenderBundle("SetBlendConstant"))
+            return;
+
+        EmitCmd(
+            CMD_SET_BLEND_CONSTANT,
+            BitConverter.SingleToInt32Bits(color.R),
+            BitConverter.SingleToInt32Bits(color.G),
+            BitConverter.SingleToInt32Bits(color.B),
+            BitConverter.SingleToInt32Bits(color.A));
+    }
+
+    /// <summary>
+    /// Bind a JS bind group whose layout has dynamic-offset buffer entries. Slot 0 is
+    /// owned by the driver's shader bindings.
+    /// </summary>
+    public void SetBindGroup(int slot, int bindGroupId, ReadOnlySpan<uint> dynamicOffsets)
+    {
+        EnsureCmdCapacity(4 + dynamicOffsets.Length);
+        _cmdBuffer[_cmdPos++] = CMD_SET_BIND_GROUP_DYNAMIC;
+        _cmdBuffer[_cmdPos++] = slot;
+        _cmdBuffer[_cmdPos++] = bindGroupId;
+        _cmdBuffer[_cmdPos++] = dynamicOffsets.Length;
+        MemoryMarshal.Cast<uint, int>(dynamicOffsets).CopyTo(_cmdBuffer.AsSpan(_cmdPos));
+        _cmdPos += dynamicOffsets.Length;
+    }
+
+    /// <summary>
+    /// Write small payloads to a buffer through the command stream instead of a separate
+    /// interop call. Only valid between passes: the writes are batched and flushed when the
+    /// next pass (or the frame's end) comes, then copied into place in frame order, so
+    /// passes recorded before the write see the old contents and later passes the new.
+    /// Inside a pass use UpdateUniformBuffer, whose data every draw of the frame sees.
+    /// </summary>
+    public void WriteBufferInline(nuint buffer, int offset, ReadOnlySpan<byte> data)
+    {
+        if (RejectInRenderBundle("WriteBufferInline"))
+            return;
+
+        if (_passOpen)
+        {
+            Log.Error("WriteBufferInline can't be called inside a pass, write between passes or use UpdateUniformBuffer");
+            return;
+        }
+
+        if (!_buffers.TryGetValue(buffer, out var info))
+        {
+            Log.Error($"Buffer {buffer} not found");
+            return;
+        }
+
+        // WebGPU requires 4 byte aligned offsets and sizes for queue writes
+        if ((offset & 3) != 0 || (data.Length & 3) != 0)
+        {
+            Log.Error($"Inline buffer write must be 4 byte aligned (offset {offset}, size {data.Length})");
+            return;
+        }
+
+        var words = data.Length >> 2;
+        EnsureCmdCapacity(4 + words);
+        _cmdBuffer[_cmdPos++] = CMD_WRITE_BUFFER;
+        _cmdBuffer[_cmdPos++] = info.JsBufferId;
+        _cmdBuffer[_cmdPos++] = offset;
+        _cmdBuffer[_cmdPos++] = data.Length;
+        data.CopyTo(MemoryMarshal.AsBytes(_cmdBuffer.AsSpan(_cmdPos, words)));
+        _cmdPos += words;
+    }
+
+    // Returns false when the draw must be skipped because its pipeline is still compiling
+    private bool ApplyDrawState()
     {
         // Update pipeline if needed
         if (_state.PipelineDirty)
         {
             var pipelineId = GetOrCreatePipeline(_state.BoundShader, _state.BlendMode, _meshes[_state.BoundMesh].Stride);
+
+            // PipelineDirty stays set so the next draw checks again
+            if (_pendingPipelines.Contains(pipelineId))
+            {
+                _renderBundleIncomplete |= _recordingRenderBundle;
+                return false;
+            }
+
             if (pipelineId > 0)
             {
                 EmitCmd(CMD_SET_PIPELINE, pipelineId);
@@ -906,14 +1596,29 @@ public class WebGraphicsDriver : IGraphicsDriver
             scissorRect = new RectInt(0, 0, width, height);
         }
 
+        if (_state.PassClipRect.Width > 0)
+            scissorRect = ClipToPassRect(scissorRect, _state.PassClipRect);
+
+        // Bundles draw with the scissor of the pass that executes them
+        if (_recordingRenderBundle)
+            return true;
+
         if (scissorRect != _state.LastSetScissor)
         {
             EmitCmd(CMD_SET_SCISSOR, scissorRect.X, scissorRect.Y, scissorRect.Width, scissorRect.Height);
             _state.LastSetScissor = scissorRect;
         }
 
-        // Draw
-        EmitCmd(CMD_DRAW_INDEXED, indexCount, 1, firstIndex, baseVertex, 0);
+        return true;
+    }
+
+    private static RectInt ClipToPassRect(in RectInt rect, in RectInt clip)
+    {
+        var minX = Math.Max(rect.X, clip.X);
+        var minY = Math.Max(rect.Y, clip.Y);
+        var maxX = Math.Min(rect.X + rect.Width, clip.X + clip.Width);
+        var maxY = Math.Min(rect.Y + rect.Height, clip.Y + clip.Height);
+        return new RectInt(minX, minY, Math.Max(0, maxX - minX), Math.Max(0, maxY - minY));
     }
 
     private int GetOrCreatePipeline(nuint shaderHandle, BlendMode blendMode, int vertexStride)
@@ -930,7 +1635,10 @@ public class WebGraphicsDriver : IGraphicsDriver
             BlendMode = blendMode,
             VertexStride = vertexStride,
             MsaaSamples = _state.CurrentPassSampleCount,
-            ColorFormat = _state.CurrentPassFormat
+            ColorFormat = _state.CurrentPassFormat,
+            DepthFormat = _state.CurrentPassDepthFormat,
+            DepthStencil = _state.CurrentPassDepthFormat.Length > 0 ? _depthStencil : default,
+            TargetGroup = _state.CurrentPassTargetGroup
         };
 
         if (shader.PsoCache.TryGetValue(key, out var pipelineId))
@@ -946,10 +1654,13 @@ public class WebGraphicsDriver : IGraphicsDriver
             blendMode,
             _state.CurrentPassSampleCount,
             _state.CurrentPassFormat,
-            $"{shader.Name}_{blendMode}_{vertexStride}b_{key.MsaaSamples}x"
+            $"{shader.Name}_{blendMode}_{vertexStride}b_{key.MsaaSamples}x",
+            key.DepthFormat,
+            key.DepthStencil,
+            key.TargetGroup != 0 ? CreateTargetGroupTargetsJson(key.TargetGroup, blendMode) : null
         );
 
-        pipelineId = WebGPUInterop.CreateRenderPipeline(descriptor);
+        pipelineId = CreateRenderPipeline(descriptor);
         shader.PsoCache[key] = pipelineId;
 
         return pipelineId;
@@ -969,6 +1680,7 @@ public class WebGraphicsDriver : IGraphicsDriver
         {
             hash.Add(_state.BoundTextures[i]);
             hash.Add(_state.TextureFilters[i]);
+            hash.Add(_state.BoundSamplers[i]);
         }
         return hash.ToHashCode();
     }
@@ -1007,9 +1719,11 @@ public class WebGraphicsDriver : IGraphicsDriver
             WebGPUInterop.WriteBuffer(bufferId, 0, new ArraySegment<byte>(uniformData));
         }
 
-        // Check bind group cache (keyed on resource references, not buffer contents)
+        // Check bind group cache (keyed on resource references, not buffer contents).
+        // Bind groups recorded into a render bundle belong to it and outlive the frame.
+        var cache = _recordingRenderBundle ? _renderBundleBindGroups : _bindGroupCache;
         var cacheKey = ComputeBindGroupCacheKey();
-        if (_bindGroupCache.TryGetValue(cacheKey, out var cachedId))
+        if (cache.TryGetValue(cacheKey, out var cachedId))
             return cachedId;
 
         // Cache miss — build and create bind group
@@ -1031,7 +1745,13 @@ public class WebGraphicsDriver : IGraphicsDriver
                     int bufferId;
                     int bufferSize;
 
-                    if (binding.Name == "globals")
+                    if (binding.Name == "globals" && _recordingRenderBundle)
+                    {
+                        // Globals slots are reassigned every frame, so bundles read their own copy
+                        bufferId = GetRenderBundleGlobalsBuffer();
+                        bufferSize = GlobalsBufferSize;
+                    }
+                    else if (binding.Name == "globals")
                     {
                         if (_currentGlobalsIndex < 0 || _currentGlobalsIndex >= _globalsBufferCount)
                         {
@@ -1090,13 +1810,21 @@ public class WebGraphicsDriver : IGraphicsDriver
                 case ShaderBindingType.Sampler:
                 {
                     int textureSlot = GetTextureSlotForBinding(binding.Binding, shader);
-                    var slotFilter = textureSlot >= 0 ? _state.TextureFilters[textureSlot] : TextureFilter.Point;
-                    bool useLinear = slotFilter == TextureFilter.Linear;
+                    var sampler = textureSlot >= 0 ? _state.BoundSamplers[textureSlot] : 0;
 
                     _jsonBuilder.Append("{\"type\":\"sampler\",\"binding\":");
                     _jsonBuilder.Append(binding.Binding);
-                    _jsonBuilder.Append(",\"useLinear\":");
-                    _jsonBuilder.Append(useLinear ? "true" : "false");
+                    if (sampler != 0)
+                    {
+                        _jsonBuilder.Append(",\"samplerId\":");
+                        _jsonBuilder.Append(sampler);
+                    }
+                    else
+                    {
+                        var slotFilter = textureSlot >= 0 ? _state.TextureFilters[textureSlot] : TextureFilter.Point;
+                        _jsonBuilder.Append(",\"useLinear\":");
+                        _jsonBuilder.Append(slotFilter == TextureFilter.Linear ? "true" : "false");
+                    }
                     _jsonBuilder.Append('}');
                     break;
                 }
@@ -1106,8 +1834,8 @@ public class WebGraphicsDriver : IGraphicsDriver
         _jsonBuilder.Append(']');
         var bindGroupId = WebGPUInterop.CreateBindGroupFromJson(shader.BindGroupLayoutId, _jsonBuilder.ToString(), null);
 
-        // Cache the bind group (released at frame end via _bindGroupCache cleanup)
-        _bindGroupCache[cacheKey] = bindGroupId;
+        // Cache the bind group (released at frame end via _bindGroupCache cleanup, or with its render bundle)
+        cache[cacheKey] = bindGroupId;
         return bindGroupId;
     }
 
@@ -1149,8 +1877,12 @@ public class WebGraphicsDriver : IGraphicsDriver
 
     private void EnsureCmdCapacity(int needed)
     {
-        if (_cmdPos + needed > _cmdBuffer.Length)
-            Array.Resize(ref _cmdBuffer, _cmdBuffer.Length * 2);
+        var size = _cmdBuffer.Length;
+        while (_cmdPos + needed > size)
+            size *= 2;
+
+        if (size != _cmdBuffer.Length)
+            Array.Resize(ref _cmdBuffer, size);
     }
 
     private void EmitCmd(int op, int a0)
@@ -1189,11 +1921,31 @@ public class WebGraphicsDriver : IGraphicsDriver
         _cmdBuffer[_cmdPos++] = a4;
     }
 
-    private void FlushCommandBuffer()
+    private unsafe void FlushCommandBuffer()
     {
+        if (_recordingRenderBundle)
+        {
+            Log.Error("Render pass ended while recording a render bundle, recording discarded");
+            CancelRenderBundle();
+        }
+
         if (_cmdPos == 0)
             return;
 
+        if (_zeroCopyUploads)
+        {
+            bool executed;
+            fixed (int* ptr = _cmdBuffer)
+                executed = WebGPUInterop.ExecuteCommandBufferHeap((nint)ptr, _cmdPos);
+
+            if (executed)
+            {
+                _cmdPos = 0;
+                return;
+            }
+            OnHeapAccessFailed();
+        }
+
         var byteSpan = MemoryMarshal.AsBytes(_cmdBuffer.AsSpan(0, _cmdPos));
         var segment = ArrayPool<byte>.Shared.RentAndCopy(byteSpan, out var rented);
         try
@@ -1211,12 +1963,51 @@ public class WebGraphicsDriver : IGraphicsDriver
     // Render Passes
     // ============================================================================
 
+    /// <summary>
+    /// Give the scene pass a depth/stencil attachment of the given format (WebGPUTextureFormat),
+    /// or remove it with null. The attachment follows the surface size.
+    /// </summary>
+    public void SetSurfaceDepthFormat(string? format)
+    {
+        format ??= "";
+        if (format == _surfaceDepthFormat)
+            return;
+
+        if (_surfaceDepthTextureId != 0)
+        {
+            WebGPUInterop.DestroyTexture(_surfaceDepthTextureId);
+            _surfaceDepthTextureId = 0;
+        }
+
+        _surfaceDepthFormat = format;
+    }
+
+    private JSObject? GetSurfaceDepthAttachment(string loadOp)
+    {
+        if (_surfaceDepthFormat.Length == 0)
+            return null;
+
+        if (_surfaceDepthTextureId == 0 || _surfaceDepthWidth != _surfaceWidth || _surfaceDepthHeight != _surfaceHeight)
+        {
+            if (_surfaceDepthTextureId != 0)
+                WebGPUInterop.DestroyTexture(_surfaceDepthTextureId);
+
+            _surfaceDepthTextureId = WebGPUInterop.CreateDepthTexture(_surfaceWidth, _surfaceHeight, _surfaceDepthFormat, 1, "surface_depth");
+            _surfaceDepthWidth = _surfaceWidth;
+            _surfaceDepthHeight = _surfaceHeight;
+        }
+
+        // The scene pass clears or keeps depth and stencil together
+        return JSObjectHelper.CreateDepthAttachment(_surfaceDepthTextureId, loadOp, "store", loadOp, "store");
+    }
+
     public void BeginScenePass(Color clearColor)
     {
         // Reset all cached state — new render pass encoder needs everything rebound
         _state.Reset();
         _state.CurrentPassSampleCount = 1;
         _state.CurrentPassFormat = _surfaceFormat;
+        _state.CurrentPassDepthFormat = _surfaceDepthFormat;
         _currentGlobalsIndex = -1;
 
         _singleColorAttachment[0] = JSObjectHelper.CreateColorAttachment(
@@ -1227,7 +2018,9 @@ public class WebGraphicsDriver : IGraphicsDriver
             clearColor
         );
 
-        WebGPUInterop.BeginRenderPass(_singleColorAttachment, null, "ScenePass");
+        FlushCommandBuffer();
+        WebGPUInterop.BeginRenderPass(_singleColorAttachment, GetSurfaceDepthAttachment("clear"), "ScenePass");
+        _passOpen = true;
         WebGPUInterop.SetViewport(0, 0, _surfaceWidth, _surfaceHeight, 0, 1);
         WebGPUInterop.SetScissorRect(0, 0, _surfaceWidth, _surfaceHeight);
     }
@@ -1235,6 +2028,7 @@ public class WebGraphicsDriver : IGraphicsDriver
     public void EndScenePass()
     {
         FlushCommandBuffer();
+        _passOpen = false;
         WebGPUInterop.EndRenderPass();
     }
 
@@ -1244,6 +2038,7 @@ public class WebGraphicsDriver : IGraphicsDriver
         _state.Reset();
         _state.CurrentPassSampleCount = 1;
         _state.CurrentPassFormat = _surfaceFormat;
+        _state.CurrentPassDepthFormat = _surfaceDepthFormat;
         _currentGlobalsIndex = -1;
 
         _singleColorAttachment[0] = JSObjectHelper.CreateColorAttachment(
@@ -1254,7 +2049,9 @@ public class WebGraphicsDriver : IGraphicsDriver
             Color.Transparent // not used with "load"
         );
 
-        WebGPUInterop.BeginRenderPass(_singleColorAttachment, null, "ScenePass (resumed)");
+        FlushCommandBuffer();
+        WebGPUInterop.BeginRenderPass(_singleColorAttachment, GetSurfaceDepthAttachment("load"), "ScenePass (resumed)");
+        _passOpen = true;
         WebGPUInterop.SetViewport(0, 0, _surfaceWidth, _surfaceHeight, 0, 1);
         WebGPUInterop.SetScissorRect(0, 0, _surfaceWidth, _surfaceHeight);
     }
@@ -1273,14 +2070,28 @@ public class WebGraphicsDriver : IGraphicsDriver
         public int Height;
         public int SampleCount;
         public string Format;
+        public string DepthFormat;
     }
 
-    public nuint CreateRenderTexture(int width, int height, TextureFormat format = TextureFormat.BGRA8, int sampleCount = 1, string? name = null)
+    public nuint CreateRenderTexture(int width, int height, TextureFormat format = TextureFormat.BGRA8, int sampleCount = 1, string? name = null) =>
+        CreateRenderTexture(width, height, format, sampleCount, null, name);
+
+    /// <summary>
+    /// Create a render texture with an optional depth/stencil attachment (WebGPUTextureFormat depth format).
+    /// storage lets compute shaders write the (resolved) color texture; BGRA8 needs the
+    /// bgra8unorm-storage feature. Returns 0 when the format can't be a storage texture.
+    /// </summary>
+    public nuint CreateRenderTexture(int width, int height, TextureFormat format, int sampleCount, string? depthFormat, string? name = null, bool storage = false)
     {
         var gpuFormat = MapTextureFormat(format);
         // JS side allocates from shared nextTextureId and stores in both textures + renderTextures maps
-        // When sampleCount > 1, JS creates both MSAA and resolve textures
-        var jsTextureId = WebGPUInterop.CreateRenderTexture(width, height, gpuFormat, sampleCount, name);
+        // When sampleCount > 1, JS creates both MSAA and resolve textures (and a matching MSAA depth texture)
+        var jsTextureId = WebGPUInterop.CreateRenderTexture(width, height, gpuFormat, sampleCount, name, depthFormat, storage);
+        if (jsTextureId <= 0)
+        {
+            Log.Error($"Failed to create render texture '{name}' ({width}x{height})");
+            return 0;
+        }
 
         // Use shared handle space so RT handles work with BindTexture/CreateBindGroup
         var handle = (nuint)_nextTextureId++;
@@ -1290,7 +2101,8 @@ public class WebGraphicsDriver : IGraphicsDriver
             Width = width,
             Height = height,
             SampleCount = sampleCount,
-            Format = gpuFormat
+            Format = gpuFormat,
+            DepthFormat = depthFormat ?? ""
         };
 
         // Also store in _textures so CreateBindGroup can resolve the texture
@@ -1301,6 +2113,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             Width = width,
             Height = height,
             Layers = 1,
+            MipLevels = 1,
             Format = gpuFormat,
             IsArray = true  // Sprite shader expects texture_2d_array; JS side creates 2DArray view
         };
@@ -1312,34 +2125,26 @@ public class WebGraphicsDriver : IGraphicsDriver
     {
         if (_renderTextures.TryGetValue(handle, out var rt))
         {
+            ReleaseComputeBindGroups(handle, texture: true);
             WebGPUInterop.DestroyRenderTexture(rt.JsTextureId);
             _renderTextures.Remove(handle);
         }
         _textures.Remove(handle);
     }
 
-    public void BeginRenderTexturePass(nuint renderTexture, Color clearColor)
-    {
-        if (!_renderTextures.TryGetValue(renderTexture, out var rt))
-        {
-            Log.Error($"Render texture {renderTexture} not found");
-            return;
-        }
-
-        _activeRenderTexture = renderTexture;
-
-        // Reset all cached state — new render pass encoder needs everything rebound
-        _state.Reset();
-        _state.CurrentPassSampleCount = rt.SampleCount;
-        _state.CurrentPassFormat = rt.Format;
-        _currentGlobalsIndex = -1;
+    public void BeginRenderTexturePass(nuint renderTexture, Color clearColor) =>
+        BeginRenderTexturePass(renderTexture, WebGPUColorAttachmentOps.Clear(clearColor));
 
-        WebGPUInterop.BeginRenderTexturePass(rt.JsTextureId, clearColor.R, clearColor.G, clearColor.B, clearColor.A);
-        WebGPUInterop.SetViewport(0, 0, rt.Width, rt.Height, 0, 1);
-        WebGPUInterop.SetScissorRect(0, 0, rt.Width, rt.Height);
-    }
+    public void ResumeRenderTexturePass(nuint renderTexture) =>
+        BeginRenderTexturePass(renderTexture, WebGPUColorAttachmentOps.Load);
 
-    public void ResumeRenderTexturePass(nuint renderTexture)
+    /// <summary>
+    /// Begin a render texture pass with explicit load/store ops, e.g. loading the previous
+    /// contents to keep painting into the texture across frames. The pass is submitted before
+    /// the next pass or upload so uniforms written later in the frame don't reach its draws;
+    /// back-to-back passes on the same render texture share one submit.
+    /// </summary>
+    public void BeginRenderTexturePass(nuint renderTexture, in WebGPUColorAttachmentOps color, in WebGPURenderPassOps pass = default)
     {
         if (!_renderTextures.TryGetValue(renderTexture, out var rt))
         {
@@ -1349,27 +2154,40 @@ public class WebGraphicsDriver : IGraphicsDriver
 
         _activeRenderTexture = renderTexture;
 
+        // Reset all cached state — new render pass encoder needs everything rebound
         _state.Reset();
         _state.CurrentPassSampleCount = rt.SampleCount;
         _state.CurrentPassFormat = rt.Format;
+        _state.CurrentPassDepthFormat = rt.DepthFormat;
+        _state.PassClipRect = pass.ClipRect ?? default;
         _currentGlobalsIndex = -1;
 
-        _singleColorAttachment[0] = JSObjectHelper.CreateColorAttachment(
+        var clearColor = color.ClearColor;
+        FlushCommandBuffer();
+        WebGPUInterop.BeginRenderTexturePass(
             rt.JsTextureId,
-            0,
-            "load",
-            "store",
-            Color.Transparent
-        );
-
-        WebGPUInterop.BeginRenderPass(_singleColorAttachment, null, "RenderTexturePass (resumed)");
+            clearColor.R, clearColor.G, clearColor.B, clearColor.A,
+            color.LoadOp,
+            color.StoreOp,
+            pass.DepthLoadOp,
+            pass.DepthStoreOp,
+            pass.DepthClearValue ?? 1f,
+            pass.StencilLoadOp,
+            pass.StencilStoreOp,
+            pass.StencilClearValue);
+        _passOpen = true;
+
+        var scissor = _state.PassClipRect.Width > 0
+            ? ClipToPassRect(new RectInt(0, 0, rt.Width, rt.Height), _state.PassClipRect)
+            : new RectInt(0, 0, rt.Width, rt.Height);
         WebGPUInterop.SetViewport(0, 0, rt.Width, rt.Height, 0, 1);
-        WebGPUInterop.SetScissorRect(0, 0, rt.Width, rt.Height);
+        WebGPUInterop.SetScissorRect(scissor.X, scissor.Y, scissor.Width, scissor.Height);
     }
 
     public void EndRenderTexturePass()
     {
         FlushCommandBuffer();
+        _passOpen = false;
         _activeRenderTexture = 0;
         WebGPUInterop.EndRenderTexturePass();
     }
@@ -1382,11 +2200,7 @@ public class WebGraphicsDriver : IGraphicsDriver
             return Array.Empty<byte>();
         }
 
-        var size = await WebGPUInterop.ReadRenderTexturePixelsAsync(rt.JsTextureId);
-
-        // Copy directly from JS into managed buffer via MemoryView (no string encoding)
-        var result = new byte[size];
-        WebGPUInterop.CopyReadbackResult(rt.JsTextureId, new ArraySegment<byte>(result));
+        var result = await ReadTexturePixelsAsync(renderTexture);
 
         // Swizzle BGRA to RGBA if needed
         if (rt.Format == WebGPUTextureFormat.BGRA8)
@@ -1400,10 +2214,33 @@ public class WebGraphicsDriver : IGraphicsDriver
         return result;
     }
 
-    public Task<Color> ReadPixelAsync(nuint renderTexture, int x, int y)
+    public async Task<Color> ReadPixelAsync(nuint renderTexture, int x, int y)
     {
-        // TODO: implement single-pixel readback for web
-        return Task.FromResult(Color.Transparent);
+        if (!_renderTextures.TryGetValue(renderTexture, out var rt))
+        {
+            Log.Error($"Render texture {renderTexture} not found");
+            return Color.Transparent;
+        }
+
+        var pixel = await ReadTexturePixelsAsync(renderTexture, new RectInt(x, y, 1, 1));
+        if (pixel.Length == 0)
+            return Color.Transparent;
+
+        return rt.Format switch
+        {
+            WebGPUTextureFormat.RGBA32F => new Color(
+                BitConverter.ToSingle(pixel, 0),
+                BitConverter.ToSingle(pixel, 4),
+                BitConverter.ToSingle(pixel, 8),
+                BitConverter.ToSingle(pixel, 12)),
+            WebGPUTextureFormat.RGBA16F => new Color(
+                (float)BitConverter.ToHalf(pixel, 0),
+                (float)BitConverter.ToHalf(pixel, 2),
+                (float)BitConverter.ToHalf(pixel, 4),
+                (float)BitConverter.ToHalf(pixel, 6)),
+            WebGPUTextureFormat.R8 => new Color(pixel[0] / 255f, 0f, 0f, 1f),
+            _ => new Color(pixel[0] / 255f, pixel[1] / 255f, pixel[2] / 255f, pixel[3] / 255f)
+        };
     }
 
 }
@@ -0,0 +1,170 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using Microsoft.JSInterop;
+
+namespace NoZ.Platform.Web;
+
+public partial class WebPlatform
+{
+    public const int MaxGamepads = 4;
+
+    // Gamepad API standard mapping button order
+    private static readonly InputCode[] StandardButtons =
+    [
+        InputCode.GamepadA,
+        InputCode.GamepadB,
+        InputCode.GamepadX,
+        InputCode.GamepadY,
+        InputCode.GamepadLeftShoulder,
+        InputCode.GamepadRightShoulder,
+        InputCode.GamepadLeftTriggerButton,
+        InputCode.GamepadRightTriggerButton,
+        InputCode.GamepadBack,
+        InputCode.GamepadStart,
+        InputCode.GamepadLeftStickButton,
+        InputCode.GamepadRightStickButton,
+        InputCode.GamepadDpadUp,
+        InputCode.GamepadDpadDown,
+        InputCode.GamepadDpadLeft,
+        InputCode.GamepadDpadRight,
+        InputCode.GamepadGuide,
+    ];
+
+    // Axis order sent by noz-gamepad.js
+    private static readonly InputCode[] StandardAxes =
+    [
+        InputCode.GamepadLeftStickX,
+        InputCode.GamepadLeftStickY,
+        InputCode.GamepadRightStickX,
+        InputCode.GamepadRightStickY,
+        InputCode.GamepadLeftTrigger,
+        InputCode.GamepadRightTrigger,
+    ];
+
+    private static readonly InputCode[][] PadButtons = BuildPadCodes(StandardButtons);
+    private static readonly InputCode[][] PadAxes = BuildPadCodes(StandardAxes);
+
+    private readonly string?[] _gamepadNames = new string?[MaxGamepads];
+    private readonly int[] _gamepadButtonHolders = new int[StandardButtons.Length];   // Bit per slot holding the button
+
+    /// <summary>
+    /// Slot (0-3, matching the Gamepad1-Gamepad4 input codes), the browser's id string and
+    /// whether the browser maps it to the standard layout. Non-standard pads report raw
+    /// button and axis indices, so their layout may not match.
+    /// </summary>
+    public event Action<int, string, bool>? OnGamepadConnected;
+
+    public event Action<int>? OnGamepadDisconnected;
+
+    public bool IsGamepadConnected(int index) =>
+        (uint)index < MaxGamepads && _gamepadNames[index] != null;
+
+    public string? GetGamepadName(int index) =>
+        (uint)index < MaxGamepads ? _gamepadNames[index] : null;
+
+    /// <summary>
+    /// Radial stick deadzone and trigger deadzone, both 0..1. Defaults are 0.15 and 0.05.
+    /// </summary>
+    public void SetGamepadDeadzone(float stick, float trigger)
+    {
+        _module?.InvokeVoidAsync("setGamepadDeadzone", stick, trigger);
+    }
+
+    /// <summary>
+    /// Rumble through the pad's vibrationActuator. strong drives the low-frequency motor and
+    /// weak the high-frequency one, both 0..1. Does nothing on pads or browsers without
+    /// dual-rumble support.
+    /// </summary>
+    public void VibrateGamepad(int index, float strong, float weak, int durationMs)
+    {
+        if (IsGamepadConnected(index))
+            _module?.InvokeVoidAsync("vibrateGamepad", index, strong, weak, durationMs);
+    }
+
+    public void StopGamepadVibration(int index)
+    {
+        if (IsGamepadConnected(index))
+            _module?.InvokeVoidAsync("stopGamepadVibration", index);
+    }
+
+    // GamepadA -> Gamepad1A ... Gamepad4A. Codes the per-pad sets don't have stay None.
+    private static InputCode[][] BuildPadCodes(InputCode[] codes)
+    {
+        var padCodes = new InputCode[MaxGamepads][];
+        for (var pad = 0; pad < MaxGamepads; pad++)
+        {
+            padCodes[pad] = new InputCode[codes.Length];
+            for (var i = 0; i < codes.Length; i++)
+            {
+                var name = $"Gamepad{pad + 1}{codes[i].ToString()["Gamepad".Length..]}";
+                padCodes[pad][i] = Enum.TryParse<InputCode>(name, out var code) ? code : InputCode.None;
+            }
+        }
+        return padCodes;
+    }
+
+    // Called from JavaScript
+
+    [JSInvokable]
+    public void OnGamepadAdded(int index, string name, bool standard)
+    {
+        if ((uint)index >= MaxGamepads)
+            return;
+
+        _gamepadNames[index] = name;
+        _callbackQueue.Enqueue(() => OnGamepadConnected?.Invoke(index, name, standard));
+    }
+
+    [JSInvokable]
+    public void OnGamepadRemoved(int index)
+    {
+        if ((uint)index >= MaxGamepads)
+            return;
+
+        _gamepadNames[index] = null;
+        _callbackQueue.Enqueue(() => OnGamepadDisconnected?.Invoke(index));
+    }
+
+    [JSInvokable]
+    public void OnGamepadButton(int index, int button, bool pressed)
+    {
+        if ((uint)index >= MaxGamepads || (uint)button >= StandardButtons.Length)
+            return;
+
+        var padCode = PadButtons[index][button];
+        if (padCode != InputCode.None)
+            _eventQueue.Enqueue(pressed ? PlatformEvent.GamepadDown(padCode) : PlatformEvent.GamepadUp(padCode));
+
+        // Input derives the generic trigger buttons from the trigger axes
+        var code = StandardButtons[button];
+        if (code == InputCode.GamepadLeftTriggerButton || code == InputCode.GamepadRightTriggerButton)
+            return;
+
+        // The generic code is held while any pad holds it, so one pad releasing
+        // doesn't cancel another's press
+        var holders = _gamepadButtonHolders[button];
+        var newHolders = pressed ? holders | (1 << index) : holders & ~(1 << index);
+        _gamepadButtonHolders[button] = newHolders;
+        if ((holders == 0) != (newHolders == 0))
+            _eventQueue.Enqueue(pressed ? PlatformEvent.GamepadDown(code) : PlatformEvent.GamepadUp(code));
+    }
+
+    [JSInvokable]
+    public void OnGamepadAxis(int index, int axis, float value)
+    {
+        if ((uint)index >= MaxGamepads || (uint)axis >= StandardAxes.Length)
+            return;
+
+        var padCode = PadAxes[index][axis];
+        if (padCode != InputCode.None)
+            _eventQueue.Enqueue(PlatformEvent.GamepadAxisMove(padCode, value));
+
+        // Triggers arrive as 0..1; Input remaps the generic triggers from -1..1
+        var code = StandardAxes[axis];
+        if (code == InputCode.GamepadLeftTrigger || code == InputCode.GamepadRightTrigger)
+            value = value * 2f - 1f;
+        _eventQueue.Enqueue(PlatformEvent.GamepadAxisMove(code, value));
+    }
+}
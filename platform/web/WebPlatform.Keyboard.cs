@@ -0,0 +1,292 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using Microsoft.JSInterop;
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// A browser key event. Code is the physical key (KeyboardEvent.code, e.g. "KeyW" on every
+/// layout), Key the character or name it produces on the current layout (KeyboardEvent.key).
+/// </summary>
+public readonly record struct WebKeyEvent(string Code, string Key, bool Down, bool Repeat);
+
+public partial class WebPlatform
+{
+    private bool _textboxVisible;
+
+    public bool IsTextboxVisible => _textboxVisible;
+
+    /// <summary>
+    /// Raised for every key down, repeat and up. The engine's InputCodes come from Code, so
+    /// bindings stay on the same physical keys on any layout; use Key for shortcuts that should
+    /// follow the printed character.
+    /// </summary>
+    public event Action<WebKeyEvent>? OnKey;
+
+    /// <summary>
+    /// IME preedit string while a composition is in progress, empty otherwise. The committed
+    /// text arrives as a normal TextInput event.
+    /// </summary>
+    public string CompositionText { get; private set; } = "";
+
+    public event Action<string>? OnTextComposition;
+
+    // The engine edits the text itself; the browser side is a hidden input element placed over
+    // rect so the IME candidate window and on-screen keyboard appear in the right place
+    public void ShowTextbox(Rect rect, string text, NativeTextboxStyle style)
+    {
+        _textboxVisible = true;
+        _module?.InvokeVoidAsync("showTextbox", rect.X, rect.Y, rect.Width, rect.Height, style.FontSize);
+    }
+
+    public void HideTextbox()
+    {
+        if (!_textboxVisible)
+            return;
+
+        _textboxVisible = false;
+        _module?.InvokeVoidAsync("hideTextbox");
+    }
+
+    public void UpdateTextboxRect(Rect rect, int fontSize)
+    {
+        if (_textboxVisible)
+            _module?.InvokeVoidAsync("positionTextbox", rect.X, rect.Y, rect.Width, rect.Height, fontSize);
+    }
+
+    public bool UpdateTextboxText(ref string text) => false;
+
+    // Called from JavaScript
+
+    [JSInvokable]
+    public void OnKeyDown(string code, string key, bool repeat)
+    {
+        // Input generates its own repeats from the held state
+        var inputCode = KeyEventToInputCode(code, key);
+        if (!repeat && inputCode != InputCode.None)
+            _eventQueue.Enqueue(PlatformEvent.KeyDown(inputCode));
+
+        var evt = new WebKeyEvent(code, key, true, repeat);
+        _callbackQueue.Enqueue(() => OnKey?.Invoke(evt));
+    }
+
+    [JSInvokable]
+    public void OnKeyUp(string code, string key)
+    {
+        var inputCode = KeyEventToInputCode(code, key);
+        if (inputCode != InputCode.None)
+            _eventQueue.Enqueue(PlatformEvent.KeyUp(inputCode));
+
+        var evt = new WebKeyEvent(code, key, false, false);
+        _callbackQueue.Enqueue(() => OnKey?.Invoke(evt));
+    }
+
+    [JSInvokable]
+    public void OnTextInput(string text)
+    {
+        _eventQueue.Enqueue(PlatformEvent.TextInputEvent(text));
+    }
+
+    [JSInvokable]
+    public void OnCompositionUpdate(string text)
+    {
+        _callbackQueue.Enqueue(() =>
+        {
+            CompositionText = text;
+            OnTextComposition?.Invoke(text);
+        });
+    }
+
+    private static InputCode KeyEventToInputCode(string code, string key)
+    {
+        var inputCode = CodeToInputCode(code);
+        return inputCode != InputCode.None ? inputCode : KeyToInputCode(key);
+    }
+
+    // KeyboardEvent.code names the physical key by its US-layout position
+    private static InputCode CodeToInputCode(string code)
+    {
+        return code switch
+        {
+            "KeyA" => InputCode.KeyA,
+            "KeyB" => InputCode.KeyB,
+            "KeyC" => InputCode.KeyC,
+            "KeyD" => InputCode.KeyD,
+            "KeyE" => InputCode.KeyE,
+            "KeyF" => InputCode.KeyF,
+            "KeyG" => InputCode.KeyG,
+            "KeyH" => InputCode.KeyH,
+            "KeyI" => InputCode.KeyI,
+            "KeyJ" => InputCode.KeyJ,
+            "KeyK" => InputCode.KeyK,
+            "KeyL" => InputCode.KeyL,
+            "KeyM" => InputCode.KeyM,
+            "KeyN" => InputCode.KeyN,
+            "KeyO" => InputCode.KeyO,
+            "KeyP" => InputCode.KeyP,
+            "KeyQ" => InputCode.KeyQ,
+            "KeyR" => InputCode.KeyR,
+            "KeyS" => InputCode.KeyS,
+            "KeyT" => InputCode.KeyT,
+            "KeyU" => InputCode.KeyU,
+            "KeyV" => InputCode.KeyV,
+            "KeyW" => InputCode.KeyW,
+            "KeyX" => InputCode.KeyX,
+            "KeyY" => InputCode.KeyY,
+            "KeyZ" => InputCode.KeyZ,
+
+            "Digit1" => InputCode.Key1,
+            "Digit2" => InputCode.Key2,
+            "Digit3" => InputCode.Key3,
+            "Digit4" => InputCode.Key4,
+            "Digit5" => InputCode.Key5,
+            "Digit6" => InputCode.Key6,
+            "Digit7" => InputCode.Key7,
+            "Digit8" => InputCode.Key8,
+            "Digit9" => InputCode.Key9,
+            "Digit0" => InputCode.Key0,
+
+            "Enter" => InputCode.KeyEnter,
+            "NumpadEnter" => InputCode.KeyEnter,
+            "Escape" => InputCode.KeyEscape,
+            "Backspace" => InputCode.KeyBackspace,
+            "Tab" => InputCode.KeyTab,
+            "Space" => InputCode.KeySpace,
+
+            "Minus" => InputCode.KeyMinus,
+            "Equal" => InputCode.KeyEquals,
+            "BracketLeft" => InputCode.KeyLeftBracket,
+            "BracketRight" => InputCode.KeyRightBracket,
+            "Semicolon" => InputCode.KeySemicolon,
+            "Quote" => InputCode.KeyQuote,
+            "Backquote" => InputCode.KeyTilde,
+            "Comma" => InputCode.KeyComma,
+            "Period" => InputCode.KeyPeriod,
+            "Slash" => InputCode.KeySlash,
+
+            "F1" => InputCode.KeyF1,
+            "F2" => InputCode.KeyF2,
+            "F3" => InputCode.KeyF3,
+            "F4" => InputCode.KeyF4,
+            "F5" => InputCode.KeyF5,
+            "F6" => InputCode.KeyF6,
+            "F7" => InputCode.KeyF7,
+            "F8" => InputCode.KeyF8,
+            "F9" => InputCode.KeyF9,
+            "F10" => InputCode.KeyF10,
+            "F11" => InputCode.KeyF11,
+            "F12" => InputCode.KeyF12,
+
+            "ArrowRight" => InputCode.KeyRight,
+            "ArrowLeft" => InputCode.KeyLeft,
+            "ArrowDown" => InputCode.KeyDown,
+            "ArrowUp" => InputCode.KeyUp,
+            "Delete" => InputCode.KeyDelete,
+            "Insert" => InputCode.KeyInsert,
+            "Home" => InputCode.KeyHome,
+            "End" => InputCode.KeyEnd,
+            "PageUp" => InputCode.KeyPageUp,
+            "PageDown" => InputCode.KeyPageDown,
+
+            "ControlLeft" => InputCode.KeyLeftCtrl,
+            "ShiftLeft" => InputCode.KeyLeftShift,
+            "AltLeft" => InputCode.KeyLeftAlt,
+            "MetaLeft" => InputCode.KeyLeftSuper,
+            "ControlRight" => InputCode.KeyRightCtrl,
+            "ShiftRight" => InputCode.KeyRightShift,
+            "AltRight" => InputCode.KeyRightAlt,
+            "MetaRight" => InputCode.KeyRightSuper,
+
+            _ => InputCode.None
+        };
+    }
+
+    // Fallback for events without a code, e.g. from some on-screen keyboards
+    private static InputCode KeyToInputCode(string key)
+    {
+        return key.ToLowerInvariant() switch
+        {
+            "a" => InputCode.KeyA,
+            "b" => InputCode.KeyB,
+            "c" => InputCode.KeyC,
+            "d" => InputCode.KeyD,
+            "e" => InputCode.KeyE,
+            "f" => InputCode.KeyF,
+            "g" => InputCode.KeyG,
+            "h" => InputCode.KeyH,
+            "i" => InputCode.KeyI,
+            "j" => InputCode.KeyJ,
+            "k" => InputCode.KeyK,
+            "l" => InputCode.KeyL,
+            "m" => InputCode.KeyM,
+            "n" => InputCode.KeyN,
+            "o" => InputCode.KeyO,
+            "p" => InputCode.KeyP,
+            "q" => InputCode.KeyQ,
+            "r" => InputCode.KeyR,
+            "s" => InputCode.KeyS,
+            "t" => InputCode.KeyT,
+            "u" => InputCode.KeyU,
+            "v" => InputCode.KeyV,
+            "w" => InputCode.KeyW,
+            "x" => InputCode.KeyX,
+            "y" => InputCode.KeyY,
+            "z" => InputCode.KeyZ,
+
+            "1" => InputCode.Key1,
+            "2" => InputCode.Key2,
+            "3" => InputCode.Key3,
+            "4" => InputCode.Key4,
+            "5" => InputCode.Key5,
+            "6" => InputCode.Key6,
+            "7" => InputCode.Key7,
+            "8" => InputCode.Key8,
+            "9" => InputCode.Key9,
+            "0" => InputCode.Key0,
+
+            "enter" => InputCode.KeyEnter,
+            "escape" => InputCode.KeyEscape,
+            "backspace" => InputCode.KeyBackspace,
+            "tab" => InputCode.KeyTab,
+            " " => InputCode.KeySpace,
+
+            "-" => InputCode.KeyMinus,
+            "=" => InputCode.KeyEquals,
+            "[" => InputCode.KeyLeftBracket,
+            "]" => InputCode.KeyRightBracket,
+            ";" => InputCode.KeySemicolon,
+            "'" => InputCode.KeyQuote,
+            "`" => InputCode.KeyTilde,
+            "," => InputCode.KeyComma,
+            "." => InputCode.KeyPeriod,
+            "/" => InputCode.KeySlash,
+
+            "f1" => InputCode.KeyF1,
+            "f2" => InputCode.KeyF2,
+            "f3" => InputCode.KeyF3,
+            "f4" => InputCode.KeyF4,
+            "f5" => InputCode.KeyF5,
+            "f6" => InputCode.KeyF6,
+            "f7" => InputCode.KeyF7,
+            "f8" => InputCode.KeyF8,
+            "f9" => InputCode.KeyF9,
+            "f10" => InputCode.KeyF10,
+            "f11" => InputCode.KeyF11,
+            "f12" => InputCode.KeyF12,
+
+            "arrowright" => InputCode.KeyRight,
+            "arrowleft" => InputCode.KeyLeft,
+            "arrowdown" => InputCode.KeyDown,
+            "arrowup" => InputCode.KeyUp,
+
+            "control" => InputCode.KeyLeftCtrl,
+            "shift" => InputCode.KeyLeftShift,
+            "alt" => InputCode.KeyLeftAlt,
+            "meta" => InputCode.KeyLeftSuper,
+
+            _ => InputCode.None
+        };
+    }
+}
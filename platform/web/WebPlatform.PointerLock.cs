@@ -0,0 +1,63 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Numerics;
+using Microsoft.JSInterop;
+
+namespace NoZ.Platform.Web;
+
+public partial class WebPlatform
+{
+    private Vector2 _pendingMouseDelta;
+
+    public bool IsPointerLocked { get; private set; }
+
+    /// <summary>
+    /// Mouse movement summed since the previous frame while the pointer is locked, in canvas
+    /// pixels. Zero while unlocked; follow the mouse position then.
+    /// </summary>
+    public Vector2 MouseDelta { get; private set; }
+
+    public event Action<bool>? OnPointerLockChanged;
+
+    public event Action<string>? OnPointerLockError;
+
+    /// <summary>
+    /// Hide the cursor and lock it to the canvas. Browsers only allow this shortly after a
+    /// click or key press, and the user can always leave with Escape. unadjustedMovement asks
+    /// for raw deltas without OS acceleration and falls back to accelerated ones where the
+    /// browser can't provide them. The outcome arrives through OnPointerLockChanged or
+    /// OnPointerLockError.
+    /// </summary>
+    public void RequestPointerLock(bool unadjustedMovement = true)
+    {
+        _module?.InvokeVoidAsync("requestPointerLock", unadjustedMovement);
+    }
+
+    public void ExitPointerLock()
+    {
+        _module?.InvokeVoidAsync("exitPointerLock");
+    }
+
+    // Called from JavaScript
+
+    [JSInvokable]
+    public void OnMouseMotion(float dx, float dy)
+    {
+        _pendingMouseDelta += new Vector2(dx, dy);
+    }
+
+    [JSInvokable]
+    public void OnPointerLockChange(bool locked)
+    {
+        IsPointerLocked = locked;
+        _callbackQueue.Enqueue(() => OnPointerLockChanged?.Invoke(locked));
+    }
+
+    [JSInvokable]
+    public void OnPointerLockFailed(string message)
+    {
+        _callbackQueue.Enqueue(() => OnPointerLockError?.Invoke(message));
+    }
+}
@@ -0,0 +1,156 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Numerics;
+using Microsoft.JSInterop;
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// How browser touches reach the engine
+/// </summary>
+public enum WebTouchMode
+{
+    Mouse,          // Primary touch drives the left mouse button, other touches are ignored
+    MultiTouch      // Every touch is forwarded as TouchDown/TouchMove/TouchUp for Touch
+}
+
+public enum WebGesturePhase
+{
+    Begin,
+    Update,
+    End
+}
+
+public partial class WebPlatform
+{
+    private WebTouchMode _touchMode = WebTouchMode.Mouse;
+    private bool _touchGestures;
+
+    /// <summary>
+    /// Defaults to Mouse. Switching releases any touches that are down.
+    /// </summary>
+    public WebTouchMode TouchMode
+    {
+        get => _touchMode;
+        set
+        {
+            if (_touchMode == value)
+                return;
+            _touchMode = value;
+            _module?.InvokeVoidAsync("setTouchMode", TouchModeName(value));
+        }
+    }
+
+    /// <summary>
+    /// Recognize tap, long-press, pinch and two-finger pan in the browser and raise the
+    /// OnTouch* gesture events. Works in either TouchMode.
+    /// </summary>
+    public bool TouchGesturesEnabled
+    {
+        get => _touchGestures;
+        set
+        {
+            if (_touchGestures == value)
+                return;
+            _touchGestures = value;
+            _module?.InvokeVoidAsync("setTouchGestures", value);
+        }
+    }
+
+    /// <summary>
+    /// Quick touch and release without movement: position and the most fingers that were down
+    /// </summary>
+    public event Action<Vector2, int>? OnTouchTap;
+
+    /// <summary>
+    /// Single finger held still for half a second
+    /// </summary>
+    public event Action<Vector2>? OnTouchLongPress;
+
+    /// <summary>
+    /// Two-finger pinch: scale since the previous update and the center between the fingers.
+    /// Also reported as PinchBegin/PinchUpdate/PinchEnd platform events.
+    /// </summary>
+    public event Action<WebGesturePhase, float, Vector2>? OnTouchPinch;
+
+    /// <summary>
+    /// Two-finger pan: center movement since the previous update and the current center
+    /// </summary>
+    public event Action<WebGesturePhase, Vector2, Vector2>? OnTouchPan;
+
+    private async Task ApplyTouchSettingsAsync()
+    {
+        if (_touchMode != WebTouchMode.Mouse)
+            await _module!.InvokeVoidAsync("setTouchMode", TouchModeName(_touchMode));
+        if (_touchGestures)
+            await _module!.InvokeVoidAsync("setTouchGestures", true);
+    }
+
+    private static string TouchModeName(WebTouchMode mode) =>
+        mode == WebTouchMode.MultiTouch ? "multitouch" : "mouse";
+
+    // Called from JavaScript
+
+    [JSInvokable]
+    public void OnTouchDown(long id, float x, float y, float pressure, float radiusX, float radiusY)
+    {
+        _eventQueue.Enqueue(PlatformEvent.TouchDown(id, new Vector2(x, y), pressure, new Vector2(radiusX, radiusY)));
+    }
+
+    [JSInvokable]
+    public void OnTouchMove(long id, float x, float y, float dx, float dy, float pressure, float radiusX, float radiusY)
+    {
+        _eventQueue.Enqueue(PlatformEvent.TouchMoveEvent(id, new Vector2(x, y), new Vector2(dx, dy), pressure, new Vector2(radiusX, radiusY)));
+    }
+
+    [JSInvokable]
+    public void OnTouchUp(long id, float x, float y)
+    {
+        _eventQueue.Enqueue(PlatformEvent.TouchUp(id, new Vector2(x, y)));
+    }
+
+    [JSInvokable]
+    public void OnTouchCancel(long id)
+    {
+        _eventQueue.Enqueue(PlatformEvent.TouchCancelEvent(id));
+    }
+
+    [JSInvokable]
+    public void OnTouchTapGesture(float x, float y, int fingerCount)
+    {
+        var position = new Vector2(x, y);
+        _callbackQueue.Enqueue(() => OnTouchTap?.Invoke(position, fingerCount));
+    }
+
+    [JSInvokable]
+    public void OnTouchLongPressGesture(float x, float y)
+    {
+        var position = new Vector2(x, y);
+        _callbackQueue.Enqueue(() => OnTouchLongPress?.Invoke(position));
+    }
+
+    [JSInvokable]
+    public void OnTouchPinchGesture(int phase, float scale, float x, float y)
+    {
+        var gesturePhase = (WebGesturePhase)phase;
+        var center = new Vector2(x, y);
+        _eventQueue.Enqueue(gesturePhase switch
+        {
+            WebGesturePhase.Begin => PlatformEvent.PinchBeginEvent(),
+            WebGesturePhase.Update => PlatformEvent.PinchUpdateEvent(scale),
+            _ => PlatformEvent.PinchEndEvent()
+        });
+        _callbackQueue.Enqueue(() => OnTouchPinch?.Invoke(gesturePhase, scale, center));
+    }
+
+    [JSInvokable]
+    public void OnTouchPanGesture(int phase, float dx, float dy, float x, float y)
+    {
+        var gesturePhase = (WebGesturePhase)phase;
+        var delta = new Vector2(dx, dy);
+        var center = new Vector2(x, y);
+        _callbackQueue.Enqueue(() => OnTouchPan?.Invoke(gesturePhase, delta, center));
+    }
+}
@@ -0,0 +1,90 @@
+//
+//  NoZ - Copyright(c) 2026 NoZ Games, LLC
+//
+
+using System.Numerics;
+using Microsoft.JSInterop;
+
+namespace NoZ.Platform.Web;
+
+/// <summary>
+/// How wheel events reach Input's MouseScrollX/MouseScrollY
+/// </summary>
+public enum WebWheelMode
+{
+    Smooth,     // Fractional notches summed per frame, so trackpads scroll smoothly
+    Stepped     // -1, 0 or 1 per wheel event, whatever its size
+}
+
+public partial class WebPlatform
+{
+    private Vector2 _pendingWheelDelta;
+    private Vector2 _pendingScroll;
+
+    /// <summary>
+    /// Defaults to Smooth. In Smooth a mouse wheel notch scrolls about 1, like on desktop;
+    /// Stepped keeps the older one-event-one-notch behavior for code that counts notches.
+    /// </summary>
+    public WebWheelMode WheelMode { get; set; } = WebWheelMode.Smooth;
+
+    /// <summary>
+    /// Wheel movement summed since the previous frame, in canvas pixels with +Y scrolling down
+    /// the page. Line and page deltas are converted to pixels.
+    /// </summary>
+    public Vector2 WheelDelta { get; private set; }
+
+    /// <summary>
+    /// Trackpad pinch (ctrl+wheel, or Safari's gesture events): the scale since the previous
+    /// update and the canvas position it is anchored at. Also reported as
+    /// PinchBegin/PinchUpdate/PinchEnd platform events, which is what Touch.PinchScale reads.
+    /// </summary>
+    public event Action<float, Vector2>? OnZoom;
+
+    private void FlushWheel()
+    {
+        WheelDelta = _pendingWheelDelta;
+        _pendingWheelDelta = Vector2.Zero;
+
+        if (_pendingScroll == Vector2.Zero)
+            return;
+
+        _eventQueue.Enqueue(PlatformEvent.MouseScroll(_pendingScroll.X, _pendingScroll.Y));
+        _pendingScroll = Vector2.Zero;
+    }
+
+    // Called from JavaScript
+
+    // Pixel deltas in canvas pixels and notches in wheel-notch units, both in DOM direction
+    [JSInvokable]
+    public void OnMouseWheel(float deltaX, float deltaY, float notchesX, float notchesY)
+    {
+        _pendingWheelDelta += new Vector2(deltaX, deltaY);
+
+        // Scroll Y is inverted for natural scrolling
+        if (WheelMode == WebWheelMode.Stepped)
+            _eventQueue.Enqueue(PlatformEvent.MouseScroll(MathF.Sign(notchesX), -MathF.Sign(notchesY)));
+        else
+            _pendingScroll += new Vector2(notchesX, -notchesY);
+    }
+
+    [JSInvokable]
+    public void OnZoomGesture(int phase, float scale, float x, float y)
+    {
+        switch ((WebGesturePhase)phase)
+        {
+            case WebGesturePhase.Begin:
+                _eventQueue.Enqueue(PlatformEvent.PinchBeginEvent());
+                break;
+
+            case WebGesturePhase.Update:
+                _eventQueue.Enqueue(PlatformEvent.PinchUpdateEvent(scale));
+                var position = new Vector2(x, y);
+                _callbackQueue.Enqueue(() => OnZoom?.Invoke(scale, position));
+                break;
+
+            default:
+                _eventQueue.Enqueue(PlatformEvent.PinchEndEvent());
+                break;
+        }
+    }
+}
@@ -10,7 +10,7 @@ using NoZ.Platform;
 
 namespace NoZ.Platform.Web;
 
-public class WebPlatform : IPlatform
+public partial class WebPlatform : IPlatform
 
 {
     private readonly IJSRuntime _js;
@@ -20,6 +20,7 @@ public class WebPlatform : IPlatform
     private bool _shouldQuit;
     private DotNetObjectReference<WebPlatform>? _dotNetRef;
     private readonly Queue<PlatformEvent> _eventQueue = new();
+    private readonly Queue<Action> _callbackQueue = new();  // C# events raised from JS input, e.g. gestures
     private bool _isMouseInWindow;
     private Func<bool>? _wantsToQuit;
 
@@ -28,7 +29,6 @@ public class WebPlatform : IPlatform
     Vector2Int IPlatform.WindowSize => new((int)_windowSize.X, (int)_windowSize.Y);
     public Vector2Int WindowPosition => Vector2Int.Zero; // Not applicable for web
     public float DisplayScale => _displayScale;
-    public bool IsTextboxVisible => false; // TODO: Implement
     public nint WindowHandle => nint.Zero; // Not applicable for web
     public event Action<PlatformEvent>? OnEvent;
 
@@ -70,6 +70,8 @@ public class WebPlatform : IPlatform
         IsMobile = result.IsMobile;
         _initialized = true;
 
+        await ApplyTouchSettingsAsync();
+
         // _isMouseInWindow defaults to false so custom cursor is hidden until real mouse events arrive
     }
 
@@ -85,10 +87,18 @@ public class WebPlatform : IPlatform
 
     public bool PollEvents()
     {
+        MouseDelta = _pendingMouseDelta;
+        _pendingMouseDelta = Vector2.Zero;
+        FlushWheel();
+
         // Drain buffered events so they are processed after Input.BeginFrame()
         while (_eventQueue.Count > 0)
             OnEvent?.Invoke(_eventQueue.Dequeue());
 
+        // Then the web-only callbacks, so handlers see this frame's input state
+        while (_callbackQueue.Count > 0)
+            _callbackQueue.Dequeue()();
+
         return !_shouldQuit;
     }
 
@@ -120,27 +130,6 @@ public class WebPlatform : IPlatform
         // TODO: Implement resize callback for web
     }
 
-    public void ShowTextbox(Rect rect, string text, NativeTextboxStyle style)
-    {
-        // TODO: Implement native textbox for web
-    }
-
-    public void HideTextbox()
-    {
-        // TODO: Implement native textbox for web
-    }
-
-    public void UpdateTextboxRect(Rect rect, int fontSize)
-    {
-        // TODO: Implement native textbox for web
-    }
-
-    public bool UpdateTextboxText(ref string text)
-    {
-        // TODO: Implement native textbox for web
-        return false;
-    }
-
     public void SetClipboardText(string text)
     {
         // TODO: Implement clipboard for web
@@ -181,28 +170,6 @@ public class WebPlatform : IPlatform
 
     // Called from JavaScript
 
-    [JSInvokable]
-    public void OnKeyDown(string key)
-    {
-        var code = KeyToInputCode(key);
-        if (code != InputCode.None)
-            _eventQueue.Enqueue(PlatformEvent.KeyDown(code));
-    }
-
-    [JSInvokable]
-    public void OnKeyUp(string key)
-    {
-        var code = KeyToInputCode(key);
-        if (code != InputCode.None)
-            _eventQueue.Enqueue(PlatformEvent.KeyUp(code));
-    }
-
-    [JSInvokable]
-    public void OnTextInput(string text)
-    {
-        _eventQueue.Enqueue(PlatformEvent.TextInputEvent(text));
-    }
-
     [JSInvokable]
     public void OnMouseDown(int button, int clickCount)
     {
@@ -225,12 +192,6 @@ public class WebPlatform : IPlatform
         _eventQueue.Enqueue(PlatformEvent.MouseMove(new Vector2(x, y)));
     }
 
-    [JSInvokable]
-    public void OnMouseWheel(float deltaX, float deltaY)
-    {
-        _eventQueue.Enqueue(PlatformEvent.MouseScroll(deltaX, deltaY));
-    }
-
     [JSInvokable]
     public void OnMouseEnter()
     {
@@ -250,92 +211,6 @@ public class WebPlatform : IPlatform
         _eventQueue.Enqueue(PlatformEvent.Resize(width, height));
     }
 
-    private static InputCode KeyToInputCode(string key)
-    {
-        return key.ToLowerInvariant() switch
-        {
-            "a" => InputCode.KeyA,
-            "b" => InputCode.KeyB,
-            "c" => InputCode.KeyC,
-            "d" => InputCode.KeyD,
-            "e" => InputCode.KeyE,
-            "f" => InputCode.KeyF,
-            "g" => InputCode.KeyG,
-            "h" => InputCode.KeyH,
-            "i" => InputCode.KeyI,
-            "j" => InputCode.KeyJ,
-            "k" => InputCode.KeyK,
-            "l" => InputCode.KeyL,
-            "m" => InputCode.KeyM,
-            "n" => InputCode.KeyN,
-            "o" => InputCode.KeyO,
-            "p" => InputCode.KeyP,
-            "q" => InputCode.KeyQ,
-            "r" => InputCode.KeyR,
-            "s" => InputCode.KeyS,
-            "t" => InputCode.KeyT,
-            "u" => InputCode.KeyU,
-            "v" => InputCode.KeyV,
-            "w" => InputCode.KeyW,
-            "x" => InputCode.KeyX,
-            "y" => InputCode.KeyY,
-            "z" => InputCode.KeyZ,
-
-            "1" => InputCode.Key1,
-            "2" => InputCode.Key2,
-            "3" => InputCode.Key3,
-            "4" => InputCode.Key4,
-            "5" => InputCode.Key5,
-            "6" => InputCode.Key6,
-            "7" => InputCode.Key7,
-            "8" => InputCode.Key8,
-            "9" => InputCode.Key9,
-            "0" => InputCode.Key0,
-
-            "enter" => InputCode.KeyEnter,
-            "escape" => InputCode.KeyEscape,
-            "backspace" => InputCode.KeyBackspace,
-            "tab" => InputCode.KeyTab,
-            " " => InputCode.KeySpace,
-
-            "-" => InputCode.KeyMinus,
-            "=" => InputCode.KeyEquals,
-            "[" => InputCode.KeyLeftBracket,
-            "]" => InputCode.KeyRightBracket,
-            ";" => InputCode.KeySemicolon,
-            "'" => InputCode.KeyQuote,
-            "`" => InputCode.KeyTilde,
-            "," => InputCode.KeyComma,
-            "." => InputCode.KeyPeriod,
-            "/" => InputCode.KeySlash,
-
-            "f1" => InputCode.KeyF1,
-            "f2" => InputCode.KeyF2,
-            "f3" => InputCode.KeyF3,
-            "f4" => InputCode.KeyF4,
-            "f5" => InputCode.KeyF5,
-            "f6" => InputCode.KeyF6,
-            "f7" => InputCode.KeyF7,
-            "f8" => InputCode.KeyF8,
-            "f9" => InputCode.KeyF9,
-            "f10" => InputCode.KeyF10,
-            "f11" => InputCode.KeyF11,
-            "f12" => InputCode.KeyF12,
-
-            "arrowright" => InputCode.KeyRight,
-            "arrowleft" => InputCode.KeyLeft,
-            "arrowdown" => InputCode.KeyDown,
-            "arrowup" => InputCode.KeyUp,
-
-            "control" => InputCode.KeyLeftCtrl,
-            "shift" => InputCode.KeyLeftShift,
-            "alt" => InputCode.KeyLeftAlt,
-            "meta" => InputCode.KeyLeftSuper,
-
-            _ => InputCode.None
-        };
-    }
-
     private static InputCode MouseButtonToInputCode(int button)
     {
         return button switch
@@ -375,4 +250,42 @@ public class WebPlatform : IPlatform
     {
         _module?.InvokeVoidAsync("openURL", url);
     }
+
+    // Capture
+
+    /// <summary>
+    /// Offer bytes to the user as a file download, e.g. a PNG from WebGraphicsDriver.CaptureFrameAsync.
+    /// </summary>
+    public void DownloadFile(string fileName, byte[] data, string mimeType = "application/octet-stream")
+    {
+        _module?.InvokeVoidAsync("downloadFile", data, fileName, mimeType);
+    }
+
+    public bool IsRecording { get; private set; }
+
+    /// <summary>
+    /// Start recording the canvas to WebM at its native resolution, with the game audio
+    /// mixed in when includeAudio is set. videoBitsPerSecond 0 lets the browser choose.
+    /// </summary>
+    public async Task<bool> StartRecordingAsync(int fps = 60, bool includeAudio = true, int videoBitsPerSecond = 0)
+    {
+        if (_module == null || IsRecording)
+            return false;
+
+        IsRecording = await _module.InvokeAsync<bool>("startRecording", fps, includeAudio, videoBitsPerSecond);
+        return IsRecording;
+    }
+
+    /// <summary>
+    /// Stop recording and return the WebM bytes, or download them as downloadFileName and
+    /// return null.
+    /// </summary>
+    public async Task<byte[]?> StopRecordingAsync(string? downloadFileName = null)
+    {
+        if (_module == null || !IsRecording)
+            return null;
+
+        IsRecording = false;
+        return await _module.InvokeAsync<byte[]?>("stopRecording", downloadFileName);
+    }
 }
@@ -11,6 +11,7 @@ const sounds = new Map();
 const playingInstances = new Map();
 let musicSource = null;
 let currentMusicId = null;
+let captureDestination = null; // MediaStream tap on masterGain for recording
 
 export function init() {
     // Create audio context on first user interaction
@@ -46,6 +47,7 @@ export function init() {
 }
 
 export function shutdown() {
+    releaseCaptureStream();
     if (audioContext) {
         audioContext.close();
         audioContext = null;
@@ -179,3 +181,23 @@ export function setMusicVolume(volume) {
         musicGain.gain.value = volume;
     }
 }
+
+// Mixed game audio (everything routed through masterGain) as a MediaStream, for recording.
+// Returns null before the audio context exists.
+export function getCaptureStream() {
+    if (!audioContext) return null;
+    if (!captureDestination) {
+        captureDestination = audioContext.createMediaStreamDestination();
+        masterGain.connect(captureDestination);
+    }
+    return captureDestination.stream;
+}
+
+// Disconnects the tap from masterGain and ends its tracks, so a recorder still holding
+// the stream stops receiving audio
+export function releaseCaptureStream() {
+    if (!captureDestination) return;
+    if (masterGain) masterGain.disconnect(captureDestination);
+    for (const track of captureDestination.stream.getTracks()) track.stop();
+    captureDestination = null;
+}
@@ -5,6 +5,7 @@ let animationFrameId = null;
 let lastTime = 0;
 let running = false;
 let paused = false;
+let inputPoll = null;
 
 export function start(dotNet) {
     dotNetRef = dotNet;
@@ -31,6 +32,11 @@ export function setPaused(isPaused) {
     }
 }
 
+// Called by noz-platform.js to poll input that has no events (gamepads) right before GameTick
+export function setInputPoll(poll) {
+    inputPoll = poll;
+}
+
 function tick(currentTime) {
     if (!running) return;
 
@@ -49,6 +55,7 @@ function tick(currentTime) {
 
     // Call C# game tick
     try {
+        if (inputPoll) inputPoll();
         dotNetRef.invokeMethod('GameTick', deltaTime);
     } catch (e) {
         console.error('[GameLoop] GameTick threw:', e);
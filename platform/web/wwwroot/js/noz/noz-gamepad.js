@@ -0,0 +1,156 @@
+// NoZ Gamepad - Browser Gamepad API
+// Polled once per frame from noz-gameloop.js, just before GameTick, so the state
+// changes are queued in C# before the frame's input is processed.
+
+const MAX_GAMEPADS = 4;
+
+// Standard mapping (https://w3c.github.io/gamepad/#remapping): buttons 0-16 are
+// A B X Y, LB RB, LT RT, Back Start, LS RS, dpad up/down/left/right, Guide
+const BUTTON_COUNT = 17;
+const LEFT_TRIGGER = 6;
+const RIGHT_TRIGGER = 7;
+
+// Axes sent to C#: left stick X/Y, right stick X/Y, left trigger, right trigger
+const AXIS_COUNT = 6;
+
+let dotNetRef = null;
+let stickDeadzone = 0.15;
+let triggerDeadzone = 0.05;
+
+// Slot -> { index, buttons, axes }. Slots stay stable while a pad is connected and
+// are reused in order, so player 1 keeps slot 0 when player 2 unplugs.
+const slots = new Array(MAX_GAMEPADS).fill(null);
+
+export function init(dotNet) {
+    dotNetRef = dotNet;
+}
+
+export function shutdown() {
+    slots.fill(null);
+    dotNetRef = null;
+}
+
+export function setDeadzone(stick, trigger) {
+    stickDeadzone = Math.min(Math.max(stick, 0), 0.95);
+    triggerDeadzone = Math.min(Math.max(trigger, 0), 0.95);
+}
+
+export function poll() {
+    if (!dotNetRef || !navigator.getGamepads) return;
+
+    const pads = navigator.getGamepads();
+
+    for (let slot = 0; slot < MAX_GAMEPADS; slot++) {
+        const state = slots[slot];
+        if (state && !isConnected(pads[state.index])) {
+            disconnect(slot);
+        }
+    }
+
+    for (const pad of pads) {
+        if (!isConnected(pad)) continue;
+
+        let slot = slots.findIndex(state => state !== null && state.index === pad.index);
+        if (slot < 0) {
+            slot = slots.indexOf(null);
+            if (slot < 0) continue; // More pads than slots
+            slots[slot] = {
+                index: pad.index,
+                buttons: new Array(BUTTON_COUNT).fill(false),
+                axes: new Array(AXIS_COUNT).fill(0),
+            };
+            dotNetRef.invokeMethod('OnGamepadAdded', slot, pad.id, pad.mapping === 'standard');
+        }
+
+        update(slot, pad);
+    }
+}
+
+// 'dual-rumble' magnitudes are 0..1; strong is the low-frequency motor, weak the high-frequency one
+export function vibrate(slot, strong, weak, duration) {
+    const actuator = getActuator(slot);
+    if (!actuator) return false;
+
+    actuator.playEffect('dual-rumble', {
+        startDelay: 0,
+        duration: duration,
+        strongMagnitude: Math.min(Math.max(strong, 0), 1),
+        weakMagnitude: Math.min(Math.max(weak, 0), 1),
+    }).catch(e => console.warn('Gamepad vibration failed:', e));
+    return true;
+}
+
+export function stopVibration(slot) {
+    const actuator = getActuator(slot);
+    if (actuator && actuator.reset) {
+        actuator.reset().catch(() => {});
+    }
+}
+
+function getActuator(slot) {
+    const state = slots[slot];
+    if (!state) return null;
+    const pad = navigator.getGamepads()[state.index];
+    return pad && pad.vibrationActuator && pad.vibrationActuator.playEffect ? pad.vibrationActuator : null;
+}
+
+function isConnected(pad) {
+    return pad !== null && pad !== undefined && pad.connected;
+}
+
+function update(slot, pad) {
+    const state = slots[slot];
+
+    const count = Math.min(pad.buttons.length, BUTTON_COUNT);
+    for (let i = 0; i < count; i++) {
+        const pressed = pad.buttons[i].pressed;
+        if (pressed !== state.buttons[i]) {
+            state.buttons[i] = pressed;
+            dotNetRef.invokeMethod('OnGamepadButton', slot, i, pressed);
+        }
+    }
+
+    const axes = pad.axes;
+    const [lx, ly] = stick(axes[0] || 0, axes[1] || 0);
+    const [rx, ry] = stick(axes[2] || 0, axes[3] || 0);
+    setAxis(slot, 0, lx);
+    setAxis(slot, 1, ly);
+    setAxis(slot, 2, rx);
+    setAxis(slot, 3, ry);
+    setAxis(slot, 4, trigger(pad.buttons[LEFT_TRIGGER]));
+    setAxis(slot, 5, trigger(pad.buttons[RIGHT_TRIGGER]));
+}
+
+function setAxis(slot, axis, value) {
+    const state = slots[slot];
+    // Skip sensor noise, but always deliver the snap back to rest
+    if (value === state.axes[axis] || (value !== 0 && Math.abs(value - state.axes[axis]) < 0.002)) return;
+    state.axes[axis] = value;
+    dotNetRef.invokeMethod('OnGamepadAxis', slot, axis, value);
+}
+
+// Radial deadzone, rescaled so the stick still reaches full deflection
+function stick(x, y) {
+    const length = Math.hypot(x, y);
+    if (length <= stickDeadzone) return [0, 0];
+    const scale = Math.min((length - stickDeadzone) / (1 - stickDeadzone), 1) / length;
+    return [x * scale, y * scale];
+}
+
+function trigger(button) {
+    const value = button ? button.value : 0;
+    return value <= triggerDeadzone ? 0 : (value - triggerDeadzone) / (1 - triggerDeadzone);
+}
+
+// Release everything the pad was holding so nothing stays pressed after an unplug
+function disconnect(slot) {
+    const state = slots[slot];
+    for (let i = 0; i < BUTTON_COUNT; i++) {
+        if (state.buttons[i]) dotNetRef.invokeMethod('OnGamepadButton', slot, i, false);
+    }
+    for (let i = 0; i < AXIS_COUNT; i++) {
+        if (state.axes[i] !== 0) dotNetRef.invokeMethod('OnGamepadAxis', slot, i, 0);
+    }
+    slots[slot] = null;
+    dotNetRef.invokeMethod('OnGamepadRemoved', slot);
+}
@@ -0,0 +1,26 @@
+// NoZ Graphics Backend Selection
+// Decides whether the driver imports noz-webgpu.js or the noz-webgl2.js fallback
+
+// WebGPU counts as available when the browser exposes it and hands out an adapter;
+// navigator.gpu exists on some platforms where requestAdapter() resolves to null
+export async function isWebGPUAvailable() {
+    if (!navigator.gpu) {
+        return false;
+    }
+
+    try {
+        const adapter = await navigator.gpu.requestAdapter({ powerPreference: "high-performance" });
+        return adapter !== null;
+    } catch (e) {
+        console.warn('WebGPU adapter request failed:', e);
+        return false;
+    }
+}
+
+export function isWebGL2Available() {
+    try {
+        return document.createElement('canvas').getContext('webgl2') !== null;
+    } catch (e) {
+        return false;
+    }
+}
@@ -5,6 +5,38 @@ let dotNetRef = null;
 let lastClickTime = 0;
 let clickCount = 0;
 let gameLoop = null;
+let gamepads = null;
+let textbox = null;
+let textboxActive = false;
+let composing = false;
+let pointerLocked = false;
+let lockPromisePending = false;
+
+// Wheel: deltas are normalized to CSS pixels before scaling by DPR
+const WHEEL_LINE_HEIGHT = 100 / 3;  // Firefox scrolls 3 lines per notch; this makes it 100px like Chrome
+const WHEEL_NOTCH = 100;            // CSS pixels per mouse wheel notch
+const WHEEL_ZOOM_END_DELAY = 150;   // ms without pinch wheel events before the zoom ends
+let wheelZoomTimer = 0;
+let zooming = false;
+let gestureScale = 1;
+let recorder = null;
+let recordedChunks = [];
+let recordingAudio = null;
+
+// Touch: 'mouse' turns the primary touch into the left mouse button, 'multitouch'
+// forwards every touch point. Both track the active touches for gesture recognition.
+let touchMode = 'mouse';
+let touchGestures = false;
+const activeTouches = new Map();    // pointerId -> { x, y, startX, startY }
+let mousePointerId = null;
+
+const TAP_MAX_DURATION = 300;       // ms
+const TAP_MAX_DISTANCE = 10;        // CSS pixels
+const LONG_PRESS_DURATION = 500;    // ms
+
+let tapSession = null;              // { startTime, maxFingers, moved, x, y }
+let longPressTimer = 0;
+let twoFinger = null;               // { a, b, x, y, distance } for the first two touches
 
 export async function init(dotNet, width, height) {
     dotNetRef = dotNet;
@@ -13,6 +45,9 @@ export async function init(dotNet, width, height) {
     // Bare relative imports and document.baseURI both fail under Blazor's JS interop
     // when hosted at a subpath (e.g. itch.io), but import.meta.url is always correct.
     gameLoop = await import(new URL('./noz-gameloop.js', import.meta.url).href);
+    gamepads = await import(new URL('./noz-gamepad.js', import.meta.url).href);
+    gamepads.init(dotNet);
+    gameLoop.setInputPoll(gamepads.poll);
 
     // Use the canvas created by Blazor (same one WebGPU uses)
     canvas = document.getElementById('canvas');
@@ -36,19 +71,37 @@ export async function init(dotNet, width, height) {
     window.addEventListener('keydown', onKeyDown, true);
     window.addEventListener('keyup', onKeyUp, true);
 
+    // Text fields type into a hidden input so IME composition and on-screen keyboards work
+    createTextbox();
+    document.addEventListener('paste', onPaste);
+
+    // Pointer lock state changes, whether from requestPointerLock, Escape or the page losing focus
+    document.addEventListener('pointerlockchange', onPointerLockChange);
+    document.addEventListener('pointerlockerror', onPointerLockError);
+
     // Mouse events
     canvas.addEventListener('mousedown', onMouseDown);
     canvas.addEventListener('mouseup', onMouseUp);
     canvas.addEventListener('mousemove', onMouseMove);
     canvas.addEventListener('wheel', onMouseWheel, { passive: false });
 
+    // Safari reports trackpad pinch as gesture events instead of ctrl+wheel
+    canvas.addEventListener('gesturestart', onGestureStart);
+    canvas.addEventListener('gesturechange', onGestureChange);
+    canvas.addEventListener('gestureend', onGestureEnd);
+
     canvas.addEventListener('mouseenter', onMouseEnter);
     canvas.addEventListener('mouseleave', onMouseLeave);
 
-    // Touch events (basic support)
-    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
-    canvas.addEventListener('touchend', onTouchEnd);
-    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
+    // Touch arrives as pointer events. touch-action keeps the browser from panning or
+    // zooming the page, and cancelling the touch events suppresses the emulated mouse events.
+    canvas.style.touchAction = 'none';
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerCancel);
+    canvas.addEventListener('touchstart', onTouchDefault, { passive: false });
+    canvas.addEventListener('touchmove', onTouchDefault, { passive: false });
 
     // Resize
     window.addEventListener('resize', onResize);
@@ -74,22 +127,56 @@ export async function init(dotNet, width, height) {
 export function shutdown() {
     window.removeEventListener('keydown', onKeyDown, true);
     window.removeEventListener('keyup', onKeyUp, true);
+    document.removeEventListener('paste', onPaste);
+    document.removeEventListener('pointerlockchange', onPointerLockChange);
+    document.removeEventListener('pointerlockerror', onPointerLockError);
+    if (pointerLocked) {
+        document.exitPointerLock();
+    }
     window.removeEventListener('resize', onResize);
     window.removeEventListener('blur', onWindowBlur);
     window.removeEventListener('beforeunload', onBeforeUnload);
     document.removeEventListener('visibilitychange', onVisibilityChange);
 
+    if (gameLoop) {
+        gameLoop.setInputPoll(null);
+    }
+    if (gamepads) {
+        gamepads.shutdown();
+    }
+
+    textbox?.remove();
+    textbox = null;
+    textboxActive = false;
+    heldKeys.clear();
+
+    if (recorder) {
+        if (recorder.state !== 'inactive') recorder.stop();
+        releaseRecordingStreams();
+    }
+    recorder = null;
+
     if (canvas) {
         canvas.removeEventListener('mousedown', onMouseDown);
         canvas.removeEventListener('mouseup', onMouseUp);
         canvas.removeEventListener('mousemove', onMouseMove);
         canvas.removeEventListener('wheel', onMouseWheel);
+        canvas.removeEventListener('gesturestart', onGestureStart);
+        canvas.removeEventListener('gesturechange', onGestureChange);
+        canvas.removeEventListener('gestureend', onGestureEnd);
         canvas.removeEventListener('mouseenter', onMouseEnter);
         canvas.removeEventListener('mouseleave', onMouseLeave);
-        canvas.removeEventListener('touchstart', onTouchStart);
-        canvas.removeEventListener('touchend', onTouchEnd);
-        canvas.removeEventListener('touchmove', onTouchMove);
+        canvas.removeEventListener('pointerdown', onPointerDown);
+        canvas.removeEventListener('pointermove', onPointerMove);
+        canvas.removeEventListener('pointerup', onPointerUp);
+        canvas.removeEventListener('pointercancel', onPointerCancel);
+        canvas.removeEventListener('touchstart', onTouchDefault);
+        canvas.removeEventListener('touchmove', onTouchDefault);
     }
+
+    clearTimeout(longPressTimer);
+    clearTimeout(wheelZoomTimer);
+    activeTouches.clear();
 }
 
 export function getCanvas() {
@@ -106,6 +193,94 @@ export function setCursor(cursorStyle) {
     }
 }
 
+// 'mouse' or 'multitouch'. Touches already down are released so nothing is left pressed.
+export function setTouchMode(mode) {
+    if (mode !== 'mouse' && mode !== 'multitouch') {
+        console.error('setTouchMode: unknown mode', mode);
+        return false;
+    }
+    if (mode !== touchMode) {
+        releaseTouches();
+        touchMode = mode;
+    }
+    return true;
+}
+
+export function setTouchGestures(enabled) {
+    if (!enabled) {
+        clearTimeout(longPressTimer);
+        endTwoFinger();
+        tapSession = null;
+    }
+    touchGestures = enabled;
+}
+
+export function setGamepadDeadzone(stick, trigger) {
+    gamepads?.setDeadzone(stick, trigger);
+}
+
+export function vibrateGamepad(slot, strong, weak, duration) {
+    return gamepads ? gamepads.vibrate(slot, strong, weak, duration) : false;
+}
+
+export function stopGamepadVibration(slot) {
+    gamepads?.stopVibration(slot);
+}
+
+// Rect is in canvas pixels, like mouse positions
+export function showTextbox(x, y, width, height, fontSize) {
+    if (!textbox) return;
+    positionTextbox(x, y, width, height, fontSize);
+    if (!textboxActive) {
+        textboxActive = true;
+        textbox.value = '';
+        textbox.focus({ preventScroll: true });
+    }
+}
+
+export function hideTextbox() {
+    if (!textbox || !textboxActive) return;
+    textboxActive = false;
+
+    // Blurring ends any composition; drop its preedit rather than committing it
+    if (composing) {
+        composing = false;
+        dotNetRef.invokeMethod('OnCompositionUpdate', '');
+    }
+    textbox.blur();
+    textbox.value = '';
+    canvas?.focus({ preventScroll: true });
+}
+
+export function positionTextbox(x, y, width, height, fontSize) {
+    if (!textbox) return;
+    const dpr = window.devicePixelRatio || 1;
+    const rect = canvas ? canvas.getBoundingClientRect() : { left: 0, top: 0 };
+    textbox.style.left = `${rect.left + x / dpr}px`;
+    textbox.style.top = `${rect.top + y / dpr}px`;
+    textbox.style.width = `${Math.max(width / dpr, 1)}px`;
+    textbox.style.height = `${Math.max(height / dpr, 1)}px`;
+    if (fontSize > 0) {
+        textbox.style.fontSize = `${fontSize / dpr}px`;
+    }
+}
+
+// unadjustedMovement asks for raw deltas without OS mouse acceleration (Chrome/Edge)
+export function requestPointerLock(unadjustedMovement) {
+    if (!canvas || !canvas.requestPointerLock) {
+        console.error('requestPointerLock: pointer lock is not supported in this browser');
+        return false;
+    }
+    lockPointer(unadjustedMovement ? { unadjustedMovement: true } : undefined);
+    return true;
+}
+
+export function exitPointerLock() {
+    if (pointerLocked) {
+        document.exitPointerLock();
+    }
+}
+
 export function openURL(url) {
     window.open(url, '_blank');
 }
@@ -122,12 +297,124 @@ export function disableHighRefreshRate() {
     document.getElementById('noz-hfr')?.remove();
 }
 
+// Save bytes (e.g. a PNG from the graphics driver's frame capture) as a file download
+export function downloadFile(bytes, fileName, mimeType) {
+    downloadBlob(new Blob([bytes], { type: mimeType || 'application/octet-stream' }), fileName);
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Record the canvas (at its native DPR resolution) to WebM with MediaRecorder. The game
+// audio is mixed in from masterGain in noz-audio.js when includeAudio is set.
+export async function startRecording(fps, includeAudio, videoBitsPerSecond) {
+    if (recorder) {
+        console.error('startRecording: already recording');
+        return false;
+    }
+    if (!canvas || typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+        console.error('startRecording: canvas recording is not supported in this browser');
+        return false;
+    }
+
+    const stream = canvas.captureStream(fps || 60);
+
+    if (includeAudio) {
+        // Same URL as the module loaded by WebAudio, so this is the same instance
+        recordingAudio = await import(new URL('./noz-audio.js', import.meta.url).href);
+        const audioStream = recordingAudio.getCaptureStream();
+        if (audioStream) {
+            for (const track of audioStream.getAudioTracks()) stream.addTrack(track);
+        }
+    }
+
+    const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+
+    recordedChunks = [];
+    recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: videoBitsPerSecond || undefined });
+    recorder.ondataavailable = e => {
+        if (e.data.size > 0) recordedChunks.push(e.data);
+    };
+    recorder.start(1000);
+    return true;
+}
+
+export function isRecording() {
+    return recorder !== null;
+}
+
+// Returns the WebM bytes, or null when the clip was downloaded as downloadFileName instead
+export async function stopRecording(downloadFileName) {
+    if (!recorder) return null;
+
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    recorder.stop();
+    await stopped;
+
+    releaseRecordingStreams();
+
+    const blob = new Blob(recordedChunks, { type: recorder.mimeType || 'video/webm' });
+    recorder = null;
+    recordedChunks = [];
+
+    if (downloadFileName) {
+        downloadBlob(blob, downloadFileName);
+        return null;
+    }
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Stops the canvas tracks and releases the audio tap (disconnected from the game graph
+// and its tracks ended by noz-audio.js)
+function releaseRecordingStreams() {
+    for (const track of recorder.stream.getVideoTracks()) track.stop();
+    if (recordingAudio) {
+        recordingAudio.releaseCaptureStream();
+        recordingAudio = null;
+    }
+}
+
+// Keyboard — keys are sent by e.code, the physical key, so bindings like WASD stay put on
+// AZERTY and other layouts. e.key goes along for shortcuts that follow the printed character.
+
+const MODIFIER_CODES = {
+    Control: ['ControlLeft', 'ControlRight'],
+    Shift: ['ShiftLeft', 'ShiftRight'],
+    Alt: ['AltLeft', 'AltRight'],
+    Meta: ['MetaLeft', 'MetaRight'],
+};
+const MODIFIERS = new Set(Object.values(MODIFIER_CODES).flat());
+
+// code -> key for every key whose keydown reached C#, so each gets exactly one keyup
+const heldKeys = new Map();
+
+function pressKey(code, key, repeat) {
+    heldKeys.set(code, key);
+    dotNetRef.invokeMethod('OnKeyDown', code, key, repeat);
+}
+
+function releaseKey(code) {
+    if (!heldKeys.has(code)) return;
+    const key = heldKeys.get(code);
+    heldKeys.delete(code);
+    dotNetRef.invokeMethod('OnKeyUp', code, key);
+}
+
 function onWindowBlur() {
-    // Release all modifier keys when window loses focus
-    syncModifier(false, 'Control');
-    syncModifier(false, 'Shift');
-    syncModifier(false, 'Alt');
-    syncModifier(false, 'Meta');
+    // Release every held key when the window loses focus (e.g. Alt+Tab, Ctrl+Tab);
+    // their keyup events go to whatever has focus instead
+    for (const code of [...heldKeys.keys()]) {
+        releaseKey(code);
+    }
 }
 
 function syncModifiers(e) {
@@ -140,21 +427,22 @@ function syncModifiers(e) {
 }
 
 function syncModifier(pressed, key) {
-    var code = key.toLowerCase();
-    if (pressed && !modifierState[code]) {
-        modifierState[code] = true;
-        dotNetRef.invokeMethod('OnKeyDown', key);
-    } else if (!pressed && modifierState[code]) {
-        modifierState[code] = false;
-        dotNetRef.invokeMethod('OnKeyUp', key);
+    const [left, right] = MODIFIER_CODES[key];
+    if (pressed && !heldKeys.has(left) && !heldKeys.has(right)) {
+        pressKey(left, key, false);
+    } else if (!pressed) {
+        releaseKey(left);
+        releaseKey(right);
     }
 }
 
-let modifierState = { control: false, shift: false, alt: false, meta: false };
-
 function onKeyDown(e) {
-    // Prevent default for game keys (arrows, space, etc.)
-    if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'Tab'].includes(e.key)) {
+    // Keys typed while an IME composes belong to the composition (229 is Chrome's "Process" key)
+    if (e.isComposing || e.keyCode === 229) return;
+
+    // Prevent default for game keys (arrows, space, etc.). While a text field is active the
+    // browser needs them to type into the hidden input, so only Tab is kept from it.
+    if (e.key === 'Tab' || (!textboxActive && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '].includes(e.key))) {
         e.preventDefault();
     }
 
@@ -163,29 +451,110 @@ function onKeyDown(e) {
         e.preventDefault();
     }
 
-    // Sync modifiers with browser state before processing the key
+    // Some on-screen keyboards leave code empty; C# falls back to the key
+    const code = e.code || e.key;
+
+    // The modifier itself goes first so syncModifiers sees it as held
+    if (MODIFIERS.has(code) && !heldKeys.has(code)) {
+        pressKey(code, e.key, false);
+    }
+
     syncModifiers(e);
 
-    // Don't double-send modifier keys (syncModifiers already handled them)
-    if (!['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) {
-        dotNetRef.invokeMethod('OnKeyDown', e.key);
+    if (!MODIFIERS.has(code)) {
+        pressKey(code, e.key, e.repeat && heldKeys.has(code));
     }
 
-    // Forward printable characters as text input (e.key is a single char for printable keys)
-    if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+    // Forward printable characters as text input (e.key is a single char for printable keys).
+    // Text fields get their text from the hidden input instead.
+    if (!textboxActive && e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
         dotNetRef.invokeMethod('OnTextInput', e.key);
     }
 }
 
 function onKeyUp(e) {
+    const code = e.code || e.key;
+
+    if (MODIFIERS.has(code)) {
+        releaseKey(code);
+    }
+
     syncModifiers(e);
 
-    if (!['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) {
-        dotNetRef.invokeMethod('OnKeyUp', e.key);
+    if (!MODIFIERS.has(code)) {
+        releaseKey(code);
     }
 }
 
+// Text input
+
+function createTextbox() {
+    textbox = document.createElement('input');
+    textbox.type = 'text';
+    textbox.autocomplete = 'off';
+    textbox.spellcheck = false;
+    textbox.setAttribute('autocapitalize', 'off');
+    textbox.setAttribute('aria-hidden', 'true');
+
+    // Invisible but laid out: display:none or visibility:hidden can't take focus, and the
+    // IME places its candidate window at the element
+    Object.assign(textbox.style, {
+        position: 'fixed', left: '0px', top: '0px', width: '1px', height: '1px',
+        margin: '0', padding: '0', border: '0', outline: 'none',
+        opacity: '0', color: 'transparent', background: 'transparent', caretColor: 'transparent',
+        pointerEvents: 'none',
+    });
+
+    textbox.addEventListener('input', onTextboxInput);
+    textbox.addEventListener('compositionstart', onCompositionStart);
+    textbox.addEventListener('compositionupdate', onCompositionUpdate);
+    textbox.addEventListener('compositionend', onCompositionEnd);
+    document.body.appendChild(textbox);
+}
+
+function onTextboxInput(e) {
+    // Compositions commit in compositionend and pastes arrive through onPaste
+    if (e.isComposing || e.inputType === 'insertCompositionText' || e.inputType === 'insertFromPaste') return;
+
+    if (e.data) {
+        dotNetRef.invokeMethod('OnTextInput', e.data);
+    }
+    textbox.value = '';
+}
+
+function onCompositionStart() {
+    composing = true;
+}
+
+function onCompositionUpdate(e) {
+    if (composing) {
+        dotNetRef.invokeMethod('OnCompositionUpdate', e.data || '');
+    }
+}
+
+function onCompositionEnd(e) {
+    if (!composing) return;
+    composing = false;
+    dotNetRef.invokeMethod('OnCompositionUpdate', '');
+    if (e.data) {
+        dotNetRef.invokeMethod('OnTextInput', e.data);
+    }
+    textbox.value = '';
+}
+
+function onPaste(e) {
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    if (!text) return;
+    e.preventDefault();
+    dotNetRef.invokeMethod('OnTextInput', text.replace(/\r\n?/g, '\n'));
+}
+
 function onMouseDown(e) {
+    // Keep focus in the hidden input while clicking around inside a text field
+    if (textboxActive) {
+        e.preventDefault();
+    }
+
     const now = Date.now();
     if (now - lastClickTime < 300 && e.button === 0) {
         clickCount++;
@@ -203,8 +572,16 @@ function onMouseUp(e) {
 }
 
 function onMouseMove(e) {
-    const rect = canvas.getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
+
+    // While locked the cursor position is frozen, so only the deltas mean anything. Checked
+    // on the document, as pointerlockchange can arrive after the first locked moves.
+    if (document.pointerLockElement === canvas) {
+        dotNetRef.invokeMethod('OnMouseMotion', (e.movementX || 0) * dpr, (e.movementY || 0) * dpr);
+        return;
+    }
+
+    const rect = canvas.getBoundingClientRect();
     const x = (e.clientX - rect.left) * dpr;
     const y = (e.clientY - rect.top) * dpr;
     dotNetRef.invokeMethod('OnMouseEnter');
@@ -222,41 +599,319 @@ function onMouseLeave() {
     dotNetRef.invokeMethod('OnMouseLeave');
 }
 
+function lockPointer(options) {
+    let result;
+    try {
+        result = canvas.requestPointerLock(options);
+    } catch (e) {
+        reportPointerLockError(e.message || String(e));
+        return;
+    }
+
+    // Older browsers return nothing and report only through pointerlockchange/pointerlockerror
+    if (!result || !result.then) return;
+
+    lockPromisePending = true;
+    result.then(() => {
+        lockPromisePending = false;
+    }, e => {
+        lockPromisePending = false;
+        // Raw input isn't available on every platform; retry with accelerated movement
+        if (options && e.name === 'NotSupportedError') {
+            lockPointer(undefined);
+        } else {
+            reportPointerLockError(e.message || String(e));
+        }
+    });
+}
+
+function onPointerLockChange() {
+    const locked = document.pointerLockElement === canvas;
+    if (locked !== pointerLocked) {
+        pointerLocked = locked;
+        dotNetRef.invokeMethod('OnPointerLockChange', locked);
+    }
+}
+
+function onPointerLockError() {
+    // Promise-based requests report through their rejection, which carries the reason
+    if (!lockPromisePending) {
+        reportPointerLockError('Pointer lock request was denied');
+    }
+}
+
+function reportPointerLockError(message) {
+    console.warn('Pointer lock failed:', message);
+    dotNetRef.invokeMethod('OnPointerLockFailed', message);
+}
+
 function onMouseWheel(e) {
     e.preventDefault();
-    // Normalize scroll values
-    const deltaX = e.deltaX > 0 ? 1 : e.deltaX < 0 ? -1 : 0;
-    const deltaY = e.deltaY > 0 ? -1 : e.deltaY < 0 ? 1 : 0; // Inverted for natural scrolling
-    dotNetRef.invokeMethod('OnMouseWheel', deltaX, deltaY);
+
+    // Trackpad pinches arrive as ctrl+wheel (the browser sets ctrlKey without the key being
+    // down), and ctrl+wheel on a mouse means zoom as well
+    if (e.ctrlKey) {
+        onWheelZoom(e);
+        return;
+    }
+
+    const dpr = window.devicePixelRatio || 1;
+    const scale = wheelDeltaScale(e.deltaMode);
+    const x = e.deltaX * scale;
+    const y = e.deltaY * scale;
+    dotNetRef.invokeMethod('OnMouseWheel', x * dpr, y * dpr, x / WHEEL_NOTCH, y / WHEEL_NOTCH);
+}
+
+// CSS pixels per unit of deltaMode: 0 = pixels, 1 = lines, 2 = pages
+function wheelDeltaScale(deltaMode) {
+    if (deltaMode === 1) return WHEEL_LINE_HEIGHT;
+    if (deltaMode === 2) return canvas.clientHeight || window.innerHeight;
+    return 1;
+}
+
+function onWheelZoom(e) {
+    // Pinch deltas are a few pixels per event; a mouse notch (100) is capped so one notch
+    // zooms about 10% rather than jumping
+    const delta = Math.max(-10, Math.min(10, e.deltaY * wheelDeltaScale(e.deltaMode)));
+
+    beginZoom(e);
+    updateZoom(e, Math.exp(-delta * 0.01));
+
+    // Wheel events have no end, so the zoom ends once they stop coming
+    clearTimeout(wheelZoomTimer);
+    wheelZoomTimer = setTimeout(endZoom, WHEEL_ZOOM_END_DELAY);
+}
+
+function onGestureStart(e) {
+    e.preventDefault();
+    gestureScale = 1;
+    beginZoom(e);
+}
+
+function onGestureChange(e) {
+    e.preventDefault();
+    if (!(e.scale > 0)) return;
+    updateZoom(e, e.scale / gestureScale);
+    gestureScale = e.scale;
+}
+
+function onGestureEnd(e) {
+    e.preventDefault();
+    endZoom();
+}
+
+// Phases match the touch gestures: 0 = begin, 1 = update, 2 = end
+function beginZoom(e) {
+    if (zooming) return;
+    zooming = true;
+    const [x, y] = zoomPosition(e);
+    dotNetRef.invokeMethod('OnZoomGesture', 0, 1, x, y);
+}
+
+function updateZoom(e, scale) {
+    const [x, y] = zoomPosition(e);
+    dotNetRef.invokeMethod('OnZoomGesture', 1, scale, x, y);
+}
+
+function endZoom() {
+    clearTimeout(wheelZoomTimer);
+    if (!zooming) return;
+    zooming = false;
+    dotNetRef.invokeMethod('OnZoomGesture', 2, 1, 0, 0);
+}
+
+function zoomPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    return [(e.clientX - rect.left) * dpr, (e.clientY - rect.top) * dpr];
+}
+
+function onTouchDefault(e) {
+    e.preventDefault();
+}
+
+function touchPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    return {
+        x: (e.clientX - rect.left) * dpr,
+        y: (e.clientY - rect.top) * dpr,
+        radiusX: (e.width || 0) * 0.5 * dpr,
+        radiusY: (e.height || 0) * 0.5 * dpr,
+    };
 }
 
-function onTouchStart(e) {
+function onPointerDown(e) {
+    if (e.pointerType !== 'touch') return;
     e.preventDefault();
-    if (e.touches.length > 0) {
-        const touch = e.touches[0];
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        const x = (touch.clientX - rect.left) * dpr;
-        const y = (touch.clientY - rect.top) * dpr;
-        dotNetRef.invokeMethod('OnMouseMove', x, y);
+
+    const p = touchPoint(e);
+    activeTouches.set(e.pointerId, { x: p.x, y: p.y, startX: p.x, startY: p.y });
+
+    if (touchMode === 'multitouch') {
+        dotNetRef.invokeMethod('OnTouchDown', e.pointerId, p.x, p.y, e.pressure, p.radiusX, p.radiusY);
+    } else if (e.isPrimary) {
+        mousePointerId = e.pointerId;
+        dotNetRef.invokeMethod('OnMouseMove', p.x, p.y);
         dotNetRef.invokeMethod('OnMouseDown', 0, 1); // Simulate left click
     }
-}
 
-function onTouchEnd(e) {
-    dotNetRef.invokeMethod('OnMouseUp', 0);
+    if (touchGestures) gestureDown(p);
 }
 
-function onTouchMove(e) {
+function onPointerMove(e) {
+    const touch = activeTouches.get(e.pointerId);
+    if (!touch) return;
     e.preventDefault();
-    if (e.touches.length > 0) {
-        const touch = e.touches[0];
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        const x = (touch.clientX - rect.left) * dpr;
-        const y = (touch.clientY - rect.top) * dpr;
-        dotNetRef.invokeMethod('OnMouseMove', x, y);
+
+    const p = touchPoint(e);
+    const dx = p.x - touch.x;
+    const dy = p.y - touch.y;
+    touch.x = p.x;
+    touch.y = p.y;
+
+    if (touchMode === 'multitouch') {
+        dotNetRef.invokeMethod('OnTouchMove', e.pointerId, p.x, p.y, dx, dy, e.pressure, p.radiusX, p.radiusY);
+    } else if (e.pointerId === mousePointerId) {
+        dotNetRef.invokeMethod('OnMouseMove', p.x, p.y);
+    }
+
+    if (touchGestures) gestureMove(e.pointerId, touch);
+}
+
+function onPointerUp(e) {
+    if (!activeTouches.has(e.pointerId)) return;
+
+    const p = touchPoint(e);
+    activeTouches.delete(e.pointerId);
+
+    if (touchMode === 'multitouch') {
+        dotNetRef.invokeMethod('OnTouchUp', e.pointerId, p.x, p.y);
+    } else if (e.pointerId === mousePointerId) {
+        mousePointerId = null;
+        dotNetRef.invokeMethod('OnMouseUp', 0);
+    }
+
+    if (touchGestures) gestureUp(e.pointerId, false);
+}
+
+function onPointerCancel(e) {
+    if (!activeTouches.has(e.pointerId)) return;
+
+    activeTouches.delete(e.pointerId);
+
+    if (touchMode === 'multitouch') {
+        dotNetRef.invokeMethod('OnTouchCancel', e.pointerId);
+    } else if (e.pointerId === mousePointerId) {
+        mousePointerId = null;
+        dotNetRef.invokeMethod('OnMouseUp', 0);
     }
+
+    if (touchGestures) gestureUp(e.pointerId, true);
+}
+
+function releaseTouches() {
+    if (touchMode === 'multitouch') {
+        for (const id of activeTouches.keys()) {
+            dotNetRef.invokeMethod('OnTouchCancel', id);
+        }
+    } else if (mousePointerId !== null) {
+        dotNetRef.invokeMethod('OnMouseUp', 0);
+    }
+
+    activeTouches.clear();
+    mousePointerId = null;
+    clearTimeout(longPressTimer);
+    endTwoFinger();
+    tapSession = null;
+}
+
+// Gestures — recognized from activeTouches, which already holds the touch being reported.
+// Phases sent to C#: 0 = begin, 1 = update, 2 = end. Pinch scale and pan delta are
+// relative to the previous update.
+
+function gestureDown(p) {
+    clearTimeout(longPressTimer);
+
+    if (activeTouches.size === 1) {
+        tapSession = { startTime: performance.now(), maxFingers: 1, moved: false, x: p.x, y: p.y };
+        longPressTimer = setTimeout(() => {
+            if (tapSession && !tapSession.moved && activeTouches.size === 1) {
+                tapSession.moved = true; // A long press is never also a tap
+                dotNetRef.invokeMethod('OnTouchLongPressGesture', tapSession.x, tapSession.y);
+            }
+        }, LONG_PRESS_DURATION);
+        return;
+    }
+
+    if (tapSession) {
+        tapSession.maxFingers = Math.max(tapSession.maxFingers, activeTouches.size);
+    }
+    if (!twoFinger) {
+        beginTwoFinger();
+    }
+}
+
+function gestureMove(id, touch) {
+    const dpr = window.devicePixelRatio || 1;
+    if (tapSession && !tapSession.moved &&
+        Math.hypot(touch.x - touch.startX, touch.y - touch.startY) > TAP_MAX_DISTANCE * dpr) {
+        tapSession.moved = true;
+        clearTimeout(longPressTimer);
+    }
+
+    if (!twoFinger || (id !== twoFinger.a && id !== twoFinger.b)) return;
+
+    const prev = twoFinger;
+    measureTwoFinger();
+    const scale = prev.distance >= 1 ? twoFinger.distance / prev.distance : 1;
+    dotNetRef.invokeMethod('OnTouchPinchGesture', 1, scale, twoFinger.x, twoFinger.y);
+    dotNetRef.invokeMethod('OnTouchPanGesture', 1, twoFinger.x - prev.x, twoFinger.y - prev.y, twoFinger.x, twoFinger.y);
+}
+
+function gestureUp(id, cancelled) {
+    clearTimeout(longPressTimer);
+
+    if (tapSession && cancelled) {
+        tapSession.moved = true;
+    }
+
+    if (twoFinger && (id === twoFinger.a || id === twoFinger.b)) {
+        // Re-pair with the remaining touches without restarting the gesture
+        if (activeTouches.size >= 2) measureTwoFinger();
+        else endTwoFinger();
+    }
+
+    if (activeTouches.size === 0 && tapSession) {
+        if (!tapSession.moved && performance.now() - tapSession.startTime < TAP_MAX_DURATION) {
+            dotNetRef.invokeMethod('OnTouchTapGesture', tapSession.x, tapSession.y, tapSession.maxFingers);
+        }
+        tapSession = null;
+    }
+}
+
+function beginTwoFinger() {
+    measureTwoFinger();
+    dotNetRef.invokeMethod('OnTouchPinchGesture', 0, 1, twoFinger.x, twoFinger.y);
+    dotNetRef.invokeMethod('OnTouchPanGesture', 0, 0, 0, twoFinger.x, twoFinger.y);
+}
+
+function endTwoFinger() {
+    if (!twoFinger) return;
+    dotNetRef.invokeMethod('OnTouchPinchGesture', 2, 1, twoFinger.x, twoFinger.y);
+    dotNetRef.invokeMethod('OnTouchPanGesture', 2, 0, 0, twoFinger.x, twoFinger.y);
+    twoFinger = null;
+}
+
+// Map iteration follows insertion, so the pair is always the two oldest touches
+function measureTwoFinger() {
+    const [[a, ta], [b, tb]] = activeTouches.entries();
+    twoFinger = {
+        a, b,
+        x: (ta.x + tb.x) * 0.5,
+        y: (ta.y + tb.y) * 0.5,
+        distance: Math.hypot(tb.x - ta.x, tb.y - ta.y),
+    };
 }
 
 function onResize() {
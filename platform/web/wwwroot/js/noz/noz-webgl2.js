@@ -0,0 +1,6529 @@
+// NoZ WebGL2 Bridge - Browser Implementation
+// Fallback for browsers without WebGPU. Exports the same API as noz-webgpu.js and is
+// imported under the same module name, so the C# driver runs unchanged on either one.
+// WGSL shaders are translated to GLSL ES 3.00 when a pipeline is built.
+
+// Core WebGL2 state
+let gl = null;          // null while the context is lost
+let glContext = null;   // kept across context loss; the browser restores it in place
+let canvas = null;
+let extensions = {};
+let presentFormat = 'rgba8unorm';
+
+// Requested canvas presentation, see configureSurface. appliedSurface is what the browser
+// actually accepted the last time the context was configured.
+const surfaceConfig = { alphaMode: 'opaque', colorSpace: 'srgb', toneMapping: 'standard' };
+let appliedSurface = null;
+let surfaceWidth = 0;
+let surfaceHeight = 0;
+
+// Current frame state. Passes render to the offscreen surface texture, which endFrame
+// copies to the canvas (see presentSurface).
+let frameActive = false;
+let currentRenderPass = null;
+let surfaceTexture = null;
+
+// Resource maps (ID -> WebGL object or record)
+const buffers = new Map();
+const textures = new Map();
+const samplers = new Map();
+const shaderModules = new Map();
+const renderPipelines = new Map();
+const bindGroups = new Map();
+
+let nextBufferId = 1;
+let nextTextureId = 2; // 1 reserved for white texture
+let nextShaderId = 1;
+let nextPipelineId = 1;
+let nextBindGroupId = 1;
+let nextSamplerId = 3; // 1 and 2 reserved for the global linear/nearest samplers
+let nextRenderBundleId = 1;
+
+// Global samplers
+const LINEAR_SAMPLER_ID = 1;
+const NEAREST_SAMPLER_ID = 2;
+
+// Creation descriptors (ID -> descriptor), kept so every resource can be rebuilt
+// under the same ID when the context is lost and restored
+const bufferDescs = new Map();
+const textureDescs = new Map();
+const shaderModuleDescs = new Map();
+const bindGroupLayoutDescs = new Map();
+const pipelineLayoutDescs = new Map();
+const renderPipelineDescs = new Map();
+const computePipelineDescs = new Map();
+const bindGroupDescs = new Map();
+const samplerDescs = new Map();
+const renderBundleDescs = new Map();
+
+// Context loss recovery
+let deviceRestoredCallback = null;
+
+// WebGPU usage and shader stage flags, which the C# driver passes as numbers
+const GPUBufferUsage = {
+    MAP_READ: 0x0001, MAP_WRITE: 0x0002, COPY_SRC: 0x0004, COPY_DST: 0x0008, INDEX: 0x0010,
+    VERTEX: 0x0020, UNIFORM: 0x0040, STORAGE: 0x0080, INDIRECT: 0x0100, QUERY_RESOLVE: 0x0200
+};
+const GPUTextureUsage = {
+    COPY_SRC: 0x01, COPY_DST: 0x02, TEXTURE_BINDING: 0x04, STORAGE_BINDING: 0x08, RENDER_ATTACHMENT: 0x10
+};
+const GPUShaderStage = { VERTEX: 0x1, FRAGMENT: 0x2, COMPUTE: 0x4 };
+const GPUColorWrite = { RED: 0x1, GREEN: 0x2, BLUE: 0x4, ALPHA: 0x8, ALL: 0xF };
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+// Same result as noz-webgpu.js init. The context always has an alpha channel so
+// configureSurface can switch alphaMode later; opaque surfaces get alpha forced to 1.
+export async function init(canvasSelector, alphaMode, colorSpace, toneMapping) {
+    canvas = document.querySelector(canvasSelector);
+    if (!canvas) {
+        throw new Error(`Canvas not found: ${canvasSelector}`);
+    }
+
+    glContext = canvas.getContext('webgl2', {
+        alpha: true,
+        premultipliedAlpha: true,
+        antialias: false,
+        depth: false,
+        stencil: false,
+        preserveDrawingBuffer: false,
+        powerPreference: 'high-performance'
+    });
+
+    if (!glContext) {
+        canvas = null;
+        throw new Error("WebGL2 not supported in this browser");
+    }
+
+    canvas.addEventListener('webglcontextlost', onContextLost);
+    canvas.addEventListener('webglcontextrestored', onContextRestored);
+
+    gl = glContext;
+    surfaceWidth = canvas.width;
+    surfaceHeight = canvas.height;
+
+    setSurfaceConfig(alphaMode, colorSpace, toneMapping);
+    initContextState();
+    configureContext();
+    createGlobalSamplers();
+
+    const compression = getTextureCompressionSupport();
+    return {
+        width: surfaceWidth,
+        height: surfaceHeight,
+        format: presentFormat,
+        alphaMode: appliedSurface.alphaMode,
+        colorSpace: appliedSurface.colorSpace,
+        toneMapping: appliedSurface.toneMapping,
+        hdrDisplay: appliedSurface.hdrDisplay,
+        compressionBC: compression.bc,
+        compressionETC2: compression.etc2,
+        compressionASTC: compression.astc
+    };
+}
+
+// Enabled when the browser has them; check extensions for what we got
+const OPTIONAL_EXTENSIONS = {
+    colorBufferFloat: 'EXT_color_buffer_float',
+    floatLinear: 'OES_texture_float_linear',
+    anisotropic: 'EXT_texture_filter_anisotropic',
+    drawBuffersIndexed: 'OES_draw_buffers_indexed',
+    parallelCompile: 'KHR_parallel_shader_compile',
+    timerQuery: 'EXT_disjoint_timer_query_webgl2',
+    s3tc: 'WEBGL_compressed_texture_s3tc',
+    s3tcSrgb: 'WEBGL_compressed_texture_s3tc_srgb',
+    rgtc: 'EXT_texture_compression_rgtc',
+    bptc: 'EXT_texture_compression_bptc',
+    etc: 'WEBGL_compressed_texture_etc',
+    astc: 'WEBGL_compressed_texture_astc'
+};
+
+// Everything that belongs to one context: extensions, cached bindings, internal programs
+// and the surface texture. Runs at init and again after a context restore.
+function initContextState() {
+    extensions = {};
+    for (const [key, name] of Object.entries(OPTIONAL_EXTENSIONS)) {
+        extensions[key] = gl.getExtension(name);
+    }
+
+    // Rows of uploads and readbacks are tightly packed unless a bytesPerRow says otherwise
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.pixelStorei(gl.PACK_ALIGNMENT, 1);
+
+    textureUnitCount = gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS);
+    resetBindingCache();
+    resetFramebuffers();
+    resetMipmapGenerator();
+    resetErrorPrograms();
+    resetTimerQueries();
+    createSurfaceTexture();
+}
+
+// The canvas can't carry values above 1.0 or run without alpha, so toneMapping is always
+// 'standard' and opaque surfaces are handled at present. colorSpace uses
+// drawingBufferColorSpace where the browser supports it.
+function configureContext() {
+    let colorSpace = 'srgb';
+    if ('drawingBufferColorSpace' in gl) {
+        try {
+            gl.drawingBufferColorSpace = surfaceConfig.colorSpace;
+            colorSpace = gl.drawingBufferColorSpace;
+        } catch (e) {
+            console.warn(`Canvas color space '${surfaceConfig.colorSpace}' rejected, using srgb:`, e);
+        }
+    }
+
+    if (surfaceConfig.toneMapping !== 'standard') {
+        console.warn(`Tone mapping '${surfaceConfig.toneMapping}' needs WebGPU, using standard`);
+    }
+
+    appliedSurface = {
+        format: presentFormat,
+        alphaMode: surfaceConfig.alphaMode,
+        colorSpace: colorSpace,
+        toneMapping: 'standard',
+        hdrDisplay: !!(window.matchMedia && window.matchMedia('(dynamic-range: high)').matches)
+    };
+}
+
+// Unknown or missing values keep the defaults
+function setSurfaceConfig(alphaMode, colorSpace, toneMapping) {
+    surfaceConfig.alphaMode = alphaMode === 'premultiplied' ? 'premultiplied' : 'opaque';
+    surfaceConfig.colorSpace = colorSpace === 'display-p3' ? 'display-p3' : 'srgb';
+    surfaceConfig.toneMapping = toneMapping === 'extended' ? 'extended' : 'standard';
+}
+
+// Switch alphaMode ('opaque' | 'premultiplied') and colorSpace ('srgb' | 'display-p3').
+// toneMapping is accepted for compatibility but stays 'standard'.
+// Must be called between frames. Returns the applied settings, see getSurfaceConfiguration.
+export function configureSurface(alphaMode, colorSpace, toneMapping) {
+    setSurfaceConfig(alphaMode, colorSpace, toneMapping);
+    if (gl) configureContext();
+    return getSurfaceConfiguration();
+}
+
+// { format, alphaMode, colorSpace, toneMapping, hdrDisplay }
+export function getSurfaceConfiguration() {
+    return appliedSurface ? { ...appliedSurface } : null;
+}
+
+// Global samplers live in the samplers map under reserved IDs, so createSampler with an
+// identical descriptor dedups to them and bind groups can reference them by ID
+function createGlobalSamplers() {
+    createGlobalSampler(LINEAR_SAMPLER_ID, { magFilter: 'linear', minFilter: 'linear', mipmapFilter: 'linear', label: 'linear_sampler' });
+    createGlobalSampler(NEAREST_SAMPLER_ID, { magFilter: 'nearest', minFilter: 'nearest', label: 'nearest_sampler' });
+}
+
+function createGlobalSampler(id, descriptor) {
+    const desc = normalizeSamplerDescriptor(descriptor);
+    desc.refCount = Infinity; // never released
+    trackCreated(desc);
+    samplerDescs.set(id, desc);
+    samplerIdsByKey.set(desc.key, id);
+    buildSampler(id, desc);
+}
+
+export function shutdown() {
+    if (canvas) {
+        canvas.removeEventListener('webglcontextlost', onContextLost);
+        canvas.removeEventListener('webglcontextrestored', onContextRestored);
+    }
+
+    // GL objects go with the context once nothing references it
+    gl = null;
+    glContext = null;
+    canvas = null;
+    extensions = {};
+    deviceRestoredCallback = null;
+    appliedSurface = null;
+    frameActive = false;
+    currentRenderPass = null;
+    surfaceTexture = null;
+
+    buffers.clear();
+    textures.clear();
+    samplers.clear();
+    shaderModules.clear();
+    renderPipelines.clear();
+    bindGroups.clear();
+    renderTextures.clear();
+
+    bufferDescs.clear();
+    textureDescs.clear();
+    shaderModuleDescs.clear();
+    bindGroupLayoutDescs.clear();
+    pipelineLayoutDescs.clear();
+    renderPipelineDescs.clear();
+    computePipelineDescs.clear();
+    bindGroupDescs.clear();
+    samplerDescs.clear();
+    samplerIdsByKey.clear();
+    nextSamplerId = 3;
+    shaderModuleIdsByKey.clear();
+    bindGroupLayoutIdsByKey.clear();
+    pipelineLayoutIdsByKey.clear();
+    renderPipelineIdsByKey.clear();
+    renderTargetGroups.clear();
+    renderBundleDescs.clear();
+    renderBundleIdsByResource.clear();
+    failPendingReadbacks();
+    readbacks.clear();
+
+    resetFramebuffers();
+    resetMipmapGenerator();
+    resetErrorPrograms();
+    diagnostics.length = 0;
+    resourceTrackingEnabled = false;
+    destroyedResources.clear();
+    resetTimerQueries();
+    profilerEnabled = false;
+    passTimings.clear();
+    heapU8 = null;
+}
+
+// ============================================================================
+// Context Loss Recovery
+// ============================================================================
+
+// Called by C# once every resource has been recreated on the restored context with
+// the contents it was last given from the CPU (see Content Shadows)
+export function setDeviceRestoredCallback(callback) {
+    deviceRestoredCallback = callback;
+}
+
+export function isDeviceLost() {
+    return gl === null && canvas !== null;
+}
+
+function onContextLost(event) {
+    // Without preventDefault the browser never restores the context
+    event.preventDefault();
+    console.error('WebGL2 context lost');
+
+    gl = null;
+    frameActive = false;
+    currentRenderPass = null;
+    failPendingReadbacks();
+}
+
+function onContextRestored() {
+    // shutdown() may have run while the context was lost
+    if (!canvas) return;
+
+    gl = glContext;
+    try {
+        initContextState();
+        configureContext();
+        rebuildResources();
+    } catch (e) {
+        console.error('WebGL2 context restore failed:', e);
+        gl = null;
+        return;
+    }
+
+    // Reported through the callback, like the WebGPU bridge
+    if (deviceRestoredCallback) {
+        try {
+            deviceRestoredCallback();
+        } catch (e) {
+            console.error('Device restored callback threw:', e);
+        }
+    }
+}
+
+// Recreate every tracked resource on the restored context under its original ID.
+// Samplers include the global ones. Layouts, bind groups and render bundles hold IDs
+// only and are resolved at draw time, so they have nothing to rebuild.
+function rebuildResources() {
+    for (const [id, desc] of bufferDescs) {
+        buildBuffer(id, desc);
+        restoreBufferContents(id, desc);
+    }
+    for (const [id, desc] of textureDescs) {
+        buildTexture(id, desc);
+        restoreTextureContents(id, desc);
+    }
+    for (const [id, desc] of samplerDescs) buildSampler(id, desc);
+    for (const [id, desc] of shaderModuleDescs) buildShaderModule(id, desc);
+    for (const [id, desc] of renderPipelineDescs) buildRenderPipeline(id, desc);
+}
+
+export function getSurfaceSize() {
+    return { width: surfaceWidth, height: surfaceHeight };
+}
+
+export function checkResize() {
+    const newWidth = canvas.width;
+    const newHeight = canvas.height;
+
+    if (newWidth !== surfaceWidth || newHeight !== surfaceHeight) {
+        surfaceWidth = newWidth;
+        surfaceHeight = newHeight;
+
+        if (gl) {
+            createSurfaceTexture();
+        }
+
+        return true;
+    }
+    return false;
+}
+
+// Passes targeting the surface (textureId -1) draw into this texture. It is stored top
+// row first like every other texture, and flipped when copied to the canvas.
+function createSurfaceTexture() {
+    if (surfaceTexture) {
+        releaseFramebuffers(surfaceTexture);
+        gl.deleteTexture(surfaceTexture.texture);
+    }
+    surfaceTexture = createTextureStorage(gl.TEXTURE_2D, Math.max(1, surfaceWidth), Math.max(1, surfaceHeight), 1, presentFormat, 1);
+}
+
+// ============================================================================
+// WASM Heap Access (zero-copy uploads)
+// ============================================================================
+
+// View over the .NET WASM linear memory. C# passes pointers into it (pinned for the
+// duration of the call) so uploads and command replay read the data in place.
+let heapU8 = null;
+
+function getHeapU8() {
+    // Growing a non-shared WebAssembly.Memory detaches its ArrayBuffer, which leaves
+    // old views with byteLength 0 — fetch a fresh view whenever that happens
+    if (heapU8 && heapU8.byteLength !== 0) return heapU8;
+
+    heapU8 = null;
+    const runtime = typeof globalThis.getDotnetRuntime === 'function' ? globalThis.getDotnetRuntime(0) : null;
+    if (!runtime) return null;
+
+    if (typeof runtime.localHeapViewU8 === 'function') {
+        heapU8 = runtime.localHeapViewU8();
+    } else if (runtime.Module && runtime.Module.HEAPU8) {
+        heapU8 = runtime.Module.HEAPU8;
+    }
+    return heapU8;
+}
+
+function getHeapView(ptr, length) {
+    const heap = getHeapU8();
+    if (!heap || ptr < 0 || length < 0 || ptr + length > heap.byteLength) return null;
+    return heap;
+}
+
+export function isHeapAccessSupported() {
+    return getHeapU8() !== null;
+}
+
+// ============================================================================
+// GL State Cache
+// ============================================================================
+
+// Texture and sampler bindings per unit, the program in use and the vertex array state,
+// so consecutive draws skip redundant binds. Uploads bind on the last unit, which
+// pipelines only reach when a shader uses every unit.
+let textureUnitCount = 16;
+const boundTextures = [];   // unit -> { target, texture }
+const boundSamplers = [];   // unit -> WebGLSampler | null
+let activeTextureUnit = -1;
+let currentProgram = null;
+let boundIndexBuffer = null; // ELEMENT_ARRAY_BUFFER of the default vertex array
+let enabledAttributes = 0;   // bit mask of enabled vertex attribute arrays
+const genericAttributeKinds = []; // location -> 'float' | 'int' | 'uint' of the generic value
+
+function resetBindingCache() {
+    boundTextures.length = 0;
+    boundSamplers.length = 0;
+    activeTextureUnit = -1;
+    currentProgram = null;
+    boundIndexBuffer = null;
+    enabledAttributes = 0;
+    genericAttributeKinds.length = 0;
+}
+
+// Leaves unit active, so texParameteri and friends apply to the texture
+function bindTextureUnit(unit, target, texture) {
+    if (activeTextureUnit !== unit) {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        activeTextureUnit = unit;
+    }
+
+    const bound = boundTextures[unit];
+    if (bound && bound.target === target && bound.texture === texture) return;
+    gl.bindTexture(target, texture);
+    boundTextures[unit] = { target, texture };
+}
+
+function bindScratchTexture(target, texture) {
+    bindTextureUnit(textureUnitCount - 1, target, texture);
+}
+
+function bindSamplerUnit(unit, sampler) {
+    if (boundSamplers[unit] === sampler) return;
+    gl.bindSampler(unit, sampler);
+    boundSamplers[unit] = sampler;
+}
+
+function useProgram(program) {
+    if (currentProgram === program) return;
+    gl.useProgram(program);
+    currentProgram = program;
+}
+
+function bindIndexBuffer(buffer) {
+    if (boundIndexBuffer === buffer) return;
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+    boundIndexBuffer = buffer;
+}
+
+// ============================================================================
+// Buffer Management
+// ============================================================================
+
+export function createBuffer(size, usage, label) {
+    const id = nextBufferId++;
+    const desc = { type: 'buffer', size: size, usage: usage, label: label || `buffer_${id}` };
+    trackCreated(desc);
+    bufferDescs.set(id, desc);
+    if (gl) buildBuffer(id, desc);
+    return id;
+}
+
+function buildBuffer(id, desc) {
+    if (desc.type === 'mesh') {
+        buildMesh(id, desc);
+        return;
+    }
+
+    // A std140 uniform block can be larger than its WGSL struct (a lone f32 takes 16
+    // bytes), and binding a range shorter than the block is an error
+    const glSize = desc.usage & GPUBufferUsage.UNIFORM ? align16(desc.size) : align4(desc.size);
+    const target = desc.usage & GPUBufferUsage.INDEX ? gl.ELEMENT_ARRAY_BUFFER : gl.ARRAY_BUFFER;
+
+    buffers.set(id, {
+        type: 'buffer',
+        buffer: createGLBuffer(target, glSize),
+        size: desc.size,
+        glSize: glSize,
+        usage: desc.usage,
+        // drawIndirect reads its arguments on the CPU, from this copy of the contents
+        shadow: desc.usage & GPUBufferUsage.INDIRECT ? new Uint8Array(glSize) : null
+    });
+}
+
+// A buffer first bound to ELEMENT_ARRAY_BUFFER can only hold indices from then on (and
+// any other buffer never can), so every buffer is bound to its real target first
+function createGLBuffer(target, size) {
+    const buffer = gl.createBuffer();
+    if (target === gl.ELEMENT_ARRAY_BUFFER) {
+        bindIndexBuffer(buffer);
+        gl.bufferData(target, size, gl.DYNAMIC_DRAW);
+    } else {
+        gl.bindBuffer(target, buffer);
+        gl.bufferData(target, size, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(target, null);
+    }
+    return buffer;
+}
+
+function copyGLBuffer(source, destination, size) {
+    gl.bindBuffer(gl.COPY_READ_BUFFER, source);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, destination);
+    gl.copyBufferSubData(gl.COPY_READ_BUFFER, gl.COPY_WRITE_BUFFER, 0, 0, size);
+    gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, null);
+}
+
+// bytes is a Uint8Array; length bytes from srcOffset land at offset
+function uploadGLBuffer(buffer, offset, bytes, srcOffset, length) {
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, buffer);
+    gl.bufferSubData(gl.COPY_WRITE_BUFFER, offset, bytes, srcOffset, length);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, null);
+}
+
+function writeBufferRecord(bufferId, buffer, offset, bytes, srcOffset, length) {
+    if (buffer.type !== 'buffer' || offset < 0 || offset + length > buffer.glSize) {
+        console.error(`writeBuffer: ${length} bytes at ${offset} don't fit buffer ${bufferId}`);
+        return;
+    }
+
+    uploadGLBuffer(buffer.buffer, offset, bytes, srcOffset, length);
+    if (buffer.shadow) buffer.shadow.set(bytes.subarray(srcOffset, srcOffset + length), offset);
+    shadowBufferWrite(bufferDescs.get(bufferId), offset, bytes, srcOffset, length);
+    frameStats.bytesUploaded += length;
+}
+
+export function writeBuffer(bufferId, offset, data) {
+    markUsed('buffer', bufferId, 'writeBuffer');
+    if (!gl) return;
+    const buffer = buffers.get(bufferId);
+    if (!buffer) {
+        console.error(`Buffer ${bufferId} not found`);
+        return;
+    }
+    const typedData = ensureTypedArray(data);
+    if (typedData && typedData.byteLength > 0) {
+        const bytes = toBytes(typedData);
+        writeBufferRecord(bufferId, buffer, offset, bytes, 0, bytes.byteLength);
+    }
+}
+
+// Heap variants return false when the WASM heap is unavailable; the caller then retries
+// with the copying version
+export function writeBufferHeap(bufferId, offset, ptr, length) {
+    const heap = getHeapView(ptr, length);
+    if (!heap) return false;
+    if (!gl || length === 0) return true;
+
+    markUsed('buffer', bufferId, 'writeBuffer');
+
+    const buffer = buffers.get(bufferId);
+    if (!buffer) {
+        console.error(`Buffer ${bufferId} not found`);
+        return true;
+    }
+    writeBufferRecord(bufferId, buffer, offset, heap, ptr, length);
+    return true;
+}
+
+// Helper to ensure data is a proper typed array
+function ensureTypedArray(data) {
+    if (!data) return null;
+    // If it's already a typed array with a buffer, use it directly
+    if (data instanceof Uint8Array || data instanceof Float32Array) {
+        return data;
+    }
+    // If it has a slice method (Span/MemoryView), convert to Uint8Array
+    if (data.slice) {
+        return new Uint8Array(data.slice());
+    }
+    // If it has buffer property (ArrayBufferView)
+    if (data.buffer instanceof ArrayBuffer) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    // If it's an ArrayBuffer
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    console.warn('Unknown data type for buffer write:', typeof data, data);
+    return null;
+}
+
+function toBytes(data) {
+    return data instanceof Uint8Array ? data : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+export function destroyBuffer(bufferId) {
+    trackDestroyed('buffer', bufferId, bufferDescs.get(bufferId));
+    invalidateRenderBundles('buffer', bufferId);
+    const buffer = buffers.get(bufferId);
+    if (buffer && buffer.type === 'buffer') {
+        if (gl) gl.deleteBuffer(buffer.buffer);
+        buffers.delete(bufferId);
+    }
+    bufferDescs.delete(bufferId);
+}
+
+// ============================================================================
+// Mesh Management (Vertex + Index Buffer pairs)
+// ============================================================================
+
+const indexFormatSizes = { 'uint16': 2, 'uint32': 4 };
+
+export function createMesh(maxVertices, maxIndices, vertexStride, label, indexFormat) {
+    const id = nextBufferId++;
+    const desc = {
+        type: 'mesh',
+        maxVertices: maxVertices,
+        maxIndices: maxIndices,
+        stride: vertexStride,
+        indexFormat: indexFormatSizes[indexFormat] ? indexFormat : 'uint16',
+        label: label || 'mesh'
+    };
+    trackCreated(desc);
+    bufferDescs.set(id, desc);
+    if (gl) buildMesh(id, desc);
+    return id;
+}
+
+function buildMesh(id, desc) {
+    const vertexBytes = align4(desc.maxVertices * desc.stride);
+    const indexBytes = align4(desc.maxIndices * indexFormatSizes[desc.indexFormat]);
+    buffers.set(id, {
+        type: 'mesh',
+        vertexBuffer: createGLBuffer(gl.ARRAY_BUFFER, vertexBytes),
+        indexBuffer: createGLBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBytes),
+        vertexBytes: vertexBytes,
+        indexBytes: indexBytes,
+        stride: desc.stride,
+        indexFormat: desc.indexFormat,
+        maxVertices: desc.maxVertices,
+        maxIndices: desc.maxIndices
+    });
+}
+
+function align4(size) {
+    return (size + 3) & ~3;
+}
+
+function align16(size) {
+    return (size + 15) & ~15;
+}
+
+// Make sure [0, vertexEnd) and [0, indexEnd) (in bytes) fit, reallocating at least double
+// the previous capacity. Existing contents are preserved so ranged updates keep working.
+// GL runs commands in order, so the old buffers can be deleted right away; passes and
+// bind groups look meshes up by ID at draw time.
+function ensureMeshCapacity(meshId, mesh, vertexEnd, indexEnd) {
+    const indexSize = indexFormatSizes[mesh.indexFormat];
+    const neededVertices = Math.ceil(vertexEnd / mesh.stride);
+    const neededIndices = Math.ceil(indexEnd / indexSize);
+    if (neededVertices <= mesh.maxVertices && neededIndices <= mesh.maxIndices) return;
+
+    const desc = bufferDescs.get(meshId);
+
+    if (neededVertices > mesh.maxVertices) {
+        const maxVertices = Math.max(neededVertices, mesh.maxVertices * 2);
+        const vertexBytes = align4(maxVertices * mesh.stride);
+        const vertexBuffer = createGLBuffer(gl.ARRAY_BUFFER, vertexBytes);
+        copyGLBuffer(mesh.vertexBuffer, vertexBuffer, mesh.vertexBytes);
+        gl.deleteBuffer(mesh.vertexBuffer);
+        mesh.vertexBuffer = vertexBuffer;
+        mesh.vertexBytes = vertexBytes;
+        mesh.maxVertices = desc.maxVertices = maxVertices;
+    }
+
+    if (neededIndices > mesh.maxIndices) {
+        const maxIndices = Math.max(neededIndices, mesh.maxIndices * 2);
+        const indexBytes = align4(maxIndices * indexSize);
+        const indexBuffer = createGLBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBytes);
+        copyGLBuffer(mesh.indexBuffer, indexBuffer, mesh.indexBytes);
+        gl.deleteBuffer(mesh.indexBuffer);
+        mesh.indexBuffer = indexBuffer;
+        mesh.indexBytes = indexBytes;
+        mesh.maxIndices = desc.maxIndices = maxIndices;
+    }
+
+    // The open pass may have the old buffers in its vertex attributes
+    if (currentRenderPass) currentRenderPass.attributesDirty = true;
+}
+
+// Byte offsets must be multiples of 4; omitted offsets mean a full update from 0
+export function updateMesh(meshId, vertexData, indexData, vertexOffset, indexOffset) {
+    if (!gl) return;
+    const mesh = buffers.get(meshId);
+    if (!mesh || mesh.type !== 'mesh') {
+        console.error(`Mesh ${meshId} not found`);
+        return;
+    }
+
+    const vData = ensureTypedArray(vertexData);
+    const iData = ensureTypedArray(indexData);
+    const vOffset = vertexOffset || 0;
+    const iOffset = indexOffset || 0;
+    ensureMeshCapacity(meshId, mesh, vOffset + (vData ? vData.byteLength : 0), iOffset + (iData ? iData.byteLength : 0));
+
+    const desc = bufferDescs.get(meshId);
+
+    if (vData && vData.byteLength > 0) {
+        const bytes = toBytes(vData);
+        uploadGLBuffer(mesh.vertexBuffer, vOffset, bytes, 0, bytes.byteLength);
+        shadowMeshWrite(desc, 'vertexContents', mesh.vertexBytes, vOffset, bytes, 0, bytes.byteLength);
+        frameStats.bytesUploaded += bytes.byteLength;
+    }
+
+    if (iData && iData.byteLength > 0) {
+        const bytes = toBytes(iData);
+        uploadGLBuffer(mesh.indexBuffer, iOffset, bytes, 0, bytes.byteLength);
+        shadowMeshWrite(desc, 'indexContents', mesh.indexBytes, iOffset, bytes, 0, bytes.byteLength);
+        frameStats.bytesUploaded += bytes.byteLength;
+    }
+}
+
+export function updateMeshHeap(meshId, vertexPtr, vertexLength, indexPtr, indexLength, vertexOffset, indexOffset) {
+    const heap = getHeapView(vertexPtr, vertexLength);
+    if (!heap || !getHeapView(indexPtr, indexLength)) return false;
+    if (!gl) return true;
+
+    const mesh = buffers.get(meshId);
+    if (!mesh || mesh.type !== 'mesh') {
+        console.error(`Mesh ${meshId} not found`);
+        return true;
+    }
+
+    const vOffset = vertexOffset || 0;
+    const iOffset = indexOffset || 0;
+    ensureMeshCapacity(meshId, mesh, vOffset + vertexLength, iOffset + indexLength);
+
+    const desc = bufferDescs.get(meshId);
+
+    if (vertexLength > 0) {
+        uploadGLBuffer(mesh.vertexBuffer, vOffset, heap, vertexPtr, vertexLength);
+        shadowMeshWrite(desc, 'vertexContents', mesh.vertexBytes, vOffset, heap, vertexPtr, vertexLength);
+    }
+    if (indexLength > 0) {
+        uploadGLBuffer(mesh.indexBuffer, iOffset, heap, indexPtr, indexLength);
+        shadowMeshWrite(desc, 'indexContents', mesh.indexBytes, iOffset, heap, indexPtr, indexLength);
+    }
+    frameStats.bytesUploaded += vertexLength + indexLength;
+    return true;
+}
+
+export function getMeshCapacity(meshId) {
+    const mesh = buffers.get(meshId);
+    if (!mesh || mesh.type !== 'mesh') return null;
+    return { maxVertices: mesh.maxVertices, maxIndices: mesh.maxIndices };
+}
+
+export function destroyMesh(meshId) {
+    trackDestroyed('buffer', meshId, bufferDescs.get(meshId));
+    invalidateRenderBundles('buffer', meshId);
+    const mesh = buffers.get(meshId);
+    if (mesh && mesh.type === 'mesh') {
+        if (gl) {
+            gl.deleteBuffer(mesh.vertexBuffer);
+            gl.deleteBuffer(mesh.indexBuffer);
+        }
+        if (boundIndexBuffer === mesh.indexBuffer) boundIndexBuffer = null;
+        buffers.delete(meshId);
+    }
+    bufferDescs.delete(meshId);
+}
+
+// ============================================================================
+// Content Shadows
+// ============================================================================
+
+// CPU copies of everything uploaded to buffers, meshes and textures, kept on their
+// descriptors so rebuildResources can bring a restored context back with the same
+// contents. Anything the GPU wrote itself (render targets, copies)
+// isn't captured and comes back cleared.
+
+// bytes[srcOffset, srcOffset + length) lands at offset of a shadow holding capacity bytes,
+// allocated on first write and grown (keeping its contents) when the resource grows
+function shadowWrite(desc, key, capacity, offset, bytes, srcOffset, length) {
+    if (offset < 0 || offset + length > capacity) return;
+
+    let shadow = desc[key];
+    if (!shadow || shadow.byteLength < capacity) {
+        const grown = new Uint8Array(capacity);
+        if (shadow) grown.set(shadow);
+        desc[key] = shadow = grown;
+    }
+    shadow.set(bytes.subarray(srcOffset, srcOffset + length), offset);
+}
+
+function shadowBufferWrite(desc, offset, bytes, srcOffset, length) {
+    if (desc) shadowWrite(desc, 'contents', desc.size, offset, bytes, srcOffset, length);
+}
+
+function shadowMeshWrite(desc, key, capacity, offset, bytes, srcOffset, length) {
+    if (desc) shadowWrite(desc, key, capacity, offset, bytes, srcOffset, length);
+}
+
+function restoreBufferContents(id, desc) {
+    const buffer = buffers.get(id);
+    if (desc.type === 'mesh') {
+        if (desc.vertexContents) uploadGLBuffer(buffer.vertexBuffer, 0, desc.vertexContents, 0, desc.vertexContents.byteLength);
+        if (desc.indexContents) uploadGLBuffer(buffer.indexBuffer, 0, desc.indexContents, 0, desc.indexContents.byteLength);
+    } else if (desc.contents) {
+        uploadGLBuffer(buffer.buffer, 0, desc.contents, 0, desc.contents.byteLength);
+        if (buffer.shadow) buffer.shadow.set(desc.contents);
+    }
+}
+
+// Textures keep an ordered log of uploads and mip generations. A write covering a whole
+// level replaces earlier writes to it, and generating mips replaces earlier writes to
+// the levels it fills, so the log stays around one image per level.
+function shadowTextureWrite(desc, bytes, srcOffset, length, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    if (!desc) return;
+
+    const entry = {
+        data: bytes.slice(srcOffset, srcOffset + length),
+        x, y, width, height, bytesPerRow,
+        layer: layer || 0,
+        mipLevel: mipLevel || 0
+    };
+
+    const uploads = desc.uploads || (desc.uploads = []);
+    const levelWidth = Math.max(1, desc.width >> entry.mipLevel);
+    const levelHeight = Math.max(1, desc.height >> entry.mipLevel);
+    if (x === 0 && y === 0 && width >= levelWidth && height >= levelHeight) {
+        desc.uploads = uploads.filter(u => u.mipmaps || u.layer !== entry.layer || u.mipLevel !== entry.mipLevel);
+    }
+    desc.uploads.push(entry);
+}
+
+function shadowMipmaps(desc, premultipliedAlpha, layer) {
+    if (!desc) return;
+
+    const allLayers = !(layer >= 0);
+    const uploads = (desc.uploads || []).filter(u =>
+        !(allLayers || u.layer === layer) || (!u.mipmaps && u.mipLevel === 0));
+    uploads.push({ mipmaps: true, premultipliedAlpha, layer: allLayers ? -1 : layer });
+    desc.uploads = uploads;
+}
+
+function restoreTextureContents(id, desc) {
+    const tex = textures.get(id);
+    if (!tex || !desc.uploads) return;
+
+    for (const u of desc.uploads) {
+        if (u.mipmaps) {
+            encodeMipmaps(tex, u.premultipliedAlpha, u.layer);
+        } else {
+            writeTextureData(tex, u.data, 0, u.x, u.y, u.width, u.height, u.bytesPerRow, u.layer, u.mipLevel);
+        }
+    }
+    restorePassState();
+}
+
+// ============================================================================
+// Texture Management
+// ============================================================================
+
+const formatMap = {
+    'rgba8': 'rgba8unorm',
+    'r8': 'r8unorm',
+    'rg8': 'rg8unorm',
+    'rgba32f': 'rgba32float',
+    'rgba16float': 'rgba16float',
+    'bgra8': 'bgra8unorm',
+    'depth16': 'depth16unorm',
+    'depth24': 'depth24plus',
+    'depth24s8': 'depth24plus-stencil8',
+    'depth32f': 'depth32float',
+    'stencil8': 'stencil8',
+    // Block-compressed (full WebGPU names are accepted too, see compressedFormatInfo)
+    'bc1': 'bc1-rgba-unorm',
+    'bc3': 'bc3-rgba-unorm',
+    'bc4': 'bc4-r-unorm',
+    'bc5': 'bc5-rg-unorm',
+    'bc7': 'bc7-rgba-unorm',
+    'etc2-rgb8': 'etc2-rgb8unorm',
+    'etc2-rgba8': 'etc2-rgba8unorm',
+    'eac-r11': 'eac-r11unorm',
+    'eac-rg11': 'eac-rg11unorm',
+    'astc-4x4': 'astc-4x4-unorm',
+    'astc-6x6': 'astc-6x6-unorm',
+    'astc-8x8': 'astc-8x8-unorm'
+};
+
+// WebGPU format -> [internal format, format, type] as WebGL2 constant names. Formats are
+// named as in WebGPU everywhere else so descriptors stay interchangeable.
+const glTextureFormats = {
+    'r8unorm': ['R8', 'RED', 'UNSIGNED_BYTE'],
+    'rg8unorm': ['RG8', 'RG', 'UNSIGNED_BYTE'],
+    'rgba8unorm': ['RGBA8', 'RGBA', 'UNSIGNED_BYTE'],
+    // WebGL2 has no BGRA storage: kept as RGBA, uploads and readbacks swap red and blue
+    'bgra8unorm': ['RGBA8', 'RGBA', 'UNSIGNED_BYTE'],
+    'rgba16float': ['RGBA16F', 'RGBA', 'HALF_FLOAT'],
+    'rgba32float': ['RGBA32F', 'RGBA', 'FLOAT'],
+    'depth16unorm': ['DEPTH_COMPONENT16', 'DEPTH_COMPONENT', 'UNSIGNED_SHORT'],
+    'depth24plus': ['DEPTH_COMPONENT24', 'DEPTH_COMPONENT', 'UNSIGNED_INT'],
+    'depth24plus-stencil8': ['DEPTH24_STENCIL8', 'DEPTH_STENCIL', 'UNSIGNED_INT_24_8'],
+    'depth32float': ['DEPTH_COMPONENT32F', 'DEPTH_COMPONENT', 'FLOAT'],
+    'stencil8': ['STENCIL_INDEX8', null, null] // renderbuffer only
+};
+
+// WebGPU format -> { feature, blockWidth, blockHeight, bytesPerBlock }
+const compressedFormatInfo = {};
+
+function addBlockFormats(feature, blockWidth, blockHeight, bytesPerBlock, names) {
+    for (const name of names) {
+        compressedFormatInfo[name] = { feature, blockWidth, blockHeight, bytesPerBlock };
+    }
+}
+
+addBlockFormats('texture-compression-bc', 4, 4, 8, [
+    'bc1-rgba-unorm', 'bc1-rgba-unorm-srgb', 'bc4-r-unorm', 'bc4-r-snorm'
+]);
+addBlockFormats('texture-compression-bc', 4, 4, 16, [
+    'bc2-rgba-unorm', 'bc2-rgba-unorm-srgb', 'bc3-rgba-unorm', 'bc3-rgba-unorm-srgb',
+    'bc5-rg-unorm', 'bc5-rg-snorm', 'bc6h-rgb-ufloat', 'bc6h-rgb-float',
+    'bc7-rgba-unorm', 'bc7-rgba-unorm-srgb'
+]);
+addBlockFormats('texture-compression-etc2', 4, 4, 8, [
+    'etc2-rgb8unorm', 'etc2-rgb8unorm-srgb', 'etc2-rgb8a1unorm', 'etc2-rgb8a1unorm-srgb',
+    'eac-r11unorm', 'eac-r11snorm'
+]);
+addBlockFormats('texture-compression-etc2', 4, 4, 16, [
+    'etc2-rgba8unorm', 'etc2-rgba8unorm-srgb', 'eac-rg11unorm', 'eac-rg11snorm'
+]);
+
+// WebGPU format -> [extension key (see OPTIONAL_EXTENSIONS), constant on the extension]
+const compressedGLFormats = {
+    'bc1-rgba-unorm': ['s3tc', 'COMPRESSED_RGBA_S3TC_DXT1_EXT'],
+    'bc1-rgba-unorm-srgb': ['s3tcSrgb', 'COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT'],
+    'bc2-rgba-unorm': ['s3tc', 'COMPRESSED_RGBA_S3TC_DXT3_EXT'],
+    'bc2-rgba-unorm-srgb': ['s3tcSrgb', 'COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT'],
+    'bc3-rgba-unorm': ['s3tc', 'COMPRESSED_RGBA_S3TC_DXT5_EXT'],
+    'bc3-rgba-unorm-srgb': ['s3tcSrgb', 'COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT'],
+    'bc4-r-unorm': ['rgtc', 'COMPRESSED_RED_RGTC1_EXT'],
+    'bc4-r-snorm': ['rgtc', 'COMPRESSED_SIGNED_RED_RGTC1_EXT'],
+    'bc5-rg-unorm': ['rgtc', 'COMPRESSED_RED_GREEN_RGTC2_EXT'],
+    'bc5-rg-snorm': ['rgtc', 'COMPRESSED_SIGNED_RED_GREEN_RGTC2_EXT'],
+    'bc6h-rgb-ufloat': ['bptc', 'COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT'],
+    'bc6h-rgb-float': ['bptc', 'COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT'],
+    'bc7-rgba-unorm': ['bptc', 'COMPRESSED_RGBA_BPTC_UNORM_EXT'],
+    'bc7-rgba-unorm-srgb': ['bptc', 'COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT'],
+    'etc2-rgb8unorm': ['etc', 'COMPRESSED_RGB8_ETC2'],
+    'etc2-rgb8unorm-srgb': ['etc', 'COMPRESSED_SRGB8_ETC2'],
+    'etc2-rgb8a1unorm': ['etc', 'COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2'],
+    'etc2-rgb8a1unorm-srgb': ['etc', 'COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2'],
+    'etc2-rgba8unorm': ['etc', 'COMPRESSED_RGBA8_ETC2_EAC'],
+    'etc2-rgba8unorm-srgb': ['etc', 'COMPRESSED_SRGB8_ALPHA8_ETC2_EAC'],
+    'eac-r11unorm': ['etc', 'COMPRESSED_R11_EAC'],
+    'eac-r11snorm': ['etc', 'COMPRESSED_SIGNED_R11_EAC'],
+    'eac-rg11unorm': ['etc', 'COMPRESSED_RG11_EAC'],
+    'eac-rg11snorm': ['etc', 'COMPRESSED_SIGNED_RG11_EAC']
+};
+
+for (const [w, h] of [[4, 4], [5, 4], [5, 5], [6, 5], [6, 6], [8, 5], [8, 6], [8, 8], [10, 5], [10, 6], [10, 8], [10, 10], [12, 10], [12, 12]]) {
+    addBlockFormats('texture-compression-astc', w, h, 16, [`astc-${w}x${h}-unorm`, `astc-${w}x${h}-unorm-srgb`]);
+    compressedGLFormats[`astc-${w}x${h}-unorm`] = ['astc', `COMPRESSED_RGBA_ASTC_${w}x${h}_KHR`];
+    compressedGLFormats[`astc-${w}x${h}-unorm-srgb`] = ['astc', `COMPRESSED_SRGB8_ALPHA8_ASTC_${w}x${h}_KHR`];
+}
+
+const texelSizes = {
+    'r8unorm': 1,
+    'rg8unorm': 2,
+    'rgba8unorm': 4,
+    'bgra8unorm': 4,
+    'rgba16float': 8,
+    'rgba32float': 16
+};
+
+// Unknown formats fall back to rgba8unorm as before; compressed formats may be given by their WebGPU name
+function resolveTextureFormat(format) {
+    return formatMap[format] || (compressedFormatInfo[format] ? format : 'rgba8unorm');
+}
+
+// { internalFormat, format, type } as GL enums; compressed formats only have internalFormat
+function getGLFormat(gpuFormat) {
+    const compressed = compressedGLFormats[gpuFormat];
+    if (compressed) {
+        const extension = extensions[compressed[0]];
+        return { internalFormat: extension ? extension[compressed[1]] : 0, format: 0, type: 0, compressed: true };
+    }
+
+    const names = glTextureFormats[gpuFormat] || glTextureFormats['rgba8unorm'];
+    return {
+        internalFormat: gl[names[0]],
+        format: names[1] ? gl[names[1]] : 0,
+        type: names[2] ? gl[names[2]] : 0,
+        compressed: false
+    };
+}
+
+// Float formats are only renderable with EXT_color_buffer_float
+function isColorRenderable(gpuFormat) {
+    if (gpuFormat === 'rgba16float' || gpuFormat === 'rgba32float') return !!extensions.colorBufferFloat;
+    return !compressedFormatInfo[gpuFormat];
+}
+
+// bc needs every BCn extension, since any of the bc formats may be uploaded
+export function getTextureCompressionSupport() {
+    return {
+        bc: !!(extensions.s3tc && extensions.s3tcSrgb && extensions.rgtc && extensions.bptc),
+        etc2: !!extensions.etc,
+        astc: !!extensions.astc
+    };
+}
+
+// Check a format can be created on this context (and, when compressed, that the size is
+// a whole number of blocks). Logs and returns false otherwise.
+function validateTextureFormat(gpuFormat, width, height, label) {
+    const block = compressedFormatInfo[gpuFormat];
+    if (!block) return true;
+
+    const extensionKey = compressedGLFormats[gpuFormat][0];
+    if (gl && !extensions[extensionKey]) {
+        console.error(`Texture ${label}: ${gpuFormat} needs ${OPTIONAL_EXTENSIONS[extensionKey]}, which this context doesn't support`);
+        return false;
+    }
+    if (width % block.blockWidth !== 0 || height % block.blockHeight !== 0) {
+        console.error(`Texture ${label}: ${width}x${height} is not a multiple of the ${block.blockWidth}x${block.blockHeight} block size of ${gpuFormat}`);
+        return false;
+    }
+    return true;
+}
+
+// Bytes per row of tightly packed data: whole blocks for compressed formats
+export function getBytesPerRow(format, width) {
+    const gpuFormat = resolveTextureFormat(format);
+    const block = compressedFormatInfo[gpuFormat];
+    if (block) {
+        return Math.ceil(width / block.blockWidth) * block.bytesPerBlock;
+    }
+    return width * (texelSizes[gpuFormat] || 4);
+}
+
+// Shared by the writeTexture variants. Compressed writes are addressed in whole blocks:
+// the copy size is rounded up to the block size (mips smaller than a block still occupy
+// one) and bytesPerRow is always derived from the block layout. For other formats a
+// bytesPerRow <= 0 means tightly packed rows. bytes is a Uint8Array, data starts at offset.
+function writeTextureData(tex, bytes, offset, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    if (!tex.texture) {
+        console.error(`Texture ${tex.format} is a render target and can't be written`);
+        return;
+    }
+
+    const level = mipLevel || 0;
+    const is3D = tex.target === gl.TEXTURE_2D_ARRAY;
+    const glFormat = getGLFormat(tex.format);
+    bindScratchTexture(tex.target, tex.texture);
+
+    const block = compressedFormatInfo[tex.format];
+    if (block) {
+        width = Math.ceil(width / block.blockWidth) * block.blockWidth;
+        height = Math.ceil(height / block.blockHeight) * block.blockHeight;
+        const size = (width / block.blockWidth) * block.bytesPerBlock * (height / block.blockHeight);
+
+        // GL wants the real extent of mips smaller than a block, with the data of whole blocks
+        const w = Math.min(width, Math.max(1, tex.width >> level) - x);
+        const h = Math.min(height, Math.max(1, tex.height >> level) - y);
+        if (is3D) {
+            gl.compressedTexSubImage3D(tex.target, level, x, y, layer || 0, w, h, 1, glFormat.internalFormat, bytes, offset, size);
+        } else {
+            gl.compressedTexSubImage2D(tex.target, level, x, y, w, h, glFormat.internalFormat, bytes, offset, size);
+        }
+        frameStats.bytesUploaded += size;
+        return;
+    }
+
+    const texelSize = texelSizes[tex.format] || 4;
+    if (!(bytesPerRow > 0)) {
+        bytesPerRow = width * texelSize;
+    }
+    const size = bytesPerRow * (height - 1) + width * texelSize;
+    const pixels = texelView(tex.format, glFormat.type, bytes, offset, size);
+
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, bytesPerRow / texelSize);
+    if (is3D) {
+        gl.texSubImage3D(tex.target, level, x, y, layer || 0, width, height, 1, glFormat.format, glFormat.type, pixels);
+    } else {
+        gl.texSubImage2D(tex.target, level, x, y, width, height, glFormat.format, glFormat.type, pixels);
+    }
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, 0);
+    frameStats.bytesUploaded += bytesPerRow * height;
+}
+
+// texSubImage wants a typed array matching the pixel type. BGRA is swapped into a copy and
+// float data that isn't aligned in the heap is copied too.
+function texelView(gpuFormat, type, bytes, offset, size) {
+    if (gpuFormat === 'bgra8unorm') {
+        const rgba = bytes.slice(offset, offset + size);
+        for (let i = 0; i + 3 < rgba.length; i += 4) {
+            const b = rgba[i];
+            rgba[i] = rgba[i + 2];
+            rgba[i + 2] = b;
+        }
+        return rgba;
+    }
+
+    if (type !== gl.FLOAT && type !== gl.HALF_FLOAT) {
+        return bytes.subarray(offset, offset + size);
+    }
+
+    const elementSize = type === gl.FLOAT ? 4 : 2;
+    let buffer = bytes.buffer;
+    let start = bytes.byteOffset + offset;
+    if (start % elementSize !== 0) {
+        buffer = bytes.slice(offset, offset + size).buffer;
+        start = 0;
+    }
+    const count = Math.floor(size / elementSize);
+    return type === gl.FLOAT ? new Float32Array(buffer, start, count) : new Uint16Array(buffer, start, count);
+}
+
+function formatHasDepth(gpuFormat) {
+    return gpuFormat.startsWith('depth');
+}
+
+function formatHasStencil(gpuFormat) {
+    return gpuFormat.includes('stencil8');
+}
+
+// Number of mips in a full chain down to 1x1
+function fullMipLevelCount(width, height) {
+    return Math.floor(Math.log2(Math.max(width, height))) + 1;
+}
+
+// Clamp a requested mip count the way the C# driver does: 0 (or less) means the full
+// chain, anything above it is capped, and callers that pass no count get a single level
+function resolveMipLevelCount(width, height, mipLevelCount) {
+    const fullCount = fullMipLevelCount(width, height);
+    if (mipLevelCount === undefined || mipLevelCount === null) return 1;
+    return mipLevelCount <= 0 ? fullCount : Math.min(mipLevelCount, fullCount);
+}
+
+// Identifies a GL texture or renderbuffer in framebuffer cache keys. Texture IDs can't be
+// used: the object behind an ID changes when the context is restored.
+let nextTextureUid = 1;
+
+// Immutable storage bound on the scratch unit. Sampler objects override the filtering set
+// here, which only matters to texelFetch and internal draws.
+function createTextureStorage(target, width, height, layers, gpuFormat, mipLevelCount) {
+    const texture = gl.createTexture();
+    bindScratchTexture(target, texture);
+
+    const internalFormat = getGLFormat(gpuFormat).internalFormat;
+    if (target === gl.TEXTURE_2D_ARRAY) {
+        gl.texStorage3D(target, mipLevelCount, internalFormat, width, height, layers);
+    } else {
+        gl.texStorage2D(target, mipLevelCount, internalFormat, width, height);
+    }
+
+    gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(target, gl.TEXTURE_MAX_LEVEL, mipLevelCount - 1);
+
+    return {
+        texture: texture,
+        renderbuffer: null,
+        target: target,
+        uid: nextTextureUid++,
+        width: width,
+        height: height,
+        format: gpuFormat,
+        layers: layers,
+        mipLevelCount: mipLevelCount,
+        isArray: target === gl.TEXTURE_2D_ARRAY,
+        isDepth: formatHasDepth(gpuFormat),
+        sampleCount: 1
+    };
+}
+
+// Multisampled attachments and stencil-only depth can't be textures in WebGL2
+function createRenderbufferStorage(width, height, gpuFormat, sampleCount) {
+    const renderbuffer = gl.createRenderbuffer();
+    const internalFormat = getGLFormat(gpuFormat).internalFormat;
+    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+    if (sampleCount > 1) {
+        gl.renderbufferStorageMultisample(gl.RENDERBUFFER, sampleCount, internalFormat, width, height);
+    } else {
+        gl.renderbufferStorage(gl.RENDERBUFFER, internalFormat, width, height);
+    }
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+    return {
+        texture: null,
+        renderbuffer: renderbuffer,
+        target: gl.RENDERBUFFER,
+        uid: nextTextureUid++,
+        width: width,
+        height: height,
+        format: gpuFormat,
+        layers: 1,
+        mipLevelCount: 1,
+        isArray: false,
+        isDepth: formatHasDepth(gpuFormat) || formatHasStencil(gpuFormat),
+        sampleCount: sampleCount
+    };
+}
+
+// Highest supported sample count not above the requested one, 1 when the format can't be
+// multisampled (e.g. float targets without EXT_color_buffer_float)
+function clampSampleCount(gpuFormat, sampleCount) {
+    if (!(sampleCount > 1)) return 1;
+    const supported = gl.getInternalformatParameter(gl.RENDERBUFFER, getGLFormat(gpuFormat).internalFormat, gl.SAMPLES);
+    if (supported) {
+        for (const count of supported) {
+            if (count <= sampleCount) return count;
+        }
+    }
+    return 1;
+}
+
+function deleteTextureStorage(record) {
+    if (!record) return;
+    releaseFramebuffers(record);
+    if (!gl) return;
+    if (record.texture) {
+        gl.deleteTexture(record.texture);
+    } else {
+        gl.deleteRenderbuffer(record.renderbuffer);
+    }
+}
+
+export function createTexture(width, height, format, usage, label, mipLevelCount) {
+    if (!validateTextureFormat(resolveTextureFormat(format), width, height, label)) return -1;
+
+    const id = nextTextureId++;
+    const desc = {
+        type: 'texture', width, height, format, usage,
+        mipLevelCount: resolveMipLevelCount(width, height, mipLevelCount),
+        label: label || `texture_${id}`
+    };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (gl) buildTexture(id, desc);
+    return id;
+}
+
+function buildTexture(id, desc) {
+    switch (desc.type) {
+        case 'texture': buildTexture2D(id, desc); break;
+        case 'array': buildTextureArray(id, desc); break;
+        case 'renderTexture': buildRenderTexture(id, desc); break;
+        case 'depth': buildDepthTexture(id, desc); break;
+    }
+}
+
+function buildTexture2D(id, desc) {
+    const gpuFormat = resolveTextureFormat(desc.format);
+    textures.set(id, createTextureStorage(gl.TEXTURE_2D, desc.width, desc.height, 1, gpuFormat, desc.mipLevelCount || 1));
+}
+
+export function createTextureArray(width, height, layers, format, label, mipLevelCount) {
+    if (!validateTextureFormat(resolveTextureFormat(format), width, height, label)) return -1;
+
+    const id = nextTextureId++;
+    const desc = {
+        type: 'array', width, height, layers, format,
+        mipLevelCount: resolveMipLevelCount(width, height, mipLevelCount),
+        label: label || `texture_array_${id}`
+    };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (gl) buildTexture(id, desc);
+    return id;
+}
+
+function buildTextureArray(id, desc) {
+    const gpuFormat = resolveTextureFormat(desc.format);
+    textures.set(id, createTextureStorage(gl.TEXTURE_2D_ARRAY, desc.width, desc.height, desc.layers, gpuFormat, desc.mipLevelCount || 1));
+}
+
+// Depth/stencil texture usable as the depth attachment of any pass with a matching
+// size and sample count (e.g. the surface pass). Single-sampled depth can also be sampled.
+export function createDepthTexture(width, height, format, sampleCount, label) {
+    const id = nextTextureId++;
+    const desc = { type: 'depth', width, height, format, sampleCount: sampleCount || 1, label: label || `depth_texture_${id}` };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (gl) buildTexture(id, desc);
+    return id;
+}
+
+function buildDepthTexture(id, desc) {
+    const { width, height } = desc;
+    const gpuFormat = formatMap[desc.format] || desc.format;
+    const sampleCount = clampSampleCount(gpuFormat, desc.sampleCount);
+
+    if (sampleCount > 1 || gpuFormat === 'stencil8') {
+        textures.set(id, createRenderbufferStorage(width, height, gpuFormat, sampleCount));
+    } else {
+        textures.set(id, createTextureStorage(gl.TEXTURE_2D, width, height, 1, gpuFormat, 1));
+    }
+}
+
+// width/height are the size of the mip level being written
+export function writeTexture(textureId, data, width, height, bytesPerRow, layer, mipLevel) {
+    markUsed('texture', textureId, 'writeTexture');
+    if (!gl) return;
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`Texture ${textureId} not found`);
+        return;
+    }
+
+    const typedData = ensureTypedArray(data);
+    if (!typedData || typedData.byteLength === 0) return;
+
+    writeTextureData(tex, toBytes(typedData), 0, 0, 0, width, height, bytesPerRow, layer, mipLevel);
+    shadowTextureWrite(textureDescs.get(textureId), toBytes(typedData), 0, typedData.byteLength, 0, 0, width, height, bytesPerRow, layer, mipLevel);
+    restorePassState();
+}
+
+export function writeTextureRegion(textureId, data, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    markUsed('texture', textureId, 'writeTexture');
+    if (!gl) return;
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`Texture ${textureId} not found`);
+        return;
+    }
+
+    const typedData = ensureTypedArray(data);
+    if (!typedData || typedData.byteLength === 0) return;
+
+    writeTextureData(tex, toBytes(typedData), 0, x, y, width, height, bytesPerRow, layer, mipLevel);
+    shadowTextureWrite(textureDescs.get(textureId), toBytes(typedData), 0, typedData.byteLength, x, y, width, height, bytesPerRow, layer, mipLevel);
+    restorePassState();
+}
+
+export function writeTextureHeap(textureId, ptr, length, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    const heap = getHeapView(ptr, length);
+    if (!heap) return false;
+    if (!gl || length === 0) return true;
+
+    markUsed('texture', textureId, 'writeTexture');
+
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`Texture ${textureId} not found`);
+        return true;
+    }
+
+    writeTextureData(tex, heap, ptr, x, y, width, height, bytesPerRow, layer, mipLevel);
+    shadowTextureWrite(textureDescs.get(textureId), heap, ptr, length, x, y, width, height, bytesPerRow, layer, mipLevel);
+    restorePassState();
+    return true;
+}
+
+export function destroyTexture(textureId) {
+    trackDestroyed('texture', textureId, textureDescs.get(textureId));
+    invalidateRenderBundles('texture', textureId);
+    const tex = textures.get(textureId);
+    if (tex) {
+        deleteTextureStorage(tex);
+        textures.delete(textureId);
+    }
+    textureDescs.delete(textureId);
+}
+
+// WebGL has no texture views; this is the texture itself
+export function getTextureView(textureId) {
+    const tex = textures.get(textureId);
+    return tex ? tex.texture : null;
+}
+
+// ============================================================================
+// Framebuffers
+// ============================================================================
+
+// Pass framebuffers keyed by their attachments, so a render texture or target group gets
+// the same framebuffer every frame. Entries are dropped with the textures they reference.
+const framebufferCache = new Map(); // key -> { framebuffer, uids }
+let scratchFramebuffer = null;      // mipmaps, readbacks and copies; reattached on every use
+
+function resetFramebuffers() {
+    framebufferCache.clear();
+    scratchFramebuffer = null;
+}
+
+function releaseFramebuffers(record) {
+    for (const [key, entry] of framebufferCache) {
+        if (entry.uids.includes(record.uid)) {
+            if (gl) gl.deleteFramebuffer(entry.framebuffer);
+            framebufferCache.delete(key);
+        }
+    }
+}
+
+function depthAttachmentPoint(gpuFormat) {
+    if (!formatHasDepth(gpuFormat)) return gl.STENCIL_ATTACHMENT;
+    return formatHasStencil(gpuFormat) ? gl.DEPTH_STENCIL_ATTACHMENT : gl.DEPTH_ATTACHMENT;
+}
+
+function attachTexture(target, attachment, record, level, layer) {
+    if (record.renderbuffer) {
+        gl.framebufferRenderbuffer(target, attachment, gl.RENDERBUFFER, record.renderbuffer);
+    } else if (record.isArray) {
+        gl.framebufferTextureLayer(target, attachment, record.texture, level, layer);
+    } else {
+        gl.framebufferTexture2D(target, attachment, gl.TEXTURE_2D, record.texture, level);
+    }
+}
+
+// colors: [{ record, level, layer }], depth: texture record or null. Leaves the
+// framebuffer bound to FRAMEBUFFER.
+function getFramebuffer(colors, depth) {
+    let key = colors.map(c => `${c.record.uid}.${c.level}.${c.layer}`).join('|');
+    if (depth) key += `/${depth.uid}`;
+
+    let entry = framebufferCache.get(key);
+    if (entry) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, entry.framebuffer);
+        return entry.framebuffer;
+    }
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    colors.forEach((c, i) => attachTexture(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, c.record, c.level, c.layer));
+    if (colors.length > 1) {
+        gl.drawBuffers(colors.map((c, i) => gl.COLOR_ATTACHMENT0 + i));
+    }
+    if (depth) {
+        attachTexture(gl.FRAMEBUFFER, depthAttachmentPoint(depth.format), depth, 0, 0);
+    }
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        const formats = colors.map(c => c.record.format).concat(depth ? [depth.format] : []).join('+');
+        console.error(`Framebuffer for ${formats} is incomplete (0x${status.toString(16)}); float targets need EXT_color_buffer_float`);
+    }
+
+    entry = { framebuffer, uids: colors.map(c => c.record.uid).concat(depth ? [depth.uid] : []) };
+    framebufferCache.set(key, entry);
+    return framebuffer;
+}
+
+function getScratchFramebuffer() {
+    if (!scratchFramebuffer) scratchFramebuffer = gl.createFramebuffer();
+    return scratchFramebuffer;
+}
+
+// Fixed-function state every internal draw and clear expects. The open pass re-applies
+// its pipeline state afterwards, see restorePassState.
+function resetDrawState() {
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.STENCIL_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.colorMask(true, true, true, true);
+    gl.depthMask(true);
+    gl.stencilMask(0xFF);
+    setEnabledAttributes(0);
+}
+
+// Mipmap generation, uploads, copies and readbacks run between pass commands on their own
+// framebuffer and state; put the open pass's back before its next command
+function restorePassState() {
+    const rp = currentRenderPass;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, rp ? rp.framebuffer : null);
+    if (!rp) return;
+
+    gl.viewport(rp.viewport[0], rp.viewport[1], rp.viewport[2], rp.viewport[3]);
+    gl.scissor(rp.scissor[0], rp.scissor[1], rp.scissor[2], rp.scissor[3]);
+    rp.pipelineDirty = true;
+    rp.attributesDirty = true;
+    rp.bindingsDirty = true;
+}
+
+// ============================================================================
+// GL Programs
+// ============================================================================
+
+// Compile and link without waiting; finishProgram collects the result. With
+// KHR_parallel_shader_compile the driver works in the background until then.
+function startProgram(vertexSource, fragmentSource) {
+    const vertexShader = compileShader(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = compileShader(gl.FRAGMENT_SHADER, fragmentSource);
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    return { program, vertexShader, fragmentShader };
+}
+
+function compileShader(type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    return shader;
+}
+
+function isProgramCompiling(linking) {
+    return !!extensions.parallelCompile &&
+        !gl.getProgramParameter(linking.program, extensions.parallelCompile.COMPLETION_STATUS_KHR);
+}
+
+// Returns null once the program linked, otherwise the compile and link logs (the program
+// is deleted). Blocks until compilation finishes.
+function finishProgram(linking) {
+    const { program, vertexShader, fragmentShader } = linking;
+    let error = null;
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        error = [
+            shaderError('vertex', vertexShader),
+            shaderError('fragment', fragmentShader),
+            gl.getProgramInfoLog(program)
+        ].filter(Boolean).join('\n') || 'link failed';
+    }
+
+    gl.detachShader(program, vertexShader);
+    gl.detachShader(program, fragmentShader);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    if (error) gl.deleteProgram(program);
+    return error;
+}
+
+function shaderError(stage, shader) {
+    if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return null;
+    return `${stage}: ${gl.getShaderInfoLog(shader)}`;
+}
+
+// For internal programs, whose sources are fixed
+function compileProgram(vertexSource, fragmentSource, label) {
+    const linking = startProgram(vertexSource, fragmentSource);
+    const error = finishProgram(linking);
+    if (error) {
+        console.error(`Program ${label} failed to build: ${error}`);
+        return null;
+    }
+    return linking.program;
+}
+
+// ============================================================================
+// Mipmap Generation
+// ============================================================================
+
+// Each mip is drawn from the one above it with a 2x2 box filter. Straight alpha sources
+// are premultiplied before averaging (so transparent texels don't bleed their color into
+// visible ones) and divided back afterwards; premultiplied sources are averaged as-is.
+// The source mip is selected with TEXTURE_BASE_LEVEL, so texelFetch reads level 0.
+const MIPMAP_VERTEX_SHADER = `#version 300 es
+void main() {
+    vec2 uv = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    gl_Position = vec4(uv * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+function mipmapFragmentShader(isArray, premultiplied) {
+    return `#version 300 es
+precision highp float;
+precision highp int;
+${isArray ? 'uniform highp sampler2DArray src;\nuniform int layer;' : 'uniform highp sampler2D src;'}
+out vec4 color;
+
+vec4 load(ivec2 p) {
+    ivec2 size = textureSize(src, 0).xy;
+    return texelFetch(src, ${isArray ? 'ivec3(min(p, size - 1), layer)' : 'min(p, size - 1)'}, 0);
+}
+
+vec4 premultiply(vec4 c) {
+    return vec4(c.rgb * c.a, c.a);
+}
+
+void main() {
+    ivec2 p = ivec2(gl_FragCoord.xy) * 2;
+    vec4 a = load(p);
+    vec4 b = load(p + ivec2(1, 0));
+    vec4 c = load(p + ivec2(0, 1));
+    vec4 d = load(p + ivec2(1, 1));
+${premultiplied ? `    color = (a + b + c + d) * 0.25;` : `    vec4 sum = premultiply(a) + premultiply(b) + premultiply(c) + premultiply(d);
+    if (sum.a <= 0.0) {
+        // Fully transparent: keep the plain color average so filtering into it stays clean
+        color = vec4((a.rgb + b.rgb + c.rgb + d.rgb) * 0.25, 0.0);
+    } else {
+        color = vec4(sum.rgb / sum.a, sum.a * 0.25);
+    }`}
+}
+`;
+}
+
+// Created lazily, reset with the context
+const mipmapPrograms = new Map(); // `${isArray}:${premultiplied}` -> { program, layerLocation }
+
+function getMipmapProgram(isArray, premultiplied) {
+    const key = `${isArray}:${premultiplied}`;
+    let generator = mipmapPrograms.get(key);
+    if (generator === undefined) {
+        const program = compileProgram(MIPMAP_VERTEX_SHADER, mipmapFragmentShader(isArray, premultiplied), `mipmap_${key}`);
+        generator = program ? { program, layerLocation: gl.getUniformLocation(program, 'layer') } : null;
+        if (program) {
+            useProgram(program);
+            gl.uniform1i(gl.getUniformLocation(program, 'src'), 0);
+        }
+        mipmapPrograms.set(key, generator);
+    }
+    return generator;
+}
+
+function resetMipmapGenerator() {
+    mipmapPrograms.clear();
+}
+
+// Fill mips 1..n from mip 0. layer < 0 (or omitted) processes every array layer.
+export function generateMipmaps(textureId, premultipliedAlpha, layer) {
+    if (!gl) return false;
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`Texture ${textureId} not found`);
+        return false;
+    }
+    if (!tex.mipLevelCount || tex.mipLevelCount < 2) return true;
+    if (tex.isDepth || compressedFormatInfo[tex.format]) {
+        console.error(`Texture ${textureId}: can't generate mipmaps for ${tex.format}, upload each mip instead`);
+        return false;
+    }
+    if (!isColorRenderable(tex.format)) {
+        console.error(`Texture ${textureId}: generating mipmaps for ${tex.format} needs EXT_color_buffer_float`);
+        return false;
+    }
+
+    if (!encodeMipmaps(tex, premultipliedAlpha, layer)) return false;
+    shadowMipmaps(textureDescs.get(textureId), !!premultipliedAlpha, layer);
+    return true;
+}
+
+function encodeMipmaps(tex, premultipliedAlpha, layer) {
+    const generator = getMipmapProgram(tex.isArray, !!premultipliedAlpha);
+    if (!generator) return false;
+
+    const firstLayer = layer >= 0 ? layer : 0;
+    const lastLayer = layer >= 0 ? layer : tex.layers - 1;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, getScratchFramebuffer());
+    resetDrawState();
+    useProgram(generator.program);
+    bindSamplerUnit(0, null);
+    bindTextureUnit(0, tex.target, tex.texture);
+
+    for (let l = firstLayer; l <= lastLayer; l++) {
+        if (tex.isArray) gl.uniform1i(generator.layerLocation, l);
+
+        for (let mip = 1; mip < tex.mipLevelCount; mip++) {
+            // Reading mip - 1 while drawing into mip is not a feedback loop
+            gl.texParameteri(tex.target, gl.TEXTURE_BASE_LEVEL, mip - 1);
+            gl.texParameteri(tex.target, gl.TEXTURE_MAX_LEVEL, mip - 1);
+            attachTexture(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, tex, mip, l);
+            gl.viewport(0, 0, Math.max(1, tex.width >> mip), Math.max(1, tex.height >> mip));
+            gl.drawArrays(gl.TRIANGLES, 0, 3);
+        }
+    }
+
+    gl.texParameteri(tex.target, gl.TEXTURE_BASE_LEVEL, 0);
+    gl.texParameteri(tex.target, gl.TEXTURE_MAX_LEVEL, tex.mipLevelCount - 1);
+    restorePassState();
+    return true;
+}
+
+// ============================================================================
+// Sampler Management
+// ============================================================================
+
+// Normalized descriptor key -> sampler ID, so identical descriptors share one sampler
+const samplerIdsByKey = new Map();
+
+function normalizeSamplerDescriptor(descriptor) {
+    const d = descriptor || {};
+    const magFilter = d.magFilter || 'nearest';
+    const minFilter = d.minFilter || 'nearest';
+    const mipmapFilter = d.mipmapFilter || 'nearest';
+
+    // WebGPU rejects anisotropy unless every filter is linear; kept the same here
+    let maxAnisotropy = Math.max(1, Math.min(16, d.maxAnisotropy || 1));
+    if (maxAnisotropy > 1 && (magFilter !== 'linear' || minFilter !== 'linear' || mipmapFilter !== 'linear')) {
+        console.warn(`Sampler ${d.label || ''}: maxAnisotropy ${maxAnisotropy} requires linear filtering, ignoring`);
+        maxAnisotropy = 1;
+    }
+
+    const gpuDescriptor = {
+        addressModeU: d.addressModeU || 'clamp-to-edge',
+        addressModeV: d.addressModeV || 'clamp-to-edge',
+        addressModeW: d.addressModeW || 'clamp-to-edge',
+        magFilter: magFilter,
+        minFilter: minFilter,
+        mipmapFilter: mipmapFilter,
+        lodMinClamp: d.lodMinClamp ?? 0,
+        lodMaxClamp: d.lodMaxClamp ?? 32,
+        maxAnisotropy: maxAnisotropy
+    };
+    if (d.compare) gpuDescriptor.compare = d.compare;
+
+    return {
+        descriptor: gpuDescriptor,
+        key: JSON.stringify(gpuDescriptor),
+        label: d.label || null,
+        refCount: 0
+    };
+}
+
+// Returns the ID of an existing sampler when one with the same settings exists. Each call
+// must be balanced by destroySampler.
+export function createSampler(descriptor) {
+    const desc = normalizeSamplerDescriptor(descriptor);
+
+    const existingId = samplerIdsByKey.get(desc.key);
+    if (existingId !== undefined) {
+        samplerDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    const id = nextSamplerId++;
+    desc.refCount = 1;
+    desc.label = desc.label || `sampler_${id}`;
+    trackCreated(desc);
+    samplerDescs.set(id, desc);
+    samplerIdsByKey.set(desc.key, id);
+    if (gl) buildSampler(id, desc);
+    return id;
+}
+
+const glAddressModes = {
+    'clamp-to-edge': 'CLAMP_TO_EDGE',
+    'repeat': 'REPEAT',
+    'mirror-repeat': 'MIRRORED_REPEAT'
+};
+
+const glCompareFunctions = {
+    'never': 'NEVER',
+    'less': 'LESS',
+    'equal': 'EQUAL',
+    'less-equal': 'LEQUAL',
+    'greater': 'GREATER',
+    'not-equal': 'NOTEQUAL',
+    'greater-equal': 'GEQUAL',
+    'always': 'ALWAYS'
+};
+
+function glMinFilter(minFilter, mipmapFilter) {
+    if (minFilter === 'linear') {
+        return mipmapFilter === 'linear' ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR_MIPMAP_NEAREST;
+    }
+    return mipmapFilter === 'linear' ? gl.NEAREST_MIPMAP_LINEAR : gl.NEAREST_MIPMAP_NEAREST;
+}
+
+function buildSampler(id, desc) {
+    const d = desc.descriptor;
+    const sampler = gl.createSampler();
+    gl.samplerParameteri(sampler, gl.TEXTURE_WRAP_S, gl[glAddressModes[d.addressModeU] || 'CLAMP_TO_EDGE']);
+    gl.samplerParameteri(sampler, gl.TEXTURE_WRAP_T, gl[glAddressModes[d.addressModeV] || 'CLAMP_TO_EDGE']);
+    gl.samplerParameteri(sampler, gl.TEXTURE_WRAP_R, gl[glAddressModes[d.addressModeW] || 'CLAMP_TO_EDGE']);
+    gl.samplerParameteri(sampler, gl.TEXTURE_MAG_FILTER, d.magFilter === 'linear' ? gl.LINEAR : gl.NEAREST);
+    gl.samplerParameteri(sampler, gl.TEXTURE_MIN_FILTER, glMinFilter(d.minFilter, d.mipmapFilter));
+    gl.samplerParameterf(sampler, gl.TEXTURE_MIN_LOD, d.lodMinClamp);
+    gl.samplerParameterf(sampler, gl.TEXTURE_MAX_LOD, d.lodMaxClamp);
+    if (d.compare) {
+        gl.samplerParameteri(sampler, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+        gl.samplerParameteri(sampler, gl.TEXTURE_COMPARE_FUNC, gl[glCompareFunctions[d.compare] || 'LESS']);
+    }
+    if (d.maxAnisotropy > 1 && extensions.anisotropic) {
+        gl.samplerParameterf(sampler, extensions.anisotropic.TEXTURE_MAX_ANISOTROPY_EXT, d.maxAnisotropy);
+    }
+
+    samplers.set(id, {
+        sampler: sampler,
+        compare: !!d.compare,
+        filtering: d.magFilter === 'linear' || d.minFilter === 'linear' || d.mipmapFilter === 'linear'
+    });
+}
+
+export function destroySampler(samplerId) {
+    const desc = samplerDescs.get(samplerId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('sampler', samplerId, desc);
+    invalidateRenderBundles('sampler', samplerId);
+    const sampler = samplers.get(samplerId);
+    if (sampler && gl) {
+        gl.deleteSampler(sampler.sampler);
+        boundSamplers.fill(undefined);
+    }
+    samplers.delete(samplerId);
+    samplerDescs.delete(samplerId);
+    samplerIdsByKey.delete(desc.key);
+}
+
+// The WebGLSampler to bind with tex. Depth textures (outside comparisons) and rgba32float
+// without OES_texture_float_linear can't be filtered, so they fall back to nearest sampling
+// instead of reading as black.
+function resolveSampler(samplerId, tex, binding) {
+    let sampler = samplers.get(samplerId);
+    if (!sampler) {
+        console.error(`Sampler ${samplerId} not found for binding ${binding}`);
+        sampler = samplers.get(NEAREST_SAMPLER_ID);
+    } else if (sampler.filtering && !sampler.compare && tex &&
+        (tex.isDepth || (tex.format === 'rgba32float' && !extensions.floatLinear))) {
+        sampler = samplers.get(NEAREST_SAMPLER_ID);
+    }
+    return sampler ? sampler.sampler : null;
+}
+
+// ============================================================================
+// Diagnostics
+// ============================================================================
+
+// WGSL parse and translation errors, GLSL compile and link logs and bind group errors,
+// kept until C# takes them with takeDiagnostics. Oldest are dropped past the cap.
+const MAX_DIAGNOSTICS = 256;
+const diagnostics = [];
+
+// source: 'shaderModule' | 'renderPipeline' | 'computePipeline' | 'bindGroup' | 'renderBundle' | 'resource'
+// severity: 'error' | 'warning' | 'info'; line/column are 1-based, 0 when unknown
+function reportDiagnostic(source, label, severity, message, line = 0, column = 0) {
+    if (diagnostics.length >= MAX_DIAGNOSTICS) diagnostics.shift();
+    diagnostics.push({ source, label: label || '', severity, message, line, column });
+}
+
+export function getDiagnosticCount() {
+    return diagnostics.length;
+}
+
+export function takeDiagnostics() {
+    return diagnostics.splice(0, diagnostics.length);
+}
+
+// ============================================================================
+// Resource Tracker
+// ============================================================================
+
+// Debug bookkeeping for leak hunting. Every descriptor records the frame it was created
+// in. While tracking is enabled, uses (command buffers, bind groups, passes, uploads)
+// stamp lastUsedFrame and destroyed IDs are remembered, so a later reference to one is
+// reported as a diagnostic instead of being skipped silently.
+let resourceTrackingEnabled = false;
+const MAX_DESTROYED_RESOURCES = 4096;
+const destroyedResources = new Map(); // `${kind}:${id}` -> { label, frame, reported }
+
+const resourceDescMaps = {
+    buffer: bufferDescs,            // buffers and meshes
+    texture: textureDescs,          // textures, arrays, render textures and depth textures
+    sampler: samplerDescs,
+    shaderModule: shaderModuleDescs,
+    bindGroupLayout: bindGroupLayoutDescs,
+    pipelineLayout: pipelineLayoutDescs,
+    renderPipeline: renderPipelineDescs,
+    computePipeline: computePipelineDescs,
+    bindGroup: bindGroupDescs,
+    renderBundle: renderBundleDescs
+};
+
+export function setResourceTrackingEnabled(enabled) {
+    resourceTrackingEnabled = !!enabled;
+    if (!resourceTrackingEnabled) destroyedResources.clear();
+}
+
+function trackCreated(desc) {
+    desc.createdFrame = frameNumber;
+    desc.lastUsedFrame = frameNumber;
+}
+
+function trackDestroyed(kind, id, desc) {
+    if (!resourceTrackingEnabled || !desc) return;
+
+    if (destroyedResources.size >= MAX_DESTROYED_RESOURCES) {
+        destroyedResources.delete(destroyedResources.keys().next().value);
+    }
+    destroyedResources.set(`${kind}:${id}`, { label: desc.label, frame: frameNumber, reported: false });
+}
+
+// Reported once per destroyed resource
+function reportUseAfterDestroy(kind, id, user) {
+    const entry = destroyedResources.get(`${kind}:${id}`);
+    if (!entry || entry.reported) return;
+
+    entry.reported = true;
+    reportDiagnostic('resource', entry.label, 'error',
+        `${kind} ${id} used by ${user} after it was destroyed in frame ${entry.frame}`);
+}
+
+// Marks a resource and everything it references as used this frame
+function markUsed(kind, id, user) {
+    if (!resourceTrackingEnabled) return;
+
+    const desc = resourceDescMaps[kind].get(id);
+    if (!desc) {
+        reportUseAfterDestroy(kind, id, user);
+        return;
+    }
+    if (desc.lastUsedFrame === frameNumber) return;
+    desc.lastUsedFrame = frameNumber;
+
+    switch (kind) {
+        case 'bindGroup':
+            markUsed('bindGroupLayout', desc.layoutId, desc.label);
+            forEachBindGroupReference(desc, (refKind, refId) => markUsed(refKind, refId, desc.label));
+            break;
+        case 'renderPipeline':
+            markUsed('shaderModule', desc.vertexModuleId, desc.label);
+            markUsed('shaderModule', desc.fragmentModuleId, desc.label);
+            markUsed('pipelineLayout', desc.pipelineLayoutId, desc.label);
+            break;
+        case 'computePipeline':
+            markUsed('shaderModule', desc.moduleId, desc.label);
+            markUsed('pipelineLayout', desc.pipelineLayoutId, desc.label);
+            break;
+        case 'pipelineLayout':
+            for (const layoutId of desc.layoutIds) markUsed('bindGroupLayout', layoutId, desc.label);
+            break;
+        case 'renderBundle':
+            for (const [refKind, refId] of desc.refs) markUsed(refKind, refId, desc.label);
+            break;
+    }
+}
+
+function forEachBindGroupReference(desc, callback) {
+    for (const entry of desc.entries) {
+        if (entry.bufferId != null) callback('buffer', entry.bufferId);
+        const textureId = desc.fromJson ? entry.textureId : entry.textureViewId;
+        if (textureId != null) callback('texture', textureId);
+        if (entry.samplerId != null) callback('sampler', entry.samplerId);
+    }
+}
+
+function checkBindGroupReferences(desc) {
+    forEachBindGroupReference(desc, (kind, id) => {
+        if (!resourceDescMaps[kind].has(id)) reportUseAfterDestroy(kind, id, desc.label);
+    });
+}
+
+// Walks a command buffer ahead of replayCommands, which stays free of tracking work
+function trackCommandUsage(view, count) {
+    walkCommands(view, count, (opcode, kind, id) => {
+        if (kind) markUsed(kind, id, 'the command buffer');
+    });
+}
+
+// Estimated GPU memory: buffers and textures only, other objects count as 0 bytes
+const depthTexelSizes = {
+    'depth16unorm': 2,
+    'depth24plus': 4,
+    'depth24plus-stencil8': 4,
+    'depth32float': 4,
+    'stencil8': 1
+};
+
+function gpuTextureBytes(texture) {
+    if (!texture) return 0;
+
+    const block = compressedFormatInfo[texture.format];
+    const texelSize = texelSizes[texture.format] || depthTexelSizes[texture.format] || 4;
+    let bytes = 0;
+    for (let mip = 0; mip < texture.mipLevelCount; mip++) {
+        const w = Math.max(1, texture.width >> mip);
+        const h = Math.max(1, texture.height >> mip);
+        bytes += block
+            ? Math.ceil(w / block.blockWidth) * Math.ceil(h / block.blockHeight) * block.bytesPerBlock
+            : w * h * texelSize;
+    }
+    return bytes * texture.layers * texture.sampleCount;
+}
+
+function estimateResourceBytes(kind, id) {
+    if (kind === 'buffer') {
+        const buffer = buffers.get(id);
+        if (!buffer) return 0;
+        return buffer.type === 'mesh' ? buffer.vertexBytes + buffer.indexBytes : buffer.glSize;
+    }
+    if (kind === 'texture') {
+        const rt = renderTextures.get(id);
+        if (rt) return gpuTextureBytes(rt.texture) + gpuTextureBytes(rt.msaa) + gpuTextureBytes(rt.depth) + gpuTextureBytes(rt.arrayCopy);
+        return gpuTextureBytes(textures.get(id));
+    }
+    return 0;
+}
+
+// Every live resource as JSON:
+// { frame, tracking, totalBytes, types: [{ type, count, bytes }],
+//   resources: [{ type, id, label, bytes, createdFrame, lastUsedFrame, unused }] }
+// type is the buffer/texture flavour (buffer, mesh, texture, array, renderTexture, depth)
+// or the resource kind. unused flags resources not used for unusedFrames frames, which
+// is only known while tracking is enabled.
+export function getResourceReport(unusedFrames) {
+    const types = new Map();
+    const resources = [];
+    let totalBytes = 0;
+
+    for (const [kind, descs] of Object.entries(resourceDescMaps)) {
+        for (const [id, desc] of descs) {
+            const type = (kind === 'buffer' || kind === 'texture') ? desc.type : kind;
+            const bytes = estimateResourceBytes(kind, id);
+            const unused = resourceTrackingEnabled && frameNumber - desc.lastUsedFrame >= unusedFrames;
+
+            resources.push({
+                type, id, label: desc.label || '', bytes,
+                createdFrame: desc.createdFrame ?? 0,
+                lastUsedFrame: desc.lastUsedFrame ?? 0,
+                unused
+            });
+
+            const summary = types.get(type) || { type, count: 0, bytes: 0 };
+            summary.count++;
+            summary.bytes += bytes;
+            types.set(type, summary);
+            totalBytes += bytes;
+        }
+    }
+
+    return JSON.stringify({
+        frame: frameNumber,
+        tracking: resourceTrackingEnabled,
+        totalBytes,
+        types: [...types.values()],
+        resources
+    });
+}
+
+// ============================================================================
+// Shader Management
+// ============================================================================
+
+// Source -> module ID, so material variants built from the same WGSL share one module
+// (and, through it, their pipelines)
+const shaderModuleIdsByKey = new Map();
+
+// Returns the ID of an existing module when one with the same source exists. Each call
+// must be balanced by destroyShaderModule.
+export function createShaderModule(code, label) {
+    const existingId = shaderModuleIdsByKey.get(code);
+    if (existingId !== undefined) {
+        shaderModuleDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    const id = nextShaderId++;
+    const desc = { code: code, label: label || `shader_${id}`, refCount: 1 };
+    trackCreated(desc);
+    shaderModuleDescs.set(id, desc);
+    shaderModuleIdsByKey.set(code, id);
+    if (gl) buildShaderModule(id, desc);
+    return id;
+}
+
+// Modules are parsed here and translated to GLSL per entry point when a pipeline uses
+// them. A module that fails to parse is kept (with ast null) so its pipelines fail too.
+function buildShaderModule(id, desc) {
+    let ast = null;
+    try {
+        ast = parseWgsl(desc.code);
+    } catch (e) {
+        if (!(e instanceof WgslError)) throw e;
+        reportDiagnostic('shaderModule', desc.label, 'error', e.message, e.line, e.column);
+    }
+    shaderModules.set(id, { ast, label: desc.label });
+}
+
+export function destroyShaderModule(shaderId) {
+    const desc = shaderModuleDescs.get(shaderId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('shaderModule', shaderId, desc);
+    shaderModules.delete(shaderId);
+    shaderModuleDescs.delete(shaderId);
+    shaderModuleIdsByKey.delete(desc.code);
+}
+
+// ============================================================================
+// Pipeline Management
+// ============================================================================
+
+// Descriptor key -> ID for layouts and render pipelines, so identical requests return the
+// existing object instead of compiling it again. Each create must be balanced by its
+// destroy; the object goes away with the last reference. WebGL has no layout objects: bind groups and pipelines read
+// the descriptors.
+const bindGroupLayoutIdsByKey = new Map();
+const pipelineLayoutIdsByKey = new Map();
+const renderPipelineIdsByKey = new Map();
+
+export function createBindGroupLayout(entries, label) {
+    // Convert to proper JS array if needed (C# arrays may come as array-like objects)
+    const entriesArray = Array.isArray(entries) ? entries : Array.from(entries);
+
+    const key = JSON.stringify(entriesArray);
+    const existingId = bindGroupLayoutIdsByKey.get(key);
+    if (existingId !== undefined) {
+        bindGroupLayoutDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    const id = nextPipelineId++;
+    const desc = { entries: entriesArray, key: key, refCount: 1, label: label || `bind_group_layout_${id}` };
+    trackCreated(desc);
+    bindGroupLayoutDescs.set(id, desc);
+    bindGroupLayoutIdsByKey.set(key, id);
+    return id;
+}
+
+export function destroyBindGroupLayout(layoutId) {
+    const desc = bindGroupLayoutDescs.get(layoutId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('bindGroupLayout', layoutId, desc);
+    bindGroupLayoutDescs.delete(layoutId);
+    bindGroupLayoutIdsByKey.delete(desc.key);
+}
+
+export function createPipelineLayout(bindGroupLayoutIds, label) {
+    // Convert to proper JS array if needed (C# arrays may come as array-like objects)
+    const layoutIds = Array.isArray(bindGroupLayoutIds)
+        ? bindGroupLayoutIds
+        : Array.from(bindGroupLayoutIds);
+
+    const key = layoutIds.join(',');
+    const existingId = pipelineLayoutIdsByKey.get(key);
+    if (existingId !== undefined) {
+        pipelineLayoutDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    for (const layoutId of layoutIds) {
+        if (!bindGroupLayoutDescs.has(layoutId)) {
+            console.error(`BindGroupLayout ${layoutId} not found`);
+        }
+    }
+
+    const id = nextPipelineId++;
+    const desc = { layoutIds: layoutIds, key: key, refCount: 1, label: label || `pipeline_layout_${id}` };
+    trackCreated(desc);
+    pipelineLayoutDescs.set(id, desc);
+    pipelineLayoutIdsByKey.set(key, id);
+    return id;
+}
+
+export function destroyPipelineLayout(layoutId) {
+    const desc = pipelineLayoutDescs.get(layoutId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('pipelineLayout', layoutId, desc);
+    pipelineLayoutDescs.delete(layoutId);
+    pipelineLayoutIdsByKey.delete(desc.key);
+}
+
+// Must match Pipeline* in WebGraphicsDriver.Pipelines.cs
+const PIPELINE_PENDING = 0;
+const PIPELINE_READY = 1;
+const PIPELINE_FAILED = -1;
+
+// Returns the ID of an existing pipeline when one with the same descriptor (ignoring the
+// label) exists. Each call must be balanced by destroyRenderPipeline.
+export function createRenderPipeline(descriptor) {
+    const { id, desc, created } = acquireRenderPipeline(descriptor);
+    if (created && gl) buildRenderPipeline(id, desc);
+    return id;
+}
+
+// Same as createRenderPipeline but links without waiting when KHR_parallel_shader_compile
+// is available. The ID is returned at once; poll getRenderPipelineStatus and skip draws
+// until it is ready.
+export function createRenderPipelineAsync(descriptor) {
+    const { id, desc, created } = acquireRenderPipeline(descriptor);
+    if (created && gl) buildRenderPipelineAsync(id, desc);
+    return id;
+}
+
+// Returns PIPELINE_PENDING (0), PIPELINE_READY (1) or PIPELINE_FAILED (-1, also for unknown IDs)
+export function getRenderPipelineStatus(pipelineId) {
+    const desc = renderPipelineDescs.get(pipelineId);
+    if (!desc) return PIPELINE_FAILED;
+
+    if (desc.status === PIPELINE_PENDING && gl) {
+        const pipeline = renderPipelines.get(pipelineId);
+        if (pipeline && pipeline.linking && !isProgramCompiling(pipeline.linking)) {
+            finishRenderPipeline(pipelineId, desc, pipeline);
+        }
+    }
+    return desc.status;
+}
+
+function acquireRenderPipeline(descriptor) {
+    // Copy the primitive fields so the descriptor can be replayed after context loss
+    const { label, ...fields } = descriptor;
+    const key = JSON.stringify(fields);
+
+    const existingId = renderPipelineIdsByKey.get(key);
+    if (existingId !== undefined) {
+        const existing = renderPipelineDescs.get(existingId);
+        existing.refCount++;
+        return { id: existingId, desc: existing, created: false };
+    }
+
+    const id = nextPipelineId++;
+    const desc = { ...fields, label: label, key: key, refCount: 1, status: PIPELINE_PENDING };
+    trackCreated(desc);
+    renderPipelineDescs.set(id, desc);
+    renderPipelineIdsByKey.set(key, id);
+    return { id, desc, created: true };
+}
+
+// Context restore rebuilds synchronously, so this also settles pipelines whose parallel
+// compile was still running on the lost context
+function buildRenderPipeline(id, descriptor) {
+    const pipeline = startRenderPipeline(id, descriptor);
+    if (pipeline.linking) finishRenderPipeline(id, descriptor, pipeline);
+}
+
+function buildRenderPipelineAsync(id, descriptor) {
+    const pipeline = startRenderPipeline(id, descriptor);
+    if (pipeline.linking && !extensions.parallelCompile) finishRenderPipeline(id, descriptor, pipeline);
+}
+
+// Translates both stages and starts linking. The returned pipeline has linking set while
+// the program compiles; a translation error switches it to the error program right away.
+function startRenderPipeline(id, descriptor) {
+    descriptor.status = PIPELINE_PENDING;
+    const pipeline = createPipelineState(id, descriptor);
+    renderPipelines.set(id, pipeline);
+
+    let vertex, fragment;
+    try {
+        vertex = translateStage(descriptor.vertexModuleId, 'vertex', descriptor.vertexEntryPoint || 'vs_main');
+        fragment = translateStage(descriptor.fragmentModuleId, 'fragment', descriptor.fragmentEntryPoint || 'fs_main');
+    } catch (e) {
+        if (!(e instanceof WgslError)) throw e;
+        reportDiagnostic('renderPipeline', pipeline.label, 'error', e.message, e.line, e.column);
+        useErrorProgram(id, descriptor, pipeline);
+        return pipeline;
+    }
+
+    pipeline.linking = startProgram(vertex, fragment);
+    return pipeline;
+}
+
+function translateStage(moduleId, stage, entryPoint) {
+    const module = shaderModules.get(moduleId);
+    if (!module) {
+        throw new WgslError(`Shader module ${moduleId} not found`, 0, 0);
+    }
+    if (!module.ast) {
+        throw new WgslError(`Shader module ${module.label} failed to parse`, 0, 0);
+    }
+    return translateWgsl(module.ast, stage, entryPoint);
+}
+
+function finishRenderPipeline(id, descriptor, pipeline) {
+    const linking = pipeline.linking;
+    pipeline.linking = null;
+
+    // Destroyed, or rebuilt on a restored context, while compiling
+    if (renderPipelines.get(id) !== pipeline) {
+        if (!finishProgram(linking)) gl.deleteProgram(linking.program);
+        return;
+    }
+
+    const error = finishProgram(linking);
+    if (error) {
+        reportDiagnostic('renderPipeline', pipeline.label, 'error', error);
+        useErrorProgram(id, descriptor, pipeline);
+        return;
+    }
+
+    setPipelineProgram(pipeline, linking.program);
+    descriptor.status = PIPELINE_READY;
+}
+
+// Binds the program's uniform blocks and samplers to sequential points and units, and
+// records which bind group entry feeds each. The translator names them after their
+// bindings: nz_ub{group}_{binding} for uniform blocks, nz_t{group}_{binding} for textures
+// read without a sampler and nz_t{g}_{b}_s{g}_{b} for each texture and sampler pair.
+function setPipelineProgram(pipeline, program) {
+    pipeline.program = program;
+    pipeline.uniformBlocks = [];
+    pipeline.textureUnits = [];
+
+    const blockCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORM_BLOCKS);
+    for (let i = 0; i < blockCount; i++) {
+        const match = /^nz_ub(\d+)_(\d+)$/.exec(gl.getActiveUniformBlockName(program, i));
+        if (!match) continue;
+
+        const point = pipeline.uniformBlocks.length;
+        gl.uniformBlockBinding(program, i, point);
+        pipeline.uniformBlocks.push({
+            point: point,
+            group: +match[1],
+            binding: +match[2],
+            size: gl.getActiveUniformBlockParameter(program, i, gl.UNIFORM_BLOCK_DATA_SIZE)
+        });
+    }
+
+    const arraySamplerTypes = [
+        gl.SAMPLER_2D_ARRAY, gl.SAMPLER_2D_ARRAY_SHADOW, gl.INT_SAMPLER_2D_ARRAY, gl.UNSIGNED_INT_SAMPLER_2D_ARRAY
+    ];
+    useProgram(program);
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < uniformCount; i++) {
+        const info = gl.getActiveUniform(program, i);
+        const match = /^nz_t(\d+)_(\d+)(?:_s(\d+)_(\d+))?$/.exec(info.name);
+        if (!match) continue;
+
+        const unit = pipeline.textureUnits.length;
+        gl.uniform1i(gl.getUniformLocation(program, info.name), unit);
+        pipeline.textureUnits.push({
+            unit: unit,
+            target: arraySamplerTypes.includes(info.type) ? gl.TEXTURE_2D_ARRAY : gl.TEXTURE_2D,
+            group: +match[1],
+            binding: +match[2],
+            samplerGroup: match[3] !== undefined ? +match[3] : -1,
+            samplerBinding: match[4] !== undefined ? +match[4] : -1
+        });
+    }
+
+    const integerTypes = {
+        [gl.INT]: 'int', [gl.INT_VEC2]: 'int', [gl.INT_VEC3]: 'int', [gl.INT_VEC4]: 'int',
+        [gl.UNSIGNED_INT]: 'uint', [gl.UNSIGNED_INT_VEC2]: 'uint', [gl.UNSIGNED_INT_VEC3]: 'uint', [gl.UNSIGNED_INT_VEC4]: 'uint'
+    };
+    pipeline.attributeInputs = [];
+    const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < attributeCount; i++) {
+        const info = gl.getActiveAttrib(program, i);
+        const location = gl.getAttribLocation(program, info.name);
+        if (location < 0) continue;
+        pipeline.attributeInputs.push({ location: location, kind: integerTypes[info.type] || 'float' });
+    }
+
+    pipeline.baseVertexLocation = gl.getUniformLocation(program, 'nz_base_vertex');
+    pipeline.baseInstanceLocation = gl.getUniformLocation(program, 'nz_base_instance');
+}
+
+const glTopologies = {
+    'point-list': 'POINTS',
+    'line-list': 'LINES',
+    'line-strip': 'LINE_STRIP',
+    'triangle-list': 'TRIANGLES',
+    'triangle-strip': 'TRIANGLE_STRIP'
+};
+
+// GPUVertexFormat -> { size, type, normalized, integer }
+function parseVertexFormat(format) {
+    const match = /^(float|unorm|snorm|uint|sint)(8|16|32)(?:x(\d))?$/.exec(format);
+    if (!match) {
+        console.error(`Unsupported vertex format ${format}`);
+        return { size: 4, type: gl.FLOAT, normalized: false, integer: false };
+    }
+
+    const [, kind, bits, count] = match;
+    const unsigned = kind === 'unorm' || kind === 'uint';
+    let type;
+    if (kind === 'float') {
+        type = bits === '16' ? gl.HALF_FLOAT : gl.FLOAT;
+    } else if (bits === '8') {
+        type = unsigned ? gl.UNSIGNED_BYTE : gl.BYTE;
+    } else if (bits === '16') {
+        type = unsigned ? gl.UNSIGNED_SHORT : gl.SHORT;
+    } else {
+        type = unsigned ? gl.UNSIGNED_INT : gl.INT;
+    }
+
+    return {
+        size: count ? +count : 1,
+        type: type,
+        normalized: kind === 'unorm' || kind === 'snorm',
+        integer: kind === 'uint' || kind === 'sint'
+    };
+}
+
+// Everything but the program, resolved once from the descriptor (same defaults as the
+// WebGPU backend). Applied by applyPipelineState when a pass switches to the pipeline.
+function createPipelineState(id, descriptor) {
+    // A single buffer layout may come without the array around it
+    const parsedBuffers = JSON.parse(descriptor.vertexBuffersJson || '[]');
+    const vertexBuffers = (Array.isArray(parsedBuffers) ? parsedBuffers : [parsedBuffers]).map(b => b && {
+        arrayStride: b.arrayStride,
+        instanced: b.stepMode === 'instance',
+        attributes: b.attributes.map(a => ({
+            shaderLocation: a.shaderLocation,
+            offset: a.offset,
+            format: a.format,
+            ...parseVertexFormat(a.format)
+        }))
+    });
+
+    // Multiple render targets come as JSON (set by setRenderPipelineTargets), otherwise a
+    // single target is built from targetFormat/blendMode
+    const targets = descriptor.targetsJson
+        ? JSON.parse(descriptor.targetsJson).map(t => ({ blend: BlendModes[t.blendMode || 'none'] || null, writeMask: t.writeMask ?? GPUColorWrite.ALL }))
+        : [{ blend: BlendModes[descriptor.blendMode || 'none'] || null, writeMask: GPUColorWrite.ALL }];
+
+    const pipeline = {
+        label: descriptor.label || `render_pipeline_${id}`,
+        program: null,
+        linking: null,
+        uniformBlocks: [],
+        textureUnits: [],
+        attributeInputs: [],
+        baseVertexLocation: null,
+        baseInstanceLocation: null,
+        vertexBuffers: vertexBuffers,
+        targets: targets,
+        topology: gl[glTopologies[descriptor.topology || 'triangle-list'] || 'TRIANGLES'],
+        cullMode: descriptor.cullMode || 'none',
+        // Clip space y is flipped by the translated vertex shaders, which mirrors the winding
+        frontFace: (descriptor.frontFace || 'ccw') === 'ccw' ? gl.CW : gl.CCW,
+        depthStencil: null
+    };
+
+    // Depth/stencil state - only when the pipeline targets a pass with a depth attachment
+    if (descriptor.depthFormat) {
+        const depthFormat = formatMap[descriptor.depthFormat] || descriptor.depthFormat;
+        pipeline.depthStencil = {
+            hasDepth: formatHasDepth(depthFormat),
+            hasStencil: formatHasStencil(depthFormat),
+            depthWriteEnabled: formatHasDepth(depthFormat) && !!descriptor.depthWriteEnabled,
+            depthCompare: descriptor.depthCompare || 'always',
+            stencilCompare: descriptor.stencilCompare || 'always',
+            stencilFailOp: descriptor.stencilFailOp || 'keep',
+            stencilDepthFailOp: descriptor.stencilDepthFailOp || 'keep',
+            stencilPassOp: descriptor.stencilPassOp || 'keep',
+            stencilReadMask: descriptor.stencilReadMask ?? 0xFF,
+            stencilWriteMask: descriptor.stencilWriteMask ?? 0xFF
+        };
+    }
+
+    return pipeline;
+}
+
+export function destroyRenderPipeline(pipelineId) {
+    const desc = renderPipelineDescs.get(pipelineId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('renderPipeline', pipelineId, desc);
+    invalidateRenderBundles('renderPipeline', pipelineId);
+    const pipeline = renderPipelines.get(pipelineId);
+    if (pipeline && gl) {
+        if (pipeline.linking) {
+            // Still compiling: the program can go as soon as the driver is done with it
+            gl.deleteProgram(pipeline.linking.program);
+            gl.deleteShader(pipeline.linking.vertexShader);
+            gl.deleteShader(pipeline.linking.fragmentShader);
+        } else if (pipeline.program && !pipeline.failed) {
+            gl.deleteProgram(pipeline.program);
+            if (currentProgram === pipeline.program) currentProgram = null;
+        }
+    }
+    renderPipelines.delete(pipelineId);
+    renderPipelineDescs.delete(pipelineId);
+    renderPipelineIdsByKey.delete(desc.key);
+}
+
+// ============================================================================
+// Error Programs
+// ============================================================================
+
+// A pipeline that fails to build draws the same geometry in magenta with a shared
+// program, so a broken shader is visible instead of rendering nothing. The status stays
+// FAILED.
+const errorPrograms = new Map(); // `${hasPosition}:${useGlobals}` -> WebGLProgram | null
+
+function resetErrorPrograms() {
+    errorPrograms.clear();
+}
+
+function useErrorProgram(id, descriptor, pipeline) {
+    descriptor.status = PIPELINE_FAILED;
+    pipeline.failed = true;
+
+    // Draw with position (location 0) when the vertex layout has a float one, projected
+    // by the globals uniform when the layout has it at group 0 binding 0. Otherwise
+    // cover the target with a fullscreen triangle.
+    const hasPosition = pipeline.vertexBuffers.some(b =>
+        b && b.attributes.some(a => a.shaderLocation === 0 && /^(float|unorm|snorm)/.test(a.format)));
+    const useGlobals = hasPosition && hasVertexGlobals(descriptor.pipelineLayoutId);
+
+    // Only the first target gets the magenta
+    pipeline.targets = pipeline.targets.map((t, i) => i === 0 ? t : { ...t, writeMask: 0 });
+
+    const program = getErrorProgram(hasPosition, useGlobals);
+    if (program) {
+        setPipelineProgram(pipeline, program);
+    } else {
+        pipeline.program = null;
+    }
+}
+
+function hasVertexGlobals(pipelineLayoutId) {
+    const layout = pipelineLayoutDescs.get(pipelineLayoutId);
+    const group0 = layout && bindGroupLayoutDescs.get(layout.layoutIds[0]);
+    const entry = group0 && group0.entries.find(e => e.binding === 0);
+    return !!(entry && entry.buffer && (entry.buffer.type || 'uniform') === 'uniform' &&
+        (entry.visibility & GPUShaderStage.VERTEX));
+}
+
+function getErrorProgram(hasPosition, useGlobals) {
+    const key = `${hasPosition}:${useGlobals}`;
+    if (errorPrograms.has(key)) return errorPrograms.get(key);
+
+    let vertex;
+    if (!hasPosition) {
+        vertex = `
+void main() {
+    vec2 uv = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    gl_Position = vec4(uv * 2.0 - 1.0, 0.0, 1.0);
+}`;
+    } else if (useGlobals) {
+        vertex = `
+layout(std140) uniform nz_ub0_0 { mat4 projection; } globals;
+layout(location = 0) in vec4 nz_in0;
+void main() {
+    gl_Position = globals.projection * vec4(nz_in0.xyz, 1.0);
+    gl_Position.y = -gl_Position.y;
+    gl_Position.z = gl_Position.z * 2.0 - gl_Position.w;
+}`;
+    } else {
+        vertex = `
+layout(location = 0) in vec4 nz_in0;
+void main() {
+    gl_Position = vec4(nz_in0.x, -nz_in0.y, nz_in0.z * 2.0 - 1.0, 1.0);
+}`;
+    }
+
+    const program = compileProgram(`#version 300 es
+precision highp float;
+${vertex}
+`, `#version 300 es
+precision highp float;
+layout(location = 0) out vec4 nz_out0;
+void main() {
+    nz_out0 = vec4(1.0, 0.0, 1.0, 1.0);
+}
+`, `error_shader_${key}`);
+    errorPrograms.set(key, program);
+    return program;
+}
+
+// ============================================================================
+// Bind Group Management
+// ============================================================================
+
+// Bind groups only record which resource sits at each binding; buffers, textures and
+// samplers are looked up by ID when a draw uses them, so meshes can grow and contexts be
+// restored without touching them
+export function createBindGroup(layoutId, entries, label) {
+    const id = nextBindGroupId++;
+
+    if (!bindGroupLayoutDescs.has(layoutId)) {
+        console.error(`BindGroupLayout ${layoutId} not found for bind group ${label || id}`);
+        return -1;
+    }
+
+    // Convert to proper JS array if needed (C# arrays may come as array-like objects)
+    const entriesArray = Array.isArray(entries) ? entries : Array.from(entries);
+
+    const desc = { layoutId: layoutId, entries: entriesArray, fromJson: false, label: label || `bind_group_${id}` };
+    trackCreated(desc);
+    bindGroupDescs.set(id, desc);
+    buildBindGroup(id, desc);
+    return id;
+}
+
+// Alternative createBindGroup that takes JSON string (more reliable than JSObject array marshalling)
+export function createBindGroupFromJson(layoutId, entriesJson, label) {
+    const id = nextBindGroupId++;
+
+    if (!bindGroupLayoutDescs.has(layoutId)) {
+        console.error(`BindGroupLayout ${layoutId} not found for bind group ${label || id}`);
+        return -1;
+    }
+
+    // Parse entries from JSON
+    let entries;
+    try {
+        entries = JSON.parse(entriesJson);
+    } catch (e) {
+        console.error(`Failed to parse bind group entries JSON:`, e, entriesJson);
+        return -1;
+    }
+
+    const desc = { layoutId: layoutId, entries: entries, fromJson: true, label: label || `bind_group_${id}` };
+    trackCreated(desc);
+    bindGroupDescs.set(id, desc);
+    buildBindGroup(id, desc);
+    return id;
+}
+
+function buildBindGroup(id, desc) {
+    const layout = bindGroupLayoutDescs.get(desc.layoutId);
+    if (resourceTrackingEnabled) checkBindGroupReferences(desc);
+
+    const entries = new Map();
+    for (const entry of desc.entries) {
+        const layoutEntry = layout.entries.find(e => e.binding === entry.binding);
+        if (!layoutEntry) {
+            reportDiagnostic('bindGroup', desc.label, 'error', `Binding ${entry.binding} is not in layout ${layout.label}`);
+            continue;
+        }
+        if (layoutEntry.storageTexture || (layoutEntry.buffer && layoutEntry.buffer.type && layoutEntry.buffer.type !== 'uniform')) {
+            reportDiagnostic('bindGroup', desc.label, 'warning', `Binding ${entry.binding}: storage resources need WebGPU and are ignored`);
+        }
+        entries.set(entry.binding, entry);
+    }
+
+    // Dynamic offsets are given in binding order of the layout's dynamic buffer entries
+    const dynamicIndex = new Map();
+    layout.entries
+        .filter(e => e.buffer && e.buffer.hasDynamicOffset)
+        .map(e => e.binding)
+        .sort((a, b) => a - b)
+        .forEach((binding, index) => dynamicIndex.set(binding, index));
+
+    bindGroups.set(id, { entries, dynamicIndex, fromJson: desc.fromJson, label: desc.label });
+}
+
+export function destroyBindGroup(bindGroupId) {
+    trackDestroyed('bindGroup', bindGroupId, bindGroupDescs.get(bindGroupId));
+    invalidateRenderBundles('bindGroup', bindGroupId);
+    bindGroups.delete(bindGroupId);
+    bindGroupDescs.delete(bindGroupId);
+}
+
+function getEntryTextureId(bindGroup, entry) {
+    return bindGroup.fromJson ? entry.textureId : entry.textureViewId;
+}
+
+// Sampler ID of a sampler entry: an explicit one, or a global sampler
+function getEntrySamplerId(bindGroup, entry) {
+    if (entry.samplerId !== undefined && entry.samplerId !== null) return entry.samplerId;
+    const useLinear = bindGroup.fromJson ? entry.useLinear : entry.useLinearSampler;
+    return useLinear ? LINEAR_SAMPLER_ID : NEAREST_SAMPLER_ID;
+}
+
+// ============================================================================
+// Frame Management
+// ============================================================================
+
+export function beginFrame() {
+    if (!gl) return false;
+
+    rollFrameStats();
+    pollTimerQueries();
+    pollReadbacks();
+
+    // Check for resize
+    checkResize();
+
+    frameActive = true;
+    return true;
+}
+
+// Queued readbacks and frame captures read the finished frame, then the surface texture
+// is copied to the canvas
+export function endFrame() {
+    if (!frameActive) return;
+
+    if (currentRenderPass) {
+        console.error('endFrame: a render pass is still open');
+        endRenderPass();
+    }
+
+    finishFrameTimers();
+    startQueuedReadbacks();
+    startFrameCaptures();
+    presentSurface();
+
+    frameActive = false;
+}
+
+// Textures are stored top row first and the canvas bottom row first, so the copy flips
+function presentSurface() {
+    const { width, height } = surfaceTexture;
+
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, getScratchFramebuffer());
+    attachTexture(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, surfaceTexture, 0, 0);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.blitFramebuffer(0, 0, width, height, 0, height, width, 0, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+
+    // The context always has alpha; an opaque surface must not let the page show through
+    if (appliedSurface.alphaMode === 'opaque') {
+        gl.colorMask(false, false, false, true);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.colorMask(true, true, true, true);
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+// ============================================================================
+// Frame Profiler
+// ============================================================================
+
+// Counters accumulate between two beginFrame calls, so uploads made before the frame
+// starts are still charged to that frame
+const frameStats = { draws: 0, pipelineSwitches: 0, bindGroupSwitches: 0, bytesUploaded: 0 };
+const lastFrameStats = { draws: 0, pipelineSwitches: 0, bindGroupSwitches: 0, bytesUploaded: 0, frame: 0 };
+let frameNumber = 0;
+
+function rollFrameStats() {
+    lastFrameStats.draws = frameStats.draws;
+    lastFrameStats.pipelineSwitches = frameStats.pipelineSwitches;
+    lastFrameStats.bindGroupSwitches = frameStats.bindGroupSwitches;
+    lastFrameStats.bytesUploaded = frameStats.bytesUploaded;
+    lastFrameStats.frame = frameNumber++;
+
+    frameStats.draws = 0;
+    frameStats.pipelineSwitches = 0;
+    frameStats.bindGroupSwitches = 0;
+    frameStats.bytesUploaded = 0;
+}
+
+// Counters of the last completed frame
+export function getFrameStats() {
+    return lastFrameStats;
+}
+
+// Pass timings need EXT_disjoint_timer_query_webgl2. Every render pass of a frame runs
+// inside a TIME_ELAPSED query; results are polled at beginFrame, so timings lag the frame
+// they describe by a few frames. Frames measured while the GPU was disjoint are dropped.
+const MAX_TIMESTAMP_PASSES = 64;
+const TIMER_QUERY_FRAMES = 3;
+
+let profilerEnabled = false;
+let framePassQueries = [];       // { label, query } of the frame being recorded
+let activePassQuery = null;
+const pendingTimerFrames = [];   // { frame, passes } waiting for results
+const passTimings = new Map();   // label -> { ms, count, frame }
+
+export function isTimestampQuerySupported() {
+    return !!gl && !!extensions.timerQuery;
+}
+
+// Returns whether pass timings will be recorded
+export function setProfilerEnabled(enabled) {
+    profilerEnabled = !!enabled;
+    if (!profilerEnabled) passTimings.clear();
+    return profilerEnabled && isTimestampQuerySupported();
+}
+
+// Queries belong to the context; a lost one takes them along
+function resetTimerQueries() {
+    framePassQueries = [];
+    activePassQuery = null;
+    pendingTimerFrames.length = 0;
+}
+
+// Frames with all their query sets still pending are skipped rather than stalling
+function beginPassTimer(label) {
+    if (!profilerEnabled || !isTimestampQuerySupported()) return;
+    if (framePassQueries.length >= MAX_TIMESTAMP_PASSES || pendingTimerFrames.length >= TIMER_QUERY_FRAMES) return;
+
+    activePassQuery = gl.createQuery();
+    gl.beginQuery(extensions.timerQuery.TIME_ELAPSED_EXT, activePassQuery);
+    framePassQueries.push({ label, query: activePassQuery });
+}
+
+function endPassTimer() {
+    if (!activePassQuery) return;
+    gl.endQuery(extensions.timerQuery.TIME_ELAPSED_EXT);
+    activePassQuery = null;
+}
+
+function finishFrameTimers() {
+    if (framePassQueries.length === 0) return;
+    pendingTimerFrames.push({ frame: frameNumber, passes: framePassQueries });
+    framePassQueries = [];
+}
+
+function pollTimerQueries() {
+    while (pendingTimerFrames.length > 0) {
+        const { frame, passes } = pendingTimerFrames[0];
+        if (!gl.getQueryParameter(passes[passes.length - 1].query, gl.QUERY_RESULT_AVAILABLE)) return;
+        pendingTimerFrames.shift();
+
+        const disjoint = gl.getParameter(extensions.timerQuery.GPU_DISJOINT_EXT);
+        const frameTimings = new Map();
+        for (const { label, query } of passes) {
+            const ms = disjoint ? 0 : gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+            gl.deleteQuery(query);
+
+            // Passes sharing a label within a frame are summed
+            const timing = frameTimings.get(label);
+            if (timing) {
+                timing.ms += ms;
+                timing.count++;
+            } else {
+                frameTimings.set(label, { ms, count: 1, frame });
+            }
+        }
+
+        if (profilerEnabled && !disjoint) {
+            for (const [label, timing] of frameTimings) passTimings.set(label, timing);
+        }
+    }
+}
+
+// Labels of every pass with a resolved timing
+export function getPassTimingLabels() {
+    return Array.from(passTimings.keys());
+}
+
+// GPU time in milliseconds of the most recently resolved frame that ran the pass, or -1
+export function getPassTime(label) {
+    const timing = passTimings.get(label);
+    return timing ? timing.ms : -1;
+}
+
+// Frame number (as in getFrameStats) the pass timing was measured in, or -1
+export function getPassTimeFrame(label) {
+    const timing = passTimings.get(label);
+    return timing ? timing.frame : -1;
+}
+
+// ============================================================================
+// Render Pass Management
+// ============================================================================
+
+// A pass binds its framebuffer, clears what loads with 'clear' and then tracks the state
+// WebGPU keeps per pass (pipeline, bind groups, vertex and index buffers, viewport,
+// scissor, stencil reference). GL state is brought in line lazily before each draw.
+//
+// colors: [{ record, loadOp, storeOp, clearValue, resolve }], resolve being the texture an
+// MSAA attachment is blitted into at the end. depth: see resolveDepthStencilAttachment.
+// renderTextureIds: render textures whose array copy goes stale, see getRenderTextureArray.
+function openRenderPass(colors, depth, label, renderTextureIds) {
+    const framebuffer = getFramebuffer(colors.map(c => ({ record: c.record, level: 0, layer: 0 })), depth ? depth.record : null);
+    const { width, height } = colors[0].record;
+
+    resetDrawState();
+    gl.viewport(0, 0, width, height);
+    gl.scissor(0, 0, width, height);
+    gl.depthRange(0, 1);
+    gl.blendColor(0, 0, 0, 0);
+
+    colors.forEach((c, i) => {
+        if (c.loadOp !== 'clear') return;
+        const v = c.clearValue || { r: 0, g: 0, b: 0, a: 1 };
+        gl.clearBufferfv(gl.COLOR, i, [v.r ?? 0, v.g ?? 0, v.b ?? 0, v.a ?? 1]);
+    });
+
+    if (depth) {
+        const clearDepth = depth.depthLoadOp === 'clear';
+        const clearStencil = depth.stencilLoadOp === 'clear';
+        if (clearDepth && clearStencil) {
+            gl.clearBufferfi(gl.DEPTH_STENCIL, 0, depth.depthClearValue, depth.stencilClearValue);
+        } else if (clearDepth) {
+            gl.clearBufferfv(gl.DEPTH, 0, [depth.depthClearValue]);
+        } else if (clearStencil) {
+            gl.clearBufferiv(gl.STENCIL, 0, [depth.stencilClearValue]);
+        }
+    }
+
+    // Discarded attachments are invalidated after the resolves at the end of the pass
+    const invalidate = [];
+    colors.forEach((c, i) => {
+        if (c.storeOp === 'discard') invalidate.push(gl.COLOR_ATTACHMENT0 + i);
+    });
+    if (depth && depth.discard) invalidate.push(depthAttachmentPoint(depth.record.format));
+
+    currentRenderPass = {
+        framebuffer: framebuffer,
+        colorCount: colors.length,
+        resolves: colors.filter(c => c.resolve).map(c => ({ from: c.record, to: c.resolve })),
+        invalidate: invalidate,
+        renderTextureIds: renderTextureIds,
+        hasDepth: !!depth && depth.hasDepth,
+        hasStencil: !!depth && depth.hasStencil,
+        depthReadOnly: !!depth && depth.readOnly,
+        viewport: [0, 0, width, height],
+        scissor: [0, 0, width, height],
+        stencilReference: 0,
+        pipeline: null,
+        pipelineDirty: true,
+        bindGroups: [],
+        dynamicOffsets: [],
+        bindingsDirty: true,
+        vertexBuffers: [],
+        indexBufferId: 0,
+        attributesDirty: true,
+        attributeBase: -1,
+        instanceBase: -1
+    };
+
+    beginPassTimer(label);
+}
+
+export function beginRenderPass(colorAttachments, depthAttachment, label) {
+    if (!frameActive) {
+        console.error("No frame - call beginFrame first");
+        return false;
+    }
+
+    // Convert to proper JS array if needed (C# arrays may come as array-like objects)
+    const attachmentsArray = Array.isArray(colorAttachments) ? colorAttachments : Array.from(colorAttachments);
+
+    const colors = [];
+    const renderTextureIds = [];
+    for (const att of attachmentsArray) {
+        // Surface, or a texture (a render texture's resolved texture, as in WebGPU)
+        const record = att.textureId === -1 ? surfaceTexture : textures.get(att.textureId);
+        if (!record || !record.texture && !record.renderbuffer) {
+            console.error(`beginRenderPass: color attachment ${att.textureId} not found`);
+            return false;
+        }
+
+        let resolve = null;
+        if (att.resolveTextureId) {
+            resolve = textures.get(att.resolveTextureId) || null;
+            if (renderTextures.has(att.resolveTextureId)) renderTextureIds.push(att.resolveTextureId);
+        }
+        if (renderTextures.has(att.textureId)) renderTextureIds.push(att.textureId);
+
+        colors.push({
+            record: record,
+            resolve: resolve,
+            loadOp: att.loadOp || 'clear',
+            storeOp: att.storeOp || 'store',
+            clearValue: att.clearValue || { r: 0, g: 0, b: 0, a: 1 }
+        });
+    }
+
+    if (colors.length === 0) {
+        console.error('beginRenderPass: no color attachments');
+        return false;
+    }
+
+    openRenderPass(colors, resolveDepthStencilAttachment(depthAttachment), label || 'render_pass', renderTextureIds);
+    return true;
+}
+
+// Accepts an attachment created by createDepthAttachment that references a depth texture
+// or a render texture with depth by ID
+function resolveDepthStencilAttachment(att) {
+    if (!att || typeof att !== 'object') return null;
+
+    if (att.textureId === undefined || att.textureId === null || att.textureId <= 0) return null;
+
+    const rt = renderTextures.get(att.textureId);
+    if (rt) {
+        if (!rt.depth) {
+            console.error(`Render texture ${att.textureId} has no depth attachment`);
+            return null;
+        }
+        return createDepthStencilAttachment(rt.depth, att);
+    }
+
+    const tex = textures.get(att.textureId);
+    if (!tex || !tex.isDepth) {
+        console.error(`Depth texture ${att.textureId} not found`);
+        return null;
+    }
+    return createDepthStencilAttachment(tex, att);
+}
+
+// Only the aspects present in the format carry load/store ops
+function createDepthStencilAttachment(record, ops) {
+    const attachment = {
+        record: record,
+        hasDepth: formatHasDepth(record.format),
+        hasStencil: formatHasStencil(record.format),
+        readOnly: false,
+        depthLoadOp: null,
+        stencilLoadOp: null,
+        depthClearValue: ops.depthClearValue ?? 1.0,
+        stencilClearValue: ops.stencilClearValue ?? 0,
+        discard: false
+    };
+
+    let discardDepth = !attachment.hasDepth;
+    if (attachment.hasDepth) {
+        if (ops.depthReadOnly) {
+            attachment.readOnly = true;
+        } else {
+            attachment.depthLoadOp = ops.depthLoadOp || 'clear';
+            discardDepth = ops.depthStoreOp === 'discard';
+        }
+    }
+
+    let discardStencil = !attachment.hasStencil;
+    if (attachment.hasStencil) {
+        attachment.stencilLoadOp = ops.stencilLoadOp || 'clear';
+        discardStencil = ops.stencilStoreOp === 'discard';
+    }
+
+    // A combined attachment can only be invalidated as a whole
+    attachment.discard = discardDepth && discardStencil;
+    return attachment;
+}
+
+export function endRenderPass() {
+    const rp = currentRenderPass;
+    if (!rp) return;
+
+    endPassTimer();
+    currentRenderPass = null;
+
+    for (const { from, to } of rp.resolves) {
+        resolveMultisample(from, to);
+    }
+
+    if (rp.invalidate.length > 0) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, rp.framebuffer);
+        gl.invalidateFramebuffer(gl.FRAMEBUFFER, rp.invalidate);
+    }
+
+    for (const textureId of rp.renderTextureIds) {
+        const rt = renderTextures.get(textureId);
+        if (rt) rt.version++;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+function resolveMultisample(from, to) {
+    const readFramebuffer = getFramebuffer([{ record: from, level: 0, layer: 0 }], null);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, getScratchFramebuffer());
+    attachTexture(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, to, 0, 0);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, readFramebuffer);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.blitFramebuffer(0, 0, from.width, from.height, 0, 0, to.width, to.height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+}
+
+// ============================================================================
+// Render Commands
+// ============================================================================
+
+export function setViewport(x, y, width, height, minDepth, maxDepth) {
+    if (currentRenderPass) {
+        passSetViewport(currentRenderPass, x, y, width, height, minDepth || 0, maxDepth ?? 1);
+    }
+}
+
+export function setScissorRect(x, y, width, height) {
+    if (currentRenderPass) {
+        passSetScissorRect(currentRenderPass, x, y, width, height);
+    }
+}
+
+export function setPipeline(pipelineId) {
+    if (currentRenderPass) {
+        passSetPipeline(currentRenderPass, frameStats, pipelineId);
+    }
+}
+
+export function setBindGroup(index, bindGroupId, dynamicOffsets) {
+    if (currentRenderPass) {
+        passSetBindGroup(currentRenderPass, frameStats, index, bindGroupId, dynamicOffsets ? Array.from(dynamicOffsets) : []);
+    }
+}
+
+export function setVertexBuffer(slot, meshId) {
+    if (currentRenderPass) {
+        passSetVertexBuffer(currentRenderPass, slot, meshId);
+    }
+}
+
+export function setIndexBuffer(meshId) {
+    if (currentRenderPass) {
+        currentRenderPass.indexBufferId = meshId;
+    }
+}
+
+export function setStencilReference(reference) {
+    if (currentRenderPass) {
+        passSetStencilReference(currentRenderPass, reference);
+    }
+}
+
+export function drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance) {
+    if (currentRenderPass) {
+        passDrawIndexed(currentRenderPass, frameStats, indexCount, instanceCount || 1, firstIndex || 0, baseVertex || 0, firstInstance || 0);
+    } else {
+        console.warn('drawIndexed called without active render pass!');
+    }
+}
+
+export function draw(vertexCount, instanceCount, firstVertex, firstInstance) {
+    if (currentRenderPass) {
+        passDraw(currentRenderPass, frameStats, vertexCount, instanceCount || 1, firstVertex || 0, firstInstance || 0);
+    }
+}
+
+export function drawIndirect(bufferId, offset) {
+    if (currentRenderPass) {
+        passDrawIndirect(currentRenderPass, frameStats, bufferId, offset || 0, false);
+    }
+}
+
+export function drawIndexedIndirect(bufferId, offset) {
+    if (currentRenderPass) {
+        passDrawIndirect(currentRenderPass, frameStats, bufferId, offset || 0, true);
+    }
+}
+
+export function setBlendConstant(r, g, b, a) {
+    if (currentRenderPass) {
+        gl.blendColor(r, g, b, a);
+    }
+}
+
+function passSetViewport(rp, x, y, width, height, minDepth, maxDepth) {
+    rp.viewport = [x, y, width, height];
+    gl.viewport(x, y, width, height);
+    gl.depthRange(minDepth, maxDepth);
+}
+
+function passSetScissorRect(rp, x, y, width, height) {
+    rp.scissor = [x, y, width, height];
+    gl.scissor(x, y, width, height);
+}
+
+// A missing pipeline clears the current one, so its draws are skipped instead of running
+// with the previous pipeline
+function passSetPipeline(rp, stats, pipelineId) {
+    const pipeline = renderPipelines.get(pipelineId);
+    if (!pipeline) {
+        rp.pipeline = null;
+        return;
+    }
+
+    rp.pipeline = pipeline;
+    rp.pipelineDirty = true;
+    rp.bindingsDirty = true;
+    rp.attributesDirty = true;
+    stats.pipelineSwitches++;
+}
+
+function passSetBindGroup(rp, stats, slot, bindGroupId, dynamicOffsets) {
+    const bindGroup = bindGroups.get(bindGroupId);
+    if (!bindGroup) return;
+
+    rp.bindGroups[slot] = bindGroup;
+    rp.dynamicOffsets[slot] = dynamicOffsets;
+    rp.bindingsDirty = true;
+    stats.bindGroupSwitches++;
+}
+
+// Vertex data can come from a mesh or from a plain buffer
+function passSetVertexBuffer(rp, slot, bufferId) {
+    rp.vertexBuffers[slot] = bufferId;
+    rp.attributesDirty = true;
+}
+
+function passSetStencilReference(rp, reference) {
+    rp.stencilReference = reference;
+    rp.pipelineDirty = true;
+}
+
+function passDrawIndexed(rp, stats, indexCount, instanceCount, firstIndex, baseVertex, firstInstance) {
+    const mesh = buffers.get(rp.indexBufferId);
+    if (!mesh || mesh.type !== 'mesh') return;
+    if (!prepareDraw(rp, baseVertex, firstInstance, baseVertex)) return;
+
+    bindIndexBuffer(mesh.indexBuffer);
+    const type = mesh.indexFormat === 'uint32' ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    gl.drawElementsInstanced(rp.pipeline.topology, indexCount, type, firstIndex * indexFormatSizes[mesh.indexFormat], instanceCount);
+    stats.draws++;
+}
+
+function passDraw(rp, stats, vertexCount, instanceCount, firstVertex, firstInstance) {
+    // gl_VertexID already counts from firstVertex
+    if (!prepareDraw(rp, 0, firstInstance, 0)) return;
+
+    gl.drawArraysInstanced(rp.pipeline.topology, firstVertex, vertexCount, instanceCount);
+    stats.draws++;
+}
+
+// WebGL2 has no indirect draws; the arguments are read from the buffer's CPU copy
+function passDrawIndirect(rp, stats, bufferId, offset, indexed) {
+    const buffer = buffers.get(bufferId);
+    if (!buffer || !buffer.shadow) {
+        console.error(`Indirect buffer ${bufferId} not found or created without INDIRECT usage`);
+        return;
+    }
+
+    const args = new DataView(buffer.shadow.buffer, offset, indexed ? 20 : 16);
+    if (indexed) {
+        passDrawIndexed(rp, stats, args.getUint32(0, true), args.getUint32(4, true), args.getUint32(8, true), args.getInt32(12, true), args.getUint32(16, true));
+    } else {
+        passDraw(rp, stats, args.getUint32(0, true), args.getUint32(4, true), args.getUint32(8, true), args.getUint32(12, true));
+    }
+}
+
+// ============================================================================
+// Draw State
+// ============================================================================
+
+// Brings GL in line with the pass before a draw. Returns false while the pipeline has no
+// program (still compiling, or its error program failed too).
+//
+// WebGL2 has no base vertex or base instance: attributes are re-pointed at
+// baseVertex/baseInstance elements in, and the translated shaders add nz_base_vertex and
+// nz_base_instance to vertex_index and instance_index.
+function prepareDraw(rp, attributeBase, instanceBase, vertexIndexBase) {
+    const pipeline = rp.pipeline;
+    if (!pipeline || !pipeline.program) return false;
+
+    useProgram(pipeline.program);
+
+    if (rp.pipelineDirty) {
+        applyPipelineState(rp, pipeline);
+        rp.pipelineDirty = false;
+    }
+
+    if (rp.bindingsDirty) {
+        applyBindings(rp, pipeline);
+        rp.bindingsDirty = false;
+    }
+
+    if (rp.attributesDirty || rp.attributeBase !== attributeBase || rp.instanceBase !== instanceBase) {
+        applyAttributes(rp, pipeline, attributeBase, instanceBase);
+        rp.attributesDirty = false;
+        rp.attributeBase = attributeBase;
+        rp.instanceBase = instanceBase;
+    }
+
+    if (pipeline.baseVertexLocation) gl.uniform1i(pipeline.baseVertexLocation, vertexIndexBase);
+    if (pipeline.baseInstanceLocation) gl.uniform1i(pipeline.baseInstanceLocation, instanceBase);
+    return true;
+}
+
+const glBlendFactors = {
+    'zero': 'ZERO',
+    'one': 'ONE',
+    'src': 'SRC_COLOR',
+    'one-minus-src': 'ONE_MINUS_SRC_COLOR',
+    'src-alpha': 'SRC_ALPHA',
+    'one-minus-src-alpha': 'ONE_MINUS_SRC_ALPHA',
+    'dst': 'DST_COLOR',
+    'one-minus-dst': 'ONE_MINUS_DST_COLOR',
+    'dst-alpha': 'DST_ALPHA',
+    'one-minus-dst-alpha': 'ONE_MINUS_DST_ALPHA',
+    'src-alpha-saturated': 'SRC_ALPHA_SATURATE',
+    'constant': 'CONSTANT_COLOR',
+    'one-minus-constant': 'ONE_MINUS_CONSTANT_COLOR'
+};
+
+const glBlendOperations = {
+    'add': 'FUNC_ADD',
+    'subtract': 'FUNC_SUBTRACT',
+    'reverse-subtract': 'FUNC_REVERSE_SUBTRACT',
+    'min': 'MIN',
+    'max': 'MAX'
+};
+
+const glStencilOperations = {
+    'keep': 'KEEP',
+    'zero': 'ZERO',
+    'replace': 'REPLACE',
+    'invert': 'INVERT',
+    'increment-clamp': 'INCR',
+    'decrement-clamp': 'DECR',
+    'increment-wrap': 'INCR_WRAP',
+    'decrement-wrap': 'DECR_WRAP'
+};
+
+function applyPipelineState(rp, pipeline) {
+    const targets = pipeline.targets.slice(0, rp.colorCount);
+    const indexed = extensions.drawBuffersIndexed;
+    const uniform = targets.every(t => t.blend === targets[0].blend && t.writeMask === targets[0].writeMask);
+
+    if (uniform || !indexed) {
+        applyTargetState(targets[0], null, 0);
+    } else {
+        targets.forEach((t, i) => applyTargetState(t, indexed, i));
+    }
+
+    if (pipeline.cullMode === 'none') {
+        gl.disable(gl.CULL_FACE);
+    } else {
+        gl.enable(gl.CULL_FACE);
+        gl.cullFace(pipeline.cullMode === 'front' ? gl.FRONT : gl.BACK);
+    }
+    gl.frontFace(pipeline.frontFace);
+
+    const ds = pipeline.depthStencil;
+    if (ds && ds.hasDepth && rp.hasDepth) {
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl[glCompareFunctions[ds.depthCompare] || 'ALWAYS']);
+        gl.depthMask(ds.depthWriteEnabled && !rp.depthReadOnly);
+    } else {
+        gl.disable(gl.DEPTH_TEST);
+        gl.depthMask(false);
+    }
+
+    if (ds && ds.hasStencil && rp.hasStencil) {
+        gl.enable(gl.STENCIL_TEST);
+        gl.stencilFunc(gl[glCompareFunctions[ds.stencilCompare] || 'ALWAYS'], rp.stencilReference, ds.stencilReadMask);
+        gl.stencilOp(
+            gl[glStencilOperations[ds.stencilFailOp] || 'KEEP'],
+            gl[glStencilOperations[ds.stencilDepthFailOp] || 'KEEP'],
+            gl[glStencilOperations[ds.stencilPassOp] || 'KEEP']);
+        gl.stencilMask(ds.stencilWriteMask);
+    } else {
+        gl.disable(gl.STENCIL_TEST);
+    }
+
+    // WebGPU always scissors, to the whole target by default
+    gl.enable(gl.SCISSOR_TEST);
+}
+
+// indexed is OES_draw_buffers_indexed when draw buffer i gets its own state, null to set
+// every draw buffer at once
+function applyTargetState(target, indexed, i) {
+    const mask = target.writeMask;
+    const blend = target.blend;
+
+    if (indexed) {
+        indexed.colorMaskiOES(i, !!(mask & GPUColorWrite.RED), !!(mask & GPUColorWrite.GREEN), !!(mask & GPUColorWrite.BLUE), !!(mask & GPUColorWrite.ALPHA));
+        if (!blend) {
+            indexed.disableiOES(gl.BLEND, i);
+            return;
+        }
+        indexed.enableiOES(gl.BLEND, i);
+        indexed.blendFuncSeparateiOES(i,
+            gl[glBlendFactors[blend.color.srcFactor]], gl[glBlendFactors[blend.color.dstFactor]],
+            gl[glBlendFactors[blend.alpha.srcFactor]], gl[glBlendFactors[blend.alpha.dstFactor]]);
+        indexed.blendEquationSeparateiOES(i, gl[glBlendOperations[blend.color.operation]], gl[glBlendOperations[blend.alpha.operation]]);
+        return;
+    }
+
+    gl.colorMask(!!(mask & GPUColorWrite.RED), !!(mask & GPUColorWrite.GREEN), !!(mask & GPUColorWrite.BLUE), !!(mask & GPUColorWrite.ALPHA));
+    if (!blend) {
+        gl.disable(gl.BLEND);
+        return;
+    }
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(
+        gl[glBlendFactors[blend.color.srcFactor]], gl[glBlendFactors[blend.color.dstFactor]],
+        gl[glBlendFactors[blend.alpha.srcFactor]], gl[glBlendFactors[blend.alpha.dstFactor]]);
+    gl.blendEquationSeparate(gl[glBlendOperations[blend.color.operation]], gl[glBlendOperations[blend.alpha.operation]]);
+}
+
+// { bindGroup, entry, dynamicOffset } for a binding of the pass's bind groups, or null
+function resolvePassEntry(rp, group, binding) {
+    const bindGroup = rp.bindGroups[group];
+    const entry = bindGroup && bindGroup.entries.get(binding);
+    if (!entry) return null;
+
+    const index = bindGroup.dynamicIndex.get(binding);
+    const offsets = rp.dynamicOffsets[group];
+    return { bindGroup, entry, dynamicOffset: index !== undefined && offsets ? (offsets[index] || 0) : 0 };
+}
+
+function applyBindings(rp, pipeline) {
+    for (const block of pipeline.uniformBlocks) {
+        const resolved = resolvePassEntry(rp, block.group, block.binding);
+        const buffer = resolved && buffers.get(resolved.entry.bufferId);
+        if (!buffer || buffer.type !== 'buffer') {
+            gl.bindBufferBase(gl.UNIFORM_BUFFER, block.point, null);
+            continue;
+        }
+
+        // The range must cover the whole std140 block, which can be larger than the
+        // WGSL struct the entry was sized for
+        const offset = (resolved.entry.offset || 0) + resolved.dynamicOffset;
+        const available = buffer.glSize - offset;
+        const size = Math.min(available, Math.max(resolved.entry.size || available, block.size));
+        gl.bindBufferRange(gl.UNIFORM_BUFFER, block.point, buffer.buffer, offset, size);
+    }
+
+    for (const unit of pipeline.textureUnits) {
+        const resolved = resolvePassEntry(rp, unit.group, unit.binding);
+        const textureId = resolved ? getEntryTextureId(resolved.bindGroup, resolved.entry) : undefined;
+        const tex = textureId !== undefined ? textures.get(textureId) : null;
+        bindTextureUnit(unit.unit, unit.target, tex ? resolveTextureForTarget(textureId, tex, unit.target) : null);
+
+        let sampler = null;
+        if (unit.samplerGroup >= 0) {
+            const samplerEntry = resolvePassEntry(rp, unit.samplerGroup, unit.samplerBinding);
+            if (samplerEntry) {
+                sampler = resolveSampler(getEntrySamplerId(samplerEntry.bindGroup, samplerEntry.entry), tex, unit.samplerBinding);
+            }
+        }
+        bindSamplerUnit(unit.unit, sampler);
+    }
+}
+
+// The WebGLTexture to sample for a binding. Render textures are also bound as
+// texture_2d_array (WebGPU hands out a 2d-array view of them), which reads a copy.
+function resolveTextureForTarget(textureId, tex, target) {
+    if (tex.target === target) return tex.texture;
+
+    const rt = renderTextures.get(textureId);
+    if (rt && target === gl.TEXTURE_2D_ARRAY) return getRenderTextureArray(rt);
+    return null;
+}
+
+function getRenderTextureArray(rt) {
+    if (!rt.arrayCopy) {
+        rt.arrayCopy = createTextureStorage(gl.TEXTURE_2D_ARRAY, rt.width, rt.height, 1, rt.format, 1);
+        rt.arrayVersion = -1;
+    }
+
+    if (rt.arrayVersion !== rt.version) {
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, getScratchFramebuffer());
+        attachTexture(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, rt.texture, 0, 0);
+        bindScratchTexture(gl.TEXTURE_2D_ARRAY, rt.arrayCopy.texture);
+        gl.copyTexSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, 0, 0, 0, rt.width, rt.height);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, currentRenderPass ? currentRenderPass.framebuffer : null);
+        rt.arrayVersion = rt.version;
+    }
+    return rt.arrayCopy.texture;
+}
+
+function applyAttributes(rp, pipeline, attributeBase, instanceBase) {
+    let mask = 0;
+    pipeline.vertexBuffers.forEach((layout, slot) => {
+        if (!layout) return;
+        const buffer = buffers.get(rp.vertexBuffers[slot]);
+        if (!buffer) return;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer.type === 'mesh' ? buffer.vertexBuffer : buffer.buffer);
+        const base = (layout.instanced ? instanceBase : attributeBase) * layout.arrayStride;
+        for (const a of layout.attributes) {
+            if (a.integer) {
+                gl.vertexAttribIPointer(a.shaderLocation, a.size, a.type, layout.arrayStride, a.offset + base);
+            } else {
+                gl.vertexAttribPointer(a.shaderLocation, a.size, a.type, a.normalized, layout.arrayStride, a.offset + base);
+            }
+            gl.vertexAttribDivisor(a.shaderLocation, layout.instanced ? 1 : 0);
+            mask |= 1 << a.shaderLocation;
+        }
+    });
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    setEnabledAttributes(mask);
+    setGenericAttributes(pipeline, mask);
+}
+
+// Inputs without a vertex buffer read the generic attribute value, which WebGL2 requires
+// to have the shader input's type (float, int or uint) or the draw fails
+function setGenericAttributes(pipeline, mask) {
+    for (const input of pipeline.attributeInputs) {
+        const location = input.location;
+        if ((mask & (1 << location)) || (genericAttributeKinds[location] || 'float') === input.kind) continue;
+
+        if (input.kind === 'int') {
+            gl.vertexAttribI4i(location, 0, 0, 0, 0);
+        } else if (input.kind === 'uint') {
+            gl.vertexAttribI4ui(location, 0, 0, 0, 0);
+        } else {
+            gl.vertexAttrib4f(location, 0, 0, 0, 1);
+        }
+        genericAttributeKinds[location] = input.kind;
+    }
+}
+
+function setEnabledAttributes(mask) {
+    const changed = mask ^ enabledAttributes;
+    for (let location = 0; changed >> location; location++) {
+        if (!(changed & (1 << location))) continue;
+        if (mask & (1 << location)) {
+            gl.enableVertexAttribArray(location);
+        } else {
+            gl.disableVertexAttribArray(location);
+        }
+    }
+    enabledAttributes = mask;
+}
+
+// ============================================================================
+// Compute
+// ============================================================================
+
+// WebGL2 has no compute shaders. Pipelines are recorded (so IDs, tracking and reports
+// behave as with WebGPU) and reported as failed; compute passes can't be opened.
+export function createComputePipeline(moduleId, pipelineLayoutId, entryPoint, label) {
+    const id = nextPipelineId++;
+    const desc = {
+        moduleId: moduleId,
+        pipelineLayoutId: pipelineLayoutId,
+        entryPoint: entryPoint || 'cs_main',
+        label: label || `compute_pipeline_${id}`
+    };
+    trackCreated(desc);
+    computePipelineDescs.set(id, desc);
+    reportDiagnostic('computePipeline', desc.label, 'error', 'Compute shaders need WebGPU; the WebGL2 fallback can\'t run them');
+    return id;
+}
+
+export function destroyComputePipeline(pipelineId) {
+    trackDestroyed('computePipeline', pipelineId, computePipelineDescs.get(pipelineId));
+    computePipelineDescs.delete(pipelineId);
+}
+
+export function beginComputePass(label) {
+    console.error(`beginComputePass(${label || 'compute_pass'}): compute shaders need WebGPU`);
+    return false;
+}
+
+export function endComputePass() {
+}
+
+export function setComputePipeline(pipelineId) {
+    markUsed('computePipeline', pipelineId, 'setComputePipeline');
+}
+
+export function setComputeBindGroup(index, bindGroupId) {
+    markUsed('bindGroup', bindGroupId, 'setComputeBindGroup');
+}
+
+export function dispatchWorkgroups(x, y, z) {
+    console.warn('dispatchWorkgroups called without active compute pass!');
+}
+
+export function dispatchWorkgroupsIndirect(bufferId, offset) {
+    console.warn('dispatchWorkgroupsIndirect called without active compute pass!');
+}
+
+// ============================================================================
+// Command Buffer Replay
+// ============================================================================
+
+// Bump whenever an opcode is added or its arguments change. The C# driver checks it
+// against its own copy at init (WebGraphicsDriver.CommandProtocolVersion).
+const COMMAND_PROTOCOL_VERSION = 3;
+
+// Opcode table — every argument is one int32 slot
+//
+//  v1
+const CMD_SET_PIPELINE = 1;              // pipelineId
+const CMD_SET_BIND_GROUP = 2;            // slot, bindGroupId
+const CMD_SET_VERTEX_BUF = 3;            // slot, meshId | bufferId
+const CMD_SET_INDEX_BUF = 4;             // meshId
+const CMD_SET_SCISSOR = 5;               // x, y, w, h
+const CMD_DRAW_INDEXED = 6;              // indexCount, instanceCount, firstIndex, baseVertex, firstInstance
+const CMD_SET_VIEWPORT = 7;              // x, y, w, h
+//  v2
+const CMD_SET_STENCIL_REF = 8;           // reference
+const CMD_DRAW = 9;                      // vertexCount, instanceCount, firstVertex, firstInstance
+const CMD_DRAW_INDIRECT = 10;            // bufferId, byteOffset
+const CMD_DRAW_INDEXED_INDIRECT = 11;    // bufferId, byteOffset
+const CMD_SET_BLEND_CONSTANT = 12;       // r, g, b, a (float32 bits)
+const CMD_SET_BIND_GROUP_DYNAMIC = 13;   // slot, bindGroupId, offsetCount, offsets[offsetCount]
+const CMD_WRITE_BUFFER = 14;             // bufferId, byteOffset, byteLength, data[ceil(byteLength / 4)]
+//  v3
+const CMD_EXECUTE_BUNDLE = 15;           // bundleId
+
+const NO_DYNAMIC_OFFSETS = [];
+
+export function getCommandProtocolVersion() {
+    return COMMAND_PROTOCOL_VERSION;
+}
+
+// Outside a pass the buffer may only hold inline buffer writes, see replayBufferWrites
+export function executeCommandBuffer(buffer, count) {
+    // Materialize WASM MemoryView into a real Uint8Array
+    const bytes = new Uint8Array(buffer.slice());
+    if (currentRenderPass) {
+        replayCommands(currentRenderPass, frameStats, bytes, 0, count);
+    } else {
+        replayBufferWrites(bytes, 0, count);
+    }
+}
+
+// Replays straight out of the WASM heap. Returns false if the heap can't be accessed so
+// the caller can fall back to executeCommandBuffer.
+export function executeCommandBufferHeap(ptr, count) {
+    const heap = getHeapView(ptr, count * 4);
+    if (!heap) return false;
+    if (currentRenderPass) {
+        replayCommands(currentRenderPass, frameStats, heap, ptr, count);
+    } else {
+        replayBufferWrites(heap, ptr, count);
+    }
+    return true;
+}
+
+// Int32/Float32/Uint32 views over the memory commands are replayed from. They cover the
+// whole ArrayBuffer and are only recreated when it changes (a fresh copy, or the WASM
+// memory growing), so replays index them from byteOffset >> 2.
+const commandViews = { buffer: null, ints: null, floats: null, uints: null };
+
+function getCommandViews(buffer) {
+    if (commandViews.buffer !== buffer) {
+        const length = buffer.byteLength >> 2;
+        commandViews.buffer = buffer;
+        commandViews.ints = new Int32Array(buffer, 0, length);
+        commandViews.floats = new Float32Array(buffer, 0, length);
+        commandViews.uints = new Uint32Array(buffer, 0, length);
+    }
+    return commandViews;
+}
+
+// Inline buffer writes recorded between passes. GL runs commands in order, so each write
+// lands between the passes around it without any staging.
+function replayBufferWrites(bytes, byteOffset, count) {
+    const view = getCommandViews(bytes.buffer).ints;
+    const start = byteOffset >> 2;
+    const end = start + count;
+
+    if (resourceTrackingEnabled) trackCommandUsage(view.subarray(start, end), count);
+
+    let i = start;
+    while (i < end) {
+        if (view[i++] !== CMD_WRITE_BUFFER) {
+            console.error('Only inline buffer writes can be replayed outside a pass, opcode', view[i - 1], 'at index', i - 1 - start);
+            return;
+        }
+
+        const bufferId = view[i++];
+        const offset = view[i++];
+        const byteLength = view[i++];
+        const target = buffers.get(bufferId);
+        if (target && gl) writeBufferRecord(bufferId, target, offset, bytes, i * 4, byteLength);
+        i += (byteLength + 3) >> 2;
+    }
+}
+
+// rp is the render pass to replay into. bytes must start at offset 0 of its ArrayBuffer;
+// byteOffset (4 byte aligned) is where the commands start. Int32/Float32/Uint32 views
+// share the same memory.
+function replayCommands(rp, stats, bytes, byteOffset, count) {
+    const { ints: view, floats, uints } = getCommandViews(bytes.buffer);
+    const start = byteOffset >> 2;
+    const end = start + count;
+
+    if (resourceTrackingEnabled) trackCommandUsage(view.subarray(start, end), count);
+
+    let i = start;
+    while (i < end) {
+        switch (view[i++]) {
+            case CMD_SET_PIPELINE:
+                passSetPipeline(rp, stats, view[i++]);
+                break;
+            case CMD_SET_BIND_GROUP: {
+                const slot = view[i++];
+                passSetBindGroup(rp, stats, slot, view[i++], NO_DYNAMIC_OFFSETS);
+                break;
+            }
+            case CMD_SET_VERTEX_BUF: {
+                const slot = view[i++];
+                passSetVertexBuffer(rp, slot, view[i++]);
+                break;
+            }
+            case CMD_SET_INDEX_BUF:
+                rp.indexBufferId = view[i++];
+                break;
+            case CMD_SET_SCISSOR:
+                passSetScissorRect(rp, view[i++], view[i++], view[i++], view[i++]);
+                break;
+            case CMD_DRAW_INDEXED:
+                passDrawIndexed(rp, stats, view[i++], view[i++], view[i++], view[i++], view[i++]);
+                break;
+            case CMD_SET_VIEWPORT:
+                passSetViewport(rp, view[i++], view[i++], view[i++], view[i++], 0, 1);
+                break;
+            case CMD_SET_STENCIL_REF:
+                passSetStencilReference(rp, view[i++]);
+                break;
+            case CMD_DRAW:
+                passDraw(rp, stats, view[i++], view[i++], view[i++], view[i++]);
+                break;
+            case CMD_DRAW_INDIRECT: {
+                const bufferId = view[i++];
+                passDrawIndirect(rp, stats, bufferId, view[i++], false);
+                break;
+            }
+            case CMD_DRAW_INDEXED_INDIRECT: {
+                const bufferId = view[i++];
+                passDrawIndirect(rp, stats, bufferId, view[i++], true);
+                break;
+            }
+            case CMD_SET_BLEND_CONSTANT:
+                gl.blendColor(floats[i++], floats[i++], floats[i++], floats[i++]);
+                break;
+            case CMD_SET_BIND_GROUP_DYNAMIC: {
+                const slot = view[i++];
+                const bindGroupId = view[i++];
+                const offsetCount = view[i++];
+                passSetBindGroup(rp, stats, slot, bindGroupId, Array.from(uints.subarray(i, i + offsetCount)));
+                i += offsetCount;
+                break;
+            }
+            case CMD_WRITE_BUFFER:
+                // Recorded between passes only, as with WebGPU; see replayBufferWrites
+                console.error('Inline buffer writes must be recorded between passes, skipped');
+                i += 3 + ((view[i + 2] + 3) >> 2);
+                break;
+            case CMD_EXECUTE_BUNDLE: {
+                const desc = renderBundleDescs.get(view[i++]);
+                if (desc && desc.valid) executeRenderBundle(rp, stats, desc);
+                break;
+            }
+            default:
+                console.error('Unknown command buffer opcode:', view[i - 1], 'at index', i - 1 - start, 'count', count);
+                return;
+        }
+    }
+}
+
+// Steps through a command buffer, calling visit(opcode, kind, id) for every command with
+// the resource it references (kind is null for commands without one). Returns false at
+// an unknown opcode.
+function walkCommands(view, count, visit) {
+    let i = 0;
+    while (i < count) {
+        const opcode = view[i++];
+        switch (opcode) {
+            case CMD_SET_PIPELINE:
+                visit(opcode, 'renderPipeline', view[i++]);
+                break;
+            case CMD_SET_BIND_GROUP:
+                visit(opcode, 'bindGroup', view[i + 1]);
+                i += 2;
+                break;
+            case CMD_SET_VERTEX_BUF:
+                visit(opcode, 'buffer', view[i + 1]);
+                i += 2;
+                break;
+            case CMD_SET_INDEX_BUF:
+                visit(opcode, 'buffer', view[i++]);
+                break;
+            case CMD_DRAW_INDIRECT:
+            case CMD_DRAW_INDEXED_INDIRECT:
+                visit(opcode, 'buffer', view[i]);
+                i += 2;
+                break;
+            case CMD_SET_BIND_GROUP_DYNAMIC:
+                visit(opcode, 'bindGroup', view[i + 1]);
+                i += 3 + view[i + 2];
+                break;
+            case CMD_WRITE_BUFFER:
+                visit(opcode, 'buffer', view[i]);
+                i += 3 + ((view[i + 2] + 3) >> 2);
+                break;
+            case CMD_EXECUTE_BUNDLE:
+                visit(opcode, 'renderBundle', view[i++]);
+                break;
+            case CMD_SET_STENCIL_REF:
+                visit(opcode, null, 0);
+                i += 1;
+                break;
+            case CMD_SET_SCISSOR:
+            case CMD_SET_VIEWPORT:
+            case CMD_SET_BLEND_CONSTANT:
+            case CMD_DRAW:
+                visit(opcode, null, 0);
+                i += 4;
+                break;
+            case CMD_DRAW_INDEXED:
+                visit(opcode, null, 0);
+                i += 5;
+                break;
+            default:
+                return false;
+        }
+    }
+    return true;
+}
+
+// ============================================================================
+// Render Bundles
+// ============================================================================
+
+// A render bundle is a recorded command buffer that a pass replays with one
+// CMD_EXECUTE_BUNDLE. WebGL2 has no bundles, so the commands are kept and replayed
+// inline. Destroying a pipeline, buffer, mesh, bind group, texture or sampler it
+// references invalidates it; executing an invalid bundle draws nothing.
+
+// Pass state (viewport, scissor, stencil reference, blend constant) and queue writes
+// can't be recorded into a bundle
+const renderBundleOpcodes = new Set([
+    CMD_SET_PIPELINE,
+    CMD_SET_BIND_GROUP,
+    CMD_SET_VERTEX_BUF,
+    CMD_SET_INDEX_BUF,
+    CMD_DRAW_INDEXED,
+    CMD_DRAW,
+    CMD_DRAW_INDIRECT,
+    CMD_DRAW_INDEXED_INDIRECT,
+    CMD_SET_BIND_GROUP_DYNAMIC
+]);
+
+const renderBundleIdsByResource = new Map(); // `${kind}:${id}` -> Set of bundle IDs
+
+// commands is a MemoryView of count int32 slots. colorFormats, depthFormat and
+// sampleCount describe the passes the bundle is meant for; WebGL2 doesn't check them.
+// Returns -1 if the commands can't be recorded into a bundle.
+export function createRenderBundle(commands, count, colorFormats, depthFormat, sampleCount, label) {
+    const id = nextRenderBundleId++;
+    label = label || `render_bundle_${id}`;
+
+    // Materialize WASM MemoryView into a real Uint8Array that the bundle keeps
+    const bytes = new Uint8Array(commands.slice());
+    const view = new Int32Array(bytes.buffer, 0, count);
+
+    // Direct references plus the resources of referenced bind groups
+    const refs = [];
+    const refKeys = new Set();
+    const addRef = (kind, refId) => {
+        const key = `${kind}:${refId}`;
+        if (refKeys.has(key)) return;
+        refKeys.add(key);
+        refs.push([kind, refId]);
+    };
+
+    let invalidOpcode = 0;
+    const wellFormed = walkCommands(view, count, (opcode, kind, refId) => {
+        if (!renderBundleOpcodes.has(opcode)) {
+            invalidOpcode = invalidOpcode || opcode;
+            return;
+        }
+        if (!kind) return;
+
+        addRef(kind, refId);
+        const bindGroupDesc = kind === 'bindGroup' && bindGroupDescs.get(refId);
+        if (bindGroupDesc) forEachBindGroupReference(bindGroupDesc, addRef);
+    });
+
+    if (!wellFormed) {
+        console.error(`Render bundle ${label} has a malformed command buffer`);
+        return -1;
+    }
+    if (invalidOpcode) {
+        console.error(`Render bundle ${label} can't record command buffer opcode ${invalidOpcode}`);
+        return -1;
+    }
+
+    const desc = {
+        bytes, count, refs, label,
+        colorFormats: colorFormats.map(f => formatMap[f] || f),
+        depthFormat: depthFormat ? (formatMap[depthFormat] || depthFormat) : null,
+        sampleCount: sampleCount || 1,
+        valid: true
+    };
+    trackCreated(desc);
+    renderBundleDescs.set(id, desc);
+
+    for (const key of refKeys) {
+        let ids = renderBundleIdsByResource.get(key);
+        if (!ids) {
+            ids = new Set();
+            renderBundleIdsByResource.set(key, ids);
+        }
+        ids.add(id);
+    }
+
+    return id;
+}
+
+// Like a WebGPU bundle, leaves the pass without pipeline, bind groups or buffers
+function executeRenderBundle(rp, stats, desc) {
+    replayCommands(rp, stats, desc.bytes, 0, desc.count);
+
+    rp.pipeline = null;
+    rp.bindGroups = [];
+    rp.dynamicOffsets = [];
+    rp.vertexBuffers = [];
+    rp.indexBufferId = 0;
+}
+
+function invalidateRenderBundles(kind, id) {
+    const key = `${kind}:${id}`;
+    const ids = renderBundleIdsByResource.get(key);
+    if (!ids) return;
+
+    for (const bundleId of ids) {
+        const desc = renderBundleDescs.get(bundleId);
+        if (desc) desc.valid = false;
+    }
+    renderBundleIdsByResource.delete(key);
+}
+
+// False once something the bundle references was destroyed. Re-record it to draw again.
+export function isRenderBundleValid(bundleId) {
+    const desc = renderBundleDescs.get(bundleId);
+    return !!desc && desc.valid;
+}
+
+export function destroyRenderBundle(bundleId) {
+    const desc = renderBundleDescs.get(bundleId);
+    if (!desc) return;
+
+    trackDestroyed('renderBundle', bundleId, desc);
+    for (const [kind, id] of desc.refs) {
+        const key = `${kind}:${id}`;
+        const ids = renderBundleIdsByResource.get(key);
+        if (!ids) continue;
+        ids.delete(bundleId);
+        if (ids.size === 0) renderBundleIdsByResource.delete(key);
+    }
+    renderBundleDescs.delete(bundleId);
+}
+
+// ============================================================================
+// Offscreen Rendering
+// ============================================================================
+
+// ============================================================================
+// Render Texture (for capturing to image)
+// ============================================================================
+
+// A render texture is a sampleable texture plus an optional multisampled renderbuffer
+// that is blitted into it at the end of each pass, and an optional depth renderbuffer
+const renderTextures = new Map();
+
+export function createRenderTexture(width, height, format, sampleCount, label, depthFormat) {
+    // Allocate from shared texture ID space so RT can be used with bind groups
+    const id = nextTextureId++;
+    const desc = {
+        type: 'renderTexture',
+        width, height, format, sampleCount,
+        depthFormat: depthFormat || null,
+        label: label || `render_texture_${id}`
+    };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (gl) buildTexture(id, desc);
+    return id;
+}
+
+function buildRenderTexture(id, desc) {
+    const { width, height } = desc;
+    const gpuFormat = formatMap[desc.format] || 'rgba8unorm';
+    const depthFormat = desc.depthFormat ? (formatMap[desc.depthFormat] || desc.depthFormat) : null;
+
+    // Color and depth must have the same sample count; take one both formats support
+    let sampleCount = clampSampleCount(gpuFormat, desc.sampleCount);
+    if (depthFormat) sampleCount = clampSampleCount(depthFormat, sampleCount);
+
+    const texture = createTextureStorage(gl.TEXTURE_2D, width, height, 1, gpuFormat, 1);
+
+    renderTextures.set(id, {
+        texture: texture,
+        msaa: sampleCount > 1 ? createRenderbufferStorage(width, height, gpuFormat, sampleCount) : null,
+        depth: depthFormat ? createRenderbufferStorage(width, height, depthFormat, sampleCount) : null,
+        depthFormat: depthFormat,
+        sampleCount: sampleCount,
+        width: width,
+        height: height,
+        format: gpuFormat,
+        arrayCopy: null,
+        arrayVersion: -1,
+        version: 0
+    });
+
+    textures.set(id, texture);
+}
+
+export function destroyRenderTexture(textureId) {
+    trackDestroyed('texture', textureId, textureDescs.get(textureId));
+    invalidateRenderBundles('texture', textureId);
+    const rt = renderTextures.get(textureId);
+    if (rt) {
+        deleteTextureStorage(rt.msaa);
+        deleteTextureStorage(rt.depth);
+        deleteTextureStorage(rt.arrayCopy);
+        deleteTextureStorage(rt.texture);
+        renderTextures.delete(textureId);
+    }
+    textures.delete(textureId);
+    textureDescs.delete(textureId);
+}
+
+// loadOp/storeOp default to 'clear'/'store'; the depth and stencil load ops default to the
+// color loadOp and their store ops to 'store', clearing to 1.0 and 0. Passes that load need
+// the previous pass to have stored.
+export function beginRenderTexturePass(textureId, clearR, clearG, clearB, clearA, loadOp, storeOp,
+    depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue) {
+    markUsed('texture', textureId, 'beginRenderTexturePass');
+    const rt = renderTextures.get(textureId);
+    if (!rt || !frameActive) {
+        console.error(`beginRenderTexturePass: render texture ${textureId} not found or no frame`);
+        return;
+    }
+
+    const label = textureDescs.get(textureId).label;
+    const colorLoadOp = loadOp || 'clear';
+    const color = createRenderTextureColorAttachment(rt, colorLoadOp, storeOp, { r: clearR, g: clearG, b: clearB, a: clearA });
+    const depth = rt.depth
+        ? createRenderTextureDepthAttachment(rt, colorLoadOp, { depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue })
+        : null;
+
+    openRenderPass([color], depth, label, [textureId]);
+}
+
+// MSAA attachments always resolve into the sampled texture; storeOp only decides whether
+// the multisampled contents survive for a later 'load'. Without an explicit storeOp they
+// are discarded after a clear and kept after a load, so a pass that clears and is resumed
+// later must ask for 'store'.
+function createRenderTextureColorAttachment(rt, loadOp, storeOp, clearValue) {
+    const msaa = !!rt.msaa;
+    return {
+        record: msaa ? rt.msaa : rt.texture,
+        resolve: msaa ? rt.texture : null,
+        loadOp: loadOp,
+        storeOp: storeOp || (msaa && loadOp === 'clear' ? 'discard' : 'store'),
+        clearValue: clearValue
+    };
+}
+
+// Depth and stencil ops are independent; a missing load op falls back to defaultLoadOp
+function createRenderTextureDepthAttachment(rt, defaultLoadOp, ops) {
+    return createDepthStencilAttachment(rt.depth, {
+        ...ops,
+        depthLoadOp: ops.depthLoadOp || defaultLoadOp,
+        stencilLoadOp: ops.stencilLoadOp || defaultLoadOp
+    });
+}
+
+export function endRenderTexturePass() {
+    endRenderPass();
+}
+
+// ============================================================================
+// Readback
+// ============================================================================
+
+// Readbacks are ticketed: requestReadback reads the texture into a pixel buffer when the
+// frame ends (or at once outside a frame) and a fence tells when the data has arrived.
+// Poll getReadbackStatus, then take the tightly packed rows with copyReadback.
+const READBACK_PENDING = 0;
+const READBACK_READY = 1;
+const READBACK_FAILED = -1;
+
+const readbacks = new Map(); // ticket -> request
+const queuedReadbacks = [];  // tickets waiting for the end of the frame
+let nextReadbackTicket = 1;
+
+// As in WebGPU, only render textures and textures created with COPY_SRC can be read back
+function isReadableTexture(desc, tex) {
+    if (!desc || !texelSizes[tex.format] || !isColorRenderable(tex.format)) return false;
+    return desc.type === 'renderTexture' || (desc.type === 'texture' && (desc.usage & GPUTextureUsage.COPY_SRC) !== 0);
+}
+
+// width/height <= 0 read to the right/bottom edge of the mip. Returns a ticket, or -1.
+export function requestReadback(textureId, x, y, width, height, mipLevel, layer) {
+    if (!gl) {
+        console.error('requestReadback: WebGL2 context lost');
+        return -1;
+    }
+
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`requestReadback: texture ${textureId} not found`);
+        return -1;
+    }
+
+    if (!isReadableTexture(textureDescs.get(textureId), tex)) {
+        console.error(`requestReadback: texture ${textureId} (${tex.format}) can't be read back`);
+        return -1;
+    }
+
+    const mip = mipLevel || 0;
+    const mipWidth = Math.max(1, tex.width >> mip);
+    const mipHeight = Math.max(1, tex.height >> mip);
+    const w = width > 0 ? width : mipWidth - x;
+    const h = height > 0 ? height : mipHeight - y;
+    if (x < 0 || y < 0 || w <= 0 || h <= 0 || x + w > mipWidth || y + h > mipHeight) {
+        console.error(`requestReadback: region ${x},${y} ${w}x${h} is outside texture ${textureId} (${mipWidth}x${mipHeight}, mip ${mip})`);
+        return -1;
+    }
+
+    const ticket = nextReadbackTicket++;
+    readbacks.set(ticket, {
+        status: READBACK_PENDING,
+        textureId, x, y,
+        width: w,
+        height: h,
+        mipLevel: mip,
+        layer: layer || 0,
+        format: tex.format,
+        texelSize: texelSizes[tex.format],
+        pixelBuffer: null,
+        fence: null,
+        data: null
+    });
+
+    if (frameActive) {
+        queuedReadbacks.push(ticket);
+    } else {
+        const readback = readbacks.get(ticket);
+        startReadback(readback, tex);
+    }
+
+    return ticket;
+}
+
+// Returns READBACK_PENDING (0), READBACK_READY (1) or READBACK_FAILED (-1, also for unknown tickets)
+export function getReadbackStatus(ticket) {
+    const readback = readbacks.get(ticket);
+    if (!readback) return READBACK_FAILED;
+    if (readback.fence && gl) finishReadback(readback);
+    return readback.status;
+}
+
+// Byte size of a ready readback (width * height * texel size)
+export function getReadbackSize(ticket) {
+    const readback = readbacks.get(ticket);
+    return readback && readback.data ? readback.data.length : 0;
+}
+
+// Copies a ready readback into dest and releases the ticket
+export function copyReadback(ticket, dest) {
+    const readback = readbacks.get(ticket);
+    if (!readback || readback.status !== READBACK_READY) return false;
+
+    dest.set(readback.data);
+    readbacks.delete(ticket);
+    return true;
+}
+
+// Drops a ticket in any state
+export function releaseReadback(ticket) {
+    const readback = readbacks.get(ticket);
+    if (readback) deleteReadbackObjects(readback);
+    readbacks.delete(ticket);
+}
+
+function startQueuedReadbacks() {
+    for (const ticket of queuedReadbacks) {
+        const readback = readbacks.get(ticket);
+        if (!readback) continue;
+
+        // The texture may have been destroyed since the request
+        const tex = textures.get(readback.textureId);
+        if (tex) {
+            startReadback(readback, tex);
+        } else {
+            readback.status = READBACK_FAILED;
+        }
+    }
+    queuedReadbacks.length = 0;
+}
+
+// Normalized formats are read as RGBA8 and float formats as RGBA32F, the combinations
+// WebGL2 always allows; finishReadback converts to the texture's own layout
+function startReadback(readback, tex) {
+    const isFloat = readback.format === 'rgba16float' || readback.format === 'rgba32float';
+    const pixelCount = readback.width * readback.height;
+
+    readback.isFloat = isFloat;
+    readback.pixelBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, readback.pixelBuffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, pixelCount * (isFloat ? 16 : 4), gl.STREAM_READ);
+
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, getScratchFramebuffer());
+    attachTexture(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, tex, readback.mipLevel, readback.layer);
+    gl.readPixels(readback.x, readback.y, readback.width, readback.height, gl.RGBA, isFloat ? gl.FLOAT : gl.UNSIGNED_BYTE, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    readback.fence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+    restorePassState();
+}
+
+function pollReadbacks() {
+    for (const readback of readbacks.values()) {
+        if (readback.fence) finishReadback(readback);
+    }
+}
+
+function finishReadback(readback) {
+    if (gl.getSyncParameter(readback.fence, gl.SYNC_STATUS) !== gl.SIGNALED) return;
+
+    const pixelCount = readback.width * readback.height;
+    const pixels = readback.isFloat ? new Float32Array(pixelCount * 4) : new Uint8Array(pixelCount * 4);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, readback.pixelBuffer);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, pixels);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    deleteReadbackObjects(readback);
+
+    const data = convertReadbackPixels(pixels, readback.format);
+    if (!readback.encodePng) {
+        readback.data = data;
+        readback.status = READBACK_READY;
+        return;
+    }
+
+    encodePng(data, readback).then(png => {
+        readback.data = png;
+        readback.status = READBACK_READY;
+    }, e => {
+        console.error('Frame capture PNG encoding failed:', e);
+        readback.status = READBACK_FAILED;
+    });
+}
+
+function deleteReadbackObjects(readback) {
+    if (gl) {
+        if (readback.fence) gl.deleteSync(readback.fence);
+        if (readback.pixelBuffer) gl.deleteBuffer(readback.pixelBuffer);
+    }
+    readback.fence = null;
+    readback.pixelBuffer = null;
+}
+
+// RGBA8 or RGBA32F pixels to the rows copyTextureToBuffer would have produced
+function convertReadbackPixels(pixels, gpuFormat) {
+    const pixelCount = pixels.length >> 2;
+    switch (gpuFormat) {
+        case 'r8unorm': {
+            const data = new Uint8Array(pixelCount);
+            for (let i = 0; i < pixelCount; i++) data[i] = pixels[i * 4];
+            return data;
+        }
+        case 'rg8unorm': {
+            const data = new Uint8Array(pixelCount * 2);
+            for (let i = 0; i < pixelCount; i++) {
+                data[i * 2] = pixels[i * 4];
+                data[i * 2 + 1] = pixels[i * 4 + 1];
+            }
+            return data;
+        }
+        case 'bgra8unorm':
+            for (let i = 0; i < pixels.length; i += 4) {
+                const r = pixels[i];
+                pixels[i] = pixels[i + 2];
+                pixels[i + 2] = r;
+            }
+            return pixels;
+        case 'rgba16float': {
+            const halves = new Uint16Array(pixels.length);
+            for (let i = 0; i < pixels.length; i++) halves[i] = floatToHalf(pixels[i]);
+            return new Uint8Array(halves.buffer);
+        }
+        case 'rgba32float':
+            return new Uint8Array(pixels.buffer);
+        default:
+            return pixels;
+    }
+}
+
+const halfScratch = new Float32Array(1);
+const halfScratchBits = new Uint32Array(halfScratch.buffer);
+
+// Round to nearest; out of range values become infinity
+function floatToHalf(value) {
+    halfScratch[0] = value;
+    const bits = halfScratchBits[0];
+    const sign = (bits >> 16) & 0x8000;
+    const exponent = ((bits >> 23) & 0xFF) - 127 + 15;
+    const mantissa = bits & 0x7FFFFF;
+
+    if (((bits >> 23) & 0xFF) === 0xFF) return sign | 0x7C00 | (mantissa ? 0x200 : 0);
+    if (exponent >= 0x1F) return sign | 0x7C00;
+    if (exponent <= 0) {
+        if (exponent < -10) return sign;
+        const m = mantissa | 0x800000;
+        return sign | ((m >> (14 - exponent)) + ((m >> (13 - exponent)) & 1));
+    }
+    return sign | ((exponent << 10) | (mantissa >> 13)) + ((mantissa >> 12) & 1);
+}
+
+// Pending readbacks can't complete on a restored context
+function failPendingReadbacks() {
+    for (const readback of readbacks.values()) {
+        if (readback.status !== READBACK_PENDING) continue;
+        readback.status = READBACK_FAILED;
+        readback.fence = null;
+        readback.pixelBuffer = null;
+    }
+    queuedReadbacks.length = 0;
+    queuedFrameCaptures.length = 0;
+}
+
+// Frame captures read the surface texture of the next frame at endFrame, i.e. the
+// presented image at full canvas resolution, and complete as a readback ticket whose
+// data is a PNG file.
+const queuedFrameCaptures = [];
+
+export function requestFrameCapture() {
+    if (!gl) {
+        console.error('requestFrameCapture: WebGL2 context lost');
+        return -1;
+    }
+
+    const ticket = nextReadbackTicket++;
+    readbacks.set(ticket, { status: READBACK_PENDING, encodePng: true, data: null });
+    queuedFrameCaptures.push(ticket);
+    return ticket;
+}
+
+function startFrameCaptures() {
+    if (queuedFrameCaptures.length === 0) return;
+
+    for (const ticket of queuedFrameCaptures) {
+        const readback = readbacks.get(ticket);
+        if (!readback) continue;
+
+        readback.x = 0;
+        readback.y = 0;
+        readback.width = surfaceTexture.width;
+        readback.height = surfaceTexture.height;
+        readback.mipLevel = 0;
+        readback.layer = 0;
+        readback.format = surfaceTexture.format;
+        readback.texelSize = 4;
+        readback.opaque = appliedSurface.alphaMode === 'opaque';
+        startReadback(readback, surfaceTexture);
+    }
+    queuedFrameCaptures.length = 0;
+}
+
+// Converts the captured surface to straight-alpha RGBA8: opaque surfaces get alpha 255
+// and premultiplied ones are divided back.
+async function encodePng(pixels, readback) {
+    const { width, height } = readback;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (readback.opaque) {
+            pixels[i + 3] = 255;
+        } else if (pixels[i + 3] > 0 && pixels[i + 3] < 255) {
+            const scale = 255 / pixels[i + 3];
+            pixels[i] = Math.min(255, Math.round(pixels[i] * scale));
+            pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * scale));
+            pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * scale));
+        }
+    }
+
+    const offscreen = new OffscreenCanvas(width, height);
+    offscreen.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer), width, height), 0, 0);
+    const blob = await offscreen.convertToBlob({ type: 'image/png' });
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// ============================================================================
+// Render Target Groups (multiple render targets)
+// ============================================================================
+
+// A group binds several render textures as the color attachments of one pass, in order
+// (@location(0), @location(1), ...). Groups only hold texture IDs, so they survive context
+// loss with the render textures they reference. The depth attachment is the first render
+// texture's, if it has one.
+const MAX_COLOR_ATTACHMENTS = 8;
+const renderTargetGroups = new Map();
+let nextRenderTargetGroupId = 1;
+
+export function createRenderTargetGroup(textureIds, label) {
+    const ids = Array.isArray(textureIds) ? textureIds.slice() : Array.from(textureIds);
+    if (ids.length === 0 || ids.length > MAX_COLOR_ATTACHMENTS) {
+        console.error(`createRenderTargetGroup: expected 1-${MAX_COLOR_ATTACHMENTS} render textures, got ${ids.length}`);
+        return -1;
+    }
+
+    const first = textureDescs.get(ids[0]);
+    for (const textureId of ids) {
+        const desc = textureDescs.get(textureId);
+        if (!desc || desc.type !== 'renderTexture') {
+            console.error(`createRenderTargetGroup: render texture ${textureId} not found`);
+            return -1;
+        }
+        if (desc.width !== first.width || desc.height !== first.height || desc.sampleCount !== first.sampleCount) {
+            console.error(`createRenderTargetGroup: render texture ${textureId} (${desc.width}x${desc.height}, ${desc.sampleCount}x) doesn't match ${first.width}x${first.height}, ${first.sampleCount}x`);
+            return -1;
+        }
+    }
+
+    const id = nextRenderTargetGroupId++;
+    renderTargetGroups.set(id, { textureIds: ids, label: label || `render_target_group_${id}` });
+    return id;
+}
+
+export function destroyRenderTargetGroup(groupId) {
+    renderTargetGroups.delete(groupId);
+}
+
+// clearColors holds r, g, b, a per attachment; pass null (or too few values) to load the
+// previous contents of the remaining attachments. loadOps/storeOps optionally override
+// the ops per attachment, as in beginRenderTexturePass.
+export function beginRenderTargetGroupPass(groupId, clearColors, loadOps, storeOps,
+    depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue) {
+    const group = renderTargetGroups.get(groupId);
+    if (!group || !frameActive) {
+        console.error(`beginRenderTargetGroupPass: render target group ${groupId} not found or no frame`);
+        return false;
+    }
+
+    for (const textureId of group.textureIds) markUsed('texture', textureId, 'beginRenderTargetGroupPass');
+
+    const colorAttachments = [];
+    for (let i = 0; i < group.textureIds.length; i++) {
+        const rt = renderTextures.get(group.textureIds[i]);
+        if (!rt) {
+            console.error(`beginRenderTargetGroupPass: render texture ${group.textureIds[i]} not found`);
+            return false;
+        }
+
+        const clearValue = clearColors && clearColors.length >= (i + 1) * 4
+            ? { r: clearColors[i * 4], g: clearColors[i * 4 + 1], b: clearColors[i * 4 + 2], a: clearColors[i * 4 + 3] }
+            : { r: 0, g: 0, b: 0, a: 0 };
+        const loadOp = (loadOps && loadOps[i]) || (clearColors && clearColors.length >= (i + 1) * 4 ? 'clear' : 'load');
+        colorAttachments.push(createRenderTextureColorAttachment(rt, loadOp, storeOps && storeOps[i], clearValue));
+    }
+
+    const first = renderTextures.get(group.textureIds[0]);
+    const depth = first.depth
+        ? createRenderTextureDepthAttachment(first, colorAttachments[0].loadOp,
+            { depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue })
+        : null;
+
+    openRenderPass(colorAttachments, depth, group.label, group.textureIds);
+    return true;
+}
+
+// ============================================================================
+// WGSL Parser
+// ============================================================================
+
+// WebGL2 runs GLSL ES 3.00, so shader modules are parsed here and every pipeline stage
+// is translated from the syntax tree (see WGSL Translation). The parser accepts the
+// WGSL grammar render shaders use; what it can't translate is reported by the translator
+// with the position of the construct.
+
+class WgslError extends Error {
+    constructor(message, line, column) {
+        super(message);
+        this.name = 'WgslError';
+        this.line = line || 0;
+        this.column = column || 0;
+    }
+}
+
+// Longest first, so '>>=' wins over '>>' and '>'
+const WGSL_PUNCTUATION = [
+    '>>=', '<<=', '->', '&&', '||', '==', '!=', '<=', '>=', '<<', '>>', '++', '--',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+    '(', ')', '{', '}', '[', ']', '<', '>', ';', ':', ',', '.', '@', '=',
+    '+', '-', '*', '/', '%', '&', '|', '^', '!', '~'
+];
+
+const WGSL_NUMBER = /0[xX][0-9a-fA-F]*\.?[0-9a-fA-F]*(?:[pP][+-]?\d+)?[iuh]?|(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?[fh]?|\d+[eE][+-]?\d+[fh]?|\d+[iufh]?/y;
+const WGSL_IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+
+// Names that take a template list; elsewhere '<' is less-than
+const WGSL_TEMPLATED = /^(vec[234]|mat[234]x[234]|array|ptr|atomic|bitcast|texture_[a-z0-9_]+|binding_array)$/;
+
+const WGSL_BINARY_PRECEDENCE = {
+    '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '<<': 8, '>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10
+};
+
+const WGSL_ASSIGNMENT = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+function tokenizeWgsl(code) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    while (i < code.length) {
+        const c = code[i];
+        if (c === '\n') {
+            line++;
+            lineStart = ++i;
+            continue;
+        }
+        if (c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v') {
+            i++;
+            continue;
+        }
+        if (code.startsWith('//', i)) {
+            while (i < code.length && code[i] !== '\n') i++;
+            continue;
+        }
+        if (code.startsWith('/*', i)) {
+            // Block comments nest in WGSL
+            let depth = 0;
+            do {
+                if (code.startsWith('/*', i)) {
+                    depth++;
+                    i += 2;
+                } else if (code.startsWith('*/', i)) {
+                    depth--;
+                    i += 2;
+                } else {
+                    if (code[i] === '\n') {
+                        line++;
+                        lineStart = i + 1;
+                    }
+                    i++;
+                }
+            } while (depth > 0 && i < code.length);
+            continue;
+        }
+
+        const column = i - lineStart + 1;
+        let type;
+        let value;
+        if (/[A-Za-z_]/.test(c)) {
+            WGSL_IDENTIFIER.lastIndex = i;
+            value = WGSL_IDENTIFIER.exec(code)[0];
+            type = 'ident';
+        } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(code[i + 1]))) {
+            WGSL_NUMBER.lastIndex = i;
+            value = WGSL_NUMBER.exec(code)[0];
+            type = 'number';
+        } else {
+            value = WGSL_PUNCTUATION.find(p => code.startsWith(p, i));
+            if (!value) throw new WgslError(`Unexpected character '${c}'`, line, column);
+            type = 'punct';
+        }
+
+        tokens.push({ type, value, line, column });
+        i += value.length;
+    }
+
+    tokens.push({ type: 'eof', value: '', line, column: i - lineStart + 1 });
+    return tokens;
+}
+
+// Module: { structs, aliases, globals, functions }, each a Map from name to declaration.
+// Nodes carry the line and column of their first token.
+function parseWgsl(code) {
+    return new WgslParser(tokenizeWgsl(code)).parseModule();
+}
+
+class WgslParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    is(value) {
+        const token = this.peek();
+        return token.type !== 'number' && token.value === value;
+    }
+
+    accept(value) {
+        if (!this.is(value)) return false;
+        this.pos++;
+        return true;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) this.fail(`Expected '${value}'`);
+    }
+
+    fail(message, token = this.peek()) {
+        throw new WgslError(`${message}, found '${token.value || 'end of file'}'`, token.line, token.column);
+    }
+
+    ident() {
+        const token = this.peek();
+        if (token.type !== 'ident') this.fail('Expected an identifier');
+        this.pos++;
+        return token.value;
+    }
+
+    node(kind, token, props) {
+        return { kind, line: token.line, column: token.column, ...props };
+    }
+
+    // Template lists end at '>', which the tokenizer may have merged into '>>', '>=' or '>>='
+    closeTemplate() {
+        const token = this.peek();
+        if (token.type === 'punct' && token.value === '>') {
+            this.pos++;
+        } else if (token.type === 'punct' && token.value.length > 1 && token.value[0] === '>') {
+            this.tokens[this.pos] = { ...token, value: token.value.slice(1), column: token.column + 1 };
+        } else {
+            this.fail("Expected '>'");
+        }
+    }
+
+    skipPast(value) {
+        while (!this.accept(value)) {
+            if (this.next().type === 'eof') this.fail(`Expected '${value}'`);
+        }
+    }
+
+    parseModule() {
+        const module = { structs: new Map(), aliases: new Map(), globals: new Map(), functions: new Map() };
+
+        while (this.peek().type !== 'eof') {
+            if (this.accept(';')) continue;
+
+            const attrs = this.parseAttributes();
+            const token = this.peek();
+            switch (token.type === 'ident' ? token.value : '') {
+                case 'struct': {
+                    const decl = this.parseStruct();
+                    module.structs.set(decl.name, decl);
+                    break;
+                }
+                case 'fn': {
+                    const decl = this.parseFunction(attrs);
+                    module.functions.set(decl.name, decl);
+                    break;
+                }
+                case 'var':
+                case 'const':
+                case 'override': {
+                    const decl = this.parseVariable(attrs);
+                    this.expect(';');
+                    module.globals.set(decl.name, decl);
+                    break;
+                }
+                case 'alias': {
+                    this.next();
+                    const name = this.ident();
+                    this.expect('=');
+                    module.aliases.set(name, this.parseType());
+                    this.expect(';');
+                    break;
+                }
+                case 'enable':
+                case 'requires':
+                case 'diagnostic':
+                case 'const_assert':
+                    this.skipPast(';');
+                    break;
+                default:
+                    this.fail('Expected a declaration');
+            }
+        }
+
+        return module;
+    }
+
+    // { name: [argument expressions] }
+    parseAttributes() {
+        const attrs = {};
+        while (this.accept('@')) {
+            const name = this.ident();
+            const args = [];
+            if (this.accept('(')) {
+                while (!this.is(')')) {
+                    args.push(this.parseExpression());
+                    if (!this.accept(',')) break;
+                }
+                this.expect(')');
+            }
+            attrs[name] = args;
+        }
+        return attrs;
+    }
+
+    parseStruct() {
+        const token = this.next();
+        const name = this.ident();
+        const members = [];
+        this.expect('{');
+        while (!this.accept('}')) {
+            const attrs = this.parseAttributes();
+            const memberToken = this.peek();
+            const memberName = this.ident();
+            this.expect(':');
+            members.push(this.node('member', memberToken, { name: memberName, type: this.parseType(), attrs }));
+            if (!this.accept(',')) this.accept(';');
+        }
+        return this.node('struct', token, { name, members });
+    }
+
+    parseFunction(attrs) {
+        const token = this.next();
+        const name = this.ident();
+        const params = [];
+        this.expect('(');
+        while (!this.is(')')) {
+            const paramAttrs = this.parseAttributes();
+            const paramToken = this.peek();
+            const paramName = this.ident();
+            this.expect(':');
+            params.push(this.node('param', paramToken, { name: paramName, type: this.parseType(), attrs: paramAttrs }));
+            if (!this.accept(',')) break;
+        }
+        this.expect(')');
+
+        let returnType = null;
+        let returnAttrs = {};
+        if (this.accept('->')) {
+            returnAttrs = this.parseAttributes();
+            returnType = this.parseType();
+        }
+
+        return this.node('fn', token, { name, params, returnType, returnAttrs, attrs, body: this.parseBlock() });
+    }
+
+    // var<space, access> name: type = init, const name: type = init (also let and override)
+    parseVariable(attrs) {
+        const token = this.next();
+        let addressSpace = null;
+        let access = null;
+        if (token.value === 'var' && this.accept('<')) {
+            addressSpace = this.ident();
+            if (this.accept(',')) access = this.ident();
+            this.closeTemplate();
+        }
+
+        const name = this.ident();
+        const type = this.accept(':') ? this.parseType() : null;
+        const init = this.accept('=') ? this.parseExpression() : null;
+        return this.node(token.value, token, { name, type, init, addressSpace, access, attrs: attrs || {} });
+    }
+
+    parseType() {
+        const token = this.peek();
+        const name = this.ident();
+        const args = WGSL_TEMPLATED.test(name) && this.is('<') ? this.parseTemplateList() : [];
+        return this.node('type', token, { name, args });
+    }
+
+    parseTemplateList() {
+        const args = [];
+        this.expect('<');
+        while (!this.is('>')) {
+            args.push(this.peek().type === 'ident' ? this.parseType() : this.parseExpression(true));
+            if (!this.accept(',')) break;
+        }
+        this.closeTemplate();
+        return args;
+    }
+
+    parseBlock() {
+        const token = this.peek();
+        const body = [];
+        this.expect('{');
+        while (!this.accept('}')) {
+            const statement = this.parseStatement();
+            if (statement) body.push(statement);
+        }
+        return this.node('block', token, { body });
+    }
+
+    parseStatement() {
+        this.parseAttributes();
+        const token = this.peek();
+        if (this.accept(';')) return null;
+        if (this.is('{')) return this.parseBlock();
+
+        switch (token.type === 'ident' ? token.value : '') {
+            case 'return': {
+                this.next();
+                const value = this.is(';') ? null : this.parseExpression();
+                this.expect(';');
+                return this.node('return', token, { value });
+            }
+            case 'if':
+                return this.parseIf();
+            case 'switch':
+                return this.parseSwitch();
+            case 'loop':
+                return this.parseLoop();
+            case 'for':
+                return this.parseFor();
+            case 'while': {
+                this.next();
+                const cond = this.parseExpression();
+                return this.node('while', token, { cond, body: this.parseBlock() });
+            }
+            case 'break': {
+                this.next();
+                if (this.accept('if')) {
+                    const cond = this.parseExpression();
+                    this.expect(';');
+                    return this.node('breakIf', token, { cond });
+                }
+                this.expect(';');
+                return this.node('break', token, {});
+            }
+            case 'continue':
+                this.next();
+                this.expect(';');
+                return this.node('continue', token, {});
+            case 'discard':
+                this.next();
+                this.expect(';');
+                return this.node('discard', token, {});
+            case 'const_assert':
+                this.skipPast(';');
+                return null;
+        }
+
+        const statement = this.parseSimpleStatement();
+        this.expect(';');
+        return statement;
+    }
+
+    // Declarations, assignments, increments and calls: what for loops allow in their
+    // initializer and update
+    parseSimpleStatement() {
+        const token = this.peek();
+        if (token.type === 'ident' && (token.value === 'var' || token.value === 'let' || token.value === 'const')) {
+            return this.parseVariable(null);
+        }
+
+        if (token.type === 'ident' && token.value === '_' && this.peek(1).value === '=') {
+            this.pos += 2;
+            return this.node('phony', token, { value: this.parseExpression() });
+        }
+
+        const target = this.parseUnary(false);
+        const op = this.peek();
+        if (op.type === 'punct' && WGSL_ASSIGNMENT.has(op.value)) {
+            this.next();
+            return this.node('assign', token, { op: op.value, target, value: this.parseExpression() });
+        }
+        if (op.type === 'punct' && (op.value === '++' || op.value === '--')) {
+            this.next();
+            return this.node('increment', token, { op: op.value, target });
+        }
+        if (target.kind !== 'call') this.fail('Expected a statement', token);
+        return this.node('call', token, { call: target });
+    }
+
+    parseIf() {
+        const token = this.next();
+        const cond = this.parseExpression();
+        const then = this.parseBlock();
+        let otherwise = null;
+        if (this.accept('else')) {
+            otherwise = this.is('if') ? this.parseIf() : this.parseBlock();
+        }
+        return this.node('if', token, { cond, then, otherwise });
+    }
+
+    parseSwitch() {
+        const token = this.next();
+        const selector = this.parseExpression();
+        const clauses = [];
+        this.parseAttributes();
+        this.expect('{');
+        while (!this.accept('}')) {
+            const clauseToken = this.peek();
+            const selectors = [];
+            if (this.accept('default')) {
+                selectors.push(null);
+            } else {
+                this.expect('case');
+                while (!this.is(':') && !this.is('{')) {
+                    selectors.push(this.accept('default') ? null : this.parseExpression());
+                    if (!this.accept(',')) break;
+                }
+            }
+            this.accept(':');
+            clauses.push(this.node('clause', clauseToken, { selectors, body: this.parseBlock() }));
+        }
+        return this.node('switch', token, { selector, clauses });
+    }
+
+    parseLoop() {
+        const token = this.next();
+        const body = [];
+        let continuing = null;
+        this.expect('{');
+        while (!this.accept('}')) {
+            if (this.is('continuing')) {
+                this.next();
+                continuing = this.parseBlock();
+                this.expect('}');
+                break;
+            }
+            const statement = this.parseStatement();
+            if (statement) body.push(statement);
+        }
+        return this.node('loop', token, { body: this.node('block', token, { body }), continuing });
+    }
+
+    parseFor() {
+        const token = this.next();
+        this.expect('(');
+        const init = this.is(';') ? null : this.parseSimpleStatement();
+        this.expect(';');
+        const cond = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        const update = this.is(')') ? null : this.parseSimpleStatement();
+        this.expect(')');
+        return this.node('for', token, { init, cond, update, body: this.parseBlock() });
+    }
+
+    // inTemplate stops at '>', which closes the template list instead
+    parseExpression(inTemplate = false, minPrecedence = 1) {
+        let left = this.parseUnary(inTemplate);
+        for (;;) {
+            const token = this.peek();
+            const precedence = token.type === 'punct' ? WGSL_BINARY_PRECEDENCE[token.value] : undefined;
+            if (!precedence || precedence < minPrecedence) return left;
+            if (inTemplate && token.value[0] === '>') return left;
+
+            this.next();
+            const right = this.parseExpression(inTemplate, precedence + 1);
+            left = this.node('binary', token, { op: token.value, left, right });
+        }
+    }
+
+    parseUnary(inTemplate) {
+        const token = this.peek();
+        if (token.type === 'punct' && ['-', '!', '~', '&', '*'].includes(token.value)) {
+            this.next();
+            return this.node('unary', token, { op: token.value, operand: this.parseUnary(inTemplate) });
+        }
+
+        let expr = this.parsePrimary();
+        for (;;) {
+            const postfix = this.peek();
+            if (this.accept('.')) {
+                expr = this.node('member', postfix, { object: expr, member: this.ident() });
+            } else if (this.accept('[')) {
+                expr = this.node('index', postfix, { object: expr, index: this.parseExpression() });
+                this.expect(']');
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (token.type === 'number') {
+            return this.node('literal', token, { value: token.value });
+        }
+
+        if (token.type === 'ident') {
+            if (token.value === 'true' || token.value === 'false') {
+                return this.node('literal', token, { value: token.value });
+            }
+
+            const template = WGSL_TEMPLATED.test(token.value) && this.is('<') ? this.parseTemplateList() : null;
+            if (!this.accept('(')) {
+                if (template) this.fail("Expected '('");
+                return this.node('ident', token, { name: token.value });
+            }
+
+            const args = [];
+            while (!this.is(')')) {
+                args.push(this.parseExpression());
+                if (!this.accept(',')) break;
+            }
+            this.expect(')');
+            return this.node('call', token, { name: token.value, template, args });
+        }
+
+        if (token.value === '(') {
+            const expr = this.parseExpression();
+            this.expect(')');
+            return expr;
+        }
+
+        this.fail('Expected an expression', token);
+    }
+}
+
+// ============================================================================
+// WGSL Translation
+// ============================================================================
+
+// Translates one entry point of a parsed module to GLSL ES 3.00. Only what the entry point
+// reaches is emitted, so a module can hold compute or storage code for WebGPU as long as
+// its render entry points don't use it.
+//
+// Names follow the contract with setPipelineProgram: uniform buffers become
+// nz_ub{group}_{binding} blocks, textures nz_t{g}_{b} (read without a sampler) and
+// nz_t{g}_{b}_s{g}_{b} (per texture and sampler pair). Vertex inputs are nz_in{location},
+// varyings nz_v{location} and fragment outputs nz_out{location}.
+
+const F32 = { kind: 'scalar', name: 'f32' };
+const I32 = { kind: 'scalar', name: 'i32' };
+const U32 = { kind: 'scalar', name: 'u32' };
+const BOOL = { kind: 'scalar', name: 'bool' };
+const ABSTRACT_INT = { kind: 'scalar', name: 'abstract-int' };
+const ABSTRACT_FLOAT = { kind: 'scalar', name: 'abstract-float' };
+const VOID = { kind: 'void' };
+
+const wgslScalars = { f32: F32, i32: I32, u32: U32, bool: BOOL };
+const wgslShorthandElements = { f: F32, i: I32, u: U32, h: null };
+
+const glslScalarNames = { f32: 'float', i32: 'int', u32: 'uint', bool: 'bool', 'abstract-int': 'int', 'abstract-float': 'float' };
+const glslVectorPrefixes = { f32: '', i32: 'i', u32: 'u', bool: 'b', 'abstract-int': 'i', 'abstract-float': '' };
+
+// Keywords, reserved words and the builtins the translation emits; WGSL names that
+// collide get an nz_ prefix
+const GLSL_RESERVED = new Set(`
+    attribute const uniform varying layout centroid flat smooth break continue do for while switch case
+    default if else in out inout float int void bool true false invariant discard return lowp mediump
+    highp precision struct main mat2 mat3 mat4 mat2x2 mat2x3 mat2x4 mat3x2 mat3x3 mat3x4 mat4x2 mat4x3
+    mat4x4 vec2 vec3 vec4 ivec2 ivec3 ivec4 bvec2 bvec3 bvec4 uint uvec2 uvec3 uvec4 sampler2D sampler3D
+    samplerCube sampler2DShadow samplerCubeShadow sampler2DArray sampler2DArrayShadow isampler2D
+    isampler3D isamplerCube isampler2DArray usampler2D usampler3D usamplerCube usampler2DArray
+    coherent volatile restrict readonly writeonly resource atomic_uint noperspective patch sample
+    subroutine common partition active asm class union enum typedef template this goto inline
+    noinline public static extern external interface long short double half fixed unsigned superp
+    input output hvec2 hvec3 hvec4 dvec2 dvec3 dvec4 fvec2 fvec3 fvec4 sampler3DRect filter sizeof
+    cast namespace using texture textureLod textureGrad textureOffset textureLodOffset
+    textureGradOffset texelFetch textureSize mod dFdx dFdy inversesqrt roundEven faceforward
+    lessThan lessThanEqual greaterThan greaterThanEqual equal notEqual not clamp mix trunc atan
+    intBitsToFloat uintBitsToFloat floatBitsToInt floatBitsToUint matrixCompMult outerProduct
+    inverse isnan isinf`.trim().split(/\s+/));
+
+// WGSL builtin -> GLSL function taking and returning the same shapes
+const glslMathFunctions = {
+    abs: 'abs', acos: 'acos', acosh: 'acosh', asin: 'asin', asinh: 'asinh', atan: 'atan', atanh: 'atanh',
+    atan2: 'atan', ceil: 'ceil', clamp: 'clamp', cos: 'cos', cosh: 'cosh', cross: 'cross',
+    degrees: 'degrees', distance: 'distance', dot: 'dot', exp: 'exp', exp2: 'exp2',
+    faceForward: 'faceforward', floor: 'floor', fract: 'fract', inverseSqrt: 'inversesqrt',
+    length: 'length', log: 'log', log2: 'log2', max: 'max', min: 'min', mix: 'mix',
+    normalize: 'normalize', pow: 'pow', radians: 'radians', reflect: 'reflect', refract: 'refract',
+    round: 'roundEven', sign: 'sign', sin: 'sin', sinh: 'sinh', smoothstep: 'smoothstep', sqrt: 'sqrt',
+    step: 'step', tan: 'tan', tanh: 'tanh', trunc: 'trunc',
+    dpdx: 'dFdx', dpdxCoarse: 'dFdx', dpdxFine: 'dFdx', dpdy: 'dFdy', dpdyCoarse: 'dFdy', dpdyFine: 'dFdy',
+    fwidth: 'fwidth', fwidthCoarse: 'fwidth', fwidthFine: 'fwidth'
+};
+
+const glslIntegerMathFunctions = new Set(['abs', 'clamp', 'max', 'min', 'sign']);
+const glslScalarResultFunctions = new Set(['length', 'distance', 'dot']);
+
+const glslPackFunctions = {
+    pack2x16float: ['packHalf2x16', U32],
+    pack2x16unorm: ['packUnorm2x16', U32],
+    pack2x16snorm: ['packSnorm2x16', U32],
+    unpack2x16float: ['unpackHalf2x16', { kind: 'vector', size: 2, elem: F32 }],
+    unpack2x16unorm: ['unpackUnorm2x16', { kind: 'vector', size: 2, elem: F32 }],
+    unpack2x16snorm: ['unpackSnorm2x16', { kind: 'vector', size: 2, elem: F32 }]
+};
+
+const glslComparisonFunctions = {
+    '==': 'equal', '!=': 'notEqual', '<': 'lessThan', '<=': 'lessThanEqual', '>': 'greaterThan', '>=': 'greaterThanEqual'
+};
+
+const glslHelpers = {
+    // WGSL % on floats truncates like C's fmod; GLSL mod() floors
+    fmod: ['float', 'vec2', 'vec3', 'vec4']
+        .map(t => `${t} nz_fmod(${t} a, ${t} b) { return a - b * trunc(a / b); }`)
+        .join('\n')
+};
+
+function translateWgsl(module, stage, entryPoint) {
+    return new WgslTranslator(module, stage).translate(entryPoint);
+}
+
+function vectorType(size, elem) {
+    return { kind: 'vector', size, elem };
+}
+
+function isAbstract(type) {
+    const scalar = scalarOf(type);
+    return scalar !== null && (scalar === ABSTRACT_INT || scalar === ABSTRACT_FLOAT);
+}
+
+function isFloat(scalar) {
+    return scalar === F32 || scalar === ABSTRACT_FLOAT;
+}
+
+function scalarOf(type) {
+    if (type.kind === 'scalar') return type;
+    if (type.kind === 'vector') return type.elem;
+    if (type.kind === 'matrix') return F32;
+    return null;
+}
+
+function withScalar(type, scalar) {
+    if (type.kind === 'scalar') return scalar;
+    if (type.kind === 'vector') return vectorType(type.size, scalar);
+    return type;
+}
+
+// Abstract numbers take i32 and f32 once they're stored
+function concretize(type) {
+    if (type === ABSTRACT_INT) return I32;
+    if (type === ABSTRACT_FLOAT) return F32;
+    if (type.kind === 'vector') return vectorType(type.size, concretize(type.elem));
+    if (type.kind === 'array') return { ...type, elem: concretize(type.elem) };
+    return type;
+}
+
+function typeKey(type) {
+    switch (type.kind) {
+        case 'scalar': return type.name;
+        case 'vector': return `vec${type.size}<${type.elem.name}>`;
+        case 'matrix': return `mat${type.columns}x${type.rows}<f32>`;
+        case 'array': return `array<${typeKey(type.elem)}, ${type.count}>`;
+        case 'struct': return type.name;
+        case 'pointer': return `ptr<${typeKey(type.store)}>`;
+        case 'texture': return type.name;
+        case 'sampler': return type.comparison ? 'sampler_comparison' : 'sampler';
+        default: return 'void';
+    }
+}
+
+function mangleGlslName(name) {
+    if (GLSL_RESERVED.has(name) || name.startsWith('gl_') || name.startsWith('nz_') || name.includes('__')) {
+        return `nz_${name.replace(/__/g, '_0_')}`;
+    }
+    return name;
+}
+
+class WgslTranslator {
+    constructor(module, stage) {
+        this.module = module;
+        this.stage = stage;
+        this.structTypes = new Map();
+        this.globalSymbols = new Map();
+        this.functionSignatures = new Map();
+        this.emitted = new Set();
+        this.structs = [];
+        this.resources = [];
+        this.io = [];
+        this.globals = [];
+        this.helpers = [];
+        this.functions = [];
+        this.scopes = [];
+        this.loops = [];
+        this.returnType = VOID;
+    }
+
+    fail(message, node) {
+        throw new WgslError(message, node?.line, node?.column);
+    }
+
+    emitOnce(key, list, text) {
+        if (this.emitted.has(key)) return;
+        this.emitted.add(key);
+        list.push(text);
+    }
+
+    translate(entryPoint) {
+        const entry = this.module.functions.get(entryPoint);
+        if (!entry) this.fail(`Entry point ${entryPoint} not found`);
+        if (!entry.attrs[this.stage]) this.fail(`${entryPoint} is not a @${this.stage} entry point`, entry);
+
+        const signature = this.useFunction(entry);
+        const args = entry.params.map((param, i) => this.stageInput(signature.params[i].type, param.attrs, param));
+        const call = `${signature.glslName}(${args.join(', ')})`;
+        const main = [];
+
+        const returnType = signature.returnType;
+        if (returnType.kind === 'struct') {
+            main.push(`    ${this.declare(returnType, 'nz_r')} = ${call};`);
+            for (const member of returnType.members) {
+                this.stageOutput(main, member.type, member.attrs, `nz_r.${member.glslName}`, member);
+            }
+        } else if (returnType !== VOID) {
+            this.stageOutput(main, returnType, entry.returnAttrs, call, entry);
+        } else {
+            main.push(`    ${call};`);
+        }
+
+        if (this.stage === 'vertex') {
+            // WebGPU clip space has z in [0, w]. Passes render upside down into their
+            // targets, which presentSurface flips back, so framebuffer rows match WebGPU's.
+            main.push('    gl_Position.y = -gl_Position.y;');
+            main.push('    gl_Position.z = gl_Position.z * 2.0 - gl_Position.w;');
+        }
+
+        return [
+            '#version 300 es',
+            'precision highp float;',
+            'precision highp int;',
+            ...this.structs,
+            ...this.resources,
+            ...this.io,
+            ...this.globals,
+            ...this.helpers,
+            ...this.functions,
+            `void main() {\n${main.join('\n')}\n}`,
+            ''
+        ].join('\n');
+    }
+
+    // ------------------------------------------------------------------------
+    // Stage inputs and outputs
+    // ------------------------------------------------------------------------
+
+    stageInput(type, attrs, node) {
+        if (type.kind === 'struct') {
+            const members = type.members.map(member => this.stageInput(member.type, member.attrs, member));
+            return `${this.glslType(type)}(${members.join(', ')})`;
+        }
+
+        if (attrs.builtin) {
+            const builtin = attrs.builtin[0]?.name;
+            switch (`${this.stage}:${builtin}`) {
+                case 'vertex:vertex_index':
+                    this.emitOnce('nz_base_vertex', this.resources, 'uniform int nz_base_vertex;');
+                    return 'uint(gl_VertexID + nz_base_vertex)';
+                case 'vertex:instance_index':
+                    this.emitOnce('nz_base_instance', this.resources, 'uniform int nz_base_instance;');
+                    return 'uint(gl_InstanceID + nz_base_instance)';
+                case 'fragment:position':
+                    return 'gl_FragCoord';
+                case 'fragment:front_facing':
+                    return 'gl_FrontFacing';
+            }
+            this.fail(`@builtin(${builtin}) isn't supported by the WebGL2 backend`, node);
+        }
+
+        if (!attrs.location) this.fail('Entry point inputs need @location or @builtin', node);
+        const location = this.constInt(attrs.location[0]);
+        if (this.stage === 'vertex') {
+            const name = `nz_in${location}`;
+            this.emitOnce(name, this.io, `layout(location = ${location}) in ${this.declare(type, name)};`);
+            return name;
+        }
+
+        const name = `nz_v${location}`;
+        this.emitOnce(name, this.io, `${this.interpolation(type, attrs)}in ${this.declare(type, name)};`);
+        return name;
+    }
+
+    stageOutput(main, type, attrs, value, node) {
+        if (attrs.builtin) {
+            const builtin = attrs.builtin[0]?.name;
+            if (this.stage === 'vertex' && builtin === 'position') {
+                main.push(`    gl_Position = ${value};`);
+                return;
+            }
+            if (this.stage === 'fragment' && builtin === 'frag_depth') {
+                main.push(`    gl_FragDepth = ${value};`);
+                return;
+            }
+            this.fail(`@builtin(${builtin}) isn't supported by the WebGL2 backend`, node);
+        }
+
+        if (!attrs.location) this.fail('Entry point outputs need @location or @builtin', node);
+        if (attrs.blend_src) this.fail('Dual source blending isn\'t supported by the WebGL2 backend', node);
+        const location = this.constInt(attrs.location[0]);
+        if (this.stage === 'vertex') {
+            const name = `nz_v${location}`;
+            this.emitOnce(name, this.io, `${this.interpolation(type, attrs)}out ${this.declare(type, name)};`);
+            main.push(`    ${name} = ${value};`);
+            return;
+        }
+
+        const name = `nz_out${location}`;
+        this.emitOnce(name, this.io, `layout(location = ${location}) out ${this.declare(type, name)};`);
+        main.push(`    ${name} = ${value};`);
+    }
+
+    // GLSL ES 3.00 has no noperspective or sample qualifiers; those interpolate perspective
+    // correct at the center
+    interpolation(type, attrs) {
+        const args = (attrs.interpolate || []).map(arg => arg.name);
+        if (args[0] === 'flat' || !isFloat(scalarOf(type))) return 'flat ';
+        if (args[1] === 'centroid') return 'centroid ';
+        return '';
+    }
+
+    // ------------------------------------------------------------------------
+    // Types
+    // ------------------------------------------------------------------------
+
+    resolveType(node) {
+        const name = node.name;
+        const args = node.args;
+
+        if (wgslScalars[name]) return wgslScalars[name];
+        if (name === 'f16') this.fail('f16 isn\'t supported by the WebGL2 backend', node);
+
+        let match = /^vec([234])([fihu]?)$/.exec(name);
+        if (match) {
+            const elem = match[2] ? wgslShorthandElements[match[2]] : args[0] && this.resolveType(args[0]);
+            if (!elem) this.fail(`${name} needs an f32, i32, u32 or bool element type`, node);
+            return vectorType(+match[1], elem);
+        }
+
+        match = /^mat([234])x([234])([fh]?)$/.exec(name);
+        if (match) {
+            const elem = match[3] ? wgslShorthandElements[match[3]] : args[0] ? this.resolveType(args[0]) : F32;
+            if (elem !== F32) this.fail(`${name} needs an f32 element type`, node);
+            return { kind: 'matrix', columns: +match[1], rows: +match[2] };
+        }
+
+        switch (name) {
+            case 'array': {
+                if (args.length < 2) this.fail('Runtime sized arrays need storage buffers, which need WebGPU', node);
+                const elem = this.resolveType(args[0]);
+                if (elem.kind === 'array') this.fail('Arrays of arrays aren\'t supported by the WebGL2 backend', node);
+                return { kind: 'array', elem, count: this.constInt(args[1]) };
+            }
+            case 'ptr':
+                return { kind: 'pointer', store: this.resolveType(args[1]) };
+            case 'sampler':
+                return { kind: 'sampler', comparison: false };
+            case 'sampler_comparison':
+                return { kind: 'sampler', comparison: true };
+            case 'texture_2d':
+            case 'texture_2d_array':
+                return {
+                    kind: 'texture',
+                    name,
+                    arrayed: name === 'texture_2d_array',
+                    depth: false,
+                    sampled: args[0] ? this.resolveType(args[0]) : F32
+                };
+            case 'texture_depth_2d':
+            case 'texture_depth_2d_array':
+                return { kind: 'texture', name, arrayed: name === 'texture_depth_2d_array', depth: true, sampled: F32 };
+        }
+
+        if (name.startsWith('texture_') || name === 'atomic' || name === 'binding_array') {
+            this.fail(`${name} isn't supported by the WebGL2 backend`, node);
+        }
+
+        if (this.module.structs.has(name)) return this.structType(name);
+        if (this.module.aliases.has(name)) return this.resolveType(this.module.aliases.get(name));
+        this.fail(`Unknown type ${name}`, node);
+    }
+
+    structType(name) {
+        let type = this.structTypes.get(name);
+        if (type) return type;
+
+        const decl = this.module.structs.get(name);
+        type = { kind: 'struct', name, glslName: mangleGlslName(name), members: [] };
+        this.structTypes.set(name, type);
+        for (const member of decl.members) {
+            type.members.push({
+                name: member.name,
+                glslName: mangleGlslName(member.name),
+                type: this.resolveType(member.type),
+                attrs: member.attrs,
+                line: member.line,
+                column: member.column
+            });
+        }
+        return type;
+    }
+
+    glslType(type, node) {
+        switch (type.kind) {
+            case 'scalar':
+                return glslScalarNames[type.name];
+            case 'vector':
+                return `${glslVectorPrefixes[type.elem.name]}vec${type.size}`;
+            case 'matrix':
+                return type.columns === type.rows ? `mat${type.columns}` : `mat${type.columns}x${type.rows}`;
+            case 'array':
+                return `${this.glslType(type.elem, node)}[${type.count}]`;
+            case 'struct':
+                this.emitStruct(type);
+                return type.glslName;
+        }
+        this.fail(`${typeKey(type)} can't be used as a value by the WebGL2 backend`, node);
+    }
+
+    declare(type, name, node) {
+        if (type.kind === 'array') return `${this.glslType(type.elem, node)} ${name}[${type.count}]`;
+        return `${this.glslType(type, node)} ${name}`;
+    }
+
+    // Structs are emitted when first used, after the structs they contain
+    emitStruct(type) {
+        if (this.emitted.has(type)) return;
+        this.emitted.add(type);
+        const members = type.members.map(member => `    ${this.declare(member.type, member.glslName, member)};`);
+        this.structs.push(`struct ${type.glslName} {\n${members.join('\n')}\n};`);
+    }
+
+    // WGSL zero initializes variables, GLSL leaves them undefined
+    zeroValue(type, node) {
+        switch (type.kind) {
+            case 'scalar':
+                return { f32: '0.0', i32: '0', u32: '0u', bool: 'false' }[concretize(type).name];
+            case 'vector':
+            case 'matrix':
+                return `${this.glslType(type)}(${this.zeroValue(scalarOf(type))})`;
+            case 'array':
+                return `${this.glslType(type)}(${new Array(type.count).fill(this.zeroValue(type.elem, node)).join(', ')})`;
+            case 'struct':
+                return `${this.glslType(type)}(${type.members.map(m => this.zeroValue(m.type, node)).join(', ')})`;
+        }
+        this.fail(`${typeKey(type)} has no zero value`, node);
+    }
+
+    // std140 matches WGSL's uniform layout except for matrices with two rows, whose columns
+    // std140 pads to 16 bytes
+    checkUniformLayout(type, node) {
+        if (type.kind === 'matrix' && type.rows === 2) {
+            this.fail(`mat${type.columns}x2 in a uniform buffer has a different layout in WebGL2; use vec4 columns`, node);
+        }
+        if (type.kind === 'array') this.checkUniformLayout(type.elem, node);
+        if (type.kind === 'struct') {
+            for (const member of type.members) {
+                if (member.attrs.size || member.attrs.align) {
+                    this.fail('@size and @align aren\'t supported in uniform buffers by the WebGL2 backend', member);
+                }
+                this.checkUniformLayout(member.type, member);
+            }
+        }
+    }
+
+    constInt(node) {
+        switch (node.kind) {
+            case 'literal': {
+                const value = Number(node.value.replace(/[iu]$/, ''));
+                if (Number.isInteger(value)) return value;
+                break;
+            }
+            case 'type':
+            case 'ident': {
+                const decl = this.module.globals.get(node.name);
+                if (node.args?.length || !decl || decl.kind === 'var' || !decl.init) break;
+                return this.constInt(decl.init);
+            }
+            case 'unary':
+                if (node.op === '-') return -this.constInt(node.operand);
+                break;
+            case 'binary': {
+                const a = this.constInt(node.left);
+                const b = this.constInt(node.right);
+                switch (node.op) {
+                    case '+': return a + b;
+                    case '-': return a - b;
+                    case '*': return a * b;
+                    case '/': return Math.trunc(a / b);
+                    case '%': return a % b;
+                    case '<<': return a << b;
+                    case '>>': return a >> b;
+                }
+                break;
+            }
+            case 'call':
+                if ((node.name === 'i32' || node.name === 'u32') && node.args.length === 1) return this.constInt(node.args[0]);
+                break;
+        }
+        this.fail('Expected a constant integer', node);
+    }
+
+    // ------------------------------------------------------------------------
+    // Symbols
+    // ------------------------------------------------------------------------
+
+    lookup(name, node) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            const symbol = this.scopes[i].get(name);
+            if (symbol) return symbol;
+        }
+        const decl = this.module.globals.get(name);
+        if (decl) return this.useGlobal(decl);
+        this.fail(`Unknown identifier ${name}`, node);
+    }
+
+    // Module scope variables are declared when first referenced, after anything their
+    // initializer references
+    useGlobal(decl) {
+        let symbol = this.globalSymbols.get(decl.name);
+        if (symbol) return symbol;
+
+        const glslName = mangleGlslName(decl.name);
+        if (decl.kind === 'var') {
+            const type = decl.type ? this.resolveType(decl.type) : concretize(this.expr(decl.init).type);
+            switch (decl.addressSpace) {
+                case 'uniform': {
+                    this.checkUniformLayout(type, decl);
+                    const group = this.constInt(decl.attrs.group[0]);
+                    const binding = this.constInt(decl.attrs.binding[0]);
+                    this.resources.push(`layout(std140) uniform nz_ub${group}_${binding} { ${this.declare(type, glslName, decl)}; };`);
+                    symbol = { code: glslName, type };
+                    break;
+                }
+                case 'private': {
+                    const value = decl.init ? this.coerce(this.expr(decl.init), type) : this.zeroValue(type, decl);
+                    this.globals.push(`${this.declare(type, glslName, decl)} = ${value};`);
+                    symbol = { code: glslName, type };
+                    break;
+                }
+                case null:
+                    if (type.kind !== 'texture' && type.kind !== 'sampler') break;
+                    if (!decl.attrs.group || !decl.attrs.binding) this.fail(`${decl.name} needs @group and @binding`, decl);
+                    symbol = {
+                        code: null,
+                        type,
+                        group: this.constInt(decl.attrs.group[0]),
+                        binding: this.constInt(decl.attrs.binding[0])
+                    };
+                    break;
+            }
+            if (!symbol) {
+                this.fail(`var<${decl.addressSpace || 'handle'}> ${decl.name} needs WebGPU; the WebGL2 backend can't translate it`, decl);
+            }
+        } else {
+            if (!decl.init) this.fail(`${decl.kind} ${decl.name} needs a value in the WebGL2 backend`, decl);
+            const value = this.expr(decl.init);
+            if (!decl.type && isAbstract(value.type)) {
+                // Abstract constants stay abstract, so they're inlined where used
+                symbol = { code: value.code, type: value.type, literal: value.literal };
+            } else {
+                const type = decl.type ? this.resolveType(decl.type) : concretize(value.type);
+                this.globals.push(`const ${this.declare(type, glslName, decl)} = ${this.coerce(value, type)};`);
+                symbol = { code: glslName, type };
+            }
+        }
+
+        this.globalSymbols.set(decl.name, symbol);
+        return symbol;
+    }
+
+    // Functions are emitted when first called, after their callees. Pointer parameters
+    // become inout parameters.
+    useFunction(decl) {
+        let signature = this.functionSignatures.get(decl.name);
+        if (signature) return signature;
+
+        const params = decl.params.map(param => {
+            const type = this.resolveType(param.type);
+            if (type.kind === 'texture' || type.kind === 'sampler') {
+                this.fail('Textures and samplers can\'t be passed to functions by the WebGL2 backend', param);
+            }
+            return { name: param.name, glslName: mangleGlslName(param.name), type, node: param };
+        });
+        signature = {
+            glslName: mangleGlslName(decl.name),
+            params,
+            returnType: decl.returnType ? this.resolveType(decl.returnType) : VOID
+        };
+        this.functionSignatures.set(decl.name, signature);
+
+        const saved = { scopes: this.scopes, loops: this.loops, returnType: this.returnType };
+        const scope = new Map();
+        for (const param of params) scope.set(param.name, { code: param.glslName, type: param.type });
+        this.scopes = [scope];
+        this.loops = [];
+        this.returnType = signature.returnType;
+
+        const body = [];
+        this.statements(decl.body.body, body, 1);
+        Object.assign(this, saved);
+
+        const returnType = signature.returnType === VOID ? 'void' : this.glslType(signature.returnType, decl);
+        const paramList = params.map(param => param.type.kind === 'pointer'
+            ? `inout ${this.declare(param.type.store, param.glslName, param.node)}`
+            : this.declare(param.type, param.glslName, param.node));
+        this.functions.push(`${returnType} ${signature.glslName}(${paramList.join(', ')}) {\n${body.join('\n')}\n}`);
+        return signature;
+    }
+
+    // ------------------------------------------------------------------------
+    // Statements
+    // ------------------------------------------------------------------------
+
+    statements(list, out, depth) {
+        this.scopes.push(new Map());
+        for (const statement of list) this.statement(statement, out, depth);
+        this.scopes.pop();
+    }
+
+    statement(s, out, depth) {
+        const indent = '    '.repeat(depth);
+        switch (s.kind) {
+            case 'block':
+                out.push(`${indent}{`);
+                this.statements(s.body, out, depth + 1);
+                out.push(`${indent}}`);
+                return;
+
+            case 'if': {
+                out.push(`${indent}if (${this.condition(s.cond)}) {`);
+                this.statements(s.then.body, out, depth + 1);
+                let otherwise = s.otherwise;
+                while (otherwise?.kind === 'if') {
+                    out.push(`${indent}} else if (${this.condition(otherwise.cond)}) {`);
+                    this.statements(otherwise.then.body, out, depth + 1);
+                    otherwise = otherwise.otherwise;
+                }
+                if (otherwise) {
+                    out.push(`${indent}} else {`);
+                    this.statements(otherwise.body, out, depth + 1);
+                }
+                out.push(`${indent}}`);
+                return;
+            }
+
+            case 'for': {
+                this.scopes.push(new Map());
+                const init = s.init ? this.simpleStatement(s.init) || '' : '';
+                const cond = s.cond ? this.condition(s.cond) : '';
+                const update = s.update ? this.simpleStatement(s.update) : '';
+                out.push(`${indent}for (${init}; ${cond}; ${update}) {`);
+                this.loopBody(s.body.body, null, out, depth);
+                this.scopes.pop();
+                return;
+            }
+
+            case 'while':
+                out.push(`${indent}while (${this.condition(s.cond)}) {`);
+                this.loopBody(s.body.body, null, out, depth);
+                return;
+
+            case 'loop':
+                out.push(`${indent}for (;;) {`);
+                this.loopBody(s.body.body, s.continuing, out, depth);
+                return;
+
+            case 'switch': {
+                const selector = this.expr(s.selector);
+                const type = concretize(selector.type);
+                out.push(`${indent}switch (${selector.code}) {`);
+                for (const clause of s.clauses) {
+                    for (const value of clause.selectors) {
+                        out.push(value ? `${indent}    case ${this.coerce(this.expr(value), type)}:` : `${indent}    default:`);
+                    }
+                    out.push(`${indent}    {`);
+                    this.statements(clause.body.body, out, depth + 2);
+                    out.push(`${indent}    }`);
+                    out.push(`${indent}    break;`);
+                }
+                out.push(`${indent}}`);
+                return;
+            }
+
+            case 'break':
+                out.push(`${indent}break;`);
+                return;
+
+            case 'breakIf':
+                this.fail('break if is only allowed at the end of a continuing block', s);
+                return;
+
+            case 'continue': {
+                // The continuing block runs before the next iteration; GLSL has no equivalent,
+                // so it's repeated before each continue
+                const continuing = this.loops[this.loops.length - 1];
+                if (!continuing) {
+                    out.push(`${indent}continue;`);
+                    return;
+                }
+                out.push(`${indent}{`);
+                this.continuing(continuing, out, depth + 1);
+                out.push(`${indent}    continue;`);
+                out.push(`${indent}}`);
+                return;
+            }
+
+            case 'return':
+                if (!s.value) {
+                    out.push(`${indent}return;`);
+                } else {
+                    out.push(`${indent}return ${this.coerce(this.expr(s.value), this.returnType)};`);
+                }
+                return;
+
+            case 'discard':
+                if (this.stage !== 'fragment') this.fail('discard is only allowed in fragment shaders', s);
+                out.push(`${indent}discard;`);
+                return;
+
+            default: {
+                const code = this.simpleStatement(s);
+                if (code) out.push(`${indent}${code};`);
+            }
+        }
+    }
+
+    loopBody(body, continuing, out, depth) {
+        this.loops.push(continuing);
+        this.scopes.push(new Map());
+        for (const statement of body) this.statement(statement, out, depth + 1);
+        if (continuing) this.continuing(continuing, out, depth + 1);
+        this.scopes.pop();
+        this.loops.pop();
+        out.push(`${'    '.repeat(depth)}}`);
+    }
+
+    continuing(block, out, depth) {
+        const indent = '    '.repeat(depth);
+        this.scopes.push(new Map());
+        for (const statement of block.body) {
+            if (statement.kind === 'breakIf') {
+                out.push(`${indent}if (${this.condition(statement.cond)}) break;`);
+            } else {
+                this.statement(statement, out, depth);
+            }
+        }
+        this.scopes.pop();
+    }
+
+    // Declarations, assignments, increments and calls without the trailing semicolon,
+    // so for loops can use them
+    simpleStatement(s) {
+        switch (s.kind) {
+            case 'var':
+            case 'let':
+            case 'const':
+                return this.localVariable(s);
+
+            case 'assign': {
+                const target = this.expr(s.target);
+                const value = this.expr(s.value);
+                if (s.op === '=') return `${target.code} = ${this.coerce(value, target.type)}`;
+
+                const op = s.op.slice(0, -1);
+                if (op === '%' && isFloat(scalarOf(target.type))) {
+                    this.useHelper('fmod');
+                    return `${target.code} = nz_fmod(${target.code}, ${this.broadcast(value, target.type)})`;
+                }
+                if ((op === '&' || op === '|') && target.type === BOOL) {
+                    return `${target.code} = ${target.code} ${op}${op} ${value.code}`;
+                }
+                const operand = op === '<<' || op === '>>' ? value.code : this.coerce(value, withScalar(value.type, scalarOf(target.type)));
+                return `${target.code} ${s.op} ${operand}`;
+            }
+
+            case 'increment':
+                return `${this.expr(s.target).code}${s.op}`;
+
+            case 'phony': {
+                // _ = resource; only marks a binding as used
+                const value = this.expr(s.value);
+                return value.code;
+            }
+
+            case 'call':
+                return this.expr(s.call).code;
+        }
+        this.fail(`Unexpected ${s.kind} statement`, s);
+    }
+
+    localVariable(s) {
+        const value = s.init ? this.expr(s.init) : null;
+        const scope = this.scopes[this.scopes.length - 1];
+
+        if (!s.type && value && (value.type.kind === 'pointer' || (s.kind === 'const' && isAbstract(value.type)))) {
+            // let p = &v aliases v; abstract constants stay abstract and are inlined
+            scope.set(s.name, value);
+            return null;
+        }
+
+        if (!s.type && !value) this.fail(`${s.name} needs a type or an initializer`, s);
+        const type = s.type ? this.resolveType(s.type) : concretize(value.type);
+        const glslName = mangleGlslName(s.name);
+        const init = value ? this.coerce(value, type) : this.zeroValue(type, s);
+        scope.set(s.name, { code: glslName, type });
+        return `${s.kind === 'const' ? 'const ' : ''}${this.declare(type, glslName, s)} = ${init}`;
+    }
+
+    condition(node) {
+        const cond = this.expr(node);
+        if (cond.type !== BOOL) this.fail(`Expected a bool condition, got ${typeKey(cond.type)}`, node);
+        return cond.code;
+    }
+
+    useHelper(name) {
+        this.emitOnce(`helper:${name}`, this.helpers, glslHelpers[name]);
+    }
+
+    // ------------------------------------------------------------------------
+    // Expressions
+    // ------------------------------------------------------------------------
+
+    // Returns { code, type, literal }. literal marks decimal integer literals, which
+    // convert to float by appending .0.
+    expr(e) {
+        switch (e.kind) {
+            case 'literal': return this.literal(e);
+            case 'ident': return this.lookup(e.name, e);
+            case 'call': return this.call(e);
+            case 'member': return this.member(e);
+            case 'index': return this.index(e);
+            case 'unary': return this.unary(e);
+            case 'binary': return this.binary(e);
+        }
+        this.fail(`Unexpected ${e.kind}`, e);
+    }
+
+    literal(e) {
+        const raw = e.value;
+        if (raw === 'true' || raw === 'false') return { code: raw, type: BOOL };
+
+        const hex = /^0[xX]/.test(raw);
+        if (hex && /[.pP]/.test(raw)) this.fail('Hexadecimal floats aren\'t supported by the WebGL2 backend', e);
+
+        const suffix = /[iufh]$/.test(raw) && !(hex && /f$/i.test(raw)) ? raw[raw.length - 1] : '';
+        const digits = suffix ? raw.slice(0, -1) : raw;
+        switch (suffix) {
+            case 'h': this.fail('f16 isn\'t supported by the WebGL2 backend', e); break;
+            case 'u': return { code: `${digits}u`, type: U32 };
+            case 'i': return { code: digits, type: I32 };
+            case 'f': return { code: /[.eE]/.test(digits) ? digits : `${digits}.0`, type: F32 };
+        }
+
+        if (!hex && /[.eE]/.test(raw)) return { code: raw, type: ABSTRACT_FLOAT };
+        return { code: raw, type: ABSTRACT_INT, literal: !hex };
+    }
+
+    // Converts abstract numbers to the type they're used as; concrete values pass through
+    coerce(value, type) {
+        const from = value.type;
+        if (!isAbstract(from) || typeKey(from) === typeKey(type)) return value.code;
+
+        const target = scalarOf(type);
+        if (!target) return value.code;
+
+        if (from.kind === 'scalar') {
+            if (from === ABSTRACT_FLOAT && !isFloat(target)) return `${glslScalarNames[target.name]}(${value.code})`;
+            if (isFloat(target)) {
+                if (from === ABSTRACT_FLOAT) return value.code;
+                return value.literal ? `${value.code}.0` : `float(${value.code})`;
+            }
+            if (target === U32) return value.literal ? `${value.code}u` : `uint(${value.code})`;
+            if (target === BOOL) return `bool(${value.code})`;
+            return value.code;
+        }
+
+        if (value.rebuild) return value.rebuild(target);
+        if (from.kind === 'vector' && glslVectorPrefixes[from.elem.name] !== glslVectorPrefixes[target.name]) {
+            return `${this.glslType(vectorType(from.size, target))}(${value.code})`;
+        }
+        return value.code;
+    }
+
+    // A scalar operand as the vector type of the other, for helpers without mixed overloads
+    broadcast(value, type) {
+        const code = this.coerce(value, withScalar(value.type, scalarOf(type)));
+        if (type.kind === 'vector' && value.type.kind === 'scalar') return `${this.glslType(type)}(${code})`;
+        return code;
+    }
+
+    // The element type two operands share once abstract numbers are converted
+    commonScalar(values) {
+        let scalar = null;
+        for (const value of values) {
+            const s = scalarOf(value.type);
+            if (!s) continue;
+            if (!isAbstract(s)) return s;
+            if (!scalar || s === ABSTRACT_FLOAT) scalar = s;
+        }
+        return scalar;
+    }
+
+    member(e) {
+        const object = this.expr(e.object);
+        const type = object.type.kind === 'pointer' ? object.type.store : object.type;
+
+        if (type.kind === 'vector') {
+            if (!/^([xyzw]{1,4}|[rgba]{1,4})$/.test(e.member)) this.fail(`Invalid swizzle .${e.member}`, e);
+            const size = e.member.length;
+            return { code: `${object.code}.${e.member}`, type: size === 1 ? type.elem : vectorType(size, type.elem) };
+        }
+
+        if (type.kind === 'struct') {
+            const member = type.members.find(m => m.name === e.member);
+            if (!member) this.fail(`${type.name} has no member ${e.member}`, e);
+            return { code: `${object.code}.${member.glslName}`, type: member.type };
+        }
+
+        this.fail(`${typeKey(type)} has no member ${e.member}`, e);
+    }
+
+    index(e) {
+        const object = this.expr(e.object);
+        const index = this.expr(e.index);
+        const type = object.type.kind === 'pointer' ? object.type.store : object.type;
+        const code = `${object.code}[${this.coerce(index, concretize(index.type))}]`;
+
+        switch (type.kind) {
+            case 'array': return { code, type: type.elem };
+            case 'vector': return { code, type: type.elem };
+            case 'matrix': return { code, type: vectorType(type.rows, F32) };
+        }
+        this.fail(`${typeKey(type)} can't be indexed`, e);
+    }
+
+    unary(e) {
+        const operand = this.expr(e.operand);
+        switch (e.op) {
+            case '-':
+                if (operand.literal || (isAbstract(operand.type) && /^[0-9.]/.test(operand.code))) {
+                    return { code: `-${operand.code}`, type: operand.type, literal: operand.literal };
+                }
+                return { code: `(-${operand.code})`, type: operand.type };
+            case '!':
+                if (operand.type.kind === 'vector') return { code: `not(${operand.code})`, type: operand.type };
+                return { code: `(!${operand.code})`, type: operand.type };
+            case '~':
+                return { code: `(~${this.coerce(operand, concretize(operand.type))})`, type: concretize(operand.type) };
+            case '&':
+                return { code: operand.code, type: { kind: 'pointer', store: operand.type } };
+            case '*':
+                if (operand.type.kind !== 'pointer') this.fail('Only pointers can be dereferenced', e);
+                return { code: operand.code, type: operand.type.store };
+        }
+        this.fail(`Unknown operator ${e.op}`, e);
+    }
+
+    binary(e) {
+        const op = e.op;
+        const left = this.expr(e.left);
+        const right = this.expr(e.right);
+        const lt = left.type;
+        const rt = right.type;
+
+        if (op === '&&' || op === '||') {
+            return { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        }
+
+        if (op === '<<' || op === '>>') {
+            const type = concretize(lt);
+            return { code: `(${this.coerce(left, type)} ${op} ${right.code})`, type };
+        }
+
+        if (op === '*' && (lt.kind === 'matrix' || rt.kind === 'matrix')) {
+            let type;
+            if (lt.kind === 'matrix' && rt.kind === 'matrix') type = { kind: 'matrix', columns: rt.columns, rows: lt.rows };
+            else if (lt.kind === 'matrix' && rt.kind === 'vector') type = vectorType(lt.rows, F32);
+            else if (rt.kind === 'matrix' && lt.kind === 'vector') type = vectorType(rt.columns, F32);
+            else type = lt.kind === 'matrix' ? lt : rt;
+            return { code: `(${this.coerce(left, withScalar(lt, F32))} * ${this.coerce(right, withScalar(rt, F32))})`, type };
+        }
+
+        const scalar = this.commonScalar([left, right]);
+        if (!scalar) this.fail(`Operator ${op} can't be applied to ${typeKey(lt)} and ${typeKey(rt)}`, e);
+        const a = this.coerce(left, withScalar(lt, scalar));
+        const b = this.coerce(right, withScalar(rt, scalar));
+        const vector = lt.kind === 'vector' ? lt : rt.kind === 'vector' ? rt : null;
+
+        if (glslComparisonFunctions[op]) {
+            if (vector) return { code: `${glslComparisonFunctions[op]}(${a}, ${b})`, type: vectorType(vector.size, BOOL) };
+            return { code: `(${a} ${op} ${b})`, type: BOOL };
+        }
+
+        const type = vector ? vectorType(vector.size, scalar) : scalar;
+        if (op === '%' && isFloat(scalar)) {
+            this.useHelper('fmod');
+            return { code: `nz_fmod(${this.broadcast(left, type)}, ${this.broadcast(right, type)})`, type };
+        }
+        if ((op === '&' || op === '|') && scalar === BOOL) {
+            if (vector) this.fail(`Operator ${op} on bool vectors isn't supported by the WebGL2 backend`, e);
+            return { code: `(${a} ${op}${op} ${b})`, type: BOOL };
+        }
+        return { code: `(${a} ${op} ${b})`, type };
+    }
+
+    // ------------------------------------------------------------------------
+    // Calls
+    // ------------------------------------------------------------------------
+
+    call(e) {
+        const name = e.name;
+        if (this.isTypeName(name)) return this.construct(e);
+        if (this.module.functions.has(name)) return this.callFunction(e);
+        if (name === 'bitcast') return this.bitcast(e);
+        if (name.startsWith('texture')) return this.textureCall(e);
+        return this.builtinCall(e);
+    }
+
+    isTypeName(name) {
+        return !!wgslScalars[name]
+            || /^(vec[234][fiu]?|mat[234]x[234]f?|array)$/.test(name)
+            || this.module.structs.has(name)
+            || this.module.aliases.has(name);
+    }
+
+    callFunction(e) {
+        const decl = this.module.functions.get(e.name);
+        if (decl.attrs.vertex || decl.attrs.fragment || decl.attrs.compute) this.fail(`Entry point ${e.name} can't be called`, e);
+
+        const signature = this.useFunction(decl);
+        if (e.args.length !== signature.params.length) {
+            this.fail(`${e.name} takes ${signature.params.length} arguments, got ${e.args.length}`, e);
+        }
+        const args = e.args.map((arg, i) => this.coerce(this.expr(arg), signature.params[i].type));
+        return { code: `${signature.glslName}(${args.join(', ')})`, type: signature.returnType };
+    }
+
+    construct(e) {
+        const args = e.args.map(arg => this.expr(arg));
+        const type = this.constructedType(e, args);
+
+        if (args.length === 0) return { code: this.zeroValue(type, e), type };
+
+        switch (type.kind) {
+            case 'scalar': {
+                const value = args[0];
+                if (typeKey(value.type) === typeKey(type)) return { code: value.code, type };
+                if (isAbstract(value.type)) return { code: this.coerce(value, type), type };
+                return { code: `${this.glslType(type)}(${value.code})`, type };
+            }
+            case 'vector': {
+                // vec2(1, 2) stays abstract; rebuild emits it again with the element type it's used as
+                const build = scalar => {
+                    const codes = args.map(arg => isAbstract(arg.type) ? this.coerce(arg, withScalar(arg.type, scalar)) : arg.code);
+                    return `${this.glslType(vectorType(type.size, scalar))}(${codes.join(', ')})`;
+                };
+                return { code: build(type.elem), type, rebuild: isAbstract(type) ? build : null };
+            }
+            case 'matrix': {
+                const codes = args.map(arg => this.coerce(arg, withScalar(arg.type, F32)));
+                return { code: `${this.glslType(type)}(${codes.join(', ')})`, type };
+            }
+            case 'array': {
+                const codes = args.map(arg => this.coerce(arg, type.elem));
+                return { code: `${this.glslType(type)}(${codes.join(', ')})`, type };
+            }
+            case 'struct': {
+                if (args.length !== type.members.length) {
+                    this.fail(`${type.name} has ${type.members.length} members, got ${args.length} values`, e);
+                }
+                const codes = args.map((arg, i) => this.coerce(arg, type.members[i].type));
+                return { code: `${this.glslType(type)}(${codes.join(', ')})`, type };
+            }
+        }
+        this.fail(`${e.name} can't be constructed`, e);
+    }
+
+    // vec3(...), mat2x2(...) and array(...) without a template take their element type
+    // from the arguments
+    constructedType(e, args) {
+        const name = e.name;
+        if (e.template || !/^(vec[234]|mat[234]x[234]|array)$/.test(name)) {
+            return this.resolveType({ kind: 'type', name, args: e.template || [], line: e.line, column: e.column });
+        }
+
+        if (name === 'array') {
+            if (args.length === 0) this.fail('array() needs a template or values', e);
+            const scalar = this.commonScalar(args);
+            return { kind: 'array', elem: scalar ? concretize(withScalar(args[0].type, scalar)) : args[0].type, count: args.length };
+        }
+
+        const match = /^(vec|mat)([234])(?:x([234]))?$/.exec(name);
+        if (match[1] === 'mat') return { kind: 'matrix', columns: +match[2], rows: +match[3] };
+
+        const scalar = this.commonScalar(args);
+        if (!scalar) this.fail(`${name}() needs a template or scalar and vector values`, e);
+        return vectorType(+match[2], scalar);
+    }
+
+    bitcast(e) {
+        if (!e.template || e.args.length !== 1) this.fail('bitcast needs a type and one value', e);
+        const type = this.resolveType(e.template[0]);
+        const value = this.expr(e.args[0]);
+        const from = scalarOf(concretize(value.type));
+        const to = scalarOf(type);
+        const code = this.coerce(value, concretize(value.type));
+
+        if (from === to) return { code, type };
+        if (from === F32) return { code: `${to === I32 ? 'floatBitsToInt' : 'floatBitsToUint'}(${code})`, type };
+        if (to === F32) return { code: `${from === I32 ? 'intBitsToFloat' : 'uintBitsToFloat'}(${code})`, type };
+        return { code: `${this.glslType(type)}(${code})`, type };
+    }
+
+    builtinCall(e) {
+        const name = e.name;
+        const args = e.args.map(arg => this.expr(arg));
+
+        if (glslMathFunctions[name]) {
+            let scalar = this.commonScalar(args);
+            if (!scalar) this.fail(`${name} needs numeric arguments`, e);
+            if (!isFloat(scalar) && !glslIntegerMathFunctions.has(name)) scalar = ABSTRACT_FLOAT;
+
+            const codes = args.map(arg => this.coerce(arg, withScalar(arg.type, scalar)));
+            const vector = args.find(arg => arg.type.kind === 'vector');
+            const type = glslScalarResultFunctions.has(name) || !vector ? scalar : withScalar(vector.type, scalar);
+
+            // atan2(y, x) is GLSL's two argument atan
+            return { code: `${glslMathFunctions[name]}(${codes.join(', ')})`, type };
+        }
+
+        if (glslPackFunctions[name]) {
+            const [glslName, type] = glslPackFunctions[name];
+            return { code: `${glslName}(${args[0].code})`, type };
+        }
+
+        switch (name) {
+            case 'select': {
+                const [f, t, cond] = args;
+                const scalar = this.commonScalar([f, t]) || scalarOf(f.type);
+                const type = concretize(withScalar(f.type.kind === 'vector' ? f.type : t.type, scalar));
+                const a = this.coerce(f, type);
+                const b = this.coerce(t, type);
+                if (cond.type.kind === 'vector') return { code: `mix(${a}, ${b}, ${cond.code})`, type };
+                return { code: `(${cond.code} ? ${b} : ${a})`, type };
+            }
+            case 'saturate': {
+                const type = concretize(withScalar(args[0].type, F32));
+                return { code: `clamp(${this.coerce(args[0], type)}, 0.0, 1.0)`, type };
+            }
+            case 'fma': {
+                const scalar = this.commonScalar(args);
+                const [a, b, c] = args.map(arg => this.coerce(arg, withScalar(arg.type, scalar)));
+                const vector = args.find(arg => arg.type.kind === 'vector');
+                return { code: `(${a} * ${b} + ${c})`, type: vector ? withScalar(vector.type, scalar) : scalar };
+            }
+            case 'all':
+            case 'any':
+                if (args[0].type.kind !== 'vector') return { code: args[0].code, type: BOOL };
+                return { code: `${name}(${args[0].code})`, type: BOOL };
+            case 'determinant':
+                return { code: `determinant(${args[0].code})`, type: F32 };
+            case 'transpose': {
+                const m = args[0].type;
+                return { code: `transpose(${args[0].code})`, type: { kind: 'matrix', columns: m.rows, rows: m.columns } };
+            }
+        }
+
+        if (name === 'workgroupBarrier' || name === 'storageBarrier' || name.startsWith('atomic') || name === 'arrayLength') {
+            this.fail(`${name} needs WebGPU; the WebGL2 backend can't translate it`, e);
+        }
+        this.fail(`${name} isn't supported by the WebGL2 backend`, e);
+    }
+
+    // ------------------------------------------------------------------------
+    // Textures
+    // ------------------------------------------------------------------------
+
+    resourceArg(node, kind) {
+        const value = node && this.expr(node);
+        if (!value || value.type.kind !== kind) this.fail(`Expected a ${kind}`, node);
+        return value;
+    }
+
+    // The sampler uniform for a texture, or for a texture and sampler pair
+    textureUnit(texture, sampler) {
+        const type = texture.type;
+        const name = sampler
+            ? `nz_t${texture.group}_${texture.binding}_s${sampler.group}_${sampler.binding}`
+            : `nz_t${texture.group}_${texture.binding}`;
+        const prefix = glslVectorPrefixes[type.sampled.name];
+        const shadow = sampler?.type.comparison ? 'Shadow' : '';
+        const samplerType = `${prefix}sampler2D${type.arrayed ? 'Array' : ''}${shadow}`;
+        this.emitOnce(name, this.resources, `uniform highp ${samplerType} ${name};`);
+        return name;
+    }
+
+    intCode(value) {
+        const type = concretize(value.type);
+        const code = this.coerce(value, type);
+        if (type.kind === 'vector') return type.elem === I32 ? code : `ivec${type.size}(${code})`;
+        return type === I32 ? code : `int(${code})`;
+    }
+
+    floatCode(value) {
+        return isAbstract(value.type) ? this.coerce(value, F32) : value.type === F32 ? value.code : `float(${value.code})`;
+    }
+
+    textureCall(e) {
+        const name = e.name;
+        const args = e.args.map(arg => this.expr(arg));
+        const texture = this.resourceArg(e.args[0], 'texture');
+        const type = texture.type;
+
+        switch (name) {
+            case 'textureLoad': {
+                const unit = this.textureUnit(texture, null);
+                const coords = this.intCode(args[1]);
+                const code = type.arrayed
+                    ? `texelFetch(${unit}, ivec3(${coords}, ${this.intCode(args[2])}), ${args[3] ? this.intCode(args[3]) : '0'})`
+                    : `texelFetch(${unit}, ${coords}, ${args[2] ? this.intCode(args[2]) : '0'})`;
+                if (type.depth) return { code: `${code}.x`, type: F32 };
+                return { code, type: vectorType(4, type.sampled) };
+            }
+            case 'textureDimensions': {
+                const unit = this.textureUnit(texture, null);
+                const level = args[1] ? this.intCode(args[1]) : '0';
+                return { code: `uvec2(textureSize(${unit}, ${level})${type.arrayed ? '.xy' : ''})`, type: vectorType(2, U32) };
+            }
+            case 'textureNumLayers': {
+                if (!type.arrayed) this.fail('textureNumLayers needs an array texture', e);
+                return { code: `uint(textureSize(${this.textureUnit(texture, null)}, 0).z)`, type: U32 };
+            }
+            case 'textureSample':
+            case 'textureSampleBias':
+            case 'textureSampleLevel':
+            case 'textureSampleGrad':
+            case 'textureSampleCompare':
+            case 'textureSampleCompareLevel':
+            case 'textureSampleBaseClampToEdge':
+                return this.textureSample(e, texture, args);
+        }
+        this.fail(`${name} isn't supported by the WebGL2 backend`, e);
+    }
+
+    // texture(t, s, coords[, layer], ...extra[, offset]) -> GLSL's texture functions on the
+    // combined sampler. Compare functions fold the reference into the coordinates.
+    textureSample(e, texture, args) {
+        const name = e.name;
+        const type = texture.type;
+        const sampler = this.resourceArg(e.args[1], 'sampler');
+        const compare = name.startsWith('textureSampleCompare');
+        if (compare !== sampler.type.comparison) {
+            this.fail(`${name} needs a ${compare ? 'sampler_comparison' : 'sampler'}`, e.args[1]);
+        }
+
+        const unit = this.textureUnit(texture, sampler);
+        const uv = this.coerce(args[2], vectorType(2, F32));
+        let i = 3;
+        const layer = type.arrayed ? this.floatCode(args[i++]) : null;
+        const extraCount = { textureSampleBias: 1, textureSampleLevel: 1, textureSampleGrad: 2, textureSampleCompare: 1, textureSampleCompareLevel: 1 }[name] || 0;
+        const extra = args.slice(i, i + extraCount);
+        const offset = args[i + extraCount] ? this.intCode(args[i + extraCount]) : null;
+
+        let code;
+        if (compare) {
+            const ref = this.floatCode(extra[0]);
+            const coords = layer ? `vec4(${uv}, ${layer}, ${ref})` : `vec3(${uv}, ${ref})`;
+            if (offset && layer) this.fail(`${name} with an offset on an array texture isn't supported by the WebGL2 backend`, e);
+            if (name === 'textureSampleCompare') {
+                code = offset ? `textureOffset(${unit}, ${coords}, ${offset})` : `texture(${unit}, ${coords})`;
+            } else if (layer) {
+                code = `textureGrad(${unit}, ${coords}, vec2(0.0), vec2(0.0))`;
+            } else {
+                code = offset ? `textureLodOffset(${unit}, ${coords}, 0.0, ${offset})` : `textureLod(${unit}, ${coords}, 0.0)`;
+            }
+            return { code, type: F32 };
+        }
+
+        const coords = layer ? `vec3(${uv}, ${layer})` : uv;
+        const suffix = offset ? 'Offset' : '';
+        const tail = offset ? `, ${offset}` : '';
+        switch (name) {
+            case 'textureSampleBias':
+                code = offset
+                    ? `textureOffset(${unit}, ${coords}, ${offset}, ${this.floatCode(extra[0])})`
+                    : `texture(${unit}, ${coords}, ${this.floatCode(extra[0])})`;
+                break;
+            case 'textureSampleLevel':
+                code = `textureLod${suffix}(${unit}, ${coords}, ${this.floatCode(extra[0])}${tail})`;
+                break;
+            case 'textureSampleGrad': {
+                const grad = vectorType(2, F32);
+                code = `textureGrad${suffix}(${unit}, ${coords}, ${this.coerce(extra[0], grad)}, ${this.coerce(extra[1], grad)}${tail})`;
+                break;
+            }
+            default:
+                code = `texture${suffix}(${unit}, ${coords}${tail})`;
+        }
+
+        if (type.depth) return { code: `${code}.x`, type: F32 };
+        return { code, type: vectorType(4, type.sampled) };
+    }
+}
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+export function getPresentFormat() {
+    return presentFormat;
+}
+
+// The WebGL2 context; there is no GPUDevice behind this backend
+export function getDevice() {
+    return gl;
+}
+
+// Blend mode presets
+export const BlendModes = {
+    none: null,
+    alpha: {
+        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    },
+    additive: {
+        color: { srcFactor: 'src-alpha', dstFactor: 'one', operation: 'add' },
+        alpha: { srcFactor: 'src-alpha', dstFactor: 'one', operation: 'add' }
+    },
+    multiply: {
+        color: { srcFactor: 'dst', dstFactor: 'zero', operation: 'add' },
+        alpha: { srcFactor: 'dst', dstFactor: 'zero', operation: 'add' }
+    },
+    premultiplied: {
+        color: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    },
+    max: {
+        color: { srcFactor: 'one', dstFactor: 'one', operation: 'max' },
+        alpha: { srcFactor: 'one', dstFactor: 'one', operation: 'max' }
+    }
+};
+
+export function getBlendState(blendMode) {
+    return BlendModes[blendMode] || BlendModes.alpha;
+}
+
+// GPUBufferUsage constants for C# interop
+export const BufferUsage = {
+    MAP_READ: GPUBufferUsage.MAP_READ,
+    MAP_WRITE: GPUBufferUsage.MAP_WRITE,
+    COPY_SRC: GPUBufferUsage.COPY_SRC,
+    COPY_DST: GPUBufferUsage.COPY_DST,
+    INDEX: GPUBufferUsage.INDEX,
+    VERTEX: GPUBufferUsage.VERTEX,
+    UNIFORM: GPUBufferUsage.UNIFORM,
+    STORAGE: GPUBufferUsage.STORAGE,
+    INDIRECT: GPUBufferUsage.INDIRECT,
+    QUERY_RESOLVE: GPUBufferUsage.QUERY_RESOLVE
+};
+
+// GPUTextureUsage constants for C# interop
+export const TextureUsage = {
+    COPY_SRC: GPUTextureUsage.COPY_SRC,
+    COPY_DST: GPUTextureUsage.COPY_DST,
+    TEXTURE_BINDING: GPUTextureUsage.TEXTURE_BINDING,
+    STORAGE_BINDING: GPUTextureUsage.STORAGE_BINDING,
+    RENDER_ATTACHMENT: GPUTextureUsage.RENDER_ATTACHMENT
+};
+
+// ============================================================================
+// Object Creation Helpers (for C# interop - replaces eval-based creation)
+// ============================================================================
+
+// Bind Group Layout Entry Creators
+export function createUniformBufferLayoutEntry(binding, visibility, hasDynamicOffset) {
+    return {
+        binding: binding,
+        visibility: visibility || (GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT),
+        buffer: { type: 'uniform', hasDynamicOffset: !!hasDynamicOffset }
+    };
+}
+
+// Read-write storage buffers are not allowed in the vertex stage
+export function createStorageBufferLayoutEntry(binding, readOnly, visibility, hasDynamicOffset) {
+    const defaultVisibility = readOnly
+        ? GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE
+        : GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE;
+    return {
+        binding: binding,
+        visibility: visibility || defaultVisibility,
+        buffer: { type: readOnly ? 'read-only-storage' : 'storage', hasDynamicOffset: !!hasDynamicOffset }
+    };
+}
+
+export function createStorageTextureLayoutEntry(binding, format, access, isArray, visibility) {
+    return {
+        binding: binding,
+        visibility: visibility || GPUShaderStage.COMPUTE,
+        storageTexture: {
+            access: access || 'write-only',
+            format: formatMap[format] || format,
+            viewDimension: isArray ? '2d-array' : '2d'
+        }
+    };
+}
+
+export function createTexture2DLayoutEntry(binding, visibility) {
+    return {
+        binding: binding,
+        visibility: visibility || (GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT),
+        texture: { sampleType: 'float', viewDimension: '2d' }
+    };
+}
+
+export function createTexture2DArrayLayoutEntry(binding, visibility) {
+    return {
+        binding: binding,
+        visibility: visibility || GPUShaderStage.FRAGMENT,
+        texture: { sampleType: 'float', viewDimension: '2d-array' }
+    };
+}
+
+export function createUnfilterableTexture2DLayoutEntry(binding) {
+    return {
+        binding: binding,
+        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+        texture: { sampleType: 'unfilterable-float', viewDimension: '2d' }
+    };
+}
+
+// type: 'filtering' (default), 'non-filtering' or 'comparison' (for samplers with compare set)
+export function createSamplerLayoutEntry(binding, visibility, type) {
+    return {
+        binding: binding,
+        visibility: visibility || (GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT),
+        sampler: { type: type || 'filtering' }
+    };
+}
+
+// Bind Group Entry Creators
+export function createBufferBindGroupEntry(binding, bufferId, offset, size) {
+    return {
+        binding: binding,
+        bufferId: bufferId,
+        offset: offset,
+        size: size
+    };
+}
+
+export function createTextureBindGroupEntry(binding, textureViewId) {
+    return {
+        binding: binding,
+        textureViewId: textureViewId
+    };
+}
+
+export function createSamplerBindGroupEntry(binding, useLinearSampler) {
+    return {
+        binding: binding,
+        useLinearSampler: useLinearSampler
+    };
+}
+
+export function createSamplerIdBindGroupEntry(binding, samplerId) {
+    return {
+        binding: binding,
+        samplerId: samplerId
+    };
+}
+
+// Sampler Descriptor Creator (empty strings / zero fall back to createSampler defaults)
+export function createSamplerDescriptor(
+    addressModeU, addressModeV, addressModeW,
+    magFilter, minFilter, mipmapFilter,
+    lodMinClamp, lodMaxClamp, maxAnisotropy, compare, label
+) {
+    return {
+        addressModeU: addressModeU || undefined,
+        addressModeV: addressModeV || undefined,
+        addressModeW: addressModeW || undefined,
+        magFilter: magFilter || undefined,
+        minFilter: minFilter || undefined,
+        mipmapFilter: mipmapFilter || undefined,
+        lodMinClamp: lodMinClamp || 0,
+        lodMaxClamp: lodMaxClamp > 0 ? lodMaxClamp : undefined,
+        maxAnisotropy: maxAnisotropy || 1,
+        compare: compare || undefined,
+        label: label || undefined
+    };
+}
+
+// Render Pipeline Descriptor Creator
+export function createRenderPipelineDescriptor(
+    vertexModuleId,
+    fragmentModuleId,
+    pipelineLayoutId,
+    vertexEntryPoint,
+    fragmentEntryPoint,
+    vertexBuffersJson,
+    blendMode,
+    topology,
+    cullMode,
+    frontFace,
+    sampleCount,
+    targetFormat,
+    label
+) {
+    // Keep everything as primitive values - don't parse JSON here
+    // All resolution happens in createRenderPipeline to avoid JSObject proxy issues
+    return {
+        vertexModuleId: vertexModuleId,
+        fragmentModuleId: fragmentModuleId,
+        pipelineLayoutId: pipelineLayoutId,
+        vertexEntryPoint: vertexEntryPoint,
+        fragmentEntryPoint: fragmentEntryPoint,
+        vertexBuffersJson: vertexBuffersJson,  // Keep as string, parse in createRenderPipeline
+        blendMode: blendMode,  // Keep as string, resolve in createRenderPipeline
+        topology: topology,
+        cullMode: cullMode,
+        frontFace: frontFace,
+        sampleCount: sampleCount,
+        targetFormat: targetFormat,
+        label: label
+    };
+}
+
+// Depth/stencil state for a descriptor created by createRenderPipelineDescriptor.
+// Kept as primitive fields on the descriptor - resolved in createRenderPipeline.
+export function setRenderPipelineDepthStencil(
+    descriptor,
+    depthFormat,
+    depthCompare,
+    depthWriteEnabled,
+    stencilCompare,
+    stencilFailOp,
+    stencilDepthFailOp,
+    stencilPassOp,
+    stencilReadMask,
+    stencilWriteMask
+) {
+    descriptor.depthFormat = depthFormat;
+    descriptor.depthCompare = depthCompare;
+    descriptor.depthWriteEnabled = depthWriteEnabled;
+    descriptor.stencilCompare = stencilCompare;
+    descriptor.stencilFailOp = stencilFailOp;
+    descriptor.stencilDepthFailOp = stencilDepthFailOp;
+    descriptor.stencilPassOp = stencilPassOp;
+    descriptor.stencilReadMask = stencilReadMask;
+    descriptor.stencilWriteMask = stencilWriteMask;
+    return descriptor;
+}
+
+// Per-target state for multiple render targets, resolved in createRenderPipeline.
+// targetsJson: [{ "format": "rgba8", "blendMode": "alpha", "writeMask": 15 }, ...]
+export function setRenderPipelineTargets(descriptor, targetsJson) {
+    descriptor.targetsJson = targetsJson;
+    return descriptor;
+}
+
+// Depth Attachment Creator (textureId is a depth texture or a render texture created with depth)
+export function createDepthAttachment(textureId, depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue, depthReadOnly) {
+    return {
+        textureId: textureId,
+        depthLoadOp: depthLoadOp,
+        depthStoreOp: depthStoreOp,
+        depthClearValue: depthClearValue,
+        stencilLoadOp: stencilLoadOp,
+        stencilStoreOp: stencilStoreOp,
+        stencilClearValue: stencilClearValue,
+        depthReadOnly: depthReadOnly
+    };
+}
+
+// Color Attachment Creator
+export function createColorAttachment(textureId, resolveTextureId, loadOp, storeOp, clearR, clearG, clearB, clearA) {
+    return {
+        textureId: textureId,
+        resolveTextureId: resolveTextureId,
+        loadOp: loadOp,
+        storeOp: storeOp,
+        clearValue: { r: clearR, g: clearG, b: clearB, a: clearA }
+    };
+}
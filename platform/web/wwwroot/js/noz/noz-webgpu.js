@@ -10,6 +10,11 @@ let queue = null;
 let canvas = null;
 let context = null;
 let presentFormat = null;
+
+// Requested canvas presentation, see configureSurface. appliedSurface is what the browser
+// actually accepted the last time the context was configured.
+const surfaceConfig = { alphaMode: 'opaque', colorSpace: 'srgb', toneMapping: 'standard' };
+let appliedSurface = null;
 let surfaceWidth = 0;
 let surfaceHeight = 0;
 
@@ -28,92 +33,201 @@ const shaderModules = new Map();
 const bindGroupLayouts = new Map();
 const pipelineLayouts = new Map();
 const renderPipelines = new Map();
+const computePipelines = new Map();
 const bindGroups = new Map();
+const renderBundles = new Map();
 
 let nextBufferId = 1;
 let nextTextureId = 2; // 1 reserved for white texture
 let nextShaderId = 1;
 let nextPipelineId = 1;
 let nextBindGroupId = 1;
-let nextSamplerId = 1;
+let nextSamplerId = 3; // 1 and 2 reserved for the global linear/nearest samplers
+let nextRenderBundleId = 1;
 
 // Global samplers
+const LINEAR_SAMPLER_ID = 1;
+const NEAREST_SAMPLER_ID = 2;
 let linearSampler = null;
 let nearestSampler = null;
 
+// Creation descriptors (ID -> descriptor), kept so every resource can be rebuilt
+// under the same ID when the device is lost and restored
+const bufferDescs = new Map();
+const textureDescs = new Map();
+const shaderModuleDescs = new Map();
+const bindGroupLayoutDescs = new Map();
+const pipelineLayoutDescs = new Map();
+const renderPipelineDescs = new Map();
+const computePipelineDescs = new Map();
+const bindGroupDescs = new Map();
+const samplerDescs = new Map();
+const renderBundleDescs = new Map();
+
+// Device loss recovery
+const DEVICE_RESTORE_ATTEMPTS = 5;
+const DEVICE_RESTORE_RETRY_MS = 500;
+let deviceRestoredCallback = null;
+
 // ============================================================================
 // Initialization
 // ============================================================================
 
-export async function init(canvasSelector) {
+// alphaMode, colorSpace and toneMapping are optional, see configureSurface
+export async function init(canvasSelector, alphaMode, colorSpace, toneMapping) {
     if (!navigator.gpu) {
         throw new Error("WebGPU not supported in this browser");
     }
 
     gpu = navigator.gpu;
+    await requestDevice();
+
+    canvas = document.querySelector(canvasSelector);
+    if (!canvas) {
+        throw new Error(`Canvas not found: ${canvasSelector}`);
+    }
+
+    context = canvas.getContext("webgpu");
+
+    surfaceWidth = canvas.width;
+    surfaceHeight = canvas.height;
+
+    setSurfaceConfig(alphaMode, colorSpace, toneMapping);
+    configureContext();
+    createGlobalSamplers();
+
+    const compression = getTextureCompressionSupport();
+    return {
+        width: surfaceWidth,
+        height: surfaceHeight,
+        format: presentFormat,
+        alphaMode: appliedSurface.alphaMode,
+        colorSpace: appliedSurface.colorSpace,
+        toneMapping: appliedSurface.toneMapping,
+        hdrDisplay: appliedSurface.hdrDisplay,
+        compressionBC: compression.bc,
+        compressionETC2: compression.etc2,
+        compressionASTC: compression.astc
+    };
+}
+
+// Requested only when the adapter has them; check device.features for what we got
+const OPTIONAL_FEATURES = [
+    'texture-compression-bc',
+    'texture-compression-etc2',
+    'texture-compression-astc',
+    'timestamp-query',
+    'bgra8unorm-storage'
+];
+
+async function requestDevice() {
     adapter = await gpu.requestAdapter({ powerPreference: "high-performance" });
 
     if (!adapter) {
         throw new Error("Failed to get WebGPU adapter");
     }
 
-    device = await adapter.requestDevice();
+    const requiredFeatures = OPTIONAL_FEATURES.filter(f => adapter.features.has(f));
+    const newDevice = await adapter.requestDevice({ requiredFeatures });
 
-    if (!device) {
+    if (!newDevice) {
         throw new Error("Failed to get WebGPU device");
     }
 
-    device.lost.then((info) => {
-        console.error(`WebGPU device lost: reason=${info.reason}, message=${info.message}`);
-        device = null;
-        queue = null;
-    });
+    newDevice.lost.then((info) => onDeviceLost(newDevice, info));
 
+    device = newDevice;
     queue = device.queue;
 
-    canvas = document.querySelector(canvasSelector);
-    if (!canvas) {
-        throw new Error(`Canvas not found: ${canvasSelector}`);
-    }
-
-    context = canvas.getContext("webgpu");
-    presentFormat = gpu.getPreferredCanvasFormat();
+    // Internal pipelines and query sets belong to the previous device
+    resetMipmapGenerator();
+    resetErrorPipelines();
+    resetTimestampQueries();
+}
 
-    surfaceWidth = canvas.width;
-    surfaceHeight = canvas.height;
+// Extended tone mapping needs a float surface to carry values above 1.0; standard uses
+// the browser's preferred 8-bit format. If the browser rejects the requested color space
+// the context falls back to srgb.
+function configureContext() {
+    const extended = surfaceConfig.toneMapping === 'extended';
+    presentFormat = extended ? 'rgba16float' : gpu.getPreferredCanvasFormat();
 
-    context.configure({
+    const configuration = {
         device: device,
         format: presentFormat,
-        alphaMode: "opaque"
-    });
+        // COPY_SRC lets requestFrameCapture copy the presented frame
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
+        alphaMode: surfaceConfig.alphaMode,
+        colorSpace: surfaceConfig.colorSpace,
+        toneMapping: { mode: surfaceConfig.toneMapping }
+    };
 
-    // Create global samplers
-    linearSampler = device.createSampler({
-        magFilter: "linear",
-        minFilter: "linear",
-        mipmapFilter: "nearest",
-        addressModeU: "clamp-to-edge",
-        addressModeV: "clamp-to-edge",
-        addressModeW: "clamp-to-edge"
-    });
+    try {
+        context.configure(configuration);
+    } catch (e) {
+        console.warn(`Canvas color space '${surfaceConfig.colorSpace}' rejected, using srgb:`, e);
+        configuration.colorSpace = 'srgb';
+        context.configure(configuration);
+    }
 
-    nearestSampler = device.createSampler({
-        magFilter: "nearest",
-        minFilter: "nearest",
-        mipmapFilter: "nearest",
-        addressModeU: "clamp-to-edge",
-        addressModeV: "clamp-to-edge",
-        addressModeW: "clamp-to-edge"
-    });
+    appliedSurface = readSurfaceConfiguration(configuration);
+}
+
+// getConfiguration() reports what the browser kept; browsers without it (or without
+// tone mapping support) drop unknown members, so assume standard tone mapping there
+function readSurfaceConfiguration(requested) {
+    const applied = context.getConfiguration ? context.getConfiguration() : null;
+    const toneMapping = applied
+        ? (applied.toneMapping && applied.toneMapping.mode) || 'standard'
+        : 'standard';
 
     return {
-        width: surfaceWidth,
-        height: surfaceHeight,
-        format: presentFormat
+        format: presentFormat,
+        alphaMode: (applied && applied.alphaMode) || requested.alphaMode,
+        colorSpace: (applied && applied.colorSpace) || requested.colorSpace,
+        toneMapping: toneMapping,
+        hdrDisplay: !!(window.matchMedia && window.matchMedia('(dynamic-range: high)').matches)
     };
 }
 
+// Unknown or missing values keep the defaults
+function setSurfaceConfig(alphaMode, colorSpace, toneMapping) {
+    surfaceConfig.alphaMode = alphaMode === 'premultiplied' ? 'premultiplied' : 'opaque';
+    surfaceConfig.colorSpace = colorSpace === 'display-p3' ? 'display-p3' : 'srgb';
+    surfaceConfig.toneMapping = toneMapping === 'extended' ? 'extended' : 'standard';
+}
+
+// Switch alphaMode ('opaque' | 'premultiplied'), colorSpace ('srgb' | 'display-p3') and
+// toneMapping ('standard' | 'extended', which switches the surface to rgba16float).
+// Must be called between frames. Returns the applied settings, see getSurfaceConfiguration.
+export function configureSurface(alphaMode, colorSpace, toneMapping) {
+    setSurfaceConfig(alphaMode, colorSpace, toneMapping);
+    if (device && context) configureContext();
+    return getSurfaceConfiguration();
+}
+
+// { format, alphaMode, colorSpace, toneMapping, hdrDisplay }
+export function getSurfaceConfiguration() {
+    return appliedSurface ? { ...appliedSurface } : null;
+}
+
+// Global samplers live in the samplers map under reserved IDs, so createSampler with an
+// identical descriptor dedups to them and bind groups can reference them by ID
+function createGlobalSamplers() {
+    linearSampler = createGlobalSampler(LINEAR_SAMPLER_ID, { magFilter: 'linear', minFilter: 'linear', mipmapFilter: 'linear', label: 'linear_sampler' });
+    nearestSampler = createGlobalSampler(NEAREST_SAMPLER_ID, { magFilter: 'nearest', minFilter: 'nearest', label: 'nearest_sampler' });
+}
+
+function createGlobalSampler(id, descriptor) {
+    const desc = normalizeSamplerDescriptor(descriptor);
+    desc.refCount = Infinity; // never released
+    trackCreated(desc);
+    samplerDescs.set(id, desc);
+    samplerIdsByKey.set(desc.key, id);
+    buildSampler(id, desc);
+    return samplers.get(id);
+}
+
 export function shutdown() {
     // Resources are automatically cleaned up when device is lost
     device = null;
@@ -121,6 +235,8 @@ export function shutdown() {
     gpu = null;
     context = null;
     canvas = null;
+    deviceRestoredCallback = null;
+    appliedSurface = null;
 
     buffers.clear();
     textures.clear();
@@ -130,7 +246,141 @@ export function shutdown() {
     bindGroupLayouts.clear();
     pipelineLayouts.clear();
     renderPipelines.clear();
+    computePipelines.clear();
     bindGroups.clear();
+    renderTextures.clear();
+    renderBundles.clear();
+
+    bufferDescs.clear();
+    textureDescs.clear();
+    shaderModuleDescs.clear();
+    bindGroupLayoutDescs.clear();
+    pipelineLayoutDescs.clear();
+    renderPipelineDescs.clear();
+    computePipelineDescs.clear();
+    bindGroupDescs.clear();
+    samplerDescs.clear();
+    samplerIdsByKey.clear();
+    nextSamplerId = 3;
+    shaderModuleIdsByKey.clear();
+    bindGroupLayoutIdsByKey.clear();
+    pipelineLayoutIdsByKey.clear();
+    renderPipelineIdsByKey.clear();
+    renderTargetGroups.clear();
+    renderBundleDescs.clear();
+    renderBundleIdsByResource.clear();
+    failPendingReadbacks();
+    readbacks.clear();
+
+    destroyRetiredBuffers();
+    resetMipmapGenerator();
+    resetErrorPipelines();
+    diagnostics.length = 0;
+    resourceTrackingEnabled = false;
+    destroyedResources.clear();
+    resetTimestampQueries();
+    profilerEnabled = false;
+    passTimings.clear();
+    heapU8 = null;
+    uploadRing = null;
+    uploadRingOffset = 0;
+    unsubmittedRenderTarget = null;
+}
+
+// ============================================================================
+// Device Loss Recovery
+// ============================================================================
+
+// Called by C# once every resource has been recreated on the new device with the
+// contents it was last given from the CPU (see Content Shadows)
+export function setDeviceRestoredCallback(callback) {
+    deviceRestoredCallback = callback;
+}
+
+export function isDeviceLost() {
+    return device === null && gpu !== null;
+}
+
+async function onDeviceLost(lostDevice, info) {
+    // Ignore loss of a device we already replaced (or released in shutdown)
+    if (lostDevice !== device) return;
+
+    console.error(`WebGPU device lost: reason=${info.reason}, message=${info.message}`);
+
+    device = null;
+    queue = null;
+    currentCommandEncoder = null;
+    currentRenderPass = null;
+    currentComputePass = null;
+    computeEncoder = null;
+    currentRenderTexturePass = null;
+    currentRenderTextureTarget = null;
+    unsubmittedRenderTarget = null;
+    uploadRing = null;
+    uploadRingOffset = 0;
+    currentSurfaceTexture = null;
+    currentSurfaceTextureView = null;
+    failPendingReadbacks();
+
+    // 'destroyed' means device.destroy() was called on purpose - nothing to recover
+    if (info.reason === 'destroyed') return;
+
+    await restoreDevice();
+}
+
+async function restoreDevice() {
+    for (let attempt = 1; attempt <= DEVICE_RESTORE_ATTEMPTS; attempt++) {
+        // shutdown() may have run while we were waiting
+        if (!gpu) return false;
+
+        try {
+            await requestDevice();
+            configureContext();
+            createGlobalSamplers();
+            rebuildResources();
+        } catch (e) {
+            console.error(`WebGPU device restore attempt ${attempt} failed:`, e);
+            device = null;
+            queue = null;
+            await new Promise(resolve => setTimeout(resolve, DEVICE_RESTORE_RETRY_MS * attempt));
+            continue;
+        }
+
+        if (deviceRestoredCallback) {
+            try {
+                deviceRestoredCallback();
+            } catch (e) {
+                console.error('Device restored callback threw:', e);
+            }
+        }
+        return true;
+    }
+
+    console.error(`WebGPU device could not be restored after ${DEVICE_RESTORE_ATTEMPTS} attempts`);
+    return false;
+}
+
+// Recreate every tracked resource on the current device under its original ID.
+// Order matters: bind groups reference buffers/textures/layouts, pipelines reference
+// shader modules and pipeline layouts, pipeline layouts reference bind group layouts,
+// render bundles reference pipelines, bind groups and buffers.
+function rebuildResources() {
+    for (const [id, desc] of bufferDescs) {
+        buildBuffer(id, desc);
+        restoreBufferContents(id, desc);
+    }
+    for (const [id, desc] of textureDescs) {
+        buildTexture(id, desc);
+        restoreTextureContents(id, desc);
+    }
+    for (const [id, desc] of samplerDescs) buildSampler(id, desc);
+    for (const [id, desc] of shaderModuleDescs) buildShaderModule(id, desc);
+    for (const [id, desc] of bindGroupLayoutDescs) buildBindGroupLayout(id, desc);
+    for (const [id, desc] of pipelineLayoutDescs) buildPipelineLayout(id, desc);
+    for (const [id, desc] of renderPipelineDescs) buildRenderPipeline(id, desc);
+    for (const [id, desc] of computePipelineDescs) buildComputePipeline(id, desc);
+    for (const [id, desc] of bindGroupDescs) buildBindGroup(id, desc);
+    for (const [id, desc] of renderBundleDescs) buildRenderBundle(id, desc);
 }
 
 export function getSurfaceSize() {
@@ -145,34 +395,81 @@ export function checkResize() {
         surfaceWidth = newWidth;
         surfaceHeight = newHeight;
 
-        context.configure({
-            device: device,
-            format: presentFormat,
-            alphaMode: "opaque"
-        });
+        if (device) {
+            configureContext();
+        }
 
         return true;
     }
     return false;
 }
 
+// ============================================================================
+// WASM Heap Access (zero-copy uploads)
+// ============================================================================
+
+// View over the .NET WASM linear memory. C# passes pointers into it (pinned for the
+// duration of the call) so uploads and command replay read the data in place.
+let heapU8 = null;
+
+function getHeapU8() {
+    // Growing a non-shared WebAssembly.Memory detaches its ArrayBuffer, which leaves
+    // old views with byteLength 0 — fetch a fresh view whenever that happens
+    if (heapU8 && heapU8.byteLength !== 0) return heapU8;
+
+    heapU8 = null;
+    const runtime = typeof globalThis.getDotnetRuntime === 'function' ? globalThis.getDotnetRuntime(0) : null;
+    if (!runtime) return null;
+
+    if (typeof runtime.localHeapViewU8 === 'function') {
+        heapU8 = runtime.localHeapViewU8();
+    } else if (runtime.Module && runtime.Module.HEAPU8) {
+        heapU8 = runtime.Module.HEAPU8;
+    }
+    return heapU8;
+}
+
+function getHeapView(ptr, length) {
+    const heap = getHeapU8();
+    if (!heap || ptr < 0 || length < 0 || ptr + length > heap.byteLength) return null;
+    return heap;
+}
+
+export function isHeapAccessSupported() {
+    return getHeapU8() !== null;
+}
+
 // ============================================================================
 // Buffer Management
 // ============================================================================
 
 export function createBuffer(size, usage, label) {
     const id = nextBufferId++;
+    const desc = { type: 'buffer', size: size, usage: usage, label: label || `buffer_${id}` };
+    trackCreated(desc);
+    bufferDescs.set(id, desc);
+    if (device) buildBuffer(id, desc);
+    return id;
+}
+
+function buildBuffer(id, desc) {
+    if (desc.type === 'mesh') {
+        buildMesh(id, desc);
+        return;
+    }
+
     const buffer = device.createBuffer({
-        size: size,
-        usage: usage,
-        label: label || `buffer_${id}`,
+        size: desc.size,
+        usage: desc.usage,
+        label: desc.label,
         mappedAtCreation: false
     });
     buffers.set(id, buffer);
-    return id;
 }
 
 export function writeBuffer(bufferId, offset, data) {
+    markUsed('buffer', bufferId, 'writeBuffer');
+    if (!queue) return;
     const buffer = buffers.get(bufferId);
     if (!buffer) {
         console.error(`Buffer ${bufferId} not found`);
@@ -182,10 +479,34 @@ export function writeBuffer(bufferId, offset, data) {
     // Convert to a proper typed array that WebGPU can use
     const typedData = ensureTypedArray(data);
     if (typedData && typedData.byteLength > 0) {
+        submitRenderTextureWork();
         queue.writeBuffer(buffer, offset, typedData);
+        shadowBufferWrite(bufferDescs.get(bufferId), offset, toBytes(typedData), 0, typedData.byteLength);
+        frameStats.bytesUploaded += typedData.byteLength;
     }
 }
 
+// Heap variants return false when the WASM heap is unavailable; the caller then retries
+// with the copying version
+export function writeBufferHeap(bufferId, offset, ptr, length) {
+    const heap = getHeapView(ptr, length);
+    if (!heap) return false;
+    if (!queue || length === 0) return true;
+
+    markUsed('buffer', bufferId, 'writeBuffer');
+
+    const buffer = buffers.get(bufferId);
+    if (!buffer) {
+        console.error(`Buffer ${bufferId} not found`);
+        return true;
+    }
+    submitRenderTextureWork();
+    queue.writeBuffer(buffer, offset, heap, ptr, length);
+    shadowBufferWrite(bufferDescs.get(bufferId), offset, heap, ptr, length);
+    frameStats.bytesUploaded += length;
+    return true;
+}
+
 // Helper to ensure data is a proper typed array for WebGPU
 function ensureTypedArray(data) {
     if (!data) return null;
@@ -209,48 +530,128 @@ function ensureTypedArray(data) {
     return null;
 }
 
+function toBytes(data) {
+    return data instanceof Uint8Array ? data : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
 export function destroyBuffer(bufferId) {
+    trackDestroyed('buffer', bufferId, bufferDescs.get(bufferId));
+    invalidateRenderBundles('buffer', bufferId);
     const buffer = buffers.get(bufferId);
     if (buffer) {
         buffer.destroy();
         buffers.delete(bufferId);
     }
+    bufferDescs.delete(bufferId);
 }
 
 // ============================================================================
 // Mesh Management (Vertex + Index Buffer pairs)
 // ============================================================================
 
-export function createMesh(maxVertices, maxIndices, vertexStride, label) {
-    const vertexSize = maxVertices * vertexStride;
-    const indexSize = maxIndices * 2; // uint16
+const indexFormatSizes = { 'uint16': 2, 'uint32': 4 };
 
-    const vertexBuffer = device.createBuffer({
-        size: vertexSize,
-        usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-        label: `${label || 'mesh'}_vertices`
-    });
-
-    const indexBuffer = device.createBuffer({
-        size: indexSize,
-        usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
-        label: `${label || 'mesh'}_indices`
-    });
+// Buffers replaced by a mesh grow may still be referenced by the frame being recorded,
+// so they are destroyed once that frame has been submitted
+const retiredBuffers = [];
 
+export function createMesh(maxVertices, maxIndices, vertexStride, label, indexFormat) {
     const id = nextBufferId++;
-    buffers.set(id, {
+    const desc = {
         type: 'mesh',
-        vertexBuffer: vertexBuffer,
-        indexBuffer: indexBuffer,
-        stride: vertexStride,
         maxVertices: maxVertices,
-        maxIndices: maxIndices
+        maxIndices: maxIndices,
+        stride: vertexStride,
+        indexFormat: indexFormatSizes[indexFormat] ? indexFormat : 'uint16',
+        label: label || 'mesh'
+    };
+    trackCreated(desc);
+    bufferDescs.set(id, desc);
+    if (device) buildMesh(id, desc);
+    return id;
+}
+
+function buildMesh(id, desc) {
+    buffers.set(id, {
+        type: 'mesh',
+        vertexBuffer: createMeshVertexBuffer(desc, desc.maxVertices),
+        indexBuffer: createMeshIndexBuffer(desc, desc.maxIndices),
+        stride: desc.stride,
+        indexFormat: desc.indexFormat,
+        maxVertices: desc.maxVertices,
+        maxIndices: desc.maxIndices
     });
+}
 
-    return id;
+// Sizes are rounded up to 4 bytes, the granularity of queue.writeBuffer
+function createMeshVertexBuffer(desc, maxVertices) {
+    return device.createBuffer({
+        size: align4(maxVertices * desc.stride),
+        usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        label: `${desc.label}_vertices`
+    });
+}
+
+function createMeshIndexBuffer(desc, maxIndices) {
+    return device.createBuffer({
+        size: align4(maxIndices * indexFormatSizes[desc.indexFormat]),
+        usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        label: `${desc.label}_indices`
+    });
+}
+
+function align4(size) {
+    return (size + 3) & ~3;
 }
 
-export function updateMesh(meshId, vertexData, indexData) {
+// Make sure [0, vertexEnd) and [0, indexEnd) (in bytes) fit, reallocating at least double
+// the previous capacity. Existing contents are preserved so ranged updates keep working.
+function ensureMeshCapacity(meshId, mesh, vertexEnd, indexEnd) {
+    const indexSize = indexFormatSizes[mesh.indexFormat];
+    const neededVertices = Math.ceil(vertexEnd / mesh.stride);
+    const neededIndices = Math.ceil(indexEnd / indexSize);
+    if (neededVertices <= mesh.maxVertices && neededIndices <= mesh.maxIndices) return;
+
+    const desc = bufferDescs.get(meshId);
+    const encoder = device.createCommandEncoder({ label: `${desc.label}_grow` });
+
+    if (neededVertices > mesh.maxVertices) {
+        const maxVertices = Math.max(neededVertices, mesh.maxVertices * 2);
+        const vertexBuffer = createMeshVertexBuffer(desc, maxVertices);
+        encoder.copyBufferToBuffer(mesh.vertexBuffer, 0, vertexBuffer, 0, mesh.vertexBuffer.size);
+        retiredBuffers.push(mesh.vertexBuffer);
+        mesh.vertexBuffer = vertexBuffer;
+        mesh.maxVertices = desc.maxVertices = maxVertices;
+    }
+
+    if (neededIndices > mesh.maxIndices) {
+        const maxIndices = Math.max(neededIndices, mesh.maxIndices * 2);
+        const indexBuffer = createMeshIndexBuffer(desc, maxIndices);
+        encoder.copyBufferToBuffer(mesh.indexBuffer, 0, indexBuffer, 0, mesh.indexBuffer.size);
+        retiredBuffers.push(mesh.indexBuffer);
+        mesh.indexBuffer = indexBuffer;
+        mesh.maxIndices = desc.maxIndices = maxIndices;
+    }
+
+    queue.submit([encoder.finish()]);
+    rebuildBindGroupsReferencing(meshId);
+
+    // Nothing in flight can reference the old buffers outside of a frame
+    if (!currentCommandEncoder && !computeEncoder) {
+        destroyRetiredBuffers();
+    }
+}
+
+function destroyRetiredBuffers() {
+    for (const buffer of retiredBuffers) {
+        buffer.destroy();
+    }
+    retiredBuffers.length = 0;
+}
+
+// Byte offsets must be multiples of 4; omitted offsets mean a full update from 0
+export function updateMesh(meshId, vertexData, indexData, vertexOffset, indexOffset) {
+    if (!queue) return;
     const mesh = buffers.get(meshId);
     if (!mesh || mesh.type !== 'mesh') {
         console.error(`Mesh ${meshId} not found`);
@@ -258,23 +659,160 @@ export function updateMesh(meshId, vertexData, indexData) {
     }
 
     const vData = ensureTypedArray(vertexData);
+    const iData = ensureTypedArray(indexData);
+    const vOffset = vertexOffset || 0;
+    const iOffset = indexOffset || 0;
+    ensureMeshCapacity(meshId, mesh, vOffset + (vData ? vData.byteLength : 0), iOffset + (iData ? iData.byteLength : 0));
+    submitRenderTextureWork();
+
+    const desc = bufferDescs.get(meshId);
+
     if (vData && vData.byteLength > 0) {
-        queue.writeBuffer(mesh.vertexBuffer, 0, vData);
+        queue.writeBuffer(mesh.vertexBuffer, vOffset, vData);
+        shadowMeshWrite(desc, 'vertexContents', mesh.vertexBuffer.size, vOffset, toBytes(vData), 0, vData.byteLength);
+        frameStats.bytesUploaded += vData.byteLength;
     }
 
-    const iData = ensureTypedArray(indexData);
     if (iData && iData.byteLength > 0) {
-        queue.writeBuffer(mesh.indexBuffer, 0, iData);
+        queue.writeBuffer(mesh.indexBuffer, iOffset, iData);
+        shadowMeshWrite(desc, 'indexContents', mesh.indexBuffer.size, iOffset, toBytes(iData), 0, iData.byteLength);
+        frameStats.bytesUploaded += iData.byteLength;
+    }
+}
+
+export function updateMeshHeap(meshId, vertexPtr, vertexLength, indexPtr, indexLength, vertexOffset, indexOffset) {
+    const heap = getHeapView(vertexPtr, vertexLength);
+    if (!heap || !getHeapView(indexPtr, indexLength)) return false;
+    if (!queue) return true;
+
+    const mesh = buffers.get(meshId);
+    if (!mesh || mesh.type !== 'mesh') {
+        console.error(`Mesh ${meshId} not found`);
+        return true;
+    }
+
+    const vOffset = vertexOffset || 0;
+    const iOffset = indexOffset || 0;
+    ensureMeshCapacity(meshId, mesh, vOffset + vertexLength, iOffset + indexLength);
+    submitRenderTextureWork();
+
+    const desc = bufferDescs.get(meshId);
+
+    if (vertexLength > 0) {
+        queue.writeBuffer(mesh.vertexBuffer, vOffset, heap, vertexPtr, vertexLength);
+        shadowMeshWrite(desc, 'vertexContents', mesh.vertexBuffer.size, vOffset, heap, vertexPtr, vertexLength);
+    }
+    if (indexLength > 0) {
+        queue.writeBuffer(mesh.indexBuffer, iOffset, heap, indexPtr, indexLength);
+        shadowMeshWrite(desc, 'indexContents', mesh.indexBuffer.size, iOffset, heap, indexPtr, indexLength);
     }
+    frameStats.bytesUploaded += vertexLength + indexLength;
+    return true;
+}
+
+export function getMeshCapacity(meshId) {
+    const mesh = buffers.get(meshId);
+    if (!mesh || mesh.type !== 'mesh') return null;
+    return { maxVertices: mesh.maxVertices, maxIndices: mesh.maxIndices };
 }
 
 export function destroyMesh(meshId) {
+    trackDestroyed('buffer', meshId, bufferDescs.get(meshId));
+    invalidateRenderBundles('buffer', meshId);
     const mesh = buffers.get(meshId);
     if (mesh && mesh.type === 'mesh') {
         mesh.vertexBuffer.destroy();
         mesh.indexBuffer.destroy();
         buffers.delete(meshId);
     }
+    bufferDescs.delete(meshId);
+}
+
+// ============================================================================
+// Content Shadows
+// ============================================================================
+
+// CPU copies of everything uploaded to buffers, meshes and textures, kept on their
+// descriptors so rebuildResources can bring a restored device back with the same
+// contents. Anything the GPU wrote itself (render targets, compute output, copies)
+// isn't captured and comes back cleared.
+
+// bytes[srcOffset, srcOffset + length) lands at offset of a shadow holding capacity bytes,
+// allocated on first write and grown (keeping its contents) when the resource grows
+function shadowWrite(desc, key, capacity, offset, bytes, srcOffset, length) {
+    if (offset < 0 || offset + length > capacity) return;
+
+    let shadow = desc[key];
+    if (!shadow || shadow.byteLength < capacity) {
+        const grown = new Uint8Array(capacity);
+        if (shadow) grown.set(shadow);
+        desc[key] = shadow = grown;
+    }
+    shadow.set(bytes.subarray(srcOffset, srcOffset + length), offset);
+}
+
+function shadowBufferWrite(desc, offset, bytes, srcOffset, length) {
+    if (desc) shadowWrite(desc, 'contents', desc.size, offset, bytes, srcOffset, length);
+}
+
+function shadowMeshWrite(desc, key, capacity, offset, bytes, srcOffset, length) {
+    if (desc) shadowWrite(desc, key, capacity, offset, bytes, srcOffset, length);
+}
+
+function restoreBufferContents(id, desc) {
+    const buffer = buffers.get(id);
+    if (desc.type === 'mesh') {
+        if (desc.vertexContents) queue.writeBuffer(buffer.vertexBuffer, 0, desc.vertexContents);
+        if (desc.indexContents) queue.writeBuffer(buffer.indexBuffer, 0, desc.indexContents);
+    } else if (desc.contents) {
+        // writeBuffer sizes must be a multiple of 4
+        queue.writeBuffer(buffer, 0, desc.contents, 0, desc.contents.byteLength & ~3);
+    }
+}
+
+// Textures keep an ordered log of uploads and mip generations. A write covering a whole
+// level replaces earlier writes to it, and generating mips replaces earlier writes to
+// the levels it fills, so the log stays around one image per level.
+function shadowTextureWrite(desc, bytes, srcOffset, length, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    if (!desc) return;
+
+    const entry = {
+        data: bytes.slice(srcOffset, srcOffset + length),
+        x, y, width, height, bytesPerRow,
+        layer: layer || 0,
+        mipLevel: mipLevel || 0
+    };
+
+    const uploads = desc.uploads || (desc.uploads = []);
+    const levelWidth = Math.max(1, desc.width >> entry.mipLevel);
+    const levelHeight = Math.max(1, desc.height >> entry.mipLevel);
+    if (x === 0 && y === 0 && width >= levelWidth && height >= levelHeight) {
+        desc.uploads = uploads.filter(u => u.mipmaps || u.layer !== entry.layer || u.mipLevel !== entry.mipLevel);
+    }
+    desc.uploads.push(entry);
+}
+
+function shadowMipmaps(desc, premultipliedAlpha, layer) {
+    if (!desc) return;
+
+    const allLayers = !(layer >= 0);
+    const uploads = (desc.uploads || []).filter(u =>
+        !(allLayers || u.layer === layer) || (!u.mipmaps && u.mipLevel === 0));
+    uploads.push({ mipmaps: true, premultipliedAlpha, layer: allLayers ? -1 : layer });
+    desc.uploads = uploads;
+}
+
+function restoreTextureContents(id, desc) {
+    const tex = textures.get(id);
+    if (!tex || !desc.uploads) return;
+
+    for (const u of desc.uploads) {
+        if (u.mipmaps) {
+            encodeMipmaps(tex, u.premultipliedAlpha, u.layer);
+        } else {
+            writeTextureData(tex, u.data, 0, u.x, u.y, u.width, u.height, u.bytesPerRow, u.layer, u.mipLevel);
+        }
+    }
 }
 
 // ============================================================================
@@ -286,71 +824,335 @@ const formatMap = {
     'r8': 'r8unorm',
     'rg8': 'rg8unorm',
     'rgba32f': 'rgba32float',
-    'bgra8': 'bgra8unorm'
+    'rgba16float': 'rgba16float',
+    'bgra8': 'bgra8unorm',
+    'depth16': 'depth16unorm',
+    'depth24': 'depth24plus',
+    'depth24s8': 'depth24plus-stencil8',
+    'depth32f': 'depth32float',
+    'stencil8': 'stencil8',
+    // Block-compressed (full WebGPU names are accepted too, see compressedFormatInfo)
+    'bc1': 'bc1-rgba-unorm',
+    'bc3': 'bc3-rgba-unorm',
+    'bc4': 'bc4-r-unorm',
+    'bc5': 'bc5-rg-unorm',
+    'bc7': 'bc7-rgba-unorm',
+    'etc2-rgb8': 'etc2-rgb8unorm',
+    'etc2-rgba8': 'etc2-rgba8unorm',
+    'eac-r11': 'eac-r11unorm',
+    'eac-rg11': 'eac-rg11unorm',
+    'astc-4x4': 'astc-4x4-unorm',
+    'astc-6x6': 'astc-6x6-unorm',
+    'astc-8x8': 'astc-8x8-unorm'
 };
 
-export function createTexture(width, height, format, usage, label) {
-    const id = nextTextureId++;
+// WebGPU format -> { feature, blockWidth, blockHeight, bytesPerBlock }
+const compressedFormatInfo = {};
 
-    const gpuFormat = formatMap[format] || 'rgba8unorm';
+function addBlockFormats(feature, blockWidth, blockHeight, bytesPerBlock, names) {
+    for (const name of names) {
+        compressedFormatInfo[name] = { feature, blockWidth, blockHeight, bytesPerBlock };
+    }
+}
 
-    const texture = device.createTexture({
-        size: { width, height, depthOrArrayLayers: 1 },
-        format: gpuFormat,
-        usage: usage,
-        label: label || `texture_${id}`
-    });
+addBlockFormats('texture-compression-bc', 4, 4, 8, [
+    'bc1-rgba-unorm', 'bc1-rgba-unorm-srgb', 'bc4-r-unorm', 'bc4-r-snorm'
+]);
+addBlockFormats('texture-compression-bc', 4, 4, 16, [
+    'bc2-rgba-unorm', 'bc2-rgba-unorm-srgb', 'bc3-rgba-unorm', 'bc3-rgba-unorm-srgb',
+    'bc5-rg-unorm', 'bc5-rg-snorm', 'bc6h-rgb-ufloat', 'bc6h-rgb-float',
+    'bc7-rgba-unorm', 'bc7-rgba-unorm-srgb'
+]);
+addBlockFormats('texture-compression-etc2', 4, 4, 8, [
+    'etc2-rgb8unorm', 'etc2-rgb8unorm-srgb', 'etc2-rgb8a1unorm', 'etc2-rgb8a1unorm-srgb',
+    'eac-r11unorm', 'eac-r11snorm'
+]);
+addBlockFormats('texture-compression-etc2', 4, 4, 16, [
+    'etc2-rgba8unorm', 'etc2-rgba8unorm-srgb', 'eac-rg11unorm', 'eac-rg11snorm'
+]);
+for (const [w, h] of [[4, 4], [5, 4], [5, 5], [6, 5], [6, 6], [8, 5], [8, 6], [8, 8], [10, 5], [10, 6], [10, 8], [10, 10], [12, 10], [12, 12]]) {
+    addBlockFormats('texture-compression-astc', w, h, 16, [`astc-${w}x${h}-unorm`, `astc-${w}x${h}-unorm-srgb`]);
+}
 
-    const textureView = texture.createView({
-        format: gpuFormat,
-        dimension: '2d'
-    });
+const texelSizes = {
+    'r8unorm': 1,
+    'rg8unorm': 2,
+    'rgba8unorm': 4,
+    'bgra8unorm': 4,
+    'rgba16float': 8,
+    'rgba32float': 16
+};
 
-    textures.set(id, {
-        texture: texture,
-        view: textureView,
-        width: width,
-        height: height,
-        format: gpuFormat,
-        layers: 1,
-        isArray: false
-    });
+// Unknown formats fall back to rgba8unorm as before; compressed formats may be given by their WebGPU name
+function resolveTextureFormat(format) {
+    return formatMap[format] || (compressedFormatInfo[format] ? format : 'rgba8unorm');
+}
 
-    return id;
+export function getTextureCompressionSupport() {
+    const features = device ? device.features : null;
+    return {
+        bc: !!features && features.has('texture-compression-bc'),
+        etc2: !!features && features.has('texture-compression-etc2'),
+        astc: !!features && features.has('texture-compression-astc')
+    };
 }
 
-export function createTextureArray(width, height, layers, format, label) {
-    const id = nextTextureId++;
+// Check a format can be created on this device (and, when compressed, that the size is
+// a whole number of blocks). Logs and returns false otherwise.
+function validateTextureFormat(gpuFormat, width, height, label) {
+    const block = compressedFormatInfo[gpuFormat];
+    if (!block) return true;
 
-    const gpuFormat = formatMap[format] || 'rgba8unorm';
+    if (device && !device.features.has(block.feature)) {
+        console.error(`Texture ${label}: ${gpuFormat} needs '${block.feature}', which this device doesn't support`);
+        return false;
+    }
+    if (width % block.blockWidth !== 0 || height % block.blockHeight !== 0) {
+        console.error(`Texture ${label}: ${width}x${height} is not a multiple of the ${block.blockWidth}x${block.blockHeight} block size of ${gpuFormat}`);
+        return false;
+    }
+    return true;
+}
 
-    const texture = device.createTexture({
-        size: { width, height, depthOrArrayLayers: layers },
-        format: gpuFormat,
-        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
-        label: label || `texture_array_${id}`
-    });
+// Bytes per row of tightly packed data: whole blocks for compressed formats
+export function getBytesPerRow(format, width) {
+    const gpuFormat = resolveTextureFormat(format);
+    const block = compressedFormatInfo[gpuFormat];
+    if (block) {
+        return Math.ceil(width / block.blockWidth) * block.bytesPerBlock;
+    }
+    return width * (texelSizes[gpuFormat] || 4);
+}
 
-    const textureView = texture.createView({
-        format: gpuFormat,
-        dimension: '2d-array',
-        arrayLayerCount: layers
-    });
+// Shared by the writeTexture variants. Compressed writes are addressed in whole blocks:
+// the copy size is rounded up to the block size (mips smaller than a block still occupy
+// one) and bytesPerRow is always derived from the block layout. For other formats a
+// bytesPerRow <= 0 means tightly packed rows.
+function writeTextureData(tex, data, offset, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    const block = compressedFormatInfo[tex.format];
+    let rowsPerImage = height;
+    if (block) {
+        width = Math.ceil(width / block.blockWidth) * block.blockWidth;
+        height = Math.ceil(height / block.blockHeight) * block.blockHeight;
+        rowsPerImage = height / block.blockHeight;
+        bytesPerRow = (width / block.blockWidth) * block.bytesPerBlock;
+    } else if (!(bytesPerRow > 0)) {
+        bytesPerRow = width * (texelSizes[tex.format] || 4);
+    }
 
-    textures.set(id, {
-        texture: texture,
-        view: textureView,
+    submitRenderTextureWork();
+    queue.writeTexture(
+        {
+            texture: tex.texture,
+            mipLevel: mipLevel || 0,
+            origin: { x: x, y: y, z: layer || 0 }
+        },
+        data,
+        { offset: offset, bytesPerRow: bytesPerRow, rowsPerImage: rowsPerImage },
+        { width, height, depthOrArrayLayers: 1 }
+    );
+    frameStats.bytesUploaded += bytesPerRow * rowsPerImage;
+}
+
+// Formats core WebGPU can bind as storage textures; bgra8unorm needs a feature
+const storageTextureFormats = new Set([
+    'rgba8unorm', 'rgba8snorm', 'rgba8uint', 'rgba8sint',
+    'rgba16uint', 'rgba16sint', 'rgba16float',
+    'r32uint', 'r32sint', 'r32float',
+    'rg32uint', 'rg32sint', 'rg32float',
+    'rgba32uint', 'rgba32sint', 'rgba32float'
+]);
+
+function validateStorageFormat(gpuFormat, label) {
+    if (storageTextureFormats.has(gpuFormat)) return true;
+    if (gpuFormat === 'bgra8unorm' && (!device || device.features.has('bgra8unorm-storage'))) return true;
+
+    console.error(`Texture ${label}: ${gpuFormat} can't be used as a storage texture on this device`);
+    return false;
+}
+
+function formatHasDepth(gpuFormat) {
+    return gpuFormat.startsWith('depth');
+}
+
+function formatHasStencil(gpuFormat) {
+    return gpuFormat.includes('stencil8');
+}
+
+// Number of mips in a full chain down to 1x1
+function fullMipLevelCount(width, height) {
+    return Math.floor(Math.log2(Math.max(width, height))) + 1;
+}
+
+// Clamp a requested mip count the way the C# driver does: 0 (or less) means the full
+// chain, anything above it is capped, and callers that pass no count get a single level.
+// Mipped textures get RENDER_ATTACHMENT so generateMipmaps can draw into them.
+function resolveMipLevelCount(width, height, mipLevelCount) {
+    const fullCount = fullMipLevelCount(width, height);
+    if (mipLevelCount === undefined || mipLevelCount === null) return 1;
+    return mipLevelCount <= 0 ? fullCount : Math.min(mipLevelCount, fullCount);
+}
+
+export function createTexture(width, height, format, usage, label, mipLevelCount) {
+    if (!validateTextureFormat(resolveTextureFormat(format), width, height, label)) return -1;
+    if ((usage & GPUTextureUsage.STORAGE_BINDING) && !validateStorageFormat(resolveTextureFormat(format), label)) return -1;
+
+    const id = nextTextureId++;
+    const desc = {
+        type: 'texture', width, height, format, usage,
+        mipLevelCount: resolveMipLevelCount(width, height, mipLevelCount),
+        label: label || `texture_${id}`
+    };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (device) buildTexture(id, desc);
+    return id;
+}
+
+function buildTexture(id, desc) {
+    switch (desc.type) {
+        case 'texture': buildTexture2D(id, desc); break;
+        case 'array': buildTextureArray(id, desc); break;
+        case 'renderTexture': buildRenderTexture(id, desc); break;
+        case 'depth': buildDepthTexture(id, desc); break;
+    }
+}
+
+function buildTexture2D(id, desc) {
+    const { width, height } = desc;
+    const gpuFormat = resolveTextureFormat(desc.format);
+    const mipLevelCount = desc.mipLevelCount || 1;
+
+    // Compressed formats can't be rendered to; their mips must be uploaded
+    const generatesMips = mipLevelCount > 1 && !compressedFormatInfo[gpuFormat];
+
+    const texture = device.createTexture({
+        size: { width, height, depthOrArrayLayers: 1 },
+        format: gpuFormat,
+        usage: generatesMips ? desc.usage | GPUTextureUsage.RENDER_ATTACHMENT : desc.usage,
+        mipLevelCount: mipLevelCount,
+        label: desc.label
+    });
+
+    const textureView = texture.createView({
+        format: gpuFormat,
+        dimension: '2d'
+    });
+
+    textures.set(id, {
+        texture: texture,
+        view: textureView,
+        width: width,
+        height: height,
+        format: gpuFormat,
+        layers: 1,
+        mipLevelCount: mipLevelCount,
+        isArray: false
+    });
+}
+
+// storage adds STORAGE_BINDING so compute shaders can write the array
+export function createTextureArray(width, height, layers, format, label, mipLevelCount, storage) {
+    if (!validateTextureFormat(resolveTextureFormat(format), width, height, label)) return -1;
+    if (storage && !validateStorageFormat(resolveTextureFormat(format), label)) return -1;
+
+    const id = nextTextureId++;
+    const desc = {
+        type: 'array', width, height, layers, format,
+        mipLevelCount: resolveMipLevelCount(width, height, mipLevelCount),
+        storage: !!storage,
+        label: label || `texture_array_${id}`
+    };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (device) buildTexture(id, desc);
+    return id;
+}
+
+function buildTextureArray(id, desc) {
+    const { width, height, layers } = desc;
+    const gpuFormat = resolveTextureFormat(desc.format);
+    const mipLevelCount = desc.mipLevelCount || 1;
+
+    let usage = GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST;
+    if (mipLevelCount > 1 && !compressedFormatInfo[gpuFormat]) {
+        usage |= GPUTextureUsage.RENDER_ATTACHMENT;
+    }
+    if (desc.storage) {
+        usage |= GPUTextureUsage.STORAGE_BINDING;
+    }
+
+    const texture = device.createTexture({
+        size: { width, height, depthOrArrayLayers: layers },
+        format: gpuFormat,
+        usage: usage,
+        mipLevelCount: mipLevelCount,
+        label: desc.label
+    });
+
+    const textureView = texture.createView({
+        format: gpuFormat,
+        dimension: '2d-array',
+        arrayLayerCount: layers
+    });
+
+    textures.set(id, {
+        texture: texture,
+        view: textureView,
         width: width,
         height: height,
         format: gpuFormat,
         layers: layers,
+        mipLevelCount: mipLevelCount,
         isArray: true
     });
+}
 
+// Depth/stencil texture usable as the depth attachment of any pass with a matching
+// size and sample count (e.g. the surface pass). Single-sampled depth can also be sampled.
+export function createDepthTexture(width, height, format, sampleCount, label) {
+    const id = nextTextureId++;
+    const desc = { type: 'depth', width, height, format, sampleCount: sampleCount || 1, label: label || `depth_texture_${id}` };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (device) buildTexture(id, desc);
     return id;
 }
 
-export function writeTexture(textureId, data, width, height, bytesPerRow, layer) {
+function buildDepthTexture(id, desc) {
+    const { width, height, sampleCount } = desc;
+    const gpuFormat = formatMap[desc.format] || desc.format;
+
+    let usage = GPUTextureUsage.RENDER_ATTACHMENT;
+    if (sampleCount === 1) {
+        usage |= GPUTextureUsage.TEXTURE_BINDING;
+    }
+
+    const texture = device.createTexture({
+        size: { width, height, depthOrArrayLayers: 1 },
+        format: gpuFormat,
+        sampleCount: sampleCount,
+        usage: usage,
+        label: desc.label
+    });
+
+    textures.set(id, {
+        texture: texture,
+        view: texture.createView({ dimension: '2d' }),
+        width: width,
+        height: height,
+        format: gpuFormat,
+        layers: 1,
+        isArray: false,
+        isDepth: true,
+        sampleCount: sampleCount
+    });
+}
+
+// width/height are the size of the mip level being written
+export function writeTexture(textureId, data, width, height, bytesPerRow, layer, mipLevel) {
+    markUsed('texture', textureId, 'writeTexture');
+    if (!queue) return;
     const tex = textures.get(textureId);
     if (!tex) {
         console.error(`Texture ${textureId} not found`);
@@ -360,18 +1162,13 @@ export function writeTexture(textureId, data, width, height, bytesPerRow, layer)
     const typedData = ensureTypedArray(data);
     if (!typedData || typedData.byteLength === 0) return;
 
-    queue.writeTexture(
-        {
-            texture: tex.texture,
-            origin: { x: 0, y: 0, z: layer || 0 }
-        },
-        typedData,
-        { bytesPerRow: bytesPerRow, rowsPerImage: height },
-        { width, height, depthOrArrayLayers: 1 }
-    );
+    writeTextureData(tex, typedData, 0, 0, 0, width, height, bytesPerRow, layer, mipLevel);
+    shadowTextureWrite(textureDescs.get(textureId), toBytes(typedData), 0, typedData.byteLength, 0, 0, width, height, bytesPerRow, layer, mipLevel);
 }
 
-export function writeTextureRegion(textureId, data, x, y, width, height, bytesPerRow) {
+export function writeTextureRegion(textureId, data, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    markUsed('texture', textureId, 'writeTexture');
+    if (!queue) return;
     const tex = textures.get(textureId);
     if (!tex) {
         console.error(`Texture ${textureId} not found`);
@@ -381,23 +1178,37 @@ export function writeTextureRegion(textureId, data, x, y, width, height, bytesPe
     const typedData = ensureTypedArray(data);
     if (!typedData || typedData.byteLength === 0) return;
 
-    queue.writeTexture(
-        {
-            texture: tex.texture,
-            origin: { x: x, y: y, z: 0 }
-        },
-        typedData,
-        { bytesPerRow: bytesPerRow, rowsPerImage: height },
-        { width, height, depthOrArrayLayers: 1 }
-    );
+    writeTextureData(tex, typedData, 0, x, y, width, height, bytesPerRow, layer, mipLevel);
+    shadowTextureWrite(textureDescs.get(textureId), toBytes(typedData), 0, typedData.byteLength, x, y, width, height, bytesPerRow, layer, mipLevel);
+}
+
+export function writeTextureHeap(textureId, ptr, length, x, y, width, height, bytesPerRow, layer, mipLevel) {
+    const heap = getHeapView(ptr, length);
+    if (!heap) return false;
+    if (!queue || length === 0) return true;
+
+    markUsed('texture', textureId, 'writeTexture');
+
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`Texture ${textureId} not found`);
+        return true;
+    }
+
+    writeTextureData(tex, heap, ptr, x, y, width, height, bytesPerRow, layer, mipLevel);
+    shadowTextureWrite(textureDescs.get(textureId), heap, ptr, length, x, y, width, height, bytesPerRow, layer, mipLevel);
+    return true;
 }
 
 export function destroyTexture(textureId) {
+    trackDestroyed('texture', textureId, textureDescs.get(textureId));
+    invalidateRenderBundles('texture', textureId);
     const tex = textures.get(textureId);
     if (tex) {
         tex.texture.destroy();
         textures.delete(textureId);
     }
+    textureDescs.delete(textureId);
 }
 
 export function getTextureView(textureId) {
@@ -405,54 +1216,596 @@ export function getTextureView(textureId) {
     return tex ? tex.view : null;
 }
 
+// ============================================================================
+// Mipmap Generation
+// ============================================================================
+
+// Each mip is drawn from the one above it with a 2x2 box filter. Straight alpha sources
+// are premultiplied before averaging (so transparent texels don't bleed their color into
+// visible ones) and divided back afterwards; premultiplied sources are averaged as-is.
+const MIPMAP_SHADER = `
+@group(0) @binding(0) var src: texture_2d<f32>;
+
+@vertex
+fn vs_main(@builtin(vertex_index) index: u32) -> @builtin(position) vec4f {
+    let uv = vec2f(f32((index << 1u) & 2u), f32(index & 2u));
+    return vec4f(uv * 2.0 - 1.0, 0.0, 1.0);
+}
+
+fn load(p: vec2i) -> vec4f {
+    let size = vec2i(textureDimensions(src));
+    return textureLoad(src, min(p, size - 1), 0);
+}
+
+@fragment
+fn fs_premultiplied(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let p = vec2i(pos.xy) * 2;
+    return (load(p) + load(p + vec2i(1, 0)) + load(p + vec2i(0, 1)) + load(p + vec2i(1, 1))) * 0.25;
+}
+
+fn premultiply(c: vec4f) -> vec4f {
+    return vec4f(c.rgb * c.a, c.a);
+}
+
+@fragment
+fn fs_straight(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let p = vec2i(pos.xy) * 2;
+    let a = load(p);
+    let b = load(p + vec2i(1, 0));
+    let c = load(p + vec2i(0, 1));
+    let d = load(p + vec2i(1, 1));
+    let sum = premultiply(a) + premultiply(b) + premultiply(c) + premultiply(d);
+    if (sum.a <= 0.0) {
+        // Fully transparent: keep the plain color average so filtering into it stays clean
+        return vec4f((a.rgb + b.rgb + c.rgb + d.rgb) * 0.25, 0.0);
+    }
+    return vec4f(sum.rgb / sum.a, sum.a * 0.25);
+}
+`;
+
+// Created lazily, reset with the device
+let mipmapShaderModule = null;
+let mipmapBindGroupLayout = null;
+const mipmapPipelines = new Map(); // `${gpuFormat}:${premultiplied}` -> GPURenderPipeline
+
+function getMipmapPipeline(gpuFormat, premultiplied) {
+    if (!mipmapShaderModule) {
+        mipmapShaderModule = device.createShaderModule({ code: MIPMAP_SHADER, label: 'mipmap_generator' });
+        mipmapBindGroupLayout = device.createBindGroupLayout({
+            entries: [{
+                binding: 0,
+                visibility: GPUShaderStage.FRAGMENT,
+                texture: { sampleType: 'unfilterable-float' }
+            }],
+            label: 'mipmap_bind_group_layout'
+        });
+    }
+
+    const key = `${gpuFormat}:${premultiplied}`;
+    let pipeline = mipmapPipelines.get(key);
+    if (!pipeline) {
+        pipeline = device.createRenderPipeline({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [mipmapBindGroupLayout] }),
+            vertex: { module: mipmapShaderModule, entryPoint: 'vs_main' },
+            fragment: {
+                module: mipmapShaderModule,
+                entryPoint: premultiplied ? 'fs_premultiplied' : 'fs_straight',
+                targets: [{ format: gpuFormat }]
+            },
+            primitive: { topology: 'triangle-list' },
+            label: `mipmap_${key}`
+        });
+        mipmapPipelines.set(key, pipeline);
+    }
+    return pipeline;
+}
+
+function resetMipmapGenerator() {
+    mipmapShaderModule = null;
+    mipmapBindGroupLayout = null;
+    mipmapPipelines.clear();
+}
+
+// Fill mips 1..n from mip 0. layer < 0 (or omitted) processes every array layer.
+export function generateMipmaps(textureId, premultipliedAlpha, layer) {
+    if (!device) return false;
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`Texture ${textureId} not found`);
+        return false;
+    }
+    if (!tex.mipLevelCount || tex.mipLevelCount < 2) return true;
+    if (tex.isDepth || compressedFormatInfo[tex.format]) {
+        console.error(`Texture ${textureId}: can't generate mipmaps for ${tex.format}, upload each mip instead`);
+        return false;
+    }
+
+    submitRenderTextureWork();
+    encodeMipmaps(tex, premultipliedAlpha, layer);
+    shadowMipmaps(textureDescs.get(textureId), !!premultipliedAlpha, layer);
+    return true;
+}
+
+function encodeMipmaps(tex, premultipliedAlpha, layer) {
+    const pipeline = getMipmapPipeline(tex.format, !!premultipliedAlpha);
+    const firstLayer = layer >= 0 ? layer : 0;
+    const lastLayer = layer >= 0 ? layer : tex.layers - 1;
+
+    // Own encoder so this works mid-frame; queue order keeps it after earlier writeTexture calls
+    const encoder = device.createCommandEncoder({ label: 'generate_mipmaps' });
+
+    for (let l = firstLayer; l <= lastLayer; l++) {
+        for (let mip = 1; mip < tex.mipLevelCount; mip++) {
+            const srcView = tex.texture.createView({
+                dimension: '2d', baseMipLevel: mip - 1, mipLevelCount: 1, baseArrayLayer: l, arrayLayerCount: 1
+            });
+            const dstView = tex.texture.createView({
+                dimension: '2d', baseMipLevel: mip, mipLevelCount: 1, baseArrayLayer: l, arrayLayerCount: 1
+            });
+
+            const pass = encoder.beginRenderPass({
+                colorAttachments: [{ view: dstView, loadOp: 'clear', storeOp: 'store', clearValue: { r: 0, g: 0, b: 0, a: 0 } }],
+                label: 'generate_mipmaps_pass'
+            });
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, device.createBindGroup({
+                layout: mipmapBindGroupLayout,
+                entries: [{ binding: 0, resource: srcView }]
+            }));
+            pass.draw(3);
+            pass.end();
+        }
+    }
+
+    queue.submit([encoder.finish()]);
+}
+
+// ============================================================================
+// Sampler Management
+// ============================================================================
+
+// Normalized descriptor key -> sampler ID, so identical descriptors share one sampler
+const samplerIdsByKey = new Map();
+
+function normalizeSamplerDescriptor(descriptor) {
+    const d = descriptor || {};
+    const magFilter = d.magFilter || 'nearest';
+    const minFilter = d.minFilter || 'nearest';
+    const mipmapFilter = d.mipmapFilter || 'nearest';
+
+    // WebGPU rejects anisotropy unless every filter is linear
+    let maxAnisotropy = Math.max(1, Math.min(16, d.maxAnisotropy || 1));
+    if (maxAnisotropy > 1 && (magFilter !== 'linear' || minFilter !== 'linear' || mipmapFilter !== 'linear')) {
+        console.warn(`Sampler ${d.label || ''}: maxAnisotropy ${maxAnisotropy} requires linear filtering, ignoring`);
+        maxAnisotropy = 1;
+    }
+
+    const gpuDescriptor = {
+        addressModeU: d.addressModeU || 'clamp-to-edge',
+        addressModeV: d.addressModeV || 'clamp-to-edge',
+        addressModeW: d.addressModeW || 'clamp-to-edge',
+        magFilter: magFilter,
+        minFilter: minFilter,
+        mipmapFilter: mipmapFilter,
+        lodMinClamp: d.lodMinClamp ?? 0,
+        lodMaxClamp: d.lodMaxClamp ?? 32,
+        maxAnisotropy: maxAnisotropy
+    };
+    if (d.compare) gpuDescriptor.compare = d.compare;
+
+    return {
+        descriptor: gpuDescriptor,
+        key: JSON.stringify(gpuDescriptor),
+        label: d.label || null,
+        refCount: 0
+    };
+}
+
+// Returns the ID of an existing sampler when one with the same settings exists. Each call
+// must be balanced by destroySampler.
+export function createSampler(descriptor) {
+    const desc = normalizeSamplerDescriptor(descriptor);
+
+    const existingId = samplerIdsByKey.get(desc.key);
+    if (existingId !== undefined) {
+        samplerDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    const id = nextSamplerId++;
+    desc.refCount = 1;
+    desc.label = desc.label || `sampler_${id}`;
+    trackCreated(desc);
+    samplerDescs.set(id, desc);
+    samplerIdsByKey.set(desc.key, id);
+    if (device) buildSampler(id, desc);
+    return id;
+}
+
+function buildSampler(id, desc) {
+    samplers.set(id, device.createSampler({ ...desc.descriptor, label: desc.label }));
+}
+
+export function destroySampler(samplerId) {
+    const desc = samplerDescs.get(samplerId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('sampler', samplerId, desc);
+    invalidateRenderBundles('sampler', samplerId);
+    // GPUSampler has no destroy(); dropping the reference is enough
+    samplers.delete(samplerId);
+    samplerDescs.delete(samplerId);
+    samplerIdsByKey.delete(desc.key);
+}
+
+function resolveSampler(samplerId, binding) {
+    const sampler = samplers.get(samplerId);
+    if (!sampler) {
+        console.error(`Sampler ${samplerId} not found for binding ${binding}`);
+    }
+    return sampler || null;
+}
+
+// ============================================================================
+// Diagnostics
+// ============================================================================
+
+// Shader compile messages and validation errors from pipeline and bind group creation,
+// kept until C# takes them with takeDiagnostics. Oldest are dropped past the cap.
+const MAX_DIAGNOSTICS = 256;
+const diagnostics = [];
+
+// source: 'shaderModule' | 'renderPipeline' | 'computePipeline' | 'bindGroup' | 'renderBundle' | 'resource'
+// severity: 'error' | 'warning' | 'info'; line/column are 1-based, 0 when unknown
+function reportDiagnostic(source, label, severity, message, line = 0, column = 0) {
+    if (diagnostics.length >= MAX_DIAGNOSTICS) diagnostics.shift();
+    diagnostics.push({ source, label: label || '', severity, message, line, column });
+}
+
+export function getDiagnosticCount() {
+    return diagnostics.length;
+}
+
+export function takeDiagnostics() {
+    return diagnostics.splice(0, diagnostics.length);
+}
+
+function reportCompilationInfo(module, label) {
+    module.getCompilationInfo().then(info => {
+        for (const msg of info.messages) {
+            reportDiagnostic('shaderModule', label, msg.type, msg.message, msg.lineNum, msg.linePos);
+        }
+    }).catch(() => {});
+}
+
+// Runs create() inside a validation error scope. The scope resolves a frame or so later;
+// an error is reported and passed to onError unless the device changed in between.
+function withValidationScope(source, label, create, onError) {
+    const targetDevice = device;
+    targetDevice.pushErrorScope('validation');
+    try {
+        return create();
+    } finally {
+        targetDevice.popErrorScope().then(error => {
+            if (!error || device !== targetDevice) return;
+            reportDiagnostic(source, label, 'error', error.message);
+            if (onError) onError(error);
+        }).catch(() => {});
+    }
+}
+
+// ============================================================================
+// Resource Tracker
+// ============================================================================
+
+// Debug bookkeeping for leak hunting. Every descriptor records the frame it was created
+// in. While tracking is enabled, uses (command buffers, bind groups, passes, uploads)
+// stamp lastUsedFrame and destroyed IDs are remembered, so a later reference to one is
+// reported as a diagnostic instead of being skipped silently.
+let resourceTrackingEnabled = false;
+const MAX_DESTROYED_RESOURCES = 4096;
+const destroyedResources = new Map(); // `${kind}:${id}` -> { label, frame, reported }
+
+const resourceDescMaps = {
+    buffer: bufferDescs,            // buffers and meshes
+    texture: textureDescs,          // textures, arrays, render textures and depth textures
+    sampler: samplerDescs,
+    shaderModule: shaderModuleDescs,
+    bindGroupLayout: bindGroupLayoutDescs,
+    pipelineLayout: pipelineLayoutDescs,
+    renderPipeline: renderPipelineDescs,
+    computePipeline: computePipelineDescs,
+    bindGroup: bindGroupDescs,
+    renderBundle: renderBundleDescs
+};
+
+export function setResourceTrackingEnabled(enabled) {
+    resourceTrackingEnabled = !!enabled;
+    if (!resourceTrackingEnabled) destroyedResources.clear();
+}
+
+function trackCreated(desc) {
+    desc.createdFrame = frameNumber;
+    desc.lastUsedFrame = frameNumber;
+}
+
+function trackDestroyed(kind, id, desc) {
+    if (!resourceTrackingEnabled || !desc) return;
+
+    if (destroyedResources.size >= MAX_DESTROYED_RESOURCES) {
+        destroyedResources.delete(destroyedResources.keys().next().value);
+    }
+    destroyedResources.set(`${kind}:${id}`, { label: desc.label, frame: frameNumber, reported: false });
+}
+
+// Reported once per destroyed resource
+function reportUseAfterDestroy(kind, id, user) {
+    const entry = destroyedResources.get(`${kind}:${id}`);
+    if (!entry || entry.reported) return;
+
+    entry.reported = true;
+    reportDiagnostic('resource', entry.label, 'error',
+        `${kind} ${id} used by ${user} after it was destroyed in frame ${entry.frame}`);
+}
+
+// Marks a resource and everything it references as used this frame
+function markUsed(kind, id, user) {
+    if (!resourceTrackingEnabled) return;
+
+    const desc = resourceDescMaps[kind].get(id);
+    if (!desc) {
+        reportUseAfterDestroy(kind, id, user);
+        return;
+    }
+    if (desc.lastUsedFrame === frameNumber) return;
+    desc.lastUsedFrame = frameNumber;
+
+    switch (kind) {
+        case 'bindGroup':
+            markUsed('bindGroupLayout', desc.layoutId, desc.label);
+            forEachBindGroupReference(desc, (refKind, refId) => markUsed(refKind, refId, desc.label));
+            break;
+        case 'renderPipeline':
+            markUsed('shaderModule', desc.vertexModuleId, desc.label);
+            markUsed('shaderModule', desc.fragmentModuleId, desc.label);
+            markUsed('pipelineLayout', desc.pipelineLayoutId, desc.label);
+            break;
+        case 'computePipeline':
+            markUsed('shaderModule', desc.moduleId, desc.label);
+            markUsed('pipelineLayout', desc.pipelineLayoutId, desc.label);
+            break;
+        case 'pipelineLayout':
+            for (const layoutId of desc.layoutIds) markUsed('bindGroupLayout', layoutId, desc.label);
+            break;
+        case 'renderBundle':
+            for (const [refKind, refId] of desc.refs) markUsed(refKind, refId, desc.label);
+            break;
+    }
+}
+
+function forEachBindGroupReference(desc, callback) {
+    for (const entry of desc.entries) {
+        if (entry.bufferId != null) callback('buffer', entry.bufferId);
+        const textureId = desc.fromJson ? entry.textureId : entry.textureViewId;
+        if (textureId != null) callback('texture', textureId);
+        if (entry.samplerId != null) callback('sampler', entry.samplerId);
+    }
+}
+
+function checkBindGroupReferences(desc) {
+    forEachBindGroupReference(desc, (kind, id) => {
+        if (!resourceDescMaps[kind].has(id)) reportUseAfterDestroy(kind, id, desc.label);
+    });
+}
+
+// Walks a command buffer ahead of replayCommands, which stays free of tracking work
+function trackCommandUsage(view, count) {
+    walkCommands(view, count, (opcode, kind, id) => {
+        if (kind) markUsed(kind, id, 'the command buffer');
+    });
+}
+
+// Estimated GPU memory: buffers and textures only, other objects count as 0 bytes
+const depthTexelSizes = {
+    'depth16unorm': 2,
+    'depth24plus': 4,
+    'depth24plus-stencil8': 4,
+    'depth32float': 4,
+    'stencil8': 1
+};
+
+function gpuTextureBytes(texture) {
+    if (!texture) return 0;
+
+    const block = compressedFormatInfo[texture.format];
+    const texelSize = texelSizes[texture.format] || depthTexelSizes[texture.format] || 4;
+    let bytes = 0;
+    for (let mip = 0; mip < texture.mipLevelCount; mip++) {
+        const w = Math.max(1, texture.width >> mip);
+        const h = Math.max(1, texture.height >> mip);
+        bytes += block
+            ? Math.ceil(w / block.blockWidth) * Math.ceil(h / block.blockHeight) * block.bytesPerBlock
+            : w * h * texelSize;
+    }
+    return bytes * texture.depthOrArrayLayers * texture.sampleCount;
+}
+
+function estimateResourceBytes(kind, id) {
+    if (kind === 'buffer') {
+        const buffer = buffers.get(id);
+        if (!buffer) return 0;
+        return buffer.type === 'mesh' ? buffer.vertexBuffer.size + buffer.indexBuffer.size : buffer.size;
+    }
+    if (kind === 'texture') {
+        const rt = renderTextures.get(id);
+        if (rt) return gpuTextureBytes(rt.texture) + gpuTextureBytes(rt.msaaTexture) + gpuTextureBytes(rt.depthTexture);
+        const tex = textures.get(id);
+        return tex ? gpuTextureBytes(tex.texture) : 0;
+    }
+    return 0;
+}
+
+// Every live resource as JSON:
+// { frame, tracking, totalBytes, types: [{ type, count, bytes }],
+//   resources: [{ type, id, label, bytes, createdFrame, lastUsedFrame, unused }] }
+// type is the buffer/texture flavour (buffer, mesh, texture, array, renderTexture, depth)
+// or the resource kind. unused flags resources not used for unusedFrames frames, which
+// is only known while tracking is enabled.
+export function getResourceReport(unusedFrames) {
+    const types = new Map();
+    const resources = [];
+    let totalBytes = 0;
+
+    for (const [kind, descs] of Object.entries(resourceDescMaps)) {
+        for (const [id, desc] of descs) {
+            const type = (kind === 'buffer' || kind === 'texture') ? desc.type : kind;
+            const bytes = estimateResourceBytes(kind, id);
+            const unused = resourceTrackingEnabled && frameNumber - desc.lastUsedFrame >= unusedFrames;
+
+            resources.push({
+                type, id, label: desc.label || '', bytes,
+                createdFrame: desc.createdFrame ?? 0,
+                lastUsedFrame: desc.lastUsedFrame ?? 0,
+                unused
+            });
+
+            const summary = types.get(type) || { type, count: 0, bytes: 0 };
+            summary.count++;
+            summary.bytes += bytes;
+            types.set(type, summary);
+            totalBytes += bytes;
+        }
+    }
+
+    return JSON.stringify({
+        frame: frameNumber,
+        tracking: resourceTrackingEnabled,
+        totalBytes,
+        types: [...types.values()],
+        resources
+    });
+}
+
 // ============================================================================
 // Shader Management
 // ============================================================================
 
+// Source -> module ID, so material variants built from the same WGSL share one module
+// (and, through it, their pipelines)
+const shaderModuleIdsByKey = new Map();
+
+// Returns the ID of an existing module when one with the same source exists. Each call
+// must be balanced by destroyShaderModule.
 export function createShaderModule(code, label) {
+    const existingId = shaderModuleIdsByKey.get(code);
+    if (existingId !== undefined) {
+        shaderModuleDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
     const id = nextShaderId++;
+    const desc = { code: code, label: label || `shader_${id}`, refCount: 1 };
+    trackCreated(desc);
+    shaderModuleDescs.set(id, desc);
+    shaderModuleIdsByKey.set(code, id);
+    if (device) buildShaderModule(id, desc);
+    return id;
+}
 
+function buildShaderModule(id, desc) {
     const module = device.createShaderModule({
-        code: code,
-        label: label || `shader_${id}`
+        code: desc.code,
+        label: desc.label
     });
 
+    reportCompilationInfo(module, desc.label);
     shaderModules.set(id, module);
-    return id;
 }
 
 export function destroyShaderModule(shaderId) {
+    const desc = shaderModuleDescs.get(shaderId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('shaderModule', shaderId, desc);
     shaderModules.delete(shaderId);
+    shaderModuleDescs.delete(shaderId);
+    shaderModuleIdsByKey.delete(desc.code);
 }
 
 // ============================================================================
 // Pipeline Management
 // ============================================================================
 
-export function createBindGroupLayout(entries, label) {
-    const id = nextPipelineId++;
+// Descriptor key -> ID for layouts and render pipelines, so identical requests return the
+// existing object instead of compiling it again. Each create must be balanced by its
+// destroy; the object goes away with the last reference.
+const bindGroupLayoutIdsByKey = new Map();
+const pipelineLayoutIdsByKey = new Map();
+const renderPipelineIdsByKey = new Map();
 
+export function createBindGroupLayout(entries, label) {
     // Convert to proper JS array if needed (C# arrays may come as array-like objects)
     const entriesArray = Array.isArray(entries) ? entries : Array.from(entries);
 
+    const key = JSON.stringify(entriesArray);
+    const existingId = bindGroupLayoutIdsByKey.get(key);
+    if (existingId !== undefined) {
+        bindGroupLayoutDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    const id = nextPipelineId++;
+    const desc = { entries: entriesArray, key: key, refCount: 1, label: label || `bind_group_layout_${id}` };
+    trackCreated(desc);
+    bindGroupLayoutDescs.set(id, desc);
+    bindGroupLayoutIdsByKey.set(key, id);
+    if (device) buildBindGroupLayout(id, desc);
+    return id;
+}
+
+function buildBindGroupLayout(id, desc) {
     const layout = device.createBindGroupLayout({
-        entries: entriesArray,
-        label: label || `bind_group_layout_${id}`
+        entries: desc.entries,
+        label: desc.label
     });
 
     bindGroupLayouts.set(id, layout);
-    return id;
 }
 
-export function createPipelineLayout(bindGroupLayoutIds, label) {
-    const id = nextPipelineId++;
+export function destroyBindGroupLayout(layoutId) {
+    const desc = bindGroupLayoutDescs.get(layoutId);
+    if (!desc || --desc.refCount > 0) return;
 
+    trackDestroyed('bindGroupLayout', layoutId, desc);
+    bindGroupLayouts.delete(layoutId);
+    bindGroupLayoutDescs.delete(layoutId);
+    bindGroupLayoutIdsByKey.delete(desc.key);
+}
+
+export function createPipelineLayout(bindGroupLayoutIds, label) {
     // Convert to proper JS array if needed (C# arrays may come as array-like objects)
     const layoutIds = Array.isArray(bindGroupLayoutIds)
         ? bindGroupLayoutIds
         : Array.from(bindGroupLayoutIds);
 
-    const layouts = layoutIds.map(layoutId => {
+    const key = layoutIds.join(',');
+    const existingId = pipelineLayoutIdsByKey.get(key);
+    if (existingId !== undefined) {
+        pipelineLayoutDescs.get(existingId).refCount++;
+        return existingId;
+    }
+
+    const id = nextPipelineId++;
+    const desc = { layoutIds: layoutIds, key: key, refCount: 1, label: label || `pipeline_layout_${id}` };
+    trackCreated(desc);
+    pipelineLayoutDescs.set(id, desc);
+    pipelineLayoutIdsByKey.set(key, id);
+    if (device) buildPipelineLayout(id, desc);
+    return id;
+}
+
+function buildPipelineLayout(id, desc) {
+    const layouts = desc.layoutIds.map(layoutId => {
         const layout = bindGroupLayouts.get(layoutId);
         if (!layout) {
             console.error(`BindGroupLayout ${layoutId} not found`);
@@ -465,16 +1818,188 @@ export function createPipelineLayout(bindGroupLayoutIds, label) {
 
     const layout = device.createPipelineLayout({
         bindGroupLayouts: validLayouts,
-        label: label || `pipeline_layout_${id}`
+        label: desc.label
     });
 
     pipelineLayouts.set(id, layout);
-    return id;
 }
 
+export function destroyPipelineLayout(layoutId) {
+    const desc = pipelineLayoutDescs.get(layoutId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('pipelineLayout', layoutId, desc);
+    pipelineLayouts.delete(layoutId);
+    pipelineLayoutDescs.delete(layoutId);
+    pipelineLayoutIdsByKey.delete(desc.key);
+}
+
+// Must match Pipeline* in WebGraphicsDriver.Pipelines.cs
+const PIPELINE_PENDING = 0;
+const PIPELINE_READY = 1;
+const PIPELINE_FAILED = -1;
+
+// Returns the ID of an existing pipeline when one with the same descriptor (ignoring the
+// label) exists. Each call must be balanced by destroyRenderPipeline.
 export function createRenderPipeline(descriptor) {
+    const { id, desc, created } = acquireRenderPipeline(descriptor);
+    if (created && device) buildRenderPipeline(id, desc);
+    return id;
+}
+
+// Same as createRenderPipeline but compiles with device.createRenderPipelineAsync. The ID
+// is returned at once; poll getRenderPipelineStatus and skip draws until it is ready.
+export function createRenderPipelineAsync(descriptor) {
+    const { id, desc, created } = acquireRenderPipeline(descriptor);
+    if (created && device) buildRenderPipelineAsync(id, desc);
+    return id;
+}
+
+// Returns PIPELINE_PENDING (0), PIPELINE_READY (1) or PIPELINE_FAILED (-1, also for unknown IDs)
+export function getRenderPipelineStatus(pipelineId) {
+    const desc = renderPipelineDescs.get(pipelineId);
+    return desc ? desc.status : PIPELINE_FAILED;
+}
+
+function acquireRenderPipeline(descriptor) {
+    // Copy the primitive fields so the descriptor can be replayed after device loss
+    const { label, ...fields } = descriptor;
+    const key = JSON.stringify(fields);
+
+    const existingId = renderPipelineIdsByKey.get(key);
+    if (existingId !== undefined) {
+        const existing = renderPipelineDescs.get(existingId);
+        existing.refCount++;
+        return { id: existingId, desc: existing, created: false };
+    }
+
     const id = nextPipelineId++;
+    const desc = { ...fields, label: label, key: key, refCount: 1, status: PIPELINE_PENDING };
+    trackCreated(desc);
+    renderPipelineDescs.set(id, desc);
+    renderPipelineIdsByKey.set(key, id);
+    return { id, desc, created: true };
+}
+
+// Device restore rebuilds synchronously, so this also settles pipelines whose async
+// compile was still running on the lost device
+function buildRenderPipeline(id, descriptor) {
+    const gpuDescriptor = createGPURenderPipelineDescriptor(id, descriptor);
+    const pipeline = withValidationScope(
+        'renderPipeline',
+        gpuDescriptor.label,
+        () => device.createRenderPipeline(gpuDescriptor),
+        () => useErrorPipeline(id, descriptor, gpuDescriptor));
+
+    renderPipelines.set(id, pipeline);
+    descriptor.status = PIPELINE_READY;
+}
+
+async function buildRenderPipelineAsync(id, descriptor) {
+    const targetDevice = device;
+    const gpuDescriptor = createGPURenderPipelineDescriptor(id, descriptor);
+    try {
+        const pipeline = await targetDevice.createRenderPipelineAsync(gpuDescriptor);
+
+        // Destroyed, or rebuilt on a restored device, while compiling
+        if (device !== targetDevice || renderPipelineDescs.get(id) !== descriptor) return;
+
+        renderPipelines.set(id, pipeline);
+        descriptor.status = PIPELINE_READY;
+    } catch (e) {
+        if (device !== targetDevice) return;
+
+        reportDiagnostic('renderPipeline', gpuDescriptor.label, 'error', e.message);
+        useErrorPipeline(id, descriptor, gpuDescriptor);
+    }
+}
+
+// ============================================================================
+// Error Pipelines
+// ============================================================================
+
+// A pipeline that fails to build is swapped for one drawing the same geometry in magenta,
+// so a broken shader is visible instead of rendering nothing. The status stays FAILED.
+const errorShaderModules = new Map(); // `${hasPosition}:${useGlobals}` -> GPUShaderModule
+
+function resetErrorPipelines() {
+    errorShaderModules.clear();
+}
+
+function useErrorPipeline(id, descriptor, gpuDescriptor) {
+    if (renderPipelineDescs.get(id) !== descriptor) return;
+
+    descriptor.status = PIPELINE_FAILED;
+
+    // Draw with position (location 0) when the vertex layout has a float one, projected
+    // by the globals uniform when the layout has it at group 0 binding 0. Otherwise
+    // cover the target with a fullscreen triangle.
+    const hasPosition = gpuDescriptor.vertex.buffers.some(b =>
+        b && b.attributes.some(a => a.shaderLocation === 0 && /^(float|unorm|snorm)/.test(a.format)));
+    const useGlobals = hasPosition && hasVertexGlobals(descriptor.pipelineLayoutId);
+
+    // Only the first target gets the magenta, the others must not expect an output
+    const targets = gpuDescriptor.fragment.targets.map((t, i) => i === 0 ? t : { ...t, writeMask: 0 });
+
+    const module = getErrorShaderModule(hasPosition, useGlobals);
+    const label = `${gpuDescriptor.label}_error`;
+    const pipeline = withValidationScope('renderPipeline', label, () => device.createRenderPipeline({
+        ...gpuDescriptor,
+        vertex: { ...gpuDescriptor.vertex, module: module, entryPoint: 'vs_main' },
+        fragment: { ...gpuDescriptor.fragment, module: module, entryPoint: 'fs_main', targets: targets },
+        label: label
+    }));
+
+    renderPipelines.set(id, pipeline);
+    rebuildRenderBundlesReferencing('renderPipeline', id);
+}
 
+function hasVertexGlobals(pipelineLayoutId) {
+    const layout = pipelineLayoutDescs.get(pipelineLayoutId);
+    const group0 = layout && bindGroupLayoutDescs.get(layout.layoutIds[0]);
+    const entry = group0 && group0.entries.find(e => e.binding === 0);
+    return !!(entry && entry.buffer && (entry.buffer.type || 'uniform') === 'uniform' &&
+        (entry.visibility & GPUShaderStage.VERTEX));
+}
+
+function getErrorShaderModule(hasPosition, useGlobals) {
+    const key = `${hasPosition}:${useGlobals}`;
+    let module = errorShaderModules.get(key);
+    if (module) return module;
+
+    let vertex;
+    if (!hasPosition) {
+        vertex = `
+@vertex fn vs_main(@builtin(vertex_index) index: u32) -> @builtin(position) vec4<f32> {
+    let uv = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+    return vec4<f32>(uv * 2.0 - 1.0, 0.0, 1.0);
+}`;
+    } else if (useGlobals) {
+        vertex = `
+struct Globals { projection: mat4x4<f32>, }
+@group(0) @binding(0) var<uniform> globals: Globals;
+@vertex fn vs_main(@location(0) position: vec4<f32>) -> @builtin(position) vec4<f32> {
+    return globals.projection * vec4<f32>(position.xyz, 1.0);
+}`;
+    } else {
+        vertex = `
+@vertex fn vs_main(@location(0) position: vec4<f32>) -> @builtin(position) vec4<f32> {
+    return vec4<f32>(position.xyz, 1.0);
+}`;
+    }
+
+    module = device.createShaderModule({
+        code: `${vertex}
+@fragment fn fs_main() -> @location(0) vec4<f32> {
+    return vec4<f32>(1.0, 0.0, 1.0, 1.0);
+}`,
+        label: `error_shader_${key}`
+    });
+    errorShaderModules.set(key, module);
+    return module;
+}
+
+function createGPURenderPipelineDescriptor(id, descriptor) {
     // Resolve references
     const vertexModule = shaderModules.get(descriptor.vertexModuleId);
     const fragmentModule = shaderModules.get(descriptor.fragmentModuleId);
@@ -483,21 +2008,13 @@ export function createRenderPipeline(descriptor) {
     // Parse vertex buffers from JSON string (to avoid JSObject proxy issues)
     const vertexBuffers = JSON.parse(descriptor.vertexBuffersJson);
 
-    // Resolve blend mode from string (to avoid JSObject proxy issues)
-    // BlendModes['none'] is null, meaning no blending - we must omit the property entirely
-    const blendMode = descriptor.blendMode || 'none';
-    const blend = BlendModes[blendMode];
+    // Multiple render targets come as JSON (set by setRenderPipelineTargets), otherwise a
+    // single target is built from targetFormat/blendMode
+    const targets = descriptor.targetsJson
+        ? JSON.parse(descriptor.targetsJson).map(t => createColorTargetState(t.format, t.blendMode, t.writeMask))
+        : [createColorTargetState(descriptor.targetFormat, descriptor.blendMode, GPUColorWrite.ALL)];
 
-    // Build target - only include blend if it's defined (null/undefined means no blending)
-    const target = {
-        format: formatMap[descriptor.targetFormat] || descriptor.targetFormat || presentFormat,
-        writeMask: GPUColorWrite.ALL
-    };
-    if (blend) {
-        target.blend = blend;
-    }
-
-    const pipeline = device.createRenderPipeline({
+    const pipelineDescriptor = {
         layout: pipelineLayout,
         vertex: {
             module: vertexModule,
@@ -507,7 +2024,7 @@ export function createRenderPipeline(descriptor) {
         fragment: {
             module: fragmentModule,
             entryPoint: descriptor.fragmentEntryPoint || 'fs_main',
-            targets: [target]
+            targets: targets
         },
         primitive: {
             topology: descriptor.topology || 'triangle-list',
@@ -518,14 +2035,54 @@ export function createRenderPipeline(descriptor) {
             count: descriptor.sampleCount || 1
         },
         label: descriptor.label || `render_pipeline_${id}`
-    });
+    };
 
-    renderPipelines.set(id, pipeline);
-    return id;
+    // Depth/stencil state - only when the pipeline targets a pass with a depth attachment
+    if (descriptor.depthFormat) {
+        const depthFormat = formatMap[descriptor.depthFormat] || descriptor.depthFormat;
+        const stencilFace = {
+            compare: descriptor.stencilCompare || 'always',
+            failOp: descriptor.stencilFailOp || 'keep',
+            depthFailOp: descriptor.stencilDepthFailOp || 'keep',
+            passOp: descriptor.stencilPassOp || 'keep'
+        };
+        pipelineDescriptor.depthStencil = {
+            format: depthFormat,
+            depthWriteEnabled: formatHasDepth(depthFormat) && !!descriptor.depthWriteEnabled,
+            depthCompare: descriptor.depthCompare || 'always',
+            stencilFront: stencilFace,
+            stencilBack: stencilFace,
+            stencilReadMask: descriptor.stencilReadMask ?? 0xFF,
+            stencilWriteMask: descriptor.stencilWriteMask ?? 0xFF
+        };
+    }
+
+    return pipelineDescriptor;
+}
+
+// Resolve blend mode from string (to avoid JSObject proxy issues)
+// BlendModes['none'] is null, meaning no blending - we must omit the property entirely
+function createColorTargetState(format, blendMode, writeMask) {
+    const target = {
+        format: formatMap[format] || format || presentFormat,
+        writeMask: writeMask ?? GPUColorWrite.ALL
+    };
+    const blend = BlendModes[blendMode || 'none'];
+    if (blend) {
+        target.blend = blend;
+    }
+    return target;
 }
 
 export function destroyRenderPipeline(pipelineId) {
+    const desc = renderPipelineDescs.get(pipelineId);
+    if (!desc || --desc.refCount > 0) return;
+
+    trackDestroyed('renderPipeline', pipelineId, desc);
+    invalidateRenderBundles('renderPipeline', pipelineId);
     renderPipelines.delete(pipelineId);
+    renderPipelineDescs.delete(pipelineId);
+    renderPipelineIdsByKey.delete(desc.key);
 }
 
 // ============================================================================
@@ -535,8 +2092,7 @@ export function destroyRenderPipeline(pipelineId) {
 export function createBindGroup(layoutId, entries, label) {
     const id = nextBindGroupId++;
 
-    const layout = bindGroupLayouts.get(layoutId);
-    if (!layout) {
+    if (!bindGroupLayoutDescs.has(layoutId)) {
         console.error(`BindGroupLayout ${layoutId} not found for bind group ${label || id}`);
         return -1;
     }
@@ -544,63 +2100,96 @@ export function createBindGroup(layoutId, entries, label) {
     // Convert to proper JS array if needed (C# arrays may come as array-like objects)
     const entriesArray = Array.isArray(entries) ? entries : Array.from(entries);
 
-    // Resolve resource references in entries
-    const resolvedEntries = entriesArray.map(entry => {
-        const resolved = { binding: entry.binding };
-
-        if (entry.bufferId !== undefined && entry.bufferId !== null) {
-            let buffer = buffers.get(entry.bufferId);
-            if (!buffer) {
-                console.error(`Buffer ${entry.bufferId} not found for binding ${entry.binding}`);
-                return null;
-            }
-            if (buffer.type === 'mesh') {
-                buffer = buffer.vertexBuffer;
-            }
-            resolved.resource = {
-                buffer: buffer,
-                offset: entry.offset || 0,
-                size: entry.size
-            };
-        } else if (entry.textureViewId !== undefined && entry.textureViewId !== null) {
-            const tex = textures.get(entry.textureViewId);
-            if (!tex) {
-                console.error(`Texture ${entry.textureViewId} not found for binding ${entry.binding}`);
-                return null;
-            }
-            resolved.resource = tex.view;
-        } else if (entry.samplerId !== undefined && entry.samplerId !== null) {
-            resolved.resource = entry.samplerId === 1 ? linearSampler : nearestSampler;
-        } else if (entry.useLinearSampler !== undefined && entry.useLinearSampler !== null) {
-            resolved.resource = entry.useLinearSampler ? linearSampler : nearestSampler;
-        } else {
-            console.error(`Entry at binding ${entry.binding} has no recognized resource type`);
-            return null;
-        }
+    const desc = { layoutId: layoutId, entries: entriesArray, fromJson: false, label: label || `bind_group_${id}` };
+    trackCreated(desc);
+    bindGroupDescs.set(id, desc);
+    if (device) buildBindGroup(id, desc);
+    return id;
+}
 
-        return resolved;
-    }).filter(e => e !== null);
+function buildBindGroup(id, desc) {
+    const layout = bindGroupLayouts.get(desc.layoutId);
+    if (!layout) {
+        console.error(`BindGroupLayout ${desc.layoutId} not found for bind group ${desc.label}`);
+        return;
+    }
+
+    if (resourceTrackingEnabled) checkBindGroupReferences(desc);
+
+    // Resolve resource references in entries
+    const resolveEntry = desc.fromJson ? resolveJsonBindGroupEntry : resolveBindGroupEntry;
+    const resolvedEntries = desc.entries.map(resolveEntry).filter(e => e !== null);
 
-    const bindGroup = device.createBindGroup({
+    const bindGroup = withValidationScope('bindGroup', desc.label, () => device.createBindGroup({
         layout: layout,
         entries: resolvedEntries,
-        label: label || `bind_group_${id}`
-    });
+        label: desc.label
+    }));
 
     bindGroups.set(id, bindGroup);
-    return id;
+}
+
+function resolveBindGroupEntry(entry) {
+    const resolved = { binding: entry.binding };
+
+    if (entry.bufferId !== undefined && entry.bufferId !== null) {
+        let buffer = buffers.get(entry.bufferId);
+        if (!buffer) {
+            console.error(`Buffer ${entry.bufferId} not found for binding ${entry.binding}`);
+            return null;
+        }
+        if (buffer.type === 'mesh') {
+            buffer = buffer.vertexBuffer;
+        }
+        resolved.resource = {
+            buffer: buffer,
+            offset: entry.offset || 0,
+            size: entry.size
+        };
+    } else if (entry.textureViewId !== undefined && entry.textureViewId !== null) {
+        const tex = textures.get(entry.textureViewId);
+        if (!tex) {
+            console.error(`Texture ${entry.textureViewId} not found for binding ${entry.binding}`);
+            return null;
+        }
+        resolved.resource = tex.view;
+    } else if (entry.samplerId !== undefined && entry.samplerId !== null) {
+        resolved.resource = resolveSampler(entry.samplerId, entry.binding);
+        if (!resolved.resource) return null;
+    } else if (entry.useLinearSampler !== undefined && entry.useLinearSampler !== null) {
+        resolved.resource = entry.useLinearSampler ? linearSampler : nearestSampler;
+    } else {
+        console.error(`Entry at binding ${entry.binding} has no recognized resource type`);
+        return null;
+    }
+
+    return resolved;
 }
 
 export function destroyBindGroup(bindGroupId) {
+    trackDestroyed('bindGroup', bindGroupId, bindGroupDescs.get(bindGroupId));
+    invalidateRenderBundles('bindGroup', bindGroupId);
     bindGroups.delete(bindGroupId);
+    bindGroupDescs.delete(bindGroupId);
+}
+
+// Bind groups capture GPUBuffer objects, so they must be rebuilt when a buffer is replaced
+function rebuildBindGroupsReferencing(bufferId) {
+    for (const [id, desc] of bindGroupDescs) {
+        if (desc.entries.some(e => e.bufferId === bufferId)) {
+            buildBindGroup(id, desc);
+        }
+    }
+
+    // Bundles are indexed under the buffers of their bind groups too
+    rebuildRenderBundlesReferencing('buffer', bufferId);
 }
 
 // Alternative createBindGroup that takes JSON string (more reliable than JSObject array marshalling)
 export function createBindGroupFromJson(layoutId, entriesJson, label) {
     const id = nextBindGroupId++;
 
-    const layout = bindGroupLayouts.get(layoutId);
-    if (!layout) {
+    if (!bindGroupLayoutDescs.has(layoutId)) {
         console.error(`BindGroupLayout ${layoutId} not found for bind group ${label || id}`);
         return -1;
     }
@@ -614,43 +2203,58 @@ export function createBindGroupFromJson(layoutId, entriesJson, label) {
         return -1;
     }
 
-    // Resolve resource references in entries
-    const resolvedEntries = entries.map(entry => {
-        const resolved = { binding: entry.binding };
-
-        if (entry.type === 'buffer') {
-            let buffer = buffers.get(entry.bufferId);
-            if (!buffer) {
-                console.error(`Buffer ${entry.bufferId} not found for binding ${entry.binding}`);
-                return null;
-            }
-            resolved.resource = {
-                buffer: buffer,
-                offset: entry.offset || 0,
-                size: entry.size
-            };
-        } else if (entry.type === 'texture') {
-            const tex = textures.get(entry.textureId);
-            if (!tex) {
-                console.error(`Texture ${entry.textureId} not found for binding ${entry.binding}`);
-                return null;
-            }
+    const desc = { layoutId: layoutId, entries: entries, fromJson: true, label: label || `bind_group_${id}` };
+    trackCreated(desc);
+    bindGroupDescs.set(id, desc);
+    if (device) buildBindGroup(id, desc);
+    return id;
+}
+
+function resolveJsonBindGroupEntry(entry) {
+    const resolved = { binding: entry.binding };
+
+    if (entry.type === 'buffer' || entry.type === 'storageBuffer') {
+        let buffer = buffers.get(entry.bufferId);
+        if (!buffer) {
+            console.error(`Buffer ${entry.bufferId} not found for binding ${entry.binding}`);
+            return null;
+        }
+        if (buffer.type === 'mesh') {
+            // Lets compute shaders read or write mesh data (e.g. GPU sprite skinning)
+            buffer = entry.meshPart === 'indices' ? buffer.indexBuffer : buffer.vertexBuffer;
+        }
+        resolved.resource = {
+            buffer: buffer,
+            offset: entry.offset || 0,
+            size: entry.size
+        };
+    } else if (entry.type === 'texture' || entry.type === 'storageTexture') {
+        const tex = textures.get(entry.textureId);
+        if (!tex) {
+            console.error(`Texture ${entry.textureId} not found for binding ${entry.binding}`);
+            return null;
+        }
+        if (entry.type === 'storageTexture' && tex.mipLevelCount > 1) {
+            // Storage bindings see exactly one mip; mip 0 here
+            const asArray = tex.isArray && entry.isArray !== false;
+            resolved.resource = tex.texture.createView({
+                dimension: asArray ? '2d-array' : '2d',
+                baseMipLevel: 0, mipLevelCount: 1,
+                arrayLayerCount: asArray ? tex.layers : 1
+            });
+        } else {
             resolved.resource = (entry.isArray === false && tex.view2d) ? tex.view2d : tex.view;
-        } else if (entry.type === 'sampler') {
+        }
+    } else if (entry.type === 'sampler') {
+        if (entry.samplerId !== undefined && entry.samplerId !== null) {
+            resolved.resource = resolveSampler(entry.samplerId, entry.binding);
+            if (!resolved.resource) return null;
+        } else {
             resolved.resource = entry.useLinear ? linearSampler : nearestSampler;
         }
+    }
 
-        return resolved;
-    }).filter(e => e !== null);
-
-    const bindGroup = device.createBindGroup({
-        layout: layout,
-        entries: resolvedEntries,
-        label: label || `bind_group_${id}`
-    });
-
-    bindGroups.set(id, bindGroup);
-    return id;
+    return resolved;
 }
 
 // ============================================================================
@@ -660,6 +2264,8 @@ export function createBindGroupFromJson(layoutId, entriesJson, label) {
 export function beginFrame() {
     if (!device) return false;
 
+    rollFrameStats();
+
     // Check for resize
     checkResize();
 
@@ -668,11 +2274,7 @@ export function beginFrame() {
         currentSurfaceTexture = context.getCurrentTexture();
     } catch (e) {
         // Surface can be lost after tab switch or device loss — reconfigure and retry
-        context.configure({
-            device: device,
-            format: presentFormat,
-            alphaMode: "opaque"
-        });
+        configureContext();
         try {
             currentSurfaceTexture = context.getCurrentTexture();
         } catch (e2) {
@@ -695,15 +2297,190 @@ export function beginFrame() {
 export function endFrame() {
     if (!currentCommandEncoder) return;
 
+    const timestampReadback = resolveFrameTimestamps(currentCommandEncoder);
+    const frameReadbacks = recordQueuedReadbacks(currentCommandEncoder);
+    recordFrameCaptures(currentCommandEncoder, frameReadbacks);
+
     // Submit commands
     const commandBuffer = currentCommandEncoder.finish();
     queue.submit([commandBuffer]);
+    unsubmittedRenderTarget = null;
+    destroyRetiredBuffers();
+    uploadRingOffset = 0;
+
+    if (timestampReadback) readFrameTimestamps(timestampReadback);
+    for (const { ticket, staging } of frameReadbacks) mapReadback(ticket, staging);
 
     currentCommandEncoder = null;
     currentSurfaceTexture = null;
     currentSurfaceTextureView = null;
 }
 
+// ============================================================================
+// Frame Profiler
+// ============================================================================
+
+// Counters accumulate between two beginFrame calls, so uploads made before the frame's
+// encoder exists are still charged to that frame
+const frameStats = { draws: 0, pipelineSwitches: 0, bindGroupSwitches: 0, bytesUploaded: 0 };
+const lastFrameStats = { draws: 0, pipelineSwitches: 0, bindGroupSwitches: 0, bytesUploaded: 0, frame: 0 };
+let frameNumber = 0;
+
+function rollFrameStats() {
+    lastFrameStats.draws = frameStats.draws;
+    lastFrameStats.pipelineSwitches = frameStats.pipelineSwitches;
+    lastFrameStats.bindGroupSwitches = frameStats.bindGroupSwitches;
+    lastFrameStats.bytesUploaded = frameStats.bytesUploaded;
+    lastFrameStats.frame = frameNumber++;
+
+    frameStats.draws = 0;
+    frameStats.pipelineSwitches = 0;
+    frameStats.bindGroupSwitches = 0;
+    frameStats.bytesUploaded = 0;
+
+    framePassLabels.length = 0;
+}
+
+// Counters of the last completed frame
+export function getFrameStats() {
+    return lastFrameStats;
+}
+
+// Pass timings need the 'timestamp-query' feature. Every render pass of a frame writes a
+// begin/end timestamp pair into one query set, which is resolved at endFrame and read back
+// asynchronously, so timings lag the frame they describe by a few frames.
+const MAX_TIMESTAMP_PASSES = 64;
+const TIMESTAMP_READBACK_BUFFERS = 3;
+
+let profilerEnabled = false;
+let timestampQuerySet = null;
+let timestampResolveBuffer = null;
+let timestampReadbacksCreated = 0;
+const timestampReadbackPool = [];
+const framePassLabels = [];
+const passTimings = new Map(); // label -> { ms, count, frame }
+
+export function isTimestampQuerySupported() {
+    return !!device && device.features.has('timestamp-query');
+}
+
+// Returns whether pass timings will be recorded
+export function setProfilerEnabled(enabled) {
+    profilerEnabled = !!enabled;
+    if (!profilerEnabled) passTimings.clear();
+    return profilerEnabled && isTimestampQuerySupported();
+}
+
+function resetTimestampQueries() {
+    timestampQuerySet = null;
+    timestampResolveBuffer = null;
+    timestampReadbacksCreated = 0;
+    timestampReadbackPool.length = 0;
+    framePassLabels.length = 0;
+}
+
+// Returns the timestampWrites for a pass descriptor, or undefined when the pass isn't timed
+function allocatePassTimestamps(label) {
+    if (!profilerEnabled || !isTimestampQuerySupported()) return undefined;
+    if (framePassLabels.length >= MAX_TIMESTAMP_PASSES) return undefined;
+
+    if (!timestampQuerySet) {
+        timestampQuerySet = device.createQuerySet({
+            type: 'timestamp',
+            count: MAX_TIMESTAMP_PASSES * 2,
+            label: 'pass_timestamps'
+        });
+        timestampResolveBuffer = device.createBuffer({
+            size: MAX_TIMESTAMP_PASSES * 16,
+            usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+            label: 'pass_timestamps_resolve'
+        });
+    }
+
+    const index = framePassLabels.length;
+    framePassLabels.push(label);
+    return {
+        querySet: timestampQuerySet,
+        beginningOfPassWriteIndex: index * 2,
+        endOfPassWriteIndex: index * 2 + 1
+    };
+}
+
+// Frames whose readback buffers are all still mapping are skipped rather than stalling
+function resolveFrameTimestamps(encoder) {
+    const passCount = framePassLabels.length;
+    if (passCount === 0 || !timestampQuerySet) return null;
+
+    let buffer = timestampReadbackPool.pop();
+    if (!buffer) {
+        if (timestampReadbacksCreated >= TIMESTAMP_READBACK_BUFFERS) return null;
+        timestampReadbacksCreated++;
+        buffer = device.createBuffer({
+            size: MAX_TIMESTAMP_PASSES * 16,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+            label: 'pass_timestamps_readback'
+        });
+    }
+
+    encoder.resolveQuerySet(timestampQuerySet, 0, passCount * 2, timestampResolveBuffer, 0);
+    encoder.copyBufferToBuffer(timestampResolveBuffer, 0, buffer, 0, passCount * 16);
+
+    return { buffer, labels: framePassLabels.slice(), frame: frameNumber, device };
+}
+
+async function readFrameTimestamps(readback) {
+    const { buffer, labels, frame } = readback;
+    try {
+        await buffer.mapAsync(GPUMapMode.READ, 0, labels.length * 16);
+    } catch (e) {
+        // Device lost while mapping; the buffer goes with it
+        return;
+    }
+
+    const times = new BigUint64Array(buffer.getMappedRange(0, labels.length * 16));
+    const frameTimings = new Map();
+    for (let i = 0; i < labels.length; i++) {
+        const begin = times[i * 2];
+        const end = times[i * 2 + 1];
+        const ms = end > begin ? Number(end - begin) / 1e6 : 0;
+
+        // Passes sharing a label within a frame are summed
+        const timing = frameTimings.get(labels[i]);
+        if (timing) {
+            timing.ms += ms;
+            timing.count++;
+        } else {
+            frameTimings.set(labels[i], { ms, count: 1, frame });
+        }
+    }
+    buffer.unmap();
+
+    if (readback.device === device) {
+        timestampReadbackPool.push(buffer);
+    }
+
+    if (profilerEnabled) {
+        for (const [label, timing] of frameTimings) passTimings.set(label, timing);
+    }
+}
+
+// Labels of every pass with a resolved timing
+export function getPassTimingLabels() {
+    return Array.from(passTimings.keys());
+}
+
+// GPU time in milliseconds of the most recently resolved frame that ran the pass, or -1
+export function getPassTime(label) {
+    const timing = passTimings.get(label);
+    return timing ? timing.ms : -1;
+}
+
+// Frame number (as in getFrameStats) the pass timing was measured in, or -1
+export function getPassTimeFrame(label) {
+    const timing = passTimings.get(label);
+    return timing ? timing.frame : -1;
+}
+
 // ============================================================================
 // Render Pass Management
 // ============================================================================
@@ -713,6 +2490,7 @@ export function beginRenderPass(colorAttachments, depthAttachment, label) {
         console.error("No command encoder - call beginFrame first");
         return false;
     }
+    submitRenderTextureWork();
 
     // Convert to proper JS array if needed (C# arrays may come as array-like objects)
     const attachmentsArray = Array.isArray(colorAttachments) ? colorAttachments : Array.from(colorAttachments);
@@ -746,12 +2524,13 @@ export function beginRenderPass(colorAttachments, depthAttachment, label) {
     // Only include depthStencilAttachment if it's a valid object (not null/undefined/empty proxy)
     const renderPassDescriptor = {
         colorAttachments: resolvedColorAttachments,
-        label: label || 'render_pass'
+        label: label || 'render_pass',
+        timestampWrites: allocatePassTimestamps(label || 'render_pass')
     };
 
-    // Check if depthAttachment is a valid object with required properties
-    if (depthAttachment && typeof depthAttachment === 'object' && depthAttachment.view) {
-        renderPassDescriptor.depthStencilAttachment = depthAttachment;
+    const depthStencilAttachment = resolveDepthStencilAttachment(depthAttachment);
+    if (depthStencilAttachment) {
+        renderPassDescriptor.depthStencilAttachment = depthStencilAttachment;
     }
 
     currentRenderPass = currentCommandEncoder.beginRenderPass(renderPassDescriptor);
@@ -759,6 +2538,55 @@ export function beginRenderPass(colorAttachments, depthAttachment, label) {
     return true;
 }
 
+// Accepts a raw GPURenderPassDepthStencilAttachment (has a view) or an attachment created by
+// createDepthAttachment that references a depth texture or a render texture with depth by ID
+function resolveDepthStencilAttachment(att) {
+    if (!att || typeof att !== 'object') return null;
+
+    if (att.view) return att;
+
+    if (att.textureId === undefined || att.textureId === null || att.textureId <= 0) return null;
+
+    const rt = renderTextures.get(att.textureId);
+    if (rt) {
+        if (!rt.depthView) {
+            console.error(`Render texture ${att.textureId} has no depth attachment`);
+            return null;
+        }
+        return createDepthStencilAttachment(rt.depthView, rt.depthFormat, att);
+    }
+
+    const tex = textures.get(att.textureId);
+    if (!tex || !tex.isDepth) {
+        console.error(`Depth texture ${att.textureId} not found`);
+        return null;
+    }
+    return createDepthStencilAttachment(tex.view, tex.format, att);
+}
+
+// Only the aspects present in the format may carry load/store ops
+function createDepthStencilAttachment(view, gpuFormat, ops) {
+    const attachment = { view: view };
+
+    if (formatHasDepth(gpuFormat)) {
+        if (ops.depthReadOnly) {
+            attachment.depthReadOnly = true;
+        } else {
+            attachment.depthLoadOp = ops.depthLoadOp || 'clear';
+            attachment.depthStoreOp = ops.depthStoreOp || 'store';
+            attachment.depthClearValue = ops.depthClearValue ?? 1.0;
+        }
+    }
+
+    if (formatHasStencil(gpuFormat)) {
+        attachment.stencilLoadOp = ops.stencilLoadOp || 'clear';
+        attachment.stencilStoreOp = ops.stencilStoreOp || 'store';
+        attachment.stencilClearValue = ops.stencilClearValue ?? 0;
+    }
+
+    return attachment;
+}
+
 export function endRenderPass() {
     if (currentRenderPass) {
         currentRenderPass.end();
@@ -791,37 +2619,52 @@ export function setPipeline(pipelineId) {
         const pipeline = renderPipelines.get(pipelineId);
         if (pipeline) {
             currentRenderPass.setPipeline(pipeline);
+            frameStats.pipelineSwitches++;
         }
     }
 }
 
-export function setBindGroup(index, bindGroupId) {
+export function setBindGroup(index, bindGroupId, dynamicOffsets) {
     if (currentRenderPass) {
         const bindGroup = bindGroups.get(bindGroupId);
         if (bindGroup) {
-            currentRenderPass.setBindGroup(index, bindGroup);
+            currentRenderPass.setBindGroup(index, bindGroup, dynamicOffsets || []);
+            frameStats.bindGroupSwitches++;
         }
     }
 }
 
 export function setVertexBuffer(slot, meshId) {
     if (currentRenderPass) {
-        const mesh = buffers.get(meshId);
-        if (mesh && mesh.type === 'mesh') {
-            currentRenderPass.setVertexBuffer(slot, mesh.vertexBuffer);
+        const vertexBuffer = resolveVertexBuffer(meshId);
+        if (vertexBuffer) {
+            currentRenderPass.setVertexBuffer(slot, vertexBuffer);
         }
     }
 }
 
+// Vertex data can come from a mesh or from a plain buffer (e.g. one written by a compute pass)
+function resolveVertexBuffer(bufferId) {
+    const buffer = buffers.get(bufferId);
+    if (!buffer) return null;
+    return buffer.type === 'mesh' ? buffer.vertexBuffer : buffer;
+}
+
 export function setIndexBuffer(meshId) {
     if (currentRenderPass) {
         const mesh = buffers.get(meshId);
         if (mesh && mesh.type === 'mesh') {
-            currentRenderPass.setIndexBuffer(mesh.indexBuffer, 'uint16');
+            currentRenderPass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
         }
     }
 }
 
+export function setStencilReference(reference) {
+    if (currentRenderPass) {
+        currentRenderPass.setStencilReference(reference);
+    }
+}
+
 export function drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, firstInstance) {
     if (currentRenderPass) {
         currentRenderPass.drawIndexed(
@@ -831,6 +2674,7 @@ export function drawIndexed(indexCount, instanceCount, firstIndex, baseVertex, f
             baseVertex || 0,
             firstInstance || 0
         );
+        frameStats.draws++;
     } else {
         console.warn('drawIndexed called without active render pass!');
     }
@@ -844,68 +2688,663 @@ export function draw(vertexCount, instanceCount, firstVertex, firstInstance) {
             firstVertex || 0,
             firstInstance || 0
         );
+        frameStats.draws++;
+    }
+}
+
+export function drawIndirect(bufferId, offset) {
+    if (currentRenderPass) {
+        const buffer = buffers.get(bufferId);
+        if (buffer) {
+            currentRenderPass.drawIndirect(buffer, offset || 0);
+            frameStats.draws++;
+        }
+    }
+}
+
+export function drawIndexedIndirect(bufferId, offset) {
+    if (currentRenderPass) {
+        const buffer = buffers.get(bufferId);
+        if (buffer) {
+            currentRenderPass.drawIndexedIndirect(buffer, offset || 0);
+            frameStats.draws++;
+        }
+    }
+}
+
+export function setBlendConstant(r, g, b, a) {
+    if (currentRenderPass) {
+        currentRenderPass.setBlendConstant({ r, g, b, a });
+    }
+}
+
+// ============================================================================
+// Compute
+// ============================================================================
+
+let currentComputePass = null;
+let computeEncoder = null;
+let computeEncoderOwned = false;
+
+export function createComputePipeline(moduleId, pipelineLayoutId, entryPoint, label) {
+    const id = nextPipelineId++;
+    const desc = {
+        moduleId: moduleId,
+        pipelineLayoutId: pipelineLayoutId,
+        entryPoint: entryPoint || 'cs_main',
+        label: label || `compute_pipeline_${id}`
+    };
+    trackCreated(desc);
+    computePipelineDescs.set(id, desc);
+    if (device) buildComputePipeline(id, desc);
+    return id;
+}
+
+function buildComputePipeline(id, desc) {
+    const module = shaderModules.get(desc.moduleId);
+    if (!module) {
+        console.error(`Shader module ${desc.moduleId} not found for ${desc.label}`);
+        return;
+    }
+
+    const pipeline = withValidationScope('computePipeline', desc.label, () => device.createComputePipeline({
+        layout: pipelineLayouts.get(desc.pipelineLayoutId) || 'auto',
+        compute: {
+            module: module,
+            entryPoint: desc.entryPoint
+        },
+        label: desc.label
+    }));
+
+    computePipelines.set(id, pipeline);
+}
+
+export function destroyComputePipeline(pipelineId) {
+    trackDestroyed('computePipeline', pipelineId, computePipelineDescs.get(pipelineId));
+    computePipelines.delete(pipelineId);
+    computePipelineDescs.delete(pipelineId);
+}
+
+export function beginComputePass(label) {
+    if (!device) return false;
+
+    if (currentRenderPass) {
+        console.error('beginComputePass: a render pass is still open');
+        return false;
+    }
+
+    if (currentComputePass) {
+        console.error('beginComputePass: a compute pass is already open');
+        return false;
+    }
+
+    // Inside a frame the pass is recorded on the frame encoder, in order with the
+    // render passes. Outside a frame it gets its own encoder, submitted by endComputePass.
+    submitRenderTextureWork();
+    computeEncoderOwned = !currentCommandEncoder;
+    computeEncoder = currentCommandEncoder || device.createCommandEncoder({
+        label: 'compute_command_encoder'
+    });
+
+    currentComputePass = computeEncoder.beginComputePass({
+        label: label || 'compute_pass'
+    });
+
+    return true;
+}
+
+export function endComputePass() {
+    if (!currentComputePass) return;
+
+    currentComputePass.end();
+    currentComputePass = null;
+
+    if (computeEncoderOwned && queue) {
+        queue.submit([computeEncoder.finish()]);
+    }
+
+    computeEncoder = null;
+    computeEncoderOwned = false;
+}
+
+export function setComputePipeline(pipelineId) {
+    markUsed('computePipeline', pipelineId, 'setComputePipeline');
+    if (currentComputePass) {
+        const pipeline = computePipelines.get(pipelineId);
+        if (pipeline) {
+            currentComputePass.setPipeline(pipeline);
+        }
+    }
+}
+
+export function setComputeBindGroup(index, bindGroupId) {
+    markUsed('bindGroup', bindGroupId, 'setComputeBindGroup');
+    if (currentComputePass) {
+        const bindGroup = bindGroups.get(bindGroupId);
+        if (bindGroup) {
+            currentComputePass.setBindGroup(index, bindGroup);
+        }
+    }
+}
+
+export function dispatchWorkgroups(x, y, z) {
+    if (currentComputePass) {
+        currentComputePass.dispatchWorkgroups(x, y || 1, z || 1);
+    } else {
+        console.warn('dispatchWorkgroups called without active compute pass!');
+    }
+}
+
+// Indirect args are three uint32 workgroup counts (x, y, z) at offset in a buffer created with INDIRECT usage
+export function dispatchWorkgroupsIndirect(bufferId, offset) {
+    if (!currentComputePass) {
+        console.warn('dispatchWorkgroupsIndirect called without active compute pass!');
+        return;
+    }
+
+    const buffer = buffers.get(bufferId);
+    if (!buffer || buffer.type === 'mesh') {
+        console.error(`Indirect buffer ${bufferId} not found`);
+        return;
     }
+
+    currentComputePass.dispatchWorkgroupsIndirect(buffer, offset || 0);
 }
 
 // ============================================================================
 // Command Buffer Replay
 // ============================================================================
 
-const CMD_SET_PIPELINE = 1;
-const CMD_SET_BIND_GROUP = 2;
-const CMD_SET_VERTEX_BUF = 3;
-const CMD_SET_INDEX_BUF = 4;
-const CMD_SET_SCISSOR = 5;
-const CMD_DRAW_INDEXED = 6;
-const CMD_SET_VIEWPORT = 7;
+// Bump whenever an opcode is added or its arguments change. The C# driver checks it
+// against its own copy at init (WebGraphicsDriver.CommandProtocolVersion).
+const COMMAND_PROTOCOL_VERSION = 3;
+
+// Opcode table — every argument is one int32 slot
+//
+//  v1
+const CMD_SET_PIPELINE = 1;              // pipelineId
+const CMD_SET_BIND_GROUP = 2;            // slot, bindGroupId
+const CMD_SET_VERTEX_BUF = 3;            // slot, meshId | bufferId
+const CMD_SET_INDEX_BUF = 4;             // meshId
+const CMD_SET_SCISSOR = 5;               // x, y, w, h
+const CMD_DRAW_INDEXED = 6;              // indexCount, instanceCount, firstIndex, baseVertex, firstInstance
+const CMD_SET_VIEWPORT = 7;              // x, y, w, h
+//  v2
+const CMD_SET_STENCIL_REF = 8;           // reference
+const CMD_DRAW = 9;                      // vertexCount, instanceCount, firstVertex, firstInstance
+const CMD_DRAW_INDIRECT = 10;            // bufferId, byteOffset
+const CMD_DRAW_INDEXED_INDIRECT = 11;    // bufferId, byteOffset
+const CMD_SET_BLEND_CONSTANT = 12;       // r, g, b, a (float32 bits)
+const CMD_SET_BIND_GROUP_DYNAMIC = 13;   // slot, bindGroupId, offsetCount, offsets[offsetCount]
+const CMD_WRITE_BUFFER = 14;             // bufferId, byteOffset, byteLength, data[ceil(byteLength / 4)]
+//  v3
+const CMD_EXECUTE_BUNDLE = 15;           // bundleId
+
+export function getCommandProtocolVersion() {
+    return COMMAND_PROTOCOL_VERSION;
+}
 
+// Outside a pass the buffer may only hold inline buffer writes, see replayBufferWrites
 export function executeCommandBuffer(buffer, count) {
-    if (!currentRenderPass) return;
-    const rp = currentRenderPass;
-
-    // Materialize WASM MemoryView into a real Uint8Array, then read as Int32Array
+    // Materialize WASM MemoryView into a real Uint8Array
     const bytes = new Uint8Array(buffer.slice());
-    const view = new Int32Array(bytes.buffer);
+    if (currentRenderPass) {
+        replayCommands(currentRenderPass, frameStats, bytes, 0, count);
+    } else {
+        replayBufferWrites(bytes, 0, count);
+    }
+}
 
-    let i = 0;
-    while (i < count) {
+// Replays straight out of the WASM heap. Returns false if the heap can't be accessed so
+// the caller can fall back to executeCommandBuffer.
+export function executeCommandBufferHeap(ptr, count) {
+    const heap = getHeapView(ptr, count * 4);
+    if (!heap) return false;
+    if (currentRenderPass) {
+        replayCommands(currentRenderPass, frameStats, heap, ptr, count);
+    } else {
+        replayBufferWrites(heap, ptr, count);
+    }
+    return true;
+}
+
+// Int32/Float32/Uint32 views over the memory commands are replayed from. They cover the
+// whole ArrayBuffer and are only recreated when it changes (a fresh copy, or the WASM
+// memory growing), so replays index them from byteOffset >> 2.
+const commandViews = { buffer: null, ints: null, floats: null, uints: null };
+
+function getCommandViews(buffer) {
+    if (commandViews.buffer !== buffer) {
+        const length = buffer.byteLength >> 2;
+        commandViews.buffer = buffer;
+        commandViews.ints = new Int32Array(buffer, 0, length);
+        commandViews.floats = new Float32Array(buffer, 0, length);
+        commandViews.uints = new Uint32Array(buffer, 0, length);
+    }
+    return commandViews;
+}
+
+// Inline buffer writes recorded between passes. Each payload is staged in the upload ring
+// and copied to its target on the frame encoder, so passes recorded before the write still
+// see the old contents and later ones the new. Outside a frame nothing is pending, so the
+// write goes straight to the queue.
+function replayBufferWrites(bytes, byteOffset, count) {
+    const view = getCommandViews(bytes.buffer).ints;
+    const start = byteOffset >> 2;
+    const end = start + count;
+
+    if (resourceTrackingEnabled) trackCommandUsage(view.subarray(start, end), count);
+
+    let i = start;
+    while (i < end) {
+        if (view[i++] !== CMD_WRITE_BUFFER) {
+            console.error('Only inline buffer writes can be replayed outside a pass, opcode', view[i - 1], 'at index', i - 1 - start);
+            return;
+        }
+
+        const targetId = view[i++];
+        const target = buffers.get(targetId);
+        const offset = view[i++];
+        const byteLength = view[i++];
+        const dataOffset = i * 4;
+        i += (byteLength + 3) >> 2;
+
+        if (!target || !queue) continue;
+        if (currentComputePass) {
+            console.error('Inline buffer writes must be recorded between passes, skipped');
+            continue;
+        }
+
+        if (currentCommandEncoder) {
+            const staging = allocateUploadRange(byteLength);
+            queue.writeBuffer(staging.buffer, staging.offset, bytes, dataOffset, byteLength);
+            currentCommandEncoder.copyBufferToBuffer(staging.buffer, staging.offset, target, offset, byteLength);
+        } else {
+            queue.writeBuffer(target, offset, bytes, dataOffset, byteLength);
+        }
+        shadowBufferWrite(bufferDescs.get(targetId), offset, bytes, dataOffset, byteLength);
+        frameStats.bytesUploaded += byteLength;
+    }
+}
+
+// Staging space for replayBufferWrites. Ranges are handed out once per frame encoder and
+// the ring rewinds when the frame is submitted: queue order runs the next frame's staging
+// writes after this frame's copies. A full ring is retired and replaced by one twice as big.
+const UPLOAD_RING_MIN_SIZE = 64 * 1024;
+let uploadRing = null;
+let uploadRingOffset = 0;
+
+function allocateUploadRange(size) {
+    if (!uploadRing || uploadRingOffset + size > uploadRing.size) {
+        const ringSize = Math.max(UPLOAD_RING_MIN_SIZE, uploadRing ? uploadRing.size * 2 : 0, align4(size));
+        if (uploadRing) retiredBuffers.push(uploadRing);
+        uploadRing = device.createBuffer({
+            size: ringSize,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+            label: 'upload_ring'
+        });
+        uploadRingOffset = 0;
+    }
+
+    const range = { buffer: uploadRing, offset: uploadRingOffset };
+    uploadRingOffset += align4(size);
+    return range;
+}
+
+// False after a CMD_SET_PIPELINE whose pipeline doesn't exist (failed without an error
+// pipeline, or destroyed). Draws are skipped until the next pipeline rather than running
+// with the previous one. Every pass and bundle sets a pipeline before its first draw.
+let pipelineBound = false;
+
+// rp is the render pass or render bundle encoder to record into. bytes must start at
+// offset 0 of its ArrayBuffer; byteOffset (4 byte aligned) is where the commands start.
+// Int32/Float32/Uint32 views share the same memory.
+function replayCommands(rp, stats, bytes, byteOffset, count) {
+    const { ints: view, floats, uints } = getCommandViews(bytes.buffer);
+    const start = byteOffset >> 2;
+    const end = start + count;
+
+    if (resourceTrackingEnabled) trackCommandUsage(view.subarray(start, end), count);
+
+    let i = start;
+    while (i < end) {
         switch (view[i++]) {
             case CMD_SET_PIPELINE: {
                 const pipeline = renderPipelines.get(view[i++]);
-                if (pipeline) rp.setPipeline(pipeline);
+                pipelineBound = !!pipeline;
+                if (pipeline) {
+                    rp.setPipeline(pipeline);
+                    stats.pipelineSwitches++;
+                }
                 break;
             }
             case CMD_SET_BIND_GROUP: {
                 const slot = view[i++];
                 const bg = bindGroups.get(view[i++]);
-                if (bg) rp.setBindGroup(slot, bg);
+                if (bg) {
+                    rp.setBindGroup(slot, bg);
+                    stats.bindGroupSwitches++;
+                }
                 break;
             }
             case CMD_SET_VERTEX_BUF: {
                 const slot = view[i++];
+                const vertexBuffer = resolveVertexBuffer(view[i++]);
+                if (vertexBuffer) rp.setVertexBuffer(slot, vertexBuffer);
+                break;
+            }
+            case CMD_SET_INDEX_BUF: {
                 const mesh = buffers.get(view[i++]);
-                if (mesh && mesh.type === 'mesh') rp.setVertexBuffer(slot, mesh.vertexBuffer);
+                if (mesh && mesh.type === 'mesh') rp.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+                break;
+            }
+            case CMD_SET_SCISSOR:
+                rp.setScissorRect(view[i++], view[i++], view[i++], view[i++]);
+                break;
+            case CMD_DRAW_INDEXED:
+                if (!pipelineBound) {
+                    i += 5;
+                    break;
+                }
+                rp.drawIndexed(view[i++], view[i++], view[i++], view[i++], view[i++]);
+                stats.draws++;
+                break;
+            case CMD_SET_VIEWPORT:
+                rp.setViewport(view[i++], view[i++], view[i++], view[i++], 0, 1);
+                break;
+            case CMD_SET_STENCIL_REF:
+                rp.setStencilReference(view[i++]);
+                break;
+            case CMD_DRAW:
+                if (!pipelineBound) {
+                    i += 4;
+                    break;
+                }
+                rp.draw(view[i++], view[i++], view[i++], view[i++]);
+                stats.draws++;
+                break;
+            case CMD_DRAW_INDIRECT: {
+                const indirectBuffer = buffers.get(view[i++]);
+                const offset = view[i++];
+                if (indirectBuffer && pipelineBound) {
+                    rp.drawIndirect(indirectBuffer, offset);
+                    stats.draws++;
+                }
+                break;
+            }
+            case CMD_DRAW_INDEXED_INDIRECT: {
+                const indirectBuffer = buffers.get(view[i++]);
+                const offset = view[i++];
+                if (indirectBuffer && pipelineBound) {
+                    rp.drawIndexedIndirect(indirectBuffer, offset);
+                    stats.draws++;
+                }
+                break;
+            }
+            case CMD_SET_BLEND_CONSTANT:
+                rp.setBlendConstant({ r: floats[i++], g: floats[i++], b: floats[i++], a: floats[i++] });
+                break;
+            case CMD_SET_BIND_GROUP_DYNAMIC: {
+                const slot = view[i++];
+                const bg = bindGroups.get(view[i++]);
+                const offsetCount = view[i++];
+                if (bg) {
+                    rp.setBindGroup(slot, bg, uints, i, offsetCount);
+                    stats.bindGroupSwitches++;
+                }
+                i += offsetCount;
+                break;
+            }
+            case CMD_WRITE_BUFFER:
+                // A copy can't be recorded while a pass is open, and a queue write would land
+                // before every draw of the submit; see replayBufferWrites
+                console.error('Inline buffer writes must be recorded between passes, skipped');
+                i += 3 + ((view[i + 2] + 3) >> 2);
+                break;
+            case CMD_EXECUTE_BUNDLE: {
+                const bundleId = view[i++];
+                const bundle = renderBundles.get(bundleId);
+                if (bundle) {
+                    rp.executeBundles([bundle]);
+                    addRenderBundleStats(stats, renderBundleDescs.get(bundleId));
+                }
+                break;
+            }
+            default:
+                console.error('Unknown command buffer opcode:', view[i - 1], 'at index', i - 1 - start, 'count', count);
+                return;
+        }
+    }
+}
+
+// Steps through a command buffer, calling visit(opcode, kind, id) for every command with
+// the resource it references (kind is null for commands without one). Returns false at
+// an unknown opcode.
+function walkCommands(view, count, visit) {
+    let i = 0;
+    while (i < count) {
+        const opcode = view[i++];
+        switch (opcode) {
+            case CMD_SET_PIPELINE:
+                visit(opcode, 'renderPipeline', view[i++]);
+                break;
+            case CMD_SET_BIND_GROUP:
+                visit(opcode, 'bindGroup', view[i + 1]);
+                i += 2;
+                break;
+            case CMD_SET_VERTEX_BUF:
+                visit(opcode, 'buffer', view[i + 1]);
+                i += 2;
+                break;
+            case CMD_SET_INDEX_BUF:
+                visit(opcode, 'buffer', view[i++]);
+                break;
+            case CMD_DRAW_INDIRECT:
+            case CMD_DRAW_INDEXED_INDIRECT:
+                visit(opcode, 'buffer', view[i]);
+                i += 2;
                 break;
-            }
-            case CMD_SET_INDEX_BUF: {
-                const mesh = buffers.get(view[i++]);
-                if (mesh && mesh.type === 'mesh') rp.setIndexBuffer(mesh.indexBuffer, 'uint16');
+            case CMD_SET_BIND_GROUP_DYNAMIC:
+                visit(opcode, 'bindGroup', view[i + 1]);
+                i += 3 + view[i + 2];
                 break;
-            }
-            case CMD_SET_SCISSOR:
-                rp.setScissorRect(view[i++], view[i++], view[i++], view[i++]);
+            case CMD_WRITE_BUFFER:
+                visit(opcode, 'buffer', view[i]);
+                i += 3 + ((view[i + 2] + 3) >> 2);
                 break;
-            case CMD_DRAW_INDEXED:
-                rp.drawIndexed(view[i++], view[i++], view[i++], view[i++], view[i++]);
+            case CMD_EXECUTE_BUNDLE:
+                visit(opcode, 'renderBundle', view[i++]);
                 break;
+            case CMD_SET_STENCIL_REF:
+                visit(opcode, null, 0);
+                i += 1;
+                break;
+            case CMD_SET_SCISSOR:
             case CMD_SET_VIEWPORT:
-                rp.setViewport(view[i++], view[i++], view[i++], view[i++], 0, 1);
+            case CMD_SET_BLEND_CONSTANT:
+            case CMD_DRAW:
+                visit(opcode, null, 0);
+                i += 4;
+                break;
+            case CMD_DRAW_INDEXED:
+                visit(opcode, null, 0);
+                i += 5;
                 break;
             default:
-                console.error('Unknown command buffer opcode:', view[i - 1], 'at index', i - 1, 'count', count);
-                return;
+                return false;
+        }
+    }
+    return true;
+}
+
+// ============================================================================
+// Render Bundles
+// ============================================================================
+
+// A render bundle is a recorded command buffer that a pass replays with one
+// CMD_EXECUTE_BUNDLE. The commands are kept so the bundle can be re-recorded when an
+// object it captured is replaced (mesh growth, error pipelines, device restore).
+// Destroying a pipeline, buffer, mesh, bind group, texture or sampler it references
+// invalidates it; executing an invalid bundle draws nothing.
+
+// Pass state (viewport, scissor, stencil reference, blend constant) and queue writes
+// can't be recorded into a bundle
+const renderBundleOpcodes = new Set([
+    CMD_SET_PIPELINE,
+    CMD_SET_BIND_GROUP,
+    CMD_SET_VERTEX_BUF,
+    CMD_SET_INDEX_BUF,
+    CMD_DRAW_INDEXED,
+    CMD_DRAW,
+    CMD_DRAW_INDIRECT,
+    CMD_DRAW_INDEXED_INDIRECT,
+    CMD_SET_BIND_GROUP_DYNAMIC
+]);
+
+const renderBundleIdsByResource = new Map(); // `${kind}:${id}` -> Set of bundle IDs
+
+// commands is a MemoryView of count int32 slots. colorFormats (one per color attachment),
+// depthFormat and sampleCount must match the passes the bundle is executed in.
+// Returns -1 if the commands can't be recorded into a bundle.
+export function createRenderBundle(commands, count, colorFormats, depthFormat, sampleCount, label) {
+    const id = nextRenderBundleId++;
+    label = label || `render_bundle_${id}`;
+
+    // Materialize WASM MemoryView into a real Uint8Array that the bundle keeps
+    const bytes = new Uint8Array(commands.slice());
+    const view = new Int32Array(bytes.buffer, 0, count);
+
+    // Direct references plus the resources of referenced bind groups
+    const refs = [];
+    const refKeys = new Set();
+    const addRef = (kind, refId) => {
+        const key = `${kind}:${refId}`;
+        if (refKeys.has(key)) return;
+        refKeys.add(key);
+        refs.push([kind, refId]);
+    };
+
+    let invalidOpcode = 0;
+    const wellFormed = walkCommands(view, count, (opcode, kind, refId) => {
+        if (!renderBundleOpcodes.has(opcode)) {
+            invalidOpcode = invalidOpcode || opcode;
+            return;
+        }
+        if (!kind) return;
+
+        addRef(kind, refId);
+        const bindGroupDesc = kind === 'bindGroup' && bindGroupDescs.get(refId);
+        if (bindGroupDesc) forEachBindGroupReference(bindGroupDesc, addRef);
+    });
+
+    if (!wellFormed) {
+        console.error(`Render bundle ${label} has a malformed command buffer`);
+        return -1;
+    }
+    if (invalidOpcode) {
+        console.error(`Render bundle ${label} can't record command buffer opcode ${invalidOpcode}`);
+        return -1;
+    }
+
+    const desc = {
+        bytes, count, refs, label,
+        colorFormats: colorFormats.map(f => formatMap[f] || f),
+        depthFormat: depthFormat ? (formatMap[depthFormat] || depthFormat) : null,
+        sampleCount: sampleCount || 1,
+        stats: { draws: 0, pipelineSwitches: 0, bindGroupSwitches: 0, bytesUploaded: 0 },
+        valid: true
+    };
+    trackCreated(desc);
+    renderBundleDescs.set(id, desc);
+
+    for (const key of refKeys) {
+        let ids = renderBundleIdsByResource.get(key);
+        if (!ids) {
+            ids = new Set();
+            renderBundleIdsByResource.set(key, ids);
         }
+        ids.add(id);
+    }
+
+    if (device) buildRenderBundle(id, desc);
+    return id;
+}
+
+function buildRenderBundle(id, desc) {
+    if (!desc.valid) return;
+
+    const stats = desc.stats;
+    stats.draws = stats.pipelineSwitches = stats.bindGroupSwitches = 0;
+
+    const bundle = withValidationScope('renderBundle', desc.label, () => {
+        const encoder = device.createRenderBundleEncoder({
+            colorFormats: desc.colorFormats,
+            depthStencilFormat: desc.depthFormat || undefined,
+            sampleCount: desc.sampleCount,
+            label: desc.label
+        });
+        // A bundle may be built while a pass is open; keep that pass's pipeline state
+        const passPipelineBound = pipelineBound;
+        replayCommands(encoder, stats, desc.bytes, 0, desc.count);
+        pipelineBound = passPipelineBound;
+        return encoder.finish({ label: desc.label });
+    });
+
+    renderBundles.set(id, bundle);
+}
+
+function addRenderBundleStats(stats, desc) {
+    stats.draws += desc.stats.draws;
+    stats.pipelineSwitches += desc.stats.pipelineSwitches;
+    stats.bindGroupSwitches += desc.stats.bindGroupSwitches;
+}
+
+function invalidateRenderBundles(kind, id) {
+    const key = `${kind}:${id}`;
+    const ids = renderBundleIdsByResource.get(key);
+    if (!ids) return;
+
+    for (const bundleId of ids) {
+        const desc = renderBundleDescs.get(bundleId);
+        if (!desc || !desc.valid) continue;
+
+        desc.valid = false;
+        renderBundles.delete(bundleId);
+    }
+    renderBundleIdsByResource.delete(key);
+}
+
+// Re-records bundles that captured a GPU object which was just replaced under the same ID
+function rebuildRenderBundlesReferencing(kind, id) {
+    const ids = renderBundleIdsByResource.get(`${kind}:${id}`);
+    if (!ids || !device) return;
+
+    for (const bundleId of ids) {
+        const desc = renderBundleDescs.get(bundleId);
+        if (desc) buildRenderBundle(bundleId, desc);
+    }
+}
+
+// False once something the bundle references was destroyed. Re-record it to draw again.
+export function isRenderBundleValid(bundleId) {
+    const desc = renderBundleDescs.get(bundleId);
+    return !!desc && desc.valid;
+}
+
+export function destroyRenderBundle(bundleId) {
+    const desc = renderBundleDescs.get(bundleId);
+    if (!desc) return;
+
+    trackDestroyed('renderBundle', bundleId, desc);
+    for (const [kind, id] of desc.refs) {
+        const key = `${kind}:${id}`;
+        const ids = renderBundleIdsByResource.get(key);
+        if (!ids) continue;
+        ids.delete(bundleId);
+        if (ids.size === 0) renderBundleIdsByResource.delete(key);
     }
+    renderBundles.delete(bundleId);
+    renderBundleDescs.delete(bundleId);
 }
 
 // ============================================================================
@@ -917,21 +3356,41 @@ export function executeCommandBuffer(buffer, count) {
 // ============================================================================
 
 const renderTextures = new Map();
-const readbackResults = new Map();
 let currentRenderTexturePass = null;
+let currentRenderTextureTarget = null; // 'rt:<id>' or 'group:<id>' while a pass is open
+
+// storage adds STORAGE_BINDING to the (single-sampled) resolve texture so compute
+// shaders can write it
+export function createRenderTexture(width, height, format, sampleCount, label, depthFormat, storage) {
+    if (storage && !validateStorageFormat(formatMap[format] || 'rgba8unorm', label)) return -1;
 
-export function createRenderTexture(width, height, format, sampleCount, label) {
     // Allocate from shared texture ID space so RT can be used with bind groups
     const id = nextTextureId++;
-    const gpuFormat = formatMap[format] || 'rgba8unorm';
+    const desc = {
+        type: 'renderTexture',
+        width, height, format, sampleCount,
+        depthFormat: depthFormat || null,
+        storage: !!storage,
+        label: label || `render_texture_${id}`
+    };
+    trackCreated(desc);
+    textureDescs.set(id, desc);
+    if (device) buildTexture(id, desc);
+    return id;
+}
+
+function buildRenderTexture(id, desc) {
+    const { width, height, sampleCount, label } = desc;
+    const gpuFormat = formatMap[desc.format] || 'rgba8unorm';
     const msaa = sampleCount > 1;
 
     // Resolve texture (SampleCount=1) - used for sampling, readback, and as MSAA resolve target
     const texture = device.createTexture({
         size: { width, height, depthOrArrayLayers: 1 },
         format: gpuFormat,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC | GPUTextureUsage.TEXTURE_BINDING,
-        label: label || `render_texture_${id}`
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC | GPUTextureUsage.TEXTURE_BINDING |
+            (desc.storage ? GPUTextureUsage.STORAGE_BINDING : 0),
+        label: label
     });
 
     // D2 view for resolve target (when MSAA) or direct attachment (when no MSAA)
@@ -946,16 +3405,35 @@ export function createRenderTexture(width, height, format, sampleCount, label) {
             format: gpuFormat,
             sampleCount: sampleCount,
             usage: GPUTextureUsage.RENDER_ATTACHMENT,
-            label: (label || `render_texture_${id}`) + '_msaa'
+            label: label + '_msaa'
         });
         msaaView = msaaTexture.createView({ format: gpuFormat, dimension: '2d' });
     }
 
+    // Optional depth/stencil attachment (sample count must match the color attachment)
+    let depthTexture = null;
+    let depthView = null;
+    let depthFormat = null;
+    if (desc.depthFormat) {
+        depthFormat = formatMap[desc.depthFormat] || desc.depthFormat;
+        depthTexture = device.createTexture({
+            size: { width, height, depthOrArrayLayers: 1 },
+            format: depthFormat,
+            sampleCount: sampleCount,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+            label: label + '_depth'
+        });
+        depthView = depthTexture.createView({ dimension: '2d' });
+    }
+
     renderTextures.set(id, {
         texture: texture,
         view: view,
         msaaTexture: msaaTexture,
         msaaView: msaaView,
+        depthTexture: depthTexture,
+        depthView: depthView,
+        depthFormat: depthFormat,
         sampleCount: sampleCount,
         width: width,
         height: height,
@@ -975,41 +3453,79 @@ export function createRenderTexture(width, height, format, sampleCount, label) {
         layers: 1,
         isArray: true
     });
-
-    return id;
 }
 
 export function destroyRenderTexture(textureId) {
+    trackDestroyed('texture', textureId, textureDescs.get(textureId));
+    invalidateRenderBundles('texture', textureId);
     const rt = renderTextures.get(textureId);
     if (rt) {
         if (rt.msaaTexture) {
             rt.msaaTexture.destroy();
         }
+        if (rt.depthTexture) {
+            rt.depthTexture.destroy();
+        }
         rt.texture.destroy();
         renderTextures.delete(textureId);
     }
     textures.delete(textureId);
+    textureDescs.delete(textureId);
 }
 
-export function beginRenderTexturePass(textureId, clearR, clearG, clearB, clearA) {
+// loadOp/storeOp default to 'clear'/'store'; the depth and stencil load ops default to the
+// color loadOp and their store ops to 'store', clearing to 1.0 and 0. Passes that load need
+// the previous pass to have stored.
+export function beginRenderTexturePass(textureId, clearR, clearG, clearB, clearA, loadOp, storeOp,
+    depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue) {
+    markUsed('texture', textureId, 'beginRenderTexturePass');
     const rt = renderTextures.get(textureId);
     if (!rt || !currentCommandEncoder) {
         console.error(`beginRenderTexturePass: render texture ${textureId} not found or no command encoder`);
         return;
     }
 
+    submitRenderTextureWork(`rt:${textureId}`);
     currentRenderTexturePass = rt;
+    currentRenderTextureTarget = `rt:${textureId}`;
+    const label = textureDescs.get(textureId).label;
+    const colorLoadOp = loadOp || 'clear';
+
+    const renderPassDescriptor = {
+        colorAttachments: [createRenderTextureColorAttachment(rt, colorLoadOp, storeOp, { r: clearR, g: clearG, b: clearB, a: clearA })],
+        label: label,
+        timestampWrites: allocatePassTimestamps(label)
+    };
+
+    if (rt.depthView) {
+        renderPassDescriptor.depthStencilAttachment = createRenderTextureDepthAttachment(rt, colorLoadOp,
+            { depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue });
+    }
+
+    currentRenderPass = currentCommandEncoder.beginRenderPass(renderPassDescriptor);
+}
+
+// MSAA attachments always resolve into the sampled texture; storeOp only decides whether
+// the multisampled contents survive for a later 'load'. Without an explicit storeOp they
+// are discarded after a clear and kept after a load, so a pass that clears and is resumed
+// later must ask for 'store'.
+function createRenderTextureColorAttachment(rt, loadOp, storeOp, clearValue) {
     const msaa = rt.sampleCount > 1;
+    return {
+        view: msaa ? rt.msaaView : rt.view,
+        resolveTarget: msaa ? rt.view : undefined,
+        loadOp: loadOp,
+        storeOp: storeOp || (msaa && loadOp === 'clear' ? 'discard' : 'store'),
+        clearValue: loadOp === 'clear' ? clearValue : undefined
+    };
+}
 
-    currentRenderPass = currentCommandEncoder.beginRenderPass({
-        colorAttachments: [{
-            view: msaa ? rt.msaaView : rt.view,
-            resolveTarget: msaa ? rt.view : undefined,
-            loadOp: 'clear',
-            storeOp: msaa ? 'discard' : 'store',
-            clearValue: { r: clearR, g: clearG, b: clearB, a: clearA }
-        }],
-        label: 'render_texture_pass'
+// Depth and stencil ops are independent; a missing load op falls back to defaultLoadOp
+function createRenderTextureDepthAttachment(rt, defaultLoadOp, ops) {
+    return createDepthStencilAttachment(rt.depthView, rt.depthFormat, {
+        ...ops,
+        depthLoadOp: ops.depthLoadOp || defaultLoadOp,
+        stencilLoadOp: ops.stencilLoadOp || defaultLoadOp
     });
 }
 
@@ -1018,71 +3534,420 @@ export function endRenderTexturePass() {
         currentRenderPass.end();
         currentRenderPass = null;
     }
+    unsubmittedRenderTarget = currentRenderTextureTarget;
     currentRenderTexturePass = null;
+    currentRenderTextureTarget = null;
+}
+
+// Queue writes run before everything in the next submit, so a uniform written after a
+// render texture pass would already be visible to its draws. The pass is submitted before
+// the next queue write or pass instead; only a following pass on the same target, with no
+// write and no readback queued in between, shares its submit.
+let unsubmittedRenderTarget = null;
+
+// nextTarget is the target of the pass about to begin, or omitted before a queue write
+function submitRenderTextureWork(nextTarget) {
+    if (!unsubmittedRenderTarget) return;
+    const sameTarget = nextTarget === unsubmittedRenderTarget && queuedReadbacks.length === 0;
+    unsubmittedRenderTarget = null;
+    if (sameTarget || !currentCommandEncoder || !device) return;
+
+    const passReadbacks = recordQueuedReadbacks(currentCommandEncoder);
+    queue.submit([currentCommandEncoder.finish()]);
+    for (const { ticket, staging } of passReadbacks) mapReadback(ticket, staging);
+
+    currentCommandEncoder = device.createCommandEncoder({
+        label: 'frame_command_encoder'
+    });
+}
+
+// ============================================================================
+// Readback
+// ============================================================================
+
+// Readbacks are ticketed: requestReadback records a texture-to-buffer copy that is
+// submitted with the frame (or at once outside a frame) and mapped asynchronously. Poll
+// getReadbackStatus, then take the tightly packed rows with copyReadback.
+const READBACK_PENDING = 0;
+const READBACK_READY = 1;
+const READBACK_FAILED = -1;
+
+// Staging buffers are pooled by power-of-two size
+const STAGING_BUFFERS_PER_SIZE = 4;
+const stagingBufferPool = new Map(); // size -> GPUBuffer[]
+
+const readbacks = new Map(); // ticket -> request
+const queuedReadbacks = [];  // tickets waiting for the frame encoder
+let nextReadbackTicket = 1;
+
+// width/height <= 0 read to the right/bottom edge of the mip. Returns a ticket, or -1.
+export function requestReadback(textureId, x, y, width, height, mipLevel, layer) {
+    if (!device) {
+        console.error('requestReadback: WebGPU device lost');
+        return -1;
+    }
+
+    const tex = textures.get(textureId);
+    if (!tex) {
+        console.error(`requestReadback: texture ${textureId} not found`);
+        return -1;
+    }
+
+    const texelSize = texelSizes[tex.format];
+    if (!texelSize || !(tex.texture.usage & GPUTextureUsage.COPY_SRC)) {
+        console.error(`requestReadback: texture ${textureId} (${tex.format}) can't be read back`);
+        return -1;
+    }
+
+    const mip = mipLevel || 0;
+    const mipWidth = Math.max(1, tex.texture.width >> mip);
+    const mipHeight = Math.max(1, tex.texture.height >> mip);
+    const w = width > 0 ? width : mipWidth - x;
+    const h = height > 0 ? height : mipHeight - y;
+    if (x < 0 || y < 0 || w <= 0 || h <= 0 || x + w > mipWidth || y + h > mipHeight) {
+        console.error(`requestReadback: region ${x},${y} ${w}x${h} is outside texture ${textureId} (${mipWidth}x${mipHeight}, mip ${mip})`);
+        return -1;
+    }
+
+    const ticket = nextReadbackTicket++;
+    readbacks.set(ticket, {
+        status: READBACK_PENDING,
+        textureId, x, y,
+        width: w,
+        height: h,
+        mipLevel: mip,
+        layer: layer || 0,
+        texelSize,
+        bytesPerRow: 0,
+        data: null
+    });
 
-    // Submit the current command encoder so RT draws are executed before any readback,
-    // then create a new encoder for subsequent operations (matches native driver behavior)
     if (currentCommandEncoder) {
-        queue.submit([currentCommandEncoder.finish()]);
-        currentCommandEncoder = device.createCommandEncoder({
-            label: 'frame_command_encoder'
-        });
+        queuedReadbacks.push(ticket);
+    } else {
+        const encoder = device.createCommandEncoder({ label: 'readback_encoder' });
+        const staging = recordReadback(encoder, ticket);
+        queue.submit([encoder.finish()]);
+        if (staging) mapReadback(ticket, staging);
     }
+
+    return ticket;
 }
 
-export async function readRenderTexturePixels(textureId) {
-    const rt = renderTextures.get(textureId);
-    if (!rt) throw new Error(`Render texture ${textureId} not found`);
+// Returns READBACK_PENDING (0), READBACK_READY (1) or READBACK_FAILED (-1, also for unknown tickets)
+export function getReadbackStatus(ticket) {
+    const readback = readbacks.get(ticket);
+    return readback ? readback.status : READBACK_FAILED;
+}
+
+// Byte size of a ready readback (width * height * texel size)
+export function getReadbackSize(ticket) {
+    const readback = readbacks.get(ticket);
+    return readback && readback.data ? readback.data.length : 0;
+}
+
+// Copies a ready readback into dest and releases the ticket
+export function copyReadback(ticket, dest) {
+    const readback = readbacks.get(ticket);
+    if (!readback || readback.status !== READBACK_READY) return false;
+
+    dest.set(readback.data);
+    readbacks.delete(ticket);
+    return true;
+}
+
+// Drops a ticket in any state; an in-flight copy still returns its staging buffer
+export function releaseReadback(ticket) {
+    readbacks.delete(ticket);
+}
+
+function recordQueuedReadbacks(encoder) {
+    const recorded = [];
+    for (const ticket of queuedReadbacks) {
+        const staging = recordReadback(encoder, ticket);
+        if (staging) recorded.push({ ticket, staging });
+    }
+    queuedReadbacks.length = 0;
+    return recorded;
+}
+
+function recordReadback(encoder, ticket) {
+    const readback = readbacks.get(ticket);
+    if (!readback) return null;
+
+    // The texture may have been destroyed since the request
+    const tex = textures.get(readback.textureId);
+    if (!tex) {
+        readback.status = READBACK_FAILED;
+        return null;
+    }
 
-    const bytesPerPixel = 4;
-    const bytesPerRow = rt.width * bytesPerPixel;
     // WebGPU requires 256-byte alignment for bytesPerRow
-    const alignedBytesPerRow = Math.ceil(bytesPerRow / 256) * 256;
-    const bufferSize = alignedBytesPerRow * rt.height;
+    readback.bytesPerRow = Math.ceil(readback.width * readback.texelSize / 256) * 256;
+    const staging = acquireStagingBuffer(readback.bytesPerRow * readback.height);
+
+    encoder.copyTextureToBuffer(
+        { texture: tex.texture, mipLevel: readback.mipLevel, origin: { x: readback.x, y: readback.y, z: readback.layer } },
+        { buffer: staging, bytesPerRow: readback.bytesPerRow, rowsPerImage: readback.height },
+        { width: readback.width, height: readback.height, depthOrArrayLayers: 1 }
+    );
+    return staging;
+}
+
+async function mapReadback(ticket, staging) {
+    const readback = readbacks.get(ticket);
+    const stagingDevice = device;
+    const mappedSize = readback.bytesPerRow * readback.height;
+
+    try {
+        await staging.mapAsync(GPUMapMode.READ, 0, mappedSize);
+    } catch (e) {
+        // Device lost; the staging buffer went with it
+        readback.status = READBACK_FAILED;
+        return;
+    }
+
+    // Copy to result, removing row padding
+    const rowBytes = readback.width * readback.texelSize;
+    const mappedData = new Uint8Array(staging.getMappedRange(0, mappedSize));
+    const data = new Uint8Array(rowBytes * readback.height);
+    for (let y = 0; y < readback.height; y++) {
+        const srcOffset = y * readback.bytesPerRow;
+        data.set(mappedData.subarray(srcOffset, srcOffset + rowBytes), y * rowBytes);
+    }
+
+    staging.unmap();
+    releaseStagingBuffer(staging, stagingDevice);
+
+    if (readback.encodePng) {
+        try {
+            readback.data = await encodePng(data, readback);
+        } catch (e) {
+            console.error('Frame capture PNG encoding failed:', e);
+            readback.status = READBACK_FAILED;
+            return;
+        }
+    } else {
+        readback.data = data;
+    }
+    readback.status = READBACK_READY;
+}
+
+function acquireStagingBuffer(size) {
+    let bucketSize = 256;
+    while (bucketSize < size) bucketSize *= 2;
 
-    // Create staging buffer
-    const stagingBuffer = device.createBuffer({
-        size: bufferSize,
+    const pool = stagingBufferPool.get(bucketSize);
+    if (pool && pool.length > 0) return pool.pop();
+
+    return device.createBuffer({
+        size: bucketSize,
         usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
         label: 'readback_staging'
     });
+}
 
-    // Copy texture to buffer
-    const encoder = device.createCommandEncoder();
-    encoder.copyTextureToBuffer(
-        { texture: rt.texture, origin: { x: 0, y: 0, z: 0 } },
-        { buffer: stagingBuffer, bytesPerRow: alignedBytesPerRow, rowsPerImage: rt.height },
-        { width: rt.width, height: rt.height, depthOrArrayLayers: 1 }
-    );
+function releaseStagingBuffer(staging, stagingDevice) {
+    let pool = stagingBufferPool.get(staging.size);
+    if (stagingDevice !== device || (pool && pool.length >= STAGING_BUFFERS_PER_SIZE)) {
+        staging.destroy();
+        return;
+    }
 
-    queue.submit([encoder.finish()]);
+    if (!pool) {
+        pool = [];
+        stagingBufferPool.set(staging.size, pool);
+    }
+    pool.push(staging);
+}
+
+// Pending readbacks can't complete on a new device
+function failPendingReadbacks() {
+    for (const readback of readbacks.values()) {
+        if (readback.status === READBACK_PENDING) readback.status = READBACK_FAILED;
+    }
+    queuedReadbacks.length = 0;
+    queuedFrameCaptures.length = 0;
+    stagingBufferPool.clear();
+}
 
-    // Map and read
-    await stagingBuffer.mapAsync(GPUMapMode.READ);
-    const mappedData = new Uint8Array(stagingBuffer.getMappedRange());
+// Frame captures copy the surface texture of the next frame at endFrame, i.e. the
+// presented image at full canvas resolution, and complete as a readback ticket whose
+// data is a PNG file.
+const queuedFrameCaptures = [];
 
-    // Copy to result, removing row padding
-    const result = new Uint8Array(rt.width * rt.height * bytesPerPixel);
-    for (let y = 0; y < rt.height; y++) {
-        const srcOffset = y * alignedBytesPerRow;
-        const dstOffset = y * bytesPerRow;
-        result.set(mappedData.subarray(srcOffset, srcOffset + bytesPerRow), dstOffset);
+export function requestFrameCapture() {
+    if (!device) {
+        console.error('requestFrameCapture: WebGPU device lost');
+        return -1;
+    }
+
+    const ticket = nextReadbackTicket++;
+    readbacks.set(ticket, { status: READBACK_PENDING, encodePng: true, data: null });
+    queuedFrameCaptures.push(ticket);
+    return ticket;
+}
+
+function recordFrameCaptures(encoder, recorded) {
+    if (queuedFrameCaptures.length === 0 || !currentSurfaceTexture) return;
+
+    for (const ticket of queuedFrameCaptures) {
+        const readback = readbacks.get(ticket);
+        if (!readback) continue;
+
+        readback.width = currentSurfaceTexture.width;
+        readback.height = currentSurfaceTexture.height;
+        readback.format = currentSurfaceTexture.format;
+        readback.texelSize = texelSizes[readback.format] || 4;
+        readback.bytesPerRow = Math.ceil(readback.width * readback.texelSize / 256) * 256;
+        readback.opaque = appliedSurface.alphaMode === 'opaque';
+
+        const staging = acquireStagingBuffer(readback.bytesPerRow * readback.height);
+        encoder.copyTextureToBuffer(
+            { texture: currentSurfaceTexture },
+            { buffer: staging, bytesPerRow: readback.bytesPerRow, rowsPerImage: readback.height },
+            { width: readback.width, height: readback.height, depthOrArrayLayers: 1 }
+        );
+        recorded.push({ ticket, staging });
+    }
+    queuedFrameCaptures.length = 0;
+}
+
+// Converts the captured surface to straight-alpha RGBA8: float surfaces are clamped to
+// [0, 1] (extended range is lost), opaque surfaces get alpha 255 and premultiplied ones
+// are divided back.
+async function encodePng(data, readback) {
+    const { width, height } = readback;
+    const pixels = readback.format === 'rgba16float' ? halfToUnorm8(data) : data;
+    const bgra = readback.format === 'bgra8unorm';
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (bgra) {
+            const b = pixels[i];
+            pixels[i] = pixels[i + 2];
+            pixels[i + 2] = b;
+        }
+        if (readback.opaque) {
+            pixels[i + 3] = 255;
+        } else if (pixels[i + 3] > 0 && pixels[i + 3] < 255) {
+            const scale = 255 / pixels[i + 3];
+            pixels[i] = Math.min(255, Math.round(pixels[i] * scale));
+            pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * scale));
+            pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * scale));
+        }
+    }
+
+    const offscreen = new OffscreenCanvas(width, height);
+    offscreen.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer), width, height), 0, 0);
+    const blob = await offscreen.convertToBlob({ type: 'image/png' });
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+function halfToUnorm8(data) {
+    const halves = new Uint16Array(data.buffer, data.byteOffset, data.byteLength >> 1);
+    const pixels = new Uint8Array(halves.length);
+    for (let i = 0; i < halves.length; i++) {
+        pixels[i] = Math.round(Math.min(1, Math.max(0, halfToFloat(halves[i]))) * 255);
+    }
+    return pixels;
+}
+
+function halfToFloat(h) {
+    const exponent = (h >> 10) & 0x1F;
+    const mantissa = h & 0x3FF;
+    const sign = h & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * mantissa * 2 ** -24;
+    if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+    return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+// ============================================================================
+// Render Target Groups (multiple render targets)
+// ============================================================================
+
+// A group binds several render textures as the color attachments of one pass, in order
+// (@location(0), @location(1), ...). Groups only hold texture IDs, so they survive device
+// loss with the render textures they reference. The depth attachment is the first render
+// texture's, if it has one.
+const MAX_COLOR_ATTACHMENTS = 8;
+const renderTargetGroups = new Map();
+let nextRenderTargetGroupId = 1;
+
+export function createRenderTargetGroup(textureIds, label) {
+    const ids = Array.isArray(textureIds) ? textureIds.slice() : Array.from(textureIds);
+    if (ids.length === 0 || ids.length > MAX_COLOR_ATTACHMENTS) {
+        console.error(`createRenderTargetGroup: expected 1-${MAX_COLOR_ATTACHMENTS} render textures, got ${ids.length}`);
+        return -1;
     }
 
-    stagingBuffer.unmap();
-    stagingBuffer.destroy();
+    const first = textureDescs.get(ids[0]);
+    for (const textureId of ids) {
+        const desc = textureDescs.get(textureId);
+        if (!desc || desc.type !== 'renderTexture') {
+            console.error(`createRenderTargetGroup: render texture ${textureId} not found`);
+            return -1;
+        }
+        if (desc.width !== first.width || desc.height !== first.height || desc.sampleCount !== first.sampleCount) {
+            console.error(`createRenderTargetGroup: render texture ${textureId} (${desc.width}x${desc.height}, ${desc.sampleCount}x) doesn't match ${first.width}x${first.height}, ${first.sampleCount}x`);
+            return -1;
+        }
+    }
+
+    const id = nextRenderTargetGroupId++;
+    renderTargetGroups.set(id, { textureIds: ids, label: label || `render_target_group_${id}` });
+    return id;
+}
 
-    // Store result for copyReadbackResult to pick up
-    readbackResults.set(textureId, result);
-    return result.length;
+export function destroyRenderTargetGroup(groupId) {
+    renderTargetGroups.delete(groupId);
 }
 
-export function copyReadbackResult(textureId, dest) {
-    const result = readbackResults.get(textureId);
-    readbackResults.delete(textureId);
-    if (result) {
-        dest.set(result);
+// clearColors holds r, g, b, a per attachment; pass null (or too few values) to load the
+// previous contents of the remaining attachments. loadOps/storeOps optionally override
+// the ops per attachment, as in beginRenderTexturePass.
+export function beginRenderTargetGroupPass(groupId, clearColors, loadOps, storeOps,
+    depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue) {
+    const group = renderTargetGroups.get(groupId);
+    if (!group || !currentCommandEncoder) {
+        console.error(`beginRenderTargetGroupPass: render target group ${groupId} not found or no command encoder`);
+        return false;
+    }
+
+    for (const textureId of group.textureIds) markUsed('texture', textureId, 'beginRenderTargetGroupPass');
+
+    const colorAttachments = [];
+    for (let i = 0; i < group.textureIds.length; i++) {
+        const rt = renderTextures.get(group.textureIds[i]);
+        if (!rt) {
+            console.error(`beginRenderTargetGroupPass: render texture ${group.textureIds[i]} not found`);
+            return false;
+        }
+
+        const clearValue = clearColors && clearColors.length >= (i + 1) * 4
+            ? { r: clearColors[i * 4], g: clearColors[i * 4 + 1], b: clearColors[i * 4 + 2], a: clearColors[i * 4 + 3] }
+            : { r: 0, g: 0, b: 0, a: 0 };
+        const loadOp = (loadOps && loadOps[i]) || (clearColors && clearColors.length >= (i + 1) * 4 ? 'clear' : 'load');
+        colorAttachments.push(createRenderTextureColorAttachment(rt, loadOp, storeOps && storeOps[i], clearValue));
+    }
+
+    submitRenderTextureWork(`group:${groupId}`);
+    const first = renderTextures.get(group.textureIds[0]);
+    currentRenderTexturePass = first;
+    currentRenderTextureTarget = `group:${groupId}`;
+
+    const renderPassDescriptor = {
+        colorAttachments: colorAttachments,
+        label: group.label,
+        timestampWrites: allocatePassTimestamps(group.label)
+    };
+
+    if (first.depthView) {
+        renderPassDescriptor.depthStencilAttachment = createRenderTextureDepthAttachment(first, colorAttachments[0].loadOp,
+            { depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue });
     }
+
+    currentRenderPass = currentCommandEncoder.beginRenderPass(renderPassDescriptor);
+    return true;
 }
 
 // ============================================================================
@@ -1154,26 +4019,50 @@ export const TextureUsage = {
 // ============================================================================
 
 // Bind Group Layout Entry Creators
-export function createUniformBufferLayoutEntry(binding) {
+export function createUniformBufferLayoutEntry(binding, visibility, hasDynamicOffset) {
     return {
         binding: binding,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
-        buffer: { type: 'uniform' }
+        visibility: visibility || (GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT),
+        buffer: { type: 'uniform', hasDynamicOffset: !!hasDynamicOffset }
     };
 }
 
-export function createTexture2DLayoutEntry(binding) {
+// Read-write storage buffers are not allowed in the vertex stage
+export function createStorageBufferLayoutEntry(binding, readOnly, visibility, hasDynamicOffset) {
+    const defaultVisibility = readOnly
+        ? GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE
+        : GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE;
     return {
         binding: binding,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+        visibility: visibility || defaultVisibility,
+        buffer: { type: readOnly ? 'read-only-storage' : 'storage', hasDynamicOffset: !!hasDynamicOffset }
+    };
+}
+
+export function createStorageTextureLayoutEntry(binding, format, access, isArray, visibility) {
+    return {
+        binding: binding,
+        visibility: visibility || GPUShaderStage.COMPUTE,
+        storageTexture: {
+            access: access || 'write-only',
+            format: formatMap[format] || format,
+            viewDimension: isArray ? '2d-array' : '2d'
+        }
+    };
+}
+
+export function createTexture2DLayoutEntry(binding, visibility) {
+    return {
+        binding: binding,
+        visibility: visibility || (GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT),
         texture: { sampleType: 'float', viewDimension: '2d' }
     };
 }
 
-export function createTexture2DArrayLayoutEntry(binding) {
+export function createTexture2DArrayLayoutEntry(binding, visibility) {
     return {
         binding: binding,
-        visibility: GPUShaderStage.FRAGMENT,
+        visibility: visibility || GPUShaderStage.FRAGMENT,
         texture: { sampleType: 'float', viewDimension: '2d-array' }
     };
 }
@@ -1186,11 +4075,12 @@ export function createUnfilterableTexture2DLayoutEntry(binding) {
     };
 }
 
-export function createSamplerLayoutEntry(binding) {
+// type: 'filtering' (default), 'non-filtering' or 'comparison' (for samplers with compare set)
+export function createSamplerLayoutEntry(binding, visibility, type) {
     return {
         binding: binding,
-        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
-        sampler: { type: 'filtering' }
+        visibility: visibility || (GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT),
+        sampler: { type: type || 'filtering' }
     };
 }
 
@@ -1218,6 +4108,34 @@ export function createSamplerBindGroupEntry(binding, useLinearSampler) {
     };
 }
 
+export function createSamplerIdBindGroupEntry(binding, samplerId) {
+    return {
+        binding: binding,
+        samplerId: samplerId
+    };
+}
+
+// Sampler Descriptor Creator (empty strings / zero fall back to createSampler defaults)
+export function createSamplerDescriptor(
+    addressModeU, addressModeV, addressModeW,
+    magFilter, minFilter, mipmapFilter,
+    lodMinClamp, lodMaxClamp, maxAnisotropy, compare, label
+) {
+    return {
+        addressModeU: addressModeU || undefined,
+        addressModeV: addressModeV || undefined,
+        addressModeW: addressModeW || undefined,
+        magFilter: magFilter || undefined,
+        minFilter: minFilter || undefined,
+        mipmapFilter: mipmapFilter || undefined,
+        lodMinClamp: lodMinClamp || 0,
+        lodMaxClamp: lodMaxClamp > 0 ? lodMaxClamp : undefined,
+        maxAnisotropy: maxAnisotropy || 1,
+        compare: compare || undefined,
+        label: label || undefined
+    };
+}
+
 // Render Pipeline Descriptor Creator
 export function createRenderPipelineDescriptor(
     vertexModuleId,
@@ -1253,6 +4171,53 @@ export function createRenderPipelineDescriptor(
     };
 }
 
+// Depth/stencil state for a descriptor created by createRenderPipelineDescriptor.
+// Kept as primitive fields on the descriptor - resolved in createRenderPipeline.
+export function setRenderPipelineDepthStencil(
+    descriptor,
+    depthFormat,
+    depthCompare,
+    depthWriteEnabled,
+    stencilCompare,
+    stencilFailOp,
+    stencilDepthFailOp,
+    stencilPassOp,
+    stencilReadMask,
+    stencilWriteMask
+) {
+    descriptor.depthFormat = depthFormat;
+    descriptor.depthCompare = depthCompare;
+    descriptor.depthWriteEnabled = depthWriteEnabled;
+    descriptor.stencilCompare = stencilCompare;
+    descriptor.stencilFailOp = stencilFailOp;
+    descriptor.stencilDepthFailOp = stencilDepthFailOp;
+    descriptor.stencilPassOp = stencilPassOp;
+    descriptor.stencilReadMask = stencilReadMask;
+    descriptor.stencilWriteMask = stencilWriteMask;
+    return descriptor;
+}
+
+// Per-target state for multiple render targets, resolved in createRenderPipeline.
+// targetsJson: [{ "format": "rgba8", "blendMode": "alpha", "writeMask": 15 }, ...]
+export function setRenderPipelineTargets(descriptor, targetsJson) {
+    descriptor.targetsJson = targetsJson;
+    return descriptor;
+}
+
+// Depth Attachment Creator (textureId is a depth texture or a render texture created with depth)
+export function createDepthAttachment(textureId, depthLoadOp, depthStoreOp, depthClearValue, stencilLoadOp, stencilStoreOp, stencilClearValue, depthReadOnly) {
+    return {
+        textureId: textureId,
+        depthLoadOp: depthLoadOp,
+        depthStoreOp: depthStoreOp,
+        depthClearValue: depthClearValue,
+        stencilLoadOp: stencilLoadOp,
+        stencilStoreOp: stencilStoreOp,
+        stencilClearValue: stencilClearValue,
+        depthReadOnly: depthReadOnly
+    };
+}
+
 // Color Attachment Creator
 export function createColorAttachment(textureId, resolveTextureId, loadOp, storeOp, clearR, clearG, clearB, clearA) {
     return {